@@ -0,0 +1,47 @@
+// Loaded from <head> on every page, after the stylesheets and before the
+// body paints. A file rather than an inline script so the Content Security
+// Policy can stay at script-src 'self' (tools/netlify.mjs).
+
+(function () {
+    // The same choice src/ui/theme.js makes, made before the first frame so
+    // it never flashes the wrong theme: obsidian unless "glass" is stored,
+    // or "system" is stored and the OS prefers light.
+    var mode = null;
+    try {
+        mode = localStorage.getItem("portfolio-theme");
+    } catch (e) {}
+    var theme =
+        mode === "glass" ||
+        (mode === "system" &&
+            window.matchMedia("(prefers-color-scheme: light)").matches)
+            ? "glass"
+            : "obsidian";
+    if (theme === "obsidian") {
+        document.documentElement.classList.add("obsidian-theme-loading");
+    }
+
+    // Kept in step with THEME_META in src/ui/theme.js.
+    var meta = {
+        obsidian: { color: "#1e1e1e", scheme: "dark" },
+        glass: { color: "#000000", scheme: "dark" },
+    }[theme];
+    var themeColor = document.querySelector('meta[name="theme-color"]');
+    var colorScheme = document.querySelector('meta[name="color-scheme"]');
+    if (themeColor) themeColor.setAttribute("content", meta.color);
+    if (colorScheme) colorScheme.setAttribute("content", meta.scheme);
+
+    // Stylesheets deferred by tools/critical.mjs load as media="print" so
+    // they don't block rendering; they apply once they arrive. One may
+    // already have loaded while this file was fetched.
+    var deferred = document.querySelectorAll("link[data-deferred]");
+    for (var i = 0; i < deferred.length; i++) {
+        var link = deferred[i];
+        if (link.sheet) {
+            link.media = "all";
+        } else {
+            link.addEventListener("load", function () {
+                this.media = "all";
+            });
+        }
+    }
+})();
@@ -0,0 +1,288 @@
+/* Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. */
+window.PORTFOLIO_SEARCH = {
+    entries: [
+        {
+            id: "profile-section",
+            page: "about.html",
+            title: "🪄 Sobre mí",
+            category: null,
+            description:
+                "Estudiante de Ingeniería en IA y desarrollador full-stack freelance de México. Habilidades, idiomas, certificaciones y datos de contacto.",
+            tech: [],
+            text: "",
+        },
+        {
+            id: "project-keeptive",
+            page: "keeptive.html",
+            title: "🟢 Keeptive",
+            category: "Full-Stack",
+            description:
+                "Auto Clicker y herramienta de interacción discreta con ventanas",
+            tech: [
+                "🐍 Python",
+                "⚛️ Electron",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "🪟 Windows",
+                "⚙️ Automatización",
+                "🖥️ App de escritorio",
+            ],
+            text: "✅ Descripción general 📌 Keeptive es una herramienta de automatización para Windows creada con Electron y Python, diseñada para mantener ventanas activas simulando interacciones del usuario como clics, movimientos, pulsaciones de teclas y señales pasivas, todo de forma discreta y sin interrumpir tu flujo de trabajo. 📌 La aplicación puede manejar varias ventanas a la vez, gestionar su estado (minimizadas o restauradas) para garantizar una interacción correcta y ofrece una activación a nivel de sistema para mantener todo tu PC despierto el tiempo que haga falta. 📌 Entre sus funciones avanzadas están los atajos personalizables para iniciar o detener al instante, la integración con la bandeja del sistema para funcionar en segundo plano, la pausa automática cuando la ventana está en primer plano, la selección precisa de la posición para clics y movimientos, intervalos y duraciones configurables, y la posibilidad de combinar varios modos de activación a la vez para obtener la máxima flexibilidad. 🩷 Características ⚡ Varios modos de activación: Cuatro modos que funcionan por separado o al mismo tiempo. Clic (simula clics del ratón), Movimiento (simula movimientos del ratón), Pasivo (envía señales de activación) y Tecla (simula pulsaciones del teclado). Combina varios modos para una mayor efectividad. 🎯 Objetivo por ventana o en todo el sistema: Elige entre apuntar a ventanas concretas o mantener todo el sistema despierto con el modo de sistema. Busca y selecciona entre todas las ventanas abiertas con vista previa de su icono para identificarlas fácilmente. ⌨️ Atajos globales: Configura atajos de teclado propios (F1-F12 directamente, o combinaciones con Ctrl+) para iniciar o detener la activación al instante desde cualquier lugar, incluso con la app minimizada en la bandeja. Admite varios atajos a la vez. 🔔 Integración con la bandeja del sistema: Minimiza a la bandeja para que la app siga funcionando discretamente en segundo plano. El menú de acceso rápido muestra el estado de activación con indicadores visuales (ON/OFF) y permite controlarla al instante sin abrir la ventana principal. 🚥 Gestión inteligente de ventanas: Restaura automáticamente las ventanas minimizadas para interactuar con ellas y las vuelve a colocar en segundo plano sin alterar tu flujo de trabajo. La gestión de estados garantiza un funcionamiento sin interrupciones. 👀 Pausa automática con foco: Pausa opcional que detiene la activación cuando la ventana objetivo ya está en primer plano, evitando interacciones innecesarias y ahorrando recursos. 📍 Selector de posición preciso: Herramienta de mira interactiva para elegir las coordenadas exactas de la pantalla en los modos de clic y movimiento. Si está desactivada, usa el centro de la ventana o la posición actual del cursor (modo de sistema). ⏱️ Control flexible de tiempos: Intervalos totalmente personalizables (en segundos) entre acciones, límite de duración opcional (en minutos) o ejecución indefinida, y tiempo de pulsación ajustable (en milisegundos) para los botones del ratón en el modo de sistema.",
+        },
+        {
+            id: "project-genetic-algorithm",
+            page: "genetic-algorithm.html",
+            title: "🧬 Algoritmo Genético",
+            category: "Full-Stack",
+            description: "AG para la optimización de dietas nutricionales",
+            tech: [
+                "🐍 Python",
+                "🍷 Flask",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "✨ IA",
+                "🧬 AG",
+                "📊 Gráficas",
+                "🌐 Aplicación web",
+                "📱 Responsivo",
+            ],
+            text: "🥗 Descripción general 📌 Este proyecto implementa un Algoritmo Genético para la optimización de dietas nutricionales, con Flask como framework web para ofrecer una interfaz interactiva. 📌 Los usuarios pueden subir un conjunto de datos de alimentos en formato Excel e indicar sus requerimientos nutricionales diarios (energía, proteínas, grasas, vitaminas y minerales). 📌 El algoritmo genético genera una dieta óptima seleccionando las combinaciones y cantidades de alimentos que mejor cumplen los requerimientos indicados, minimizando las desviaciones. 📌 La aplicación incluye parámetros configurables del algoritmo (tamaño de la población, generaciones, probabilidades de cruce y de mutación), visualización de resultados con gráficas de la evolución del fitness y una interfaz web responsiva con modo oscuro. 📌 El proyecto incluye un conjunto de datos de alimentos predeterminado, por lo que se puede usar de inmediato sin necesidad de subir un archivo. 🩷 Características ⚡ Optimización con algoritmo genético: Usa un AG para explorar combinaciones y cantidades de alimentos que alcancen los objetivos nutricionales minimizando la desviación respecto a los requerimientos. 🎯 Carga de alimentos desde Excel: Acepta conjuntos de datos de alimentos en formato Excel para personalizar las opciones y los datos nutricionales. 📍 Requerimientos nutricionales del usuario: Campos para los objetivos diarios: energía, proteínas, grasas, vitaminas y minerales. 🔧 Parámetros del AG configurables: Ajusta el tamaño de la población, el número de generaciones y las probabilidades de cruce y de mutación para afinar la optimización. 📈 Visualización de resultados: Las gráficas de evolución del fitness muestran cómo mejoran las soluciones a lo largo de las generaciones y presentan la dieta final recomendada. 🖥️ Interfaz web con Flask: Interfaz interactiva y responsiva que funciona en cualquier dispositivo e incluye modo oscuro para un uso cómodo. 📂 Datos predeterminados incluidos: Trae un conjunto de datos de alimentos listo para usar, así que la app funciona de inmediato sin subir nada.",
+        },
+        {
+            id: "project-restful-api",
+            page: "restful-api.html",
+            title: "🔗 API RESTful",
+            category: "Full-Stack",
+            description: "API RESTful de gestión de usuarios",
+            tech: [
+                "🐍 Python",
+                "🐢 Django",
+                "⚛️ React",
+                "📜 JavaScript",
+                "✖️ JSX",
+                "💾 SQLite",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "🔗 RESTful",
+                "🛠️ API",
+                "🌐 Aplicación web",
+                "📱 Responsivo",
+            ],
+            text: "⚙️ Descripción general 📌 Esta es una aplicación full-stack con una API RESTful construida con Django REST Framework en el backend y React.js en el frontend. 📌 El proyecto implementa un sistema completo de autenticación y gestión de perfiles con registro de usuarios, inicio de sesión y autenticación basada en tokens JWT. 📌 El backend usa SQLite como base de datos por simplicidad y portabilidad, mientras que el frontend ofrece una interfaz responsiva e intuitiva para una interacción fluida. 📌 La aplicación sigue los principios de la arquitectura REST, con métodos HTTP adecuados, intercambio de datos en JSON y comunicación sin estado entre cliente y servidor. 📌 Está pensada para desplegarse fácilmente en plataformas en la nube como Render, con la URL de la API configurable para los entornos de desarrollo y producción. 🩷 Características ⚙️ Arquitectura full-stack: Construida con Django REST Framework en el backend y React.js en el frontend. 🔐 Autenticación de usuarios: Sistema completo con registro de usuarios, inicio de sesión y autenticación basada en tokens JWT. 👤 Gestión de perfiles: Gestión completa del perfil, incluida la subida de imágenes. 📡 Principios REST: Sigue los principios de la arquitectura REST con métodos HTTP adecuados, intercambio de datos en JSON y comunicación sin estado. 🚀 Despliegue en la nube: Pensada para desplegarse fácilmente en plataformas como Render, con la URL de la API configurable. 📱 Interfaz responsiva: Ofrece una interfaz responsiva e intuitiva para interactuar sin fricción con los endpoints de la API.",
+        },
+        {
+            id: "project-dfa",
+            page: "dfa.html",
+            title: "🔀 Autómata Finito Determinista",
+            category: "Full-Stack",
+            description: "Extractor de URLs HTTPS con un AFD",
+            tech: [
+                "🐍 Python",
+                "🍷 Flask",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "🔀 AFD",
+                "🕸️ Web Scraping",
+                "🌐 Aplicación web",
+                "📱 Responsivo",
+            ],
+            text: "🤖 Descripción general 📌 Esta es una aplicación web que muestra la implementación práctica de la teoría de autómatas en las ciencias de la computación. 📌 El proyecto incluye un autómata finito determinista (AFD) diseñado para analizar páginas web y extraer de ellas los enlaces externos seguros (HTTPS). 📌 Construida con Flask y Python, la aplicación recibe una URL, descarga el contenido de la página y usa una máquina de estados finitos hecha a medida para identificar y validar URLs HTTPS, descartando los enlaces internos. 📌 El autómata procesa cada carácter del contenido HTML a través de estados y transiciones definidos, mostrando cómo los conceptos teóricos de la computación se aplican a tareas reales de web scraping y validación de URLs. 📌 Esta herramienta educativa combina el desarrollo web con la teoría de lenguajes formales, y es un buen ejemplo de cómo usar autómatas para el reconocimiento de patrones y el procesamiento de texto en aplicaciones modernas. 🩷 Características 🌐 Implementación de autómatas: Muestra la implementación práctica de la teoría de autómatas en las ciencias de la computación. 🔄 Extracción de enlaces con AFD: Incluye un autómata finito determinista (AFD) diseñado para analizar y extraer enlaces externos seguros (HTTPS). ⚙️ Máquina de estados propia: Usa una máquina de estados finitos hecha a medida para identificar y validar URLs HTTPS, descartando los enlaces internos. 🔤 Procesamiento por carácter: Procesa cada carácter del contenido HTML a través de estados y transiciones definidos. 🎓 Herramienta educativa: Combina el desarrollo web con la teoría de lenguajes formales para el reconocimiento de patrones y el procesamiento de texto.",
+        },
+        {
+            id: "project-analyzer",
+            page: "analyzer.html",
+            title: "📚 Analizador Léxico, Sintáctico y Semántico",
+            category: "Full-Stack",
+            description:
+                "Analizador de sentencias SQL con lexer, parser y verificador semántico",
+            tech: [
+                "🐍 Python",
+                "🍷 Flask",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "💾 SQLite",
+                "💻 Diseño de compiladores",
+                "🔍 Léxico",
+                "🌳 Analizador sintáctico",
+                "🧠 Semántico",
+                "🌐 Aplicación web",
+                "📱 Responsivo",
+            ],
+            text: "🧠 Descripción general 📌 Esta es una aplicación web construida con Flask que implementa un analizador de SQL completo, con análisis léxico, sintáctico y semántico. 📌 El proyecto usa PLY (Python Lex-Yacc) para tokenizar y analizar sentencias SQL como CREATE DATABASE, USE, CREATE TABLE, INSERT INTO, UPDATE y DELETE. 📌 Valida las consultas en tiempo real mediante tres analizadores independientes que se pueden probar por separado o en secuencia. La aplicación usa SQLite como motor de base de datos y tiene una interfaz moderna y responsiva con modo oscuro. 📌 Los usuarios escriben sentencias SQL directamente en un área de texto para cada tipo de analizador y ven al instante resultados detallados, como la lista de tokens, los árboles de sintaxis abstracta (AST) y los mensajes de validación semántica. 📌 El analizador semántico comprueba que existan la base de datos y las tablas, valida la estructura de la sentencia y ejecuta las consultas válidas contra la base de datos SQLite, lo que lo convierte en una gran herramienta para aprender la sintaxis de SQL y los conceptos de diseño de compiladores. 🩷 Características 🔍 Análisis completo: Implementa un analizador de SQL con análisis léxico, sintáctico y semántico construido con Flask. 🧰 Integración con PLY: Usa Python Lex-Yacc para tokenizar y analizar sentencias SQL como CREATE, INSERT, UPDATE y DELETE. ⚡ Validación en tiempo real: Muestra resultados mediante tres analizadores independientes que se pueden probar por separado o en secuencia. 📜 Resultados detallados: Muestra al instante resultados detallados como la lista de tokens, los árboles de sintaxis abstracta (AST) y los mensajes de validación semántica. ▶️ Ejecución semántica: Comprueba que exista la base de datos, valida la estructura y ejecuta las consultas válidas contra SQLite. 🖥️ Interfaz moderna: Interfaz responsiva con modo oscuro y áreas de texto dedicadas para escribir las sentencias SQL.",
+        },
+        {
+            id: "project-disney-redesign",
+            page: "disney-redesign.html",
+            title: "🏰 Rediseño de Disney+",
+            category: "Diseño UI/UX",
+            description: "Interfaz moderna para una plataforma de streaming",
+            tech: [
+                "🎨 Figma",
+                "🖌️ Diseño UI",
+                "💡 Investigación UX",
+                "🎬 Streaming",
+                "👽 Moderno",
+                "🌈 Diseño visual",
+                "🛜 Diseño web",
+            ],
+            text: "🎬 Descripción general 📌 Este rediseño de Disney+ es un proyecto completo de UI/UX que reimagina la plataforma de streaming con una interfaz moderna e intuitiva. 📌 El diseño se centra en mejorar la experiencia de usuario con un mejor descubrimiento de contenido y una navegación más clara. 🩷 Características 🧩 Proyecto de UI/UX: Un proyecto completo que reimagina la plataforma de streaming. 🕶️ Interfaz moderna: Un diseño de interfaz moderno e intuitivo. 💡 Experiencia de usuario: Se centra en mejorar la experiencia de usuario en toda la plataforma. 🎬 Descubrimiento de contenido: Facilita que los usuarios descubran más contenido. 🧭 Navegación mejorada: Ofrece una navegación más clara y completa.",
+        },
+        {
+            id: "project-qualitor",
+            page: "qualitor.html",
+            title: "🎯 QualiTor",
+            category: "Diseño UI/UX",
+            description:
+                "Sistema basado en MoProSoft para crear manuales de calidad de software",
+            tech: [
+                "🎨 Figma",
+                "🖌️ Diseño UI",
+                "💡 Investigación UX",
+                "📊 Dashboard",
+                "🏛️ MoProSoft",
+                "🏃 Scrum",
+                "🎯 Control de calidad",
+            ],
+            text: "🏛️ Descripción general 📌 QualiTor es un proyecto de diseño de software enfocado en la creación de manuales de calidad basados en el modelo MoProSoft. 📌 El diseño pone el acento en plantillas estructuradas, mapeo de procesos y flujos de documentación claros. 🩷 Características 💻 Diseño de software: Un proyecto de diseño de software enfocado en crear manuales de calidad. 🧩 Modelo MoProSoft: Basado en el modelo MoProSoft para la creación de manuales de calidad. 🗂️ Plantillas estructuradas: Usa plantillas estructuradas para organizar la información. 🔄 Mapeo de procesos: Incluye mapeo de procesos para visualizar los flujos de trabajo. 📝 Flujos de documentación: Garantiza flujos de documentación claros y eficientes.",
+        },
+        {
+            id: "contact-section",
+            page: "contact.html",
+            title: "✉️ Contacto",
+            category: null,
+            description:
+                "Envía un mensaje a Bryan Morales, desarrollador full-stack freelance y diseñador UX/UI.",
+            tech: [],
+            text: "",
+        },
+        {
+            id: "tech-css",
+            page: "tech/css.html",
+            title: "CSS",
+            category: "Tecnología",
+            description: "5 proyectos de Bryan Morales hechos con CSS.",
+            tech: ["CSS"],
+            text: "",
+        },
+        {
+            id: "tech-django",
+            page: "tech/django.html",
+            title: "Django",
+            category: "Tecnología",
+            description: "Un proyecto de Bryan Morales hecho con Django.",
+            tech: ["Django"],
+            text: "",
+        },
+        {
+            id: "tech-electron",
+            page: "tech/electron.html",
+            title: "Electron",
+            category: "Tecnología",
+            description: "Un proyecto de Bryan Morales hecho con Electron.",
+            tech: ["Electron"],
+            text: "",
+        },
+        {
+            id: "tech-figma",
+            page: "tech/figma.html",
+            title: "Figma",
+            category: "Tecnología",
+            description: "2 proyectos de Bryan Morales hechos con Figma.",
+            tech: ["Figma"],
+            text: "",
+        },
+        {
+            id: "tech-flask",
+            page: "tech/flask.html",
+            title: "Flask",
+            category: "Tecnología",
+            description: "3 proyectos de Bryan Morales hechos con Flask.",
+            tech: ["Flask"],
+            text: "",
+        },
+        {
+            id: "tech-html",
+            page: "tech/html.html",
+            title: "HTML",
+            category: "Tecnología",
+            description: "5 proyectos de Bryan Morales hechos con HTML.",
+            tech: ["HTML"],
+            text: "",
+        },
+        {
+            id: "tech-javascript",
+            page: "tech/javascript.html",
+            title: "JavaScript",
+            category: "Tecnología",
+            description: "Un proyecto de Bryan Morales hecho con JavaScript.",
+            tech: ["JavaScript"],
+            text: "",
+        },
+        {
+            id: "tech-jsx",
+            page: "tech/jsx.html",
+            title: "JSX",
+            category: "Tecnología",
+            description: "Un proyecto de Bryan Morales hecho con JSX.",
+            tech: ["JSX"],
+            text: "",
+        },
+        {
+            id: "tech-python",
+            page: "tech/python.html",
+            title: "Python",
+            category: "Tecnología",
+            description: "5 proyectos de Bryan Morales hechos con Python.",
+            tech: ["Python"],
+            text: "",
+        },
+        {
+            id: "tech-react",
+            page: "tech/react.html",
+            title: "React",
+            category: "Tecnología",
+            description: "Un proyecto de Bryan Morales hecho con React.",
+            tech: ["React"],
+            text: "",
+        },
+        {
+            id: "tech-sqlite",
+            page: "tech/sqlite.html",
+            title: "SQLite",
+            category: "Tecnología",
+            description: "2 proyectos de Bryan Morales hechos con SQLite.",
+            tech: ["SQLite"],
+            text: "",
+        },
+        {
+            id: "tech-windows",
+            page: "tech/windows.html",
+            title: "Windows",
+            category: "Tecnología",
+            description: "Un proyecto de Bryan Morales hecho con Windows.",
+            tech: ["Windows"],
+            text: "",
+        },
+    ],
+    actions: [
+        {
+            action: "theme",
+            title: "🌗 Cambiar tema",
+        },
+        {
+            action: "contact",
+            title: "✉️ Abrir formulario de contacto",
+            page: "contact.html",
+        },
+        {
+            action: "copy",
+            title: "📋 Copiar correo",
+            value: "bryan.a.morales@outlook.com",
+        },
+        {
+            action: "open",
+            title: "⬇️ Descargar la versión de Keeptive",
+            url: "https://github.com/IHyperLight/Keeptive/releases/tag/v1.2.1",
+        },
+    ],
+};
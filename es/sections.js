@@ -0,0 +1,81 @@
+/* Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. */
+window.PORTFOLIO_SECTIONS = [
+    {
+        id: "profile-section",
+        page: "about.html",
+        title: "🪄 Sobre mí",
+        category: null,
+        description: "",
+    },
+    {
+        id: "project-keeptive",
+        page: "keeptive.html",
+        title: "🟢 Keeptive",
+        category: "Full-Stack",
+        description:
+            "Auto Clicker y herramienta de interacción discreta con ventanas",
+    },
+    {
+        id: "project-genetic-algorithm",
+        page: "genetic-algorithm.html",
+        title: "🧬 Algoritmo Genético",
+        category: "Full-Stack",
+        description: "AG para la optimización de dietas nutricionales",
+    },
+    {
+        id: "project-restful-api",
+        page: "restful-api.html",
+        title: "🔗 API RESTful",
+        category: "Full-Stack",
+        description: "API RESTful de gestión de usuarios",
+    },
+    {
+        id: "project-dfa",
+        page: "dfa.html",
+        title: "🔀 Autómata Finito Determinista",
+        category: "Full-Stack",
+        description: "Extractor de URLs HTTPS con un AFD",
+    },
+    {
+        id: "project-analyzer",
+        page: "analyzer.html",
+        title: "📚 Analizador Léxico, Sintáctico y Semántico",
+        category: "Full-Stack",
+        description:
+            "Analizador de sentencias SQL con lexer, parser y verificador semántico",
+    },
+    {
+        id: "project-disney-redesign",
+        page: "disney-redesign.html",
+        title: "🏰 Rediseño de Disney+",
+        category: "Diseño UI/UX",
+        description: "Interfaz moderna para una plataforma de streaming",
+    },
+    {
+        id: "project-qualitor",
+        page: "qualitor.html",
+        title: "🎯 QualiTor",
+        category: "Diseño UI/UX",
+        description:
+            "Sistema basado en MoProSoft para crear manuales de calidad de software",
+    },
+    {
+        id: "contact-section",
+        page: "contact.html",
+        title: "✉️ Contacto",
+        category: null,
+        description: "",
+    },
+];
+window.PORTFOLIO_LOCALES = [
+    {
+        lang: "en",
+        name: "English",
+        root: "../",
+    },
+    {
+        lang: "es",
+        name: "Español",
+        root: "",
+    },
+];
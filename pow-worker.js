@@ -0,0 +1,34 @@
+// Hashcash-style proof of work for the contact form. Receives a stamp
+// prefix and a difficulty in bits, and answers with the first counter whose
+// SHA-256 of `${prefix}:${counter}` starts with that many zero bits.
+// Runs off the main thread so typing never stutters while it searches.
+
+const leadingZeroBits = (bytes) => {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+};
+
+const encoder = new TextEncoder();
+
+self.onmessage = async (event) => {
+    const { prefix, bits } = event.data;
+
+    for (let counter = 0; ; counter++) {
+        const digest = await crypto.subtle.digest(
+            "SHA-256",
+            encoder.encode(`${prefix}:${counter}`),
+        );
+        if (leadingZeroBits(new Uint8Array(digest)) >= bits) {
+            self.postMessage({ stamp: `${prefix}:${counter}` });
+            return;
+        }
+    }
+};
@@ -1,3 +1,5 @@
+// Generated from src/ by tools/bundle.mjs. Edit the modules there.
+
 const perfMonitor = (() => {
     if (typeof performance === "undefined" || !console.time)
         return { mark: () => {}, measure: () => {} };
@@ -121,38 +123,6 @@ const idleScheduler = (() => {
     };
 })();
 
-document.addEventListener("DOMContentLoaded", function () {
-    perfMonitor.mark("dom-ready");
-
-    performanceCache.viewport = document.querySelector(".portfolio-container");
-    performanceCache.projectItems = document.querySelectorAll(".project-item");
-
-    perfMonitor.mark("critical-init-start");
-
-    initializeThemeToggle();
-    initializeProjectCarousel();
-    initializeScrollEffects();
-    perfMonitor.measure("critical-init", "critical-init-start");
-
-    idleScheduler.schedule(() => {
-        perfMonitor.mark("idle-init-start");
-        initializeContactButtons();
-        initializeSocialButtons();
-        initializeDownloadButtons();
-        initializeFullscreenModal();
-        initializeNavigationMenu();
-        initializeCertificateLinks();
-        initializeProjectLink();
-        initializeProjectTechTagIcons();
-        initializeTechStackDivider();
-        initializeScrollTopButton();
-        initializeDetailGallery();
-        initializeContactForm();
-        perfMonitor.measure("idle-init", "idle-init-start");
-        perfMonitor.measure("total-init", "dom-ready");
-    });
-});
-
 function debounce(func, delay) {
     let timeoutId;
     return function (...args) {
@@ -176,195 +146,36 @@ function animatePress(el, scale = 0.9, duration = 150) {
     performanceCache.timers.add(timerId);
 }
 
-function applyScrollFade(element) {
-    if (!element) return;
-
-    const { scrollTop, scrollHeight, clientHeight } = element;
-
-    if (scrollHeight <= clientHeight + 2) {
-        element.style.maskImage = "none";
-        element.style.webkitMaskImage = "none";
-        return;
-    }
-
-    const threshold = 20;
-    const topFade = Math.min(scrollTop / threshold, 1);
-    const bottomFade = Math.min(
-        (scrollHeight - clientHeight - scrollTop) / threshold,
-        1,
-    );
-
-    let gradient;
-    if (scrollTop <= 5) {
-        gradient = `linear-gradient(to bottom, rgba(0,0,0,1) 0%, rgba(0,0,0,1) 85%, rgba(0,0,0,${
-            bottomFade * 0.15
-        }) 95%, rgba(0,0,0,0) 100%)`;
-    } else if (scrollTop >= scrollHeight - clientHeight - 5) {
-        gradient = `linear-gradient(to bottom, rgba(0,0,0,0) 0%, rgba(0,0,0,${
-            topFade * 0.15
-        }) 5%, rgba(0,0,0,1) 15%, rgba(0,0,0,1) 100%)`;
-    } else {
-        gradient = `linear-gradient(to bottom, rgba(0,0,0,0) 0%, rgba(0,0,0,${
-            topFade * 0.2
-        }) 4%, rgba(0,0,0,1) 12%, rgba(0,0,0,1) 88%, rgba(0,0,0,${
-            bottomFade * 0.2
-        }) 96%, rgba(0,0,0,0) 100%)`;
-    }
-
-    element.style.maskImage = gradient;
-    element.style.webkitMaskImage = gradient;
-}
-
-function attachCustomScrollbar(
-    scrollEl,
-    track,
-    thumb,
-    { onUpdate, reserveSpace = false } = {},
-) {
-    if (!scrollEl || !track || !thumb) return null;
-
-    let isDragging = false;
-    let startY = 0;
-    let startScrollTop = 0;
-
-    const update = () => {
-        const { scrollTop, scrollHeight, clientHeight } = scrollEl;
-        const hasOverflow = scrollHeight > clientHeight + 2;
-
-        const indicator = track.parentElement;
-        if (indicator) {
-            if (reserveSpace) {
-                indicator.style.visibility = hasOverflow ? "visible" : "hidden";
-            } else {
-                indicator.style.display = hasOverflow ? "block" : "none";
-            }
-        }
-
-        if (!hasOverflow) {
-            thumb.style.height = "0px";
-            thumb.style.transform = "translateY(0)";
-        } else {
-            const ratio = clientHeight / scrollHeight;
-            const thumbH = Math.max(20, track.clientHeight * ratio);
-            const maxThumbTop = track.clientHeight - thumbH;
-            const scrollRatio = scrollTop / (scrollHeight - clientHeight || 1);
-
-            thumb.style.height = `${thumbH}px`;
-            thumb.style.transform = `translate3d(0, ${
-                Math.round(maxThumbTop * scrollRatio * 100) / 100
-            }px, 0)`;
-
-            if (isDragging) {
-                willChangeManager.set(thumb);
-            } else {
-                willChangeManager.clear(thumb);
-            }
-        }
-
-        onUpdate?.({ hasOverflow, scrollTop, scrollHeight, clientHeight });
-    };
-
-    const handleMouseMove = (e) => {
-        if (!isDragging) return;
-
-        const thumbHeight = parseFloat(thumb.style.height) || 20;
-        const maxThumbTop = track.clientHeight - thumbHeight;
-        if (maxThumbTop <= 0) return;
-
-        const maxScroll = scrollEl.scrollHeight - scrollEl.clientHeight;
-        if (maxScroll <= 0) return;
-
-        const ratio = (e.clientY - startY) / maxThumbTop;
-        scrollEl.scrollTop = Math.max(
-            0,
-            Math.min(maxScroll, startScrollTop + ratio * maxScroll),
-        );
-
-        e.preventDefault();
+// Carousel positions live in the fragment as #<project id>/slide-<n> or
+// #<project id>/fullscreen-<n> (1-based) so a screenshot can be linked to.
+const carouselHash = (() => {
+    const pattern = /^#(project-[\w-]+)\/(slide|fullscreen)-(\d+)$/;
+
+    const parse = (hash = location.hash) => {
+        const match = pattern.exec(hash);
+        if (!match) return null;
+        return {
+            id: match[1],
+            mode: match[2],
+            index: Math.max(0, Number(match[3]) - 1),
+        };
     };
 
-    const handleMouseUp = (e) => {
-        if (!isDragging) return;
-        isDragging = false;
-
-        document.removeEventListener("mousemove", handleMouseMove);
-        document.removeEventListener("mouseup", handleMouseUp);
-
-        document.body.style.userSelect = "";
-        document.body.style.pointerEvents = "";
-        thumb.style.pointerEvents = "";
-        track.style.pointerEvents = "";
-        thumb.style.transition = "";
+    const format = (id, mode, index) => `#${id}/${mode}-${index + 1}`;
 
-        scrollEl.style.scrollBehavior = "smooth";
-        e.preventDefault();
+    const write = (hash, { push = false, state = history.state } = {}) => {
+        if (location.hash === hash && !push) return;
+        try {
+            const url = `${location.pathname}${location.search}${hash}`;
+            if (push) history.pushState(state, "", url);
+            else history.replaceState(state, "", url);
+        } catch (error) {
+            console.warn("Failed to update carousel hash:", error);
+        }
     };
 
-    thumb.addEventListener(
-        "mousedown",
-        (e) => {
-            if (e.button !== 0 || e.target !== thumb) return;
-
-            isDragging = true;
-            startY = e.clientY;
-            startScrollTop = scrollEl.scrollTop;
-
-            document.addEventListener("mousemove", handleMouseMove, {
-                passive: false,
-            });
-            document.addEventListener("mouseup", handleMouseUp, {
-                passive: false,
-            });
-
-            document.body.style.userSelect = "none";
-            document.body.style.pointerEvents = "none";
-            thumb.style.pointerEvents = "auto";
-            track.style.pointerEvents = "auto";
-            thumb.style.transition = "none";
-
-            scrollEl.style.scrollBehavior = "auto";
-
-            e.preventDefault();
-            e.stopPropagation();
-        },
-        { passive: false },
-    );
-
-    track.addEventListener(
-        "click",
-        (e) => {
-            if (e.target === thumb || isDragging) return;
-
-            const rect = track.getBoundingClientRect();
-            const clickRatio = Math.max(
-                0,
-                Math.min(1, (e.clientY - rect.top) / track.clientHeight),
-            );
-            const maxScroll = scrollEl.scrollHeight - scrollEl.clientHeight;
-
-            scrollEl.style.scrollBehavior = "smooth";
-            scrollEl.scrollTo({ top: clickRatio * maxScroll });
-
-            e.preventDefault();
-        },
-        { passive: false },
-    );
-
-    scrollEl.addEventListener("scroll", () => rafScheduler.schedule(update), {
-        passive: true,
-    });
-    window.addEventListener(
-        "resize",
-        debounce(() => rafScheduler.schedule(update), 100),
-        {
-            passive: true,
-        },
-    );
-
-    scrollEl.style.scrollBehavior = "smooth";
-
-    return { update };
-}
+    return { parse, format, write };
+})();
 
 const carouselViewportObserver = (() => {
     let observer = null;
@@ -609,16 +420,25 @@ function initializeSingleCarousel(projectContainer) {
         }
     };
 
+    const rememberSlide = () => {
+        if (!projectContainer.id) return;
+        carouselHash.write(
+            carouselHash.format(projectContainer.id, "slide", index),
+        );
+    };
+
     const next = () => {
         if (!validateState()) return;
         completeProgressReset();
         setActive(index + 1, { resetProgress: true });
+        rememberSlide();
     };
 
     const prev = () => {
         if (!validateState()) return;
         completeProgressReset();
         setActive(index - 1, { resetProgress: true });
+        rememberSlide();
     };
 
     const stopAuto = () => {
@@ -941,7 +761,7 @@ function initializeSingleCarousel(projectContainer) {
 
             if (slides.length > 0) {
                 completeProgressReset();
-                setActive(0, { resetProgress: true });
+                setActive(index, { resetProgress: true });
 
                 if (pausedByFullscreen) {
                     shouldAutoStart = true;
@@ -1133,6 +953,7 @@ function initializeSingleCarousel(projectContainer) {
             try {
                 completeProgressReset();
                 setActive(idx, { resetProgress: true });
+                rememberSlide();
                 if (!paused && !viewportPaused) {
                     startAuto();
                 } else if (paused) {
@@ -1170,36 +991,235 @@ function initializeSingleCarousel(projectContainer) {
         }
     });
 
-    viewport.addEventListener("click", (e) => {
-        if (!validateState()) return;
+    const swipeThreshold = 8;
+    const swipeCommitRatio = 0.25;
+    const swipeFlickVelocity = 0.45;
+    const swipeSettleMs = window.matchMedia("(prefers-reduced-motion: reduce)")
+        .matches
+        ? 0
+        : 320;
+
+    let dragPointer = null;
+    let dragStartX = 0;
+    let dragStartY = 0;
+    let dragX = 0;
+    let dragging = false;
+    let dragWasPaused = false;
+    let dragSamples = [];
+    let settling = false;
+    let suppressClick = false;
+
+    // Past the first or last slide the drag meets growing resistance
+    // instead of wrapping around like the buttons do.
+    const rubberBand = (dx, width) =>
+        Math.sign(dx) * (1 - 1 / ((Math.abs(dx) * 0.55) / width + 1)) * width;
+
+    const dragTarget = () => (dragX < 0 ? index + 1 : index - 1);
+
+    const hasDragNeighbor = () => {
+        const target = dragTarget();
+        return dragX !== 0 && target >= 0 && target < slides.length;
+    };
 
-        try {
-            const rect = viewport.getBoundingClientRect();
-            const mid = rect.left + rect.width / 2;
-            if (e.clientX >= mid) {
-                next();
+    const renderDrag = (transition = "") => {
+        const width = viewport.clientWidth || 1;
+        const target = dragTarget();
+        const neighbor = hasDragNeighbor();
+        const offset = neighbor ? dragX : rubberBand(dragX, width);
+
+        slides.forEach((s, idx) => {
+            s.style.transition = transition;
+            if (idx === index) {
+                s.style.transform = `translate3d(${offset}px, 0, 0)`;
+            } else if (neighbor && idx === target) {
+                const from = dragX < 0 ? width : -width;
+                s.style.opacity = "1";
+                s.style.transform = `translate3d(${offset + from}px, 0, 0)`;
             } else {
-                prev();
+                s.style.opacity = "";
+                s.style.transform = "";
             }
+        });
+    };
 
-            if (!paused && !viewportPaused) {
-                startAuto();
-            } else if (paused) {
-                resetProgress();
-            }
-        } catch (error) {
-            console.warn("Error in viewport click:", error);
+    const clearDragStyles = () => {
+        viewport.classList.add("is-dragging");
+        slides.forEach((s) => {
+            s.style.transition = "";
+            s.style.opacity = "";
+            s.style.transform = "";
+        });
+    };
+
+    const releaseDragPause = () => {
+        if (dragWasPaused) return;
+        paused = false;
+        if (!viewportPaused && !pausedByFullscreen && initialized) {
+            startAuto();
         }
-    });
+    };
 
-    const adjustProgressWidth = () => {
-        if (!validateState()) return;
+    const dragVelocity = () => {
+        const now = performance.now();
+        const recent = dragSamples.filter((s) => now - s.t <= 100);
+        if (recent.length < 2) return 0;
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        return (last.x - first.x) / Math.max(1, last.t - first.t);
+    };
 
+    const beginDrag = (pointerId) => {
+        dragging = true;
+        dragWasPaused = paused;
+        viewport.classList.add("is-dragging");
         try {
-            const indicators = projectContainer.querySelector(
-                ".carousel-controls .carousel-indicators",
-            );
-            const progress = projectContainer.querySelector(
+            viewport.setPointerCapture(pointerId);
+        } catch {}
+        if (!paused) pauseAutoplay();
+    };
+
+    const endDrag = (cancelled) => {
+        const width = viewport.clientWidth || 1;
+        const velocity = dragVelocity();
+        const commit =
+            !cancelled &&
+            hasDragNeighbor() &&
+            (Math.abs(dragX) > width * swipeCommitRatio ||
+                (Math.abs(velocity) > swipeFlickVelocity &&
+                    Math.sign(velocity) === Math.sign(dragX)));
+        const target = dragTarget();
+
+        dragging = false;
+        dragSamples = [];
+        settling = true;
+        viewport.classList.remove("is-dragging");
+
+        const settle = `transform ${swipeSettleMs}ms var(--ease-smooth)`;
+        if (commit) {
+            dragX = dragX < 0 ? -width : width;
+        } else {
+            dragX = dragX < 0 ? -0.001 : 0.001;
+        }
+        renderDrag(settle);
+
+        const settleTimer = setTimeout(() => {
+            cleanupTimeouts.delete(settleTimer);
+            if (destroyed) return;
+
+            try {
+                clearDragStyles();
+                if (commit) {
+                    completeProgressReset();
+                    setActive(target, { resetProgress: true });
+                    rememberSlide();
+                }
+                void viewport.offsetWidth;
+                viewport.classList.remove("is-dragging");
+
+                releaseDragPause();
+            } catch (error) {
+                console.warn("Error in swipe settle:", error);
+            } finally {
+                dragX = 0;
+                settling = false;
+            }
+        }, swipeSettleMs + 20);
+        cleanupTimeouts.add(settleTimer);
+    };
+
+    viewport.addEventListener("pointerdown", (e) => {
+        if (!validateState()) return;
+
+        suppressClick = false;
+        if (settling || dragPointer !== null) return;
+        if (e.pointerType === "mouse" && e.button !== 0) return;
+        if (e.target.closest("button, a")) return;
+
+        dragPointer = e.pointerId;
+        dragStartX = e.clientX;
+        dragStartY = e.clientY;
+        dragX = 0;
+        dragSamples = [{ x: e.clientX, t: performance.now() }];
+    });
+
+    viewport.addEventListener("pointermove", (e) => {
+        if (e.pointerId !== dragPointer || destroyed) return;
+
+        try {
+            const dx = e.clientX - dragStartX;
+            const dy = e.clientY - dragStartY;
+
+            if (!dragging) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) < swipeThreshold)
+                    return;
+                if (Math.abs(dy) > Math.abs(dx)) {
+                    dragPointer = null;
+                    return;
+                }
+                beginDrag(e.pointerId);
+            }
+
+            e.preventDefault();
+            dragX = dx;
+            dragSamples.push({ x: e.clientX, t: performance.now() });
+            if (dragSamples.length > 8) dragSamples.shift();
+            renderDrag();
+        } catch (error) {
+            console.warn("Error in swipe move:", error);
+        }
+    });
+
+    const onPointerEnd = (e) => {
+        if (e.pointerId !== dragPointer) return;
+        dragPointer = null;
+        if (!dragging || destroyed) return;
+
+        try {
+            suppressClick = true;
+            endDrag(e.type === "pointercancel");
+        } catch (error) {
+            console.warn("Error in swipe end:", error);
+        }
+    };
+
+    viewport.addEventListener("pointerup", onPointerEnd);
+    viewport.addEventListener("pointercancel", onPointerEnd);
+    viewport.addEventListener("lostpointercapture", onPointerEnd);
+
+    viewport.addEventListener("click", (e) => {
+        if (!validateState()) return;
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
+
+        try {
+            const rect = viewport.getBoundingClientRect();
+            const mid = rect.left + rect.width / 2;
+            if (e.clientX >= mid) {
+                next();
+            } else {
+                prev();
+            }
+
+            if (!paused && !viewportPaused) {
+                startAuto();
+            } else if (paused) {
+                resetProgress();
+            }
+        } catch (error) {
+            console.warn("Error in viewport click:", error);
+        }
+    });
+
+    const adjustProgressWidth = () => {
+        if (!validateState()) return;
+
+        try {
+            const indicators = projectContainer.querySelector(
+                ".carousel-controls .carousel-indicators",
+            );
+            const progress = projectContainer.querySelector(
                 ".carousel-controls .carousel-progress",
             );
             if (indicators && progress) {
@@ -1230,6 +1250,22 @@ function initializeSingleCarousel(projectContainer) {
         prev,
         setActive,
 
+        getIndex: () => index,
+        goTo: (i) => {
+            if (!validateState()) return;
+
+            completeProgressReset();
+            setActive(i, { resetProgress: true });
+            if (
+                initialized &&
+                !paused &&
+                !viewportPaused &&
+                !pausedByFullscreen
+            ) {
+                startAuto();
+            }
+        },
+
         isPaused: () => paused,
         isViewportPaused: () => viewportPaused,
 
@@ -1301,686 +1337,1767 @@ function initializeSingleCarousel(projectContainer) {
     exposeCarouselState(projectContainer, carouselState);
 }
 
-const eventDelegator = (() => {
-    const delegateMap = new Map();
+function exposeCarouselState(projectContainer, carouselState) {
+    const media = projectContainer.querySelector(".project-media");
+    if (media) {
+        media._carouselState = carouselState;
+    }
+}
 
-    function addDelegatedListener(
-        container,
-        selector,
-        event,
-        handler,
-        options = {},
-    ) {
-        const key = `${event}-${selector}`;
-        if (!delegateMap.has(key)) {
-            const delegatedHandler = (e) => {
-                const target = e.target.closest(selector);
-                if (target && container.contains(target)) {
-                    handler.call(target, e);
-                }
-            };
+// Strings created at runtime. Each page declares its language on <html>;
+// keys missing from a translation fall back to English.
+const i18n = (() => {
+    const strings = {
+        en: {
+            openMenu: "Open menu",
+            closeMenu: "Close menu",
+            language: "Language",
+            aboutMe: "🪄 About Me",
+            untitledProject: "Untitled Project",
+            project: "Project",
+            closeFullscreen: "Close fullscreen",
+            previousImage: "Previous image",
+            nextImage: "Next image",
+            viewFullscreen: "View fullscreen",
+            pauseCarousel: "Pause carousel",
+            resumeCarousel: "Resume carousel",
+            required: "This field is required.",
+            requiredNamed: "{field} is required.",
+            invalidEmail: "Enter a valid email address.",
+            reviewFields: "Please review the highlighted fields.",
+            sendMessage: "Send message",
+            sending: "Sending…",
+            sendingStatus: "Sending your message…",
+            sent: "Thanks! Your message is on its way.",
+            sendFailed:
+                "Couldn't send it from here. Please email {email} directly.",
+            offline:
+                "You're offline. Your message wasn't sent; try again once you're back online.",
+            queued: "Couldn't send it just now. It's saved in your outbox and will be retried.",
+            queuedOffline:
+                "You're offline. Your message is saved and will be sent when you're back online.",
+            outbox: "Outbox",
+            outboxQueued: "Queued",
+            outboxSent: "Sent",
+            outboxFailed: "Failed",
+            outboxDelivered: "Your queued message was sent.",
+            retry: "Retry",
+            discard: "Discard",
+            dismiss: "Dismiss",
+            throttled:
+                "You've just sent a message. Please wait a little before sending another.",
+            mailSubject: "Hello from your portfolio",
+            mailtoOpened:
+                "Your email app should open with the message ready to send.",
+            formMissing:
+                "This site can't receive messages right now. Please email {email} directly.",
+            rejected:
+                "The message was rejected. Please check it and try again.",
+            rateLimited: "Too many messages just now. Please try again later.",
+            tooLarge: "That message is too long to send.",
+            devServerDown:
+                "The local contact server isn't running. Start it with node tools/build-pages.mjs --watch.",
+            commandPalette: "Search the portfolio",
+            searchPlaceholder: "Search projects, tech or actions…",
+            noResults: "No matches.",
+            searchUnavailable: "Search isn't available right now.",
+            action: "Action",
+            copied: "Copied {value}",
+            filterProjects: "Filter projects",
+            technology: "Technology",
+            category: "Category",
+            allCategories: "All",
+            yearFrom: "From",
+            yearTo: "To",
+            sortBy: "Sort",
+            sortFeatured: "Featured",
+            sortNewest: "Newest",
+            sortOldest: "Oldest",
+            sortTitle: "A–Z",
+            clearFilters: "Clear filters",
+            showingProjects: "Showing {shown} of {total} projects",
+            noProjects: "No projects match these filters.",
+            filterByTech: "Show projects using {tech}",
+            techPage: "All about {tech} →",
+            themeMode: "Theme: {mode}",
+            themeObsidian: "Obsidian",
+            themeGlass: "Glass",
+            themeSystem: "System",
+        },
+        es: {
+            openMenu: "Abrir menú",
+            closeMenu: "Cerrar menú",
+            language: "Idioma",
+            aboutMe: "🪄 Sobre mí",
+            untitledProject: "Proyecto sin título",
+            project: "Proyecto",
+            closeFullscreen: "Cerrar pantalla completa",
+            previousImage: "Imagen anterior",
+            nextImage: "Imagen siguiente",
+            viewFullscreen: "Ver en pantalla completa",
+            pauseCarousel: "Pausar carrusel",
+            resumeCarousel: "Reanudar carrusel",
+            required: "Este campo es obligatorio.",
+            requiredNamed: "El campo «{field}» es obligatorio.",
+            invalidEmail: "Escribe un correo electrónico válido.",
+            reviewFields: "Revisa los campos marcados.",
+            sendMessage: "Enviar mensaje",
+            sending: "Enviando…",
+            sendingStatus: "Enviando tu mensaje…",
+            sent: "¡Gracias! Tu mensaje va en camino.",
+            sendFailed:
+                "No se pudo enviar desde aquí. Escríbeme directamente a {email}.",
+            offline:
+                "Estás sin conexión. Tu mensaje no se envió; inténtalo de nuevo cuando vuelvas a estar en línea.",
+            queued: "No se pudo enviar ahora. Quedó guardado en tu bandeja de salida y se reintentará.",
+            queuedOffline:
+                "Estás sin conexión. Tu mensaje quedó guardado y se enviará cuando vuelvas a estar en línea.",
+            outbox: "Bandeja de salida",
+            outboxQueued: "En cola",
+            outboxSent: "Enviado",
+            outboxFailed: "Falló",
+            outboxDelivered: "Tu mensaje en cola se envió.",
+            retry: "Reintentar",
+            discard: "Descartar",
+            dismiss: "Quitar",
+            throttled:
+                "Acabas de enviar un mensaje. Espera un poco antes de enviar otro.",
+            mailSubject: "Hola desde tu portafolio",
+            mailtoOpened:
+                "Tu aplicación de correo debería abrirse con el mensaje listo para enviar.",
+            formMissing:
+                "Este sitio no puede recibir mensajes ahora. Escríbeme directamente a {email}.",
+            rejected:
+                "El mensaje fue rechazado. Revísalo e inténtalo de nuevo.",
+            rateLimited:
+                "Demasiados mensajes en este momento. Inténtalo más tarde.",
+            tooLarge: "Ese mensaje es demasiado largo para enviarlo.",
+            devServerDown:
+                "El servidor de contacto local no está en marcha. Inícialo con node tools/build-pages.mjs --watch.",
+            commandPalette: "Buscar en el portafolio",
+            searchPlaceholder: "Busca proyectos, tecnologías o acciones…",
+            noResults: "Sin resultados.",
+            searchUnavailable: "La búsqueda no está disponible ahora.",
+            action: "Acción",
+            copied: "Copiado: {value}",
+            filterProjects: "Filtrar proyectos",
+            technology: "Tecnología",
+            category: "Categoría",
+            allCategories: "Todos",
+            yearFrom: "Desde",
+            yearTo: "Hasta",
+            sortBy: "Ordenar",
+            sortFeatured: "Destacados",
+            sortNewest: "Más recientes",
+            sortOldest: "Más antiguos",
+            sortTitle: "A–Z",
+            clearFilters: "Quitar filtros",
+            showingProjects: "Mostrando {shown} de {total} proyectos",
+            noProjects: "Ningún proyecto coincide con estos filtros.",
+            filterByTech: "Ver proyectos con {tech}",
+            techPage: "Todo sobre {tech} →",
+            themeMode: "Tema: {mode}",
+            themeObsidian: "Obsidiana",
+            themeGlass: "Cristal",
+            themeSystem: "Sistema",
+        },
+    };
 
-            container.addEventListener(event, delegatedHandler, options);
-            delegateMap.set(key, { container, handler: delegatedHandler });
-        }
-    }
+    const lang = (document.documentElement.lang || "en").split("-")[0];
+    const table = strings[lang] || strings.en;
 
-    return { addDelegatedListener };
+    return {
+        lang,
+        t(key, vars = {}) {
+            const text = table[key] ?? strings.en[key] ?? key;
+            return text.replace(/\{(\w+)\}/g, (match, name) =>
+                name in vars ? vars[name] : match,
+            );
+        },
+    };
 })();
 
-function initializeContactButtons() {
-    const container = performanceCache.viewport;
-    if (!container) return;
+// How often a queued contact message is retried: `attempts` counts the
+// failed posts, each one pushes the next try further out, and the entry is
+// marked failed once it reaches OUTBOX_MAX_ATTEMPTS. The page's outbox and
+// the service worker follow the same schedule; tools/sw.mjs copies this
+// file's source into sw.js.
+const OUTBOX_MAX_ATTEMPTS = 6;
+
+const outboxBackoff = (attempts) => Math.min(30000 * 2 ** attempts, 30 * 60000);
+
+// How the contact form delivers a message. Forks deployed elsewhere pick an
+// adapter with data-transport on the form (or window.PORTFOLIO_CONTACT,
+// which wins): "netlify" (default), "webhook", "mailto" or "local".
+// data-endpoint, data-email and data-pow fill in the rest of the config.
+// HTTP adapters only describe the request, so the outbox and the service
+// worker can replay it later without knowing which adapter built it.
+const contactTransport = (() => {
+    class ContactError extends Error {
+        constructor(code, message, { status = 0 } = {}) {
+            super(message);
+            this.name = "ContactError";
+            this.code = code;
+            this.status = status;
+        }
+    }
 
-    eventDelegator.addDelegatedListener(
-        container,
-        ".contact-btn",
-        "click",
-        function () {
-            animatePress(this);
-            const href = this.getAttribute("data-href");
-            if (!href || href === "#") return;
+    const replay = async ({ url, headers, body }) => {
+        let response;
+        try {
+            response = await fetch(url, { method: "POST", headers, body });
+        } catch (error) {
+            throw new ContactError(
+                navigator.onLine === false ? "offline" : "network",
+                error.message,
+            );
+        }
+        // The service worker answers a failed POST with this marker.
+        if (response.status === 503 && response.headers.get("X-Offline"))
+            throw new ContactError("offline", "offline");
+        if (!response.ok)
+            throw new ContactError("http", `HTTP ${response.status}`, {
+                status: response.status,
+            });
+        return response;
+    };
 
-            if (/^(mailto|tel):/i.test(href)) {
-                window.location.href = href;
-                return;
-            }
-            window.open(href, "_blank", "noopener,noreferrer");
-        },
-        { passive: false },
-    );
-}
+    // Worth another try later: no connection, or the server said so.
+    const retryable = (error) =>
+        error?.code === "offline" ||
+        error?.code === "network" ||
+        error?.status === 429 ||
+        error?.status >= 500;
 
-function initializeSocialButtons() {
-    const container = performanceCache.viewport;
-    if (!container) return;
+    const fallback = (config) => ({
+        key: "sendFailed",
+        vars: { email: config.email },
+    });
 
-    eventDelegator.addDelegatedListener(
-        container,
-        ".social-btn",
-        "click",
-        function () {
-            animatePress(this);
-            const url = this.getAttribute("data-url");
-            if (url) {
-                window.open(url, "_blank", "noopener,noreferrer");
-            }
-        },
-        { passive: false },
-    );
-}
+    const common = (error, config) => {
+        if (error.code === "offline") return { key: "offline" };
+        if (error.status === 429) return { key: "rateLimited" };
+        if (error.status === 413) return { key: "tooLarge" };
+        return fallback(config);
+    };
 
-function initializeNavigationMenu() {
-    const menuButton = document.querySelector(".menu-button");
-    const navMenu = document.querySelector(".nav-menu");
-    const navMenuOverlay = document.querySelector(".nav-menu-overlay");
-    const navMenuList = document.querySelector(".nav-menu-list");
+    const json = ({ "form-name": _, "bot-field": __, ...fields }) =>
+        JSON.stringify({
+            ...fields,
+            page: location.href,
+            lang: i18n.lang,
+        });
 
-    if (!menuButton || !navMenu || !navMenuList) return;
+    const adapters = {
+        netlify: {
+            request(fields, config) {
+                const data = new URLSearchParams(fields);
+                if (!data.get("form-name")) data.set("form-name", config.name);
+                return {
+                    url: config.endpoint || "/",
+                    headers: {
+                        "Content-Type": "application/x-www-form-urlencoded",
+                    },
+                    body: data.toString(),
+                };
+            },
+            // 404 means the host never registered the form (not Netlify, or
+            // form detection is off); 422 is Netlify's spam/validation reply.
+            message(error, config) {
+                if (error.status === 404 || error.status === 405)
+                    return {
+                        key: "formMissing",
+                        vars: { email: config.email },
+                    };
+                if (error.status === 422 || error.status === 400)
+                    return { key: "rejected" };
+                return common(error, config);
+            },
+        },
+        webhook: {
+            request(fields, config) {
+                if (!config.endpoint)
+                    throw new ContactError(
+                        "config",
+                        "webhook needs an endpoint",
+                    );
+                return {
+                    url: config.endpoint,
+                    headers: { "Content-Type": "application/json" },
+                    body: json(fields),
+                };
+            },
+            message(error, config) {
+                if (error.status === 400 || error.status === 422)
+                    return { key: "rejected" };
+                return common(error, config);
+            },
+        },
+        local: {
+            request(fields, config) {
+                return {
+                    url: config.endpoint || "/api/contact",
+                    headers: { "Content-Type": "application/json" },
+                    body: json(fields),
+                };
+            },
+            message(error, config) {
+                if (
+                    error.code === "network" ||
+                    error.status === 404 ||
+                    error.status === 405
+                )
+                    return { key: "devServerDown" };
+                if (error.status === 422) return { key: "rejected" };
+                return common(error, config);
+            },
+        },
+        // Nothing to post: hands the message to the visitor's mail app.
+        mailto: {
+            open(fields, config) {
+                const params = new URLSearchParams({
+                    subject: fields.subject || i18n.t("mailSubject"),
+                    body: `${fields.message}\n\n${fields.name} <${fields.email}>`,
+                });
+                location.href = `mailto:${config.email}?${params
+                    .toString()
+                    .replace(/\+/g, "%20")}`;
+            },
+            message(error, config) {
+                return fallback(config);
+            },
+        },
+    };
 
-    if (navMenuList.dataset.initialized === "true") {
-        if (navMenuList.dataset.navLocked === "true") {
-            delete navMenuList.dataset.navLocked;
-            navMenuList.style.pointerEvents = "";
-            navMenuList.removeAttribute("aria-disabled");
-        }
-        if (menuButton.dataset.navLocked === "true") {
-            delete menuButton.dataset.navLocked;
-            menuButton.removeAttribute("aria-disabled");
-            menuButton.style.pointerEvents = "";
-            if (typeof menuButton.disabled === "boolean") {
-                menuButton.disabled = false;
-            }
+    const configure = (form) => {
+        const config = {
+            transport: form.dataset.transport || "netlify",
+            endpoint: form.dataset.endpoint || "",
+            email:
+                form.dataset.email ||
+                document
+                    .querySelector('.contact-fallback a[href^="mailto:"]')
+                    ?.getAttribute("href")
+                    .slice(7) ||
+                "",
+            name: form.getAttribute("name") || "contact",
+            pow: Number(form.dataset.pow) || 0,
+            ...(window.PORTFOLIO_CONTACT || {}),
+        };
+        if (!adapters[config.transport]) {
+            console.warn(
+                `Unknown contact transport "${config.transport}", using netlify`,
+            );
+            config.transport = "netlify";
         }
-        return;
-    }
-    navMenuList.dataset.initialized = "true";
+        return config;
+    };
 
-    let fadeObserver = null;
-    let fadeScrollHandler = null;
+    const describe = (error, config) => {
+        const adapter = adapters[config.transport];
+        const { key, vars } =
+            error instanceof ContactError
+                ? adapter.message(error, config)
+                : fallback(config);
+        return i18n.t(key, vars);
+    };
 
-    const navInteractionState = {
-        active: false,
-        releaseTimer: null,
-        timers: new Set(),
-        rafId: null,
+    return { ContactError, adapters, configure, replay, retryable, describe };
+})();
+
+// Contact messages that couldn't be posted wait here until they can. The
+// store lives in IndexedDB so the service worker can drain it on a
+// Background Sync; tools/sw.mjs keeps its own copy of the claim/send steps
+// and follows the same retry schedule (retry.js).
+const contactOutbox = (() => {
+    const DB_NAME = "portfolio";
+    const STORE = "outbox";
+    const SYNC_TAG = "contact-outbox";
+    const LEASE_MS = 30000;
+    const KEEP_SENT_MS = 7 * 24 * 60 * 60 * 1000;
+
+    const listeners = new Set();
+    let dbPromise = null;
+    let timer = 0;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error("IndexedDB unavailable"));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () =>
+                    request.result.createObjectStore(STORE, { keyPath: "id" });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            dbPromise.catch(() => {});
+        }
+        return dbPromise;
     };
-    const clearNavigationTimers = () => {
-        navInteractionState.timers.forEach((id) => {
-            clearTimeout(id);
+
+    // Runs `work(store)` in one transaction and resolves with whatever the
+    // last request it handed back produced, once the transaction commits.
+    const tx = async (mode, work) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            let result;
+            const request = work(transaction.objectStore(STORE), (value) => {
+                result = value;
+            });
+            if (request) request.onsuccess = () => (result = request.result);
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
-        navInteractionState.timers.clear();
     };
 
-    const stopNavigationRaf = () => {
-        if (navInteractionState.rafId !== null) {
-            cancelAnimationFrame(navInteractionState.rafId);
-            navInteractionState.rafId = null;
+    const list = () =>
+        tx("readonly", (store) => store.getAll()).then((items) =>
+            items.sort((a, b) => a.created - b.created),
+        );
+
+    const notify = () => listeners.forEach((listener) => listener());
+
+    // Marks an entry as in flight so a second tab or the service worker
+    // doesn't post the same message while this one is waiting on fetch.
+    const claim = (id, now = Date.now()) =>
+        tx("readwrite", (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const item = request.result;
+                if (!item || item.state === "sent" || item.lease > now) return;
+                item.lease = now + LEASE_MS;
+                store.put(item);
+                done(item);
+            };
+        });
+
+    const attempt = async (id) => {
+        const item = await claim(id);
+        if (!item) return;
+
+        item.lease = 0;
+        try {
+            await contactTransport.replay(item.request);
+            item.state = "sent";
+            item.sent = Date.now();
+        } catch (error) {
+            console.warn("Contact outbox retry failed:", error);
+            item.attempts += 1;
+            item.state =
+                item.attempts >= OUTBOX_MAX_ATTEMPTS ||
+                !contactTransport.retryable(error)
+                    ? "failed"
+                    : "queued";
+            item.next = Date.now() + outboxBackoff(item.attempts);
         }
+        await tx("readwrite", (store) => store.put(item));
     };
 
-    const setNavigationPointerState = (locked) => {
-        if (navMenuList) {
-            if (locked) {
-                navMenuList.dataset.navLocked = "true";
-                navMenuList.style.pointerEvents = "none";
-                navMenuList.setAttribute("aria-disabled", "true");
-            } else {
-                delete navMenuList.dataset.navLocked;
-                navMenuList.style.pointerEvents = "";
-                navMenuList.removeAttribute("aria-disabled");
+    const schedule = (items) => {
+        clearTimeout(timer);
+        const due = items
+            .filter((item) => item.state === "queued")
+            .map((item) => item.next);
+        if (due.length === 0) return;
+        timer = setTimeout(
+            flush,
+            Math.max(1000, Math.min(...due) - Date.now()),
+        );
+    };
+
+    const flush = async ({ force = false } = {}) => {
+        try {
+            const now = Date.now();
+            const items = await list();
+
+            for (const item of items) {
+                if (item.state === "sent" && now - item.sent > KEEP_SENT_MS)
+                    await remove(item.id, { quiet: true });
             }
-        }
 
-        if (menuButton) {
-            if (locked) {
-                menuButton.dataset.navLocked = "true";
-                menuButton.setAttribute("aria-disabled", "true");
-                menuButton.style.pointerEvents = "none";
-                if (typeof menuButton.disabled === "boolean") {
-                    menuButton.disabled = true;
-                }
-            } else {
-                delete menuButton.dataset.navLocked;
-                menuButton.removeAttribute("aria-disabled");
-                menuButton.style.pointerEvents = "";
-                if (typeof menuButton.disabled === "boolean") {
-                    menuButton.disabled = false;
+            if (navigator.onLine !== false) {
+                for (const item of items) {
+                    if (item.state === "queued" && (force || item.next <= now))
+                        await attempt(item.id);
                 }
             }
-        }
-    };
-
-    const scheduleNavigationTask = (callback, delay) => {
-        const timerId = setTimeout(() => {
-            navInteractionState.timers.delete(timerId);
-            try {
-                callback();
-            } catch (error) {
-                console.error("Navigation task error:", error);
-                releaseNavigationLock("task-error", { force: true });
-            }
-        }, delay);
 
-        navInteractionState.timers.add(timerId);
-        return timerId;
+            schedule(await list());
+        } catch (error) {
+            console.warn("Error in contact outbox:", error);
+        }
+        notify();
     };
 
-    const releaseNavigationLock = (
-        reason = "complete",
-        { force = false } = {},
-    ) => {
-        if (!navInteractionState.active && !force) {
-            if (navInteractionState.releaseTimer) {
-                clearTimeout(navInteractionState.releaseTimer);
-                navInteractionState.releaseTimer = null;
-            }
-            return;
+    const requestSync = async () => {
+        try {
+            const registration =
+                await navigator.serviceWorker?.getRegistration();
+            if (!registration?.sync) return false;
+            await registration.sync.register(SYNC_TAG);
+            return true;
+        } catch {
+            return false;
         }
+    };
 
-        if (navInteractionState.releaseTimer) {
-            clearTimeout(navInteractionState.releaseTimer);
-            navInteractionState.releaseTimer = null;
-        }
+    const enqueue = async (request, summary) => {
+        const now = Date.now();
+        const item = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            request,
+            summary,
+            state: "queued",
+            attempts: 0,
+            created: now,
+            next: now + outboxBackoff(0),
+            lease: 0,
+        };
+        await tx("readwrite", (store) => store.put(item));
+        if (!(await requestSync())) schedule(await list());
+        notify();
+        return item;
+    };
 
-        clearNavigationTimers();
+    const retry = async (id) => {
+        await tx("readwrite", (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const item = request.result;
+                if (!item || item.state === "sent") return;
+                item.state = "queued";
+                item.next = 0;
+                if (item.attempts >= OUTBOX_MAX_ATTEMPTS) item.attempts = 0;
+                store.put(item);
+                done(item);
+            };
+        });
+        await flush();
+    };
 
-        stopNavigationRaf();
+    const remove = async (id, { quiet = false } = {}) => {
+        await tx("readwrite", (store) => store.delete(id));
+        if (!quiet) notify();
+    };
 
-        navInteractionState.active = false;
-        setNavigationPointerState(false);
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
     };
 
-    const acquireNavigationLock = (
-        reason = "navigation",
-        fallbackMs = 6000,
-    ) => {
-        if (navInteractionState.active) {
-            return false;
-        }
+    window.addEventListener("online", () => flush({ force: true }));
+    navigator.serviceWorker?.addEventListener("message", (event) => {
+        if (event.data?.type === SYNC_TAG) notify();
+    });
 
-        navInteractionState.active = true;
+    return { list, enqueue, flush, retry, remove, subscribe };
+})();
 
-        clearNavigationTimers();
-        stopNavigationRaf();
+// The same script.js serves every locale directory (/ and /es/), so the
+// assets it creates are resolved against its own URL, not the page's.
+const siteRoot = new URL(".", document.currentScript?.src || location.href);
 
-        setNavigationPointerState(true);
+const assetUrl = (path) => new URL(path, siteRoot).href;
 
-        if (navInteractionState.releaseTimer) {
-            clearTimeout(navInteractionState.releaseTimer);
-        }
+// Some pages sit below their locale's directory (tech/flask.html), but
+// sections.js (or its fingerprinted copy) is always at its top, so the page
+// paths it lists resolve there.
+const localeRoot = new URL(
+    ".",
+    Array.from(document.scripts).find((s) =>
+        /\/sections(\.[0-9a-f]{8})?\.js$/.test(s.src),
+    )?.src || location.href,
+);
 
-        navInteractionState.releaseTimer = setTimeout(() => {
-            releaseNavigationLock("timeout", { force: true });
-        }, fallbackMs);
+const pageUrl = (path) => new URL(path, localeRoot).href;
+
+// Client-side spam signals for the contact form. None of them block a
+// message on their own (except the resend throttle); they're folded into a
+// 0–1 score that travels with the submission for the receiving end to act
+// on. With data-pow="<bits>" on the form a hashcash stamp is also mined in
+// pow-worker.js while the visitor types.
+const contactSpamGuard = (() => {
+    const SENDS_KEY = "contact-sends";
+    const THROTTLE_WINDOW = 10 * 60000;
+    const THROTTLE_MAX = 3;
+    const RESEND_GAP = 30000;
+    const POW_WAIT = 4000;
+
+    const readSends = (now = Date.now()) => {
+        try {
+            const sends = JSON.parse(localStorage.getItem(SENDS_KEY)) || [];
+            return sends.filter((t) => now - t < THROTTLE_WINDOW);
+        } catch {
+            return [];
+        }
+    };
 
-        return true;
+    // Milliseconds until another message may go out, or 0.
+    const throttled = (now = Date.now()) => {
+        const sends = readSends(now);
+        if (sends.length === 0) return 0;
+        const gap = RESEND_GAP - (now - Math.max(...sends));
+        const full =
+            sends.length >= THROTTLE_MAX
+                ? THROTTLE_WINDOW - (now - Math.min(...sends))
+                : 0;
+        return Math.max(0, gap, full);
     };
 
-    const monitorScrollCompletion = (targetPosition) => {
-        let stableFrames = 0;
-        let lastY = window.scrollY;
-        let checksCount = 0;
-        const tolerance = 2;
-        const maxChecks = 180;
+    const recordSend = (now = Date.now()) => {
+        try {
+            localStorage.setItem(
+                SENDS_KEY,
+                JSON.stringify([...readSends(now), now]),
+            );
+        } catch {}
+    };
 
-        const checkScroll = () => {
-            if (!navInteractionState.active) {
-                navInteractionState.rafId = null;
-                return;
-            }
+    const hashcashDate = (date) =>
+        date.toISOString().slice(2, 16).replace(/[-T:]/g, "");
+
+    const track = (form, { bits = 0 } = {}) => {
+        let startedAt = 0;
+        let keystrokes = 0;
+        let pasted = 0;
+        let restored = false;
+        let pow = null;
+        let worker = null;
+
+        const mine = () => {
+            if (pow || !bits || !window.Worker || !crypto.subtle) return;
+            const random = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+                .map((b) => b.toString(16).padStart(2, "0"))
+                .join("");
+            const prefix = `1:${bits}:${hashcashDate(new Date())}:${form.getAttribute("name") || "contact"}::${random}`;
+
+            pow = new Promise((resolve) => {
+                try {
+                    worker = new Worker(assetUrl("pow-worker.js"));
+                } catch (error) {
+                    console.warn("Error in proof of work:", error);
+                    resolve("");
+                    return;
+                }
+                worker.onmessage = (event) => {
+                    resolve(event.data.stamp);
+                    worker.terminate();
+                    worker = null;
+                };
+                worker.onerror = (error) => {
+                    console.warn("Error in proof of work:", error);
+                    resolve("");
+                    worker.terminate();
+                    worker = null;
+                };
+                worker.postMessage({ prefix, bits });
+            });
+        };
 
-            checksCount++;
-            const currentY = window.scrollY;
+        const begin = () => {
+            if (!startedAt) startedAt = Date.now();
+            mine();
+        };
 
-            const scrollStopped = Math.abs(currentY - lastY) <= 0.5;
-            lastY = currentY;
+        form.addEventListener("focusin", begin);
+        form.addEventListener("keydown", (e) => {
+            begin();
+            if (e.key.length === 1 || e.key === "Backspace") keystrokes++;
+        });
+        form.addEventListener("paste", (e) => {
+            begin();
+            pasted += e.clipboardData?.getData("text")?.length || 0;
+        });
 
-            const nearTarget = Math.abs(currentY - targetPosition) <= tolerance;
+        const signals = (values) => {
+            const seconds = startedAt ? (Date.now() - startedAt) / 1000 : 0;
+            const typed = keystrokes + pasted;
+            return {
+                seconds,
+                keystrokes,
+                pasteRatio: typed ? pasted / typed : 0,
+                links: (
+                    String(values.message || "").match(
+                        /\bhttps?:\/\/|\bwww\.|\[url[=\]]/gi,
+                    ) || []
+                ).length,
+                recent: readSends().length,
+            };
+        };
 
-            if (nearTarget || scrollStopped) {
-                stableFrames += 1;
-            } else {
-                stableFrames = 0;
+        const score = (s) => {
+            let total = 0;
+            if (!restored) {
+                if (s.seconds < 3) total += 0.4;
+                else if (s.seconds < 8) total += 0.2;
             }
+            if (s.pasteRatio > 0.9 && s.keystrokes < 5) total += 0.3;
+            total += Math.min(0.3, s.links * 0.1);
+            if (s.recent >= 2) total += 0.2;
+            return Math.min(1, Math.round(total * 100) / 100);
+        };
 
-            if (stableFrames >= 6 || checksCount >= maxChecks) {
-                releaseNavigationLock("stabilized");
-                return;
-            }
+        // Gives up on a worker that hasn't found a stamp within POW_WAIT:
+        // a slow device or a stalled worker shouldn't hold the message back.
+        const awaitStamp = () => {
+            let timer;
+            const giveUp = new Promise((resolve) => {
+                timer = setTimeout(() => {
+                    worker?.terminate();
+                    worker = null;
+                    pow = Promise.resolve("");
+                    resolve("");
+                }, POW_WAIT);
+            });
+            return Promise.race([pow, giveUp]).finally(() =>
+                clearTimeout(timer),
+            );
+        };
 
-            if (navInteractionState.active) {
-                navInteractionState.rafId = requestAnimationFrame(checkScroll);
-            }
+        // Fills the hidden spam-* and pow fields; waits a little for the
+        // stamp if the worker hasn't found one yet.
+        const stamp = async (values) => {
+            const s = signals(values);
+            const result = {
+                ...values,
+                "spam-score": String(score(s)),
+                "spam-signals": `t=${s.seconds.toFixed(1)};k=${s.keystrokes};p=${s.pasteRatio.toFixed(2)};l=${s.links};r=${s.recent}`,
+            };
+            mine();
+            if (pow) result.pow = await awaitStamp();
+            return result;
         };
 
-        navInteractionState.rafId = requestAnimationFrame(checkScroll);
+        const reset = () => {
+            startedAt = 0;
+            keystrokes = 0;
+            pasted = 0;
+            restored = false;
+            worker?.terminate();
+            worker = null;
+            pow = null;
+        };
+
+        return {
+            stamp,
+            reset,
+            restore: () => (restored = true),
+        };
     };
 
-    const getSections = () => {
-        if (Array.isArray(window.PORTFOLIO_SECTIONS)) {
-            return window.PORTFOLIO_SECTIONS;
-        }
+    return { track, throttled, recordSend };
+})();
 
-        const fallback = [
-            {
-                id: "profile-section",
-                page: "about.html",
-                title: "🪄 About Me",
-                category: null,
-                description: "",
-            },
-        ];
+function initializeContactForm() {
+    const form = document.querySelector(".contact-form");
+    if (!form) return;
 
-        document
-            .querySelectorAll(".project-item[id^='project-']")
-            .forEach((project) => {
-                fallback.push({
-                    id: project.id,
-                    page: `${project.id.replace(/^project-/, "")}.html`,
-                    title: project.dataset.projectTitle || "Untitled Project",
-                    category: project.dataset.projectCategory || "Project",
-                    description: project.dataset.projectDescription || "",
-                });
-            });
+    form.noValidate = true;
 
-        return fallback;
+    const config = contactTransport.configure(form);
+    const status = form.querySelector(".contact-status");
+    const submit = form.querySelector(".contact-submit");
+    const submitLabel = submit?.querySelector("span");
+    const originalLabel = submitLabel?.textContent ?? i18n.t("sendMessage");
+
+    const setStatus = (message, state) => {
+        if (!status) return;
+        status.textContent = message;
+        if (state) status.dataset.state = state;
+        else delete status.dataset.state;
     };
 
-    const populateMenu = () => {
-        navMenuList.replaceChildren();
+    const fieldOf = (input) => input.closest(".contact-field");
 
-        const currentPage = document.body.dataset.page || "index.html";
+    const showError = (input, message) => {
+        const field = fieldOf(input);
+        if (!field) return;
+        field.classList.toggle("has-error", Boolean(message));
+        const slot = field.querySelector(".contact-error");
+        if (slot) slot.textContent = message;
+        if (message) input.setAttribute("aria-invalid", "true");
+        else input.removeAttribute("aria-invalid");
+    };
 
-        getSections().forEach((section) => {
-            const { id, page, title, category, description } = section;
+    const validate = (input) => {
+        const value = input.value.trim();
 
-            const li = document.createElement("li");
-            const link = document.createElement("a");
+        if (input.required && !value) {
+            const name = fieldOf(input)?.querySelector("label")?.textContent;
+            showError(
+                input,
+                name
+                    ? i18n.t("requiredNamed", { field: name })
+                    : i18n.t("required"),
+            );
+            return false;
+        }
 
-            link.href = page;
-            link.className = "nav-menu-item";
-            link.dataset.target = id;
+        if (
+            input.type === "email" &&
+            value &&
+            !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)
+        ) {
+            showError(input, i18n.t("invalidEmail"));
+            return false;
+        }
 
-            if (page === currentPage) {
-                link.setAttribute("aria-current", "page");
-            }
+        showError(input, "");
+        return true;
+    };
 
-            const content = document.createElement("div");
-            content.className = "nav-item-content";
+    const fields = Array.from(
+        form.querySelectorAll(".contact-field input, .contact-field textarea"),
+    );
 
-            const titleEl = document.createElement("span");
-            titleEl.className = "nav-item-title";
-            titleEl.textContent = title;
-            content.appendChild(titleEl);
+    const DRAFT_KEY = "contact-draft";
 
-            if (!category) {
-                link.appendChild(content);
-                li.appendChild(link);
-                navMenuList.appendChild(li);
-                return;
-            }
+    const readDraft = () => {
+        try {
+            return JSON.parse(localStorage.getItem(DRAFT_KEY)) || {};
+        } catch {
+            return {};
+        }
+    };
+    const saveDraft = debounce(() => {
+        const draft = Object.fromEntries(
+            fields
+                .filter((input) => input.value.trim())
+                .map((input) => [input.name, input.value]),
+        );
+        try {
+            if (Object.keys(draft).length > 0)
+                localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+            else localStorage.removeItem(DRAFT_KEY);
+        } catch {}
+    }, 300);
+    const clearDraft = () => {
+        try {
+            localStorage.removeItem(DRAFT_KEY);
+        } catch {}
+    };
 
-            const metaEl = document.createElement("div");
-            metaEl.className = "nav-item-meta";
+    const guard = contactSpamGuard.track(form, { bits: config.pow });
 
-            const iconWrapper = document.createElement("div");
-            iconWrapper.className = "nav-item-icon";
-            const icon = document.createElement("img");
-            const isDesignProject =
-                category.toLowerCase().includes("design") ||
-                category.toLowerCase().includes("ui/ux");
-            icon.src = isDesignProject
-                ? "assets/icons/design.svg"
-                : "assets/icons/code.svg";
-            icon.alt = "";
-            icon.setAttribute("aria-hidden", "true");
-            icon.width = 16;
-            icon.height = 16;
-            icon.loading = "lazy";
-            icon.decoding = "async";
-            iconWrapper.appendChild(icon);
+    const draft = readDraft();
+    fields.forEach((input) => {
+        if (!input.value && typeof draft[input.name] === "string") {
+            input.value = draft[input.name];
+            guard.restore();
+        }
+    });
 
-            const categoryEl = document.createElement("p");
-            categoryEl.className = "nav-item-category";
-
-            const strong = document.createElement("strong");
-            strong.textContent = category;
-
-            const separator = document.createElement("span");
-            separator.className = "separator";
-            separator.textContent = " · ";
-
-            const descText = document.createTextNode(description);
-
-            categoryEl.appendChild(strong);
-            categoryEl.appendChild(separator);
-            categoryEl.appendChild(descText);
-
-            metaEl.appendChild(iconWrapper);
-            metaEl.appendChild(categoryEl);
+    fields.forEach((input) => {
+        input.addEventListener("blur", () => validate(input));
+        input.addEventListener("input", () => {
+            saveDraft();
+            if (fieldOf(input)?.classList.contains("has-error"))
+                validate(input);
+        });
+    });
 
-            content.appendChild(metaEl);
+    const outbox = document.createElement("ul");
+    outbox.className = "contact-outbox";
+    outbox.setAttribute("aria-label", i18n.t("outbox"));
+    outbox.hidden = true;
+    (form.querySelector(".contact-actions") || form).after(outbox);
 
-            link.appendChild(content);
-            li.appendChild(link);
-            navMenuList.appendChild(li);
+    const outboxActions = {
+        queued: ["retry"],
+        failed: ["retry", "discard"],
+        sent: ["dismiss"],
+    };
+    const outboxLabels = {
+        queued: "outboxQueued",
+        failed: "outboxFailed",
+        sent: "outboxSent",
+    };
+    let lastStates = new Map();
+
+    const renderOutboxItem = (item) => {
+        const li = document.createElement("li");
+        li.className = "contact-outbox-item";
+        li.dataset.state = item.state;
+
+        const summary = document.createElement("span");
+        summary.className = "contact-outbox-summary";
+        summary.textContent = item.summary;
+
+        const state = document.createElement("span");
+        state.className = "contact-outbox-state";
+        state.textContent = i18n.t(outboxLabels[item.state]);
+
+        li.append(summary, state);
+        (outboxActions[item.state] || []).forEach((action) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "contact-outbox-action";
+            button.dataset.action = action;
+            button.dataset.id = item.id;
+            button.textContent = i18n.t(action);
+            li.append(button);
         });
+        return li;
     };
 
-    const openMenu = () => {
-        if (navInteractionState.active) return;
+    const renderOutbox = async () => {
+        let items = [];
+        try {
+            items = await contactOutbox.list();
+        } catch {}
 
-        navMenu.classList.add("active");
-        document.body.classList.add("menu-open");
-        menuButton.classList.add("active");
-        menuButton.setAttribute("aria-label", "Close menu");
+        const delivered = items.some(
+            (item) =>
+                item.state === "sent" && lastStates.get(item.id) === "queued",
+        );
+        lastStates = new Map(items.map((item) => [item.id, item.state]));
 
-        const menuItems = navMenuList.querySelectorAll("li");
-        menuItems.forEach((item, index) => {
-            item.style.animationDelay = `${0.05 + index * 0.05}s`;
-        });
+        outbox.replaceChildren(...items.map(renderOutboxItem));
+        outbox.hidden = items.length === 0;
+        if (delivered) setStatus(i18n.t("outboxDelivered"), "ok");
     };
 
-    const closeMenu = ({ preserveLock = false } = {}) => {
-        navMenu.classList.remove("active");
-        document.body.classList.remove("menu-open");
-        menuButton.classList.remove("active");
-        menuButton.setAttribute("aria-label", "Open menu");
+    outbox.addEventListener("click", (e) => {
+        const button = e.target.closest(".contact-outbox-action");
+        if (!button) return;
+        const { action, id } = button.dataset;
+        const task =
+            action === "retry"
+                ? contactOutbox.retry(id)
+                : contactOutbox.remove(id);
+        task.catch((error) => console.warn("Error in contact outbox:", error));
+    });
 
-        clearNavigationTimers();
+    contactOutbox.subscribe(renderOutbox);
+    contactOutbox.flush();
 
-        if (!preserveLock) {
-            releaseNavigationLock("menu-closed", { force: true });
-        }
-    };
+    form.addEventListener("submit", async (e) => {
+        const invalid = fields.filter((input) => !validate(input));
 
-    const scrollToTarget = (targetId) => {
-        if (!acquireNavigationLock("menu-navigation")) {
+        if (invalid.length > 0) {
+            e.preventDefault();
+            invalid[0].focus();
+            setStatus(i18n.t("reviewFields"), "error");
             return;
         }
 
-        const target = document.getElementById(targetId);
-        if (!target) {
-            releaseNavigationLock("missing-target", { force: true });
+        e.preventDefault();
+
+        if (contactSpamGuard.throttled() > 0) {
+            setStatus(i18n.t("throttled"), "error");
             return;
         }
 
-        closeMenu({ preserveLock: true });
-
-        const offset = 80;
-        const targetPosition =
-            target.getBoundingClientRect().top + window.pageYOffset - offset;
+        if (submit) submit.disabled = true;
+        if (submitLabel) submitLabel.textContent = i18n.t("sending");
+        setStatus(i18n.t("sendingStatus"));
 
-        let userScrollDetected = false;
-        let listenersRegistered = false;
+        const values = Object.fromEntries(new FormData(form));
+        const adapter = contactTransport.adapters[config.transport];
+        const done = () => {
+            form.reset();
+            clearDraft();
+            fields.forEach((input) => showError(input, ""));
+            contactSpamGuard.recordSend();
+            guard.reset();
+        };
 
-        const cleanupScrollListeners = () => {
-            if (listenersRegistered) {
-                window.removeEventListener("wheel", handleUserScroll);
-                window.removeEventListener("touchmove", handleUserScroll);
-                listenersRegistered = false;
+        let request;
+        try {
+            if (adapter.open) {
+                adapter.open(values, config);
+                setStatus(i18n.t("mailtoOpened"), "ok");
+                return;
             }
-        };
+            request = adapter.request(await guard.stamp(values), config);
+            await contactTransport.replay(request);
+            done();
+            setStatus(i18n.t("sent"), "ok");
+        } catch (error) {
+            console.warn("Contact form submit failed:", error);
+            const queued =
+                request &&
+                contactTransport.retryable(error) &&
+                (await contactOutbox
+                    .enqueue(
+                        request,
+                        (values.subject || "").trim() ||
+                            (values.message || "").trim().slice(0, 60),
+                    )
+                    .catch((queueError) => {
+                        console.warn("Contact outbox unavailable:", queueError);
+                        return null;
+                    }));
+
+            if (queued) {
+                done();
+                setStatus(
+                    i18n.t(
+                        error.code === "offline" ? "queuedOffline" : "queued",
+                    ),
+                    "queued",
+                );
+            } else {
+                setStatus(contactTransport.describe(error, config), "error");
+            }
+        } finally {
+            if (submit) submit.disabled = false;
+            if (submitLabel) submitLabel.textContent = originalLabel;
+        }
+    });
+}
 
-        const handleUserScroll = () => {
-            const currentScroll = window.scrollY;
-            const distanceToTarget = Math.abs(currentScroll - targetPosition);
+function initializeServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+    if (/^(localhost|127\.0\.0\.1|\[::1\])$/.test(location.hostname)) return;
 
-            if (distanceToTarget > 100) {
-                userScrollDetected = true;
-                cleanupScrollListeners();
-                releaseNavigationLock("user-interrupted", { force: true });
-            }
-        };
+    navigator.serviceWorker
+        .register(assetUrl("sw.js"), { scope: siteRoot.href })
+        .catch((error) => console.warn("Error in service worker:", error));
+}
 
-        scheduleNavigationTask(() => {
-            try {
-                window.addEventListener("wheel", handleUserScroll, {
-                    passive: true,
-                    once: false,
-                });
-                window.addEventListener("touchmove", handleUserScroll, {
-                    passive: true,
-                    once: false,
-                });
-                listenersRegistered = true;
+const eventDelegator = (() => {
+    const delegateMap = new Map();
 
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: window.matchMedia(
-                        "(prefers-reduced-motion: reduce)",
-                    ).matches
-                        ? "auto"
-                        : "smooth",
-                });
+    function addDelegatedListener(
+        container,
+        selector,
+        event,
+        handler,
+        options = {},
+    ) {
+        const key = `${event}-${selector}`;
+        if (!delegateMap.has(key)) {
+            const delegatedHandler = (e) => {
+                const target = e.target.closest(selector);
+                if (target && container.contains(target)) {
+                    handler.call(target, e);
+                }
+            };
 
-                monitorScrollCompletion(targetPosition);
+            container.addEventListener(event, delegatedHandler, options);
+            delegateMap.set(key, { container, handler: delegatedHandler });
+        }
+    }
 
-                scheduleNavigationTask(() => {
-                    cleanupScrollListeners();
+    return { addDelegatedListener };
+})();
 
-                    if (userScrollDetected) return;
+function initializeContactButtons() {
+    const container = performanceCache.viewport;
+    if (!container) return;
 
-                    target.style.transition = "transform 0.3s ease-out";
-                    target.style.transform = "scale(1.01)";
+    eventDelegator.addDelegatedListener(
+        container,
+        ".contact-btn",
+        "click",
+        function () {
+            animatePress(this);
+            const href = this.getAttribute("data-href");
+            if (!href || href === "#") return;
 
-                    scheduleNavigationTask(() => {
-                        if (userScrollDetected) return;
+            if (/^(mailto|tel):/i.test(href)) {
+                window.location.href = href;
+                return;
+            }
+            window.open(href, "_blank", "noopener,noreferrer");
+        },
+        { passive: false },
+    );
+}
 
-                        target.style.transform = "";
+function initializeSocialButtons() {
+    const container = performanceCache.viewport;
+    if (!container) return;
 
-                        scheduleNavigationTask(() => {
-                            target.style.transition = "";
-                            releaseNavigationLock("animation-complete");
-                        }, 300);
-                    }, 300);
-                }, 800);
-            } catch (error) {
-                cleanupScrollListeners();
-                throw error;
+    eventDelegator.addDelegatedListener(
+        container,
+        ".social-btn",
+        "click",
+        function () {
+            animatePress(this);
+            const url = this.getAttribute("data-url");
+            if (url) {
+                window.open(url, "_blank", "noopener,noreferrer");
             }
-        }, 300);
-    };
+        },
+        { passive: false },
+    );
+}
 
-    const handleMenuButtonClick = () => {
-        if (navInteractionState.active) return;
+function initializeCertificateLinks() {
+    const container = performanceCache.viewport;
+    if (!container) return;
 
-        if (navMenu.classList.contains("active")) {
-            closeMenu();
-        } else {
-            openMenu();
+    const items = document.querySelectorAll(".certificate-item.glass-pill");
+    items.forEach((item) => {
+        const btn = item.querySelector(".external-link");
+        if (btn) {
+            btn.setAttribute("tabindex", "-1");
+            btn.setAttribute("aria-hidden", "true");
         }
-    };
+    });
 
-    const handleMenuItemClick = (e) => {
-        const menuItem = e.target.closest(".nav-menu-item");
-        if (!menuItem) return;
+    eventDelegator.addDelegatedListener(
+        container,
+        ".certificate-item.glass-pill",
+        "click",
+        function (e) {
+            e.stopPropagation();
+            const btn = this.querySelector(".external-link");
+            const url = btn?.getAttribute("data-url");
+            if (url) {
+                window.open(url, "_blank", "noopener,noreferrer");
+                animatePress(this, 0.98);
+            }
+        },
+        { passive: false },
+    );
 
-        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button > 0) return;
+    eventDelegator.addDelegatedListener(
+        container,
+        ".certificate-item.glass-pill",
+        "keydown",
+        function (e) {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                const btn = this.querySelector(".external-link");
+                const url = btn?.getAttribute("data-url");
+                if (url) {
+                    window.open(url, "_blank", "noopener,noreferrer");
+                    animatePress(this, 0.98);
+                }
+            }
+        },
+        { passive: false },
+    );
+}
 
-        const targetId = menuItem.dataset.target;
+function initializeProjectLink() {
+    const container = performanceCache.viewport;
+    if (!container) return;
 
-        if (!targetId || !document.getElementById(targetId)) return;
+    eventDelegator.addDelegatedListener(
+        container,
+        ".project-link",
+        "click",
+        function () {
+            const url = this.getAttribute("data-url");
+            if (url) {
+                window.open(url, "_blank", "noopener,noreferrer");
+                animatePress(this, 0.98);
+            }
+        },
+        { passive: false },
+    );
 
-        e.preventDefault();
-        e.stopPropagation();
+    eventDelegator.addDelegatedListener(
+        container,
+        ".project-link",
+        "keydown",
+        function (e) {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                const url = this.getAttribute("data-url");
+                if (url) {
+                    window.open(url, "_blank", "noopener,noreferrer");
+                    animatePress(this, 0.98);
+                }
+            }
+        },
+        { passive: false },
+    );
+}
 
-        if (navInteractionState.active) return;
+function initializeDownloadButtons() {
+    const container = performanceCache.viewport;
+    if (!container) return;
 
-        scrollToTarget(targetId);
-    };
+    eventDelegator.addDelegatedListener(
+        container,
+        ".download-btn[data-download]",
+        "click",
+        function () {
+            const downloadUrl = this.getAttribute("data-download");
+            if (downloadUrl) {
+                window.open(downloadUrl, "_blank", "noopener,noreferrer");
+            }
+        },
+        { passive: false },
+    );
 
-    const handleOverlayClick = () => {
-        if (navInteractionState.active) return;
-        closeMenu();
-    };
+    eventDelegator.addDelegatedListener(
+        container,
+        ".download-btn[data-download]",
+        "keydown",
+        function (e) {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                this.click();
+            }
+        },
+        { passive: false },
+    );
+}
 
-    const handleEscapeKey = (e) => {
-        if (e.key === "Escape" && navMenu.classList.contains("active")) {
-            if (navInteractionState.active) return;
-            closeMenu();
+// Ctrl/Cmd+K opens a palette over window.PORTFOLIO_SEARCH, which the
+// builder writes next to each page's sections.js. It is only fetched the
+// first time the palette opens.
+function initializeCommandPalette() {
+    if (document.getElementById("command-palette")) return;
+
+    const palette = document.createElement("div");
+    palette.id = "command-palette";
+    palette.className = "command-palette";
+    palette.hidden = true;
+    palette.innerHTML = `
+        <div class="command-palette-panel" role="dialog" aria-modal="true" aria-label="${i18n.t("commandPalette")}">
+            <input
+                class="command-palette-input"
+                type="text"
+                role="combobox"
+                aria-expanded="true"
+                aria-controls="command-palette-list"
+                aria-autocomplete="list"
+                autocomplete="off"
+                spellcheck="false"
+                placeholder="${i18n.t("searchPlaceholder")}"
+            />
+            <ul id="command-palette-list" class="command-palette-list" role="listbox"></ul>
+            <p class="command-palette-status" aria-live="polite"></p>
+        </div>
+    `;
+    document.body.appendChild(palette);
+
+    const input = palette.querySelector(".command-palette-input");
+    const list = palette.querySelector(".command-palette-list");
+    const status = palette.querySelector(".command-palette-status");
+    const maxResults = 8;
+
+    let indexPromise = null;
+    let items = [];
+    let results = [];
+    let selected = 0;
+    let returnFocus = null;
+
+    const loadIndex = () => {
+        if (window.PORTFOLIO_SEARCH) {
+            return Promise.resolve(window.PORTFOLIO_SEARCH);
+        }
+        if (!indexPromise) {
+            indexPromise = new Promise((resolve, reject) => {
+                const script = document.createElement("script");
+                script.src = pageUrl("search-index.js");
+                script.onload = () =>
+                    window.PORTFOLIO_SEARCH
+                        ? resolve(window.PORTFOLIO_SEARCH)
+                        : reject(new Error("search-index.js is empty"));
+                script.onerror = () =>
+                    reject(new Error("search-index.js failed to load"));
+                document.head.appendChild(script);
+            }).catch((error) => {
+                indexPromise = null;
+                throw error;
+            });
         }
+        return indexPromise;
     };
 
-    const trapFocus = (e) => {
-        if (!navMenu.classList.contains("active")) return;
-
-        const focusableElements = navMenu.querySelectorAll(
-            'button, a, input, select, textarea, [tabindex]:not([tabindex="-1"])',
-        );
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-
-        if (e.key === "Tab") {
-            if (e.shiftKey) {
-                if (document.activeElement === firstElement) {
-                    e.preventDefault();
-                    lastElement.focus();
-                }
-            } else {
-                if (document.activeElement === lastElement) {
-                    e.preventDefault();
-                    firstElement.focus();
-                }
-            }
+    const normalize = (s) =>
+        String(s ?? "")
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase();
+
+    // Substring hits score highest, earlier and at word starts better;
+    // otherwise the letters only have to appear in order, and runs of
+    // consecutive letters count for more than scattered ones.
+    const fuzzyScore = (needle, haystack) => {
+        if (!needle || !haystack) return 0;
+
+        const at = haystack.indexOf(needle);
+        if (at !== -1) {
+            const wordStart = at === 0 || /[\s\-/(]/.test(haystack[at - 1]);
+            return 100 + (wordStart ? 40 : 0) - Math.min(at, 60) / 2;
+        }
+        if (needle.length < 3) return 0;
+
+        let score = 0;
+        let run = 0;
+        let from = 0;
+        for (const ch of needle) {
+            const found = haystack.indexOf(ch, from);
+            if (found === -1) return 0;
+            run = found === from ? run + 1 : 0;
+            score += 1 + run * 2;
+            from = found + 1;
         }
+        return score;
     };
 
-    const handleVisibilityChange = () => {
-        if (document.hidden) {
-            releaseNavigationLock("visibility-change", { force: true });
-            if (navMenu && navMenu.classList.contains("active")) {
-                navMenu.classList.remove("active");
-                document.body.classList.remove("menu-open");
-                menuButton.classList.remove("active");
-                menuButton.setAttribute("aria-label", "Open menu");
-            }
-        } else {
-            requestAnimationFrame(() => {
-                if (
-                    navInteractionState.active &&
-                    !navMenu.classList.contains("active")
-                ) {
-                    releaseNavigationLock("visibility-restore", {
-                        force: true,
-                    });
+    const fields = [
+        ["title", 3],
+        ["category", 2],
+        ["tech", 2],
+        ["description", 1.5],
+        ["text", 0.5],
+    ];
+
+    const buildItems = (data) =>
+        [
+            ...data.entries.map((entry) => ({
+                ...entry,
+                kind: "section",
+                hint: entry.description || entry.category || "",
+            })),
+            ...data.actions.map((action) => ({
+                ...action,
+                kind: "action",
+                hint: i18n.t("action"),
+            })),
+        ].map((item) => ({
+            ...item,
+            search: Object.fromEntries(
+                fields.map(([name]) => [
+                    name,
+                    normalize(
+                        Array.isArray(item[name])
+                            ? item[name].join(" ")
+                            : item[name],
+                    ),
+                ]),
+            ),
+        }));
+
+    const search = (query) => {
+        const terms = normalize(query).split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return items.slice(0, maxResults);
+
+        return items
+            .map((item) => {
+                let total = 0;
+                for (const term of terms) {
+                    const best = Math.max(
+                        ...fields.map(
+                            ([name, weight]) =>
+                                fuzzyScore(term, item.search[name]) * weight,
+                        ),
+                    );
+                    if (best === 0) return null;
+                    total += best;
                 }
-            });
-        }
+                return { item, total };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.total - a.total)
+            .slice(0, maxResults)
+            .map((r) => r.item);
     };
 
-    let resizeTimer = null;
-    const handleResize = () => {
-        if (navInteractionState.active) {
-            if (resizeTimer) {
-                navInteractionState.timers.delete(resizeTimer);
-                clearTimeout(resizeTimer);
+    const render = () => {
+        list.innerHTML = "";
+        results.forEach((item, i) => {
+            const li = document.createElement("li");
+            li.id = `command-palette-option-${i}`;
+            li.className = "command-palette-option";
+            li.setAttribute("role", "option");
+            li.setAttribute("aria-selected", String(i === selected));
+            li.dataset.kind = item.kind;
+
+            const title = document.createElement("span");
+            title.className = "command-palette-title";
+            title.textContent = item.title;
+            li.appendChild(title);
+
+            if (item.hint) {
+                const hint = document.createElement("span");
+                hint.className = "command-palette-hint";
+                hint.textContent = item.hint;
+                li.appendChild(hint);
             }
-            resizeTimer = scheduleNavigationTask(() => {
-                if (navInteractionState.active) {
-                    releaseNavigationLock("resize-safety", { force: true });
-                }
-                resizeTimer = null;
-            }, 500);
-        }
-    };
 
-    const cleanup = () => {
-        releaseNavigationLock("cleanup", { force: true });
+            li.addEventListener("mousemove", () => {
+                if (selected !== i) select(i);
+            });
+            li.addEventListener("click", () => run(item));
+            list.appendChild(li);
+        });
 
-        if (fadeObserver) {
-            fadeObserver.disconnect();
-            fadeObserver = null;
-        }
-        if (fadeScrollHandler && navMenuList) {
-            navMenuList.removeEventListener("scroll", fadeScrollHandler);
-            fadeScrollHandler = null;
+        if (results.length > 0) {
+            input.setAttribute(
+                "aria-activedescendant",
+                `command-palette-option-${selected}`,
+            );
+            status.textContent = "";
+        } else {
+            input.removeAttribute("aria-activedescendant");
+            status.textContent = input.value.trim() ? i18n.t("noResults") : "";
         }
+    };
 
-        menuButton.removeEventListener("click", handleMenuButtonClick);
-        if (navMenuOverlay) {
-            navMenuOverlay.removeEventListener("click", handleOverlayClick);
-        }
-        navMenuList.removeEventListener("click", handleMenuItemClick);
-        document.removeEventListener("keydown", handleEscapeKey);
-        document.removeEventListener("keydown", trapFocus);
-        document.removeEventListener(
-            "visibilitychange",
-            handleVisibilityChange,
+    const select = (i) => {
+        if (results.length === 0) return;
+        selected = (i + results.length) % results.length;
+        list.querySelectorAll(".command-palette-option").forEach((li, idx) => {
+            li.setAttribute("aria-selected", String(idx === selected));
+        });
+        input.setAttribute(
+            "aria-activedescendant",
+            `command-palette-option-${selected}`,
         );
-        window.removeEventListener("resize", handleResize);
+        list.children[selected]?.scrollIntoView({ block: "nearest" });
     };
 
-    menuButton.removeEventListener("click", handleMenuButtonClick);
-    if (navMenuOverlay) {
-        navMenuOverlay.removeEventListener("click", handleOverlayClick);
-    }
-    navMenuList.removeEventListener("click", handleMenuItemClick);
-    document.removeEventListener("keydown", handleEscapeKey);
-    document.removeEventListener("keydown", trapFocus);
-
-    menuButton.addEventListener("click", handleMenuButtonClick);
-    if (navMenuOverlay) {
-        navMenuOverlay.addEventListener("click", handleOverlayClick);
-    }
-    navMenuList.addEventListener("click", handleMenuItemClick);
-    document.addEventListener("keydown", handleEscapeKey);
-    document.addEventListener("keydown", trapFocus);
-    document.addEventListener("visibilitychange", handleVisibilityChange);
-    window.addEventListener("resize", handleResize, { passive: true });
+    const update = () => {
+        results = search(input.value);
+        selected = 0;
+        render();
+    };
 
-    window.addEventListener("beforeunload", cleanup, { once: true });
+    const open = () => {
+        if (!palette.hidden) return;
 
-    const initializeNavMenuScrollFade = () => {
-        const updateNavFade = () => {
-            if (!navMenuList || !navMenuList.isConnected) return;
-            applyScrollFade(navMenuList);
-        };
+        returnFocus = document.activeElement;
+        palette.hidden = false;
+        document.body.classList.add("command-palette-open");
+        input.value = "";
+        input.focus();
 
-        if (fadeScrollHandler) {
-            navMenuList.removeEventListener("scroll", fadeScrollHandler);
+        if (items.length > 0) {
+            update();
+            return;
         }
 
-        fadeScrollHandler = updateNavFade;
+        loadIndex()
+            .then((data) => {
+                items = buildItems(data);
+                if (!palette.hidden) update();
+            })
+            .catch((error) => {
+                console.warn("Command palette index unavailable:", error);
+                status.textContent = i18n.t("searchUnavailable");
+            });
+    };
 
-        navMenuList.addEventListener("scroll", fadeScrollHandler, {
-            passive: true,
-        });
+    const close = ({ restoreFocus = true } = {}) => {
+        if (palette.hidden) return;
 
-        if (fadeObserver) {
-            fadeObserver.disconnect();
-        }
+        palette.hidden = true;
+        document.body.classList.remove("command-palette-open");
+        list.innerHTML = "";
+        status.textContent = "";
+        if (restoreFocus && returnFocus?.isConnected) returnFocus.focus();
+        returnFocus = null;
+    };
 
-        fadeObserver = new MutationObserver(() => {
-            if (navMenu && navMenu.classList.contains("active")) {
-                setTimeout(updateNavFade, 100);
-            }
-        });
-        fadeObserver.observe(navMenu, {
-            attributes: true,
-            attributeFilter: ["class"],
+    const goToSection = (id, page) => {
+        const target = document.getElementById(id);
+        if (!target) {
+            window.location.href = pageUrl(page);
+            return;
+        }
+        close({ restoreFocus: false });
+        target.scrollIntoView({
+            block: "start",
+            behavior: window.matchMedia("(prefers-reduced-motion: reduce)")
+                .matches
+                ? "auto"
+                : "smooth",
         });
+        return target;
+    };
 
-        updateNavFade();
+    const run = (item) => {
+        if (!item) return;
+
+        try {
+            switch (item.action ?? item.kind) {
+                case "section":
+                    goToSection(item.id, item.page);
+                    break;
+                case "theme":
+                    close();
+                    document.querySelector(".theme-toggle-button")?.click();
+                    break;
+                case "contact": {
+                    const section = goToSection("contact-section", item.page);
+                    section
+                        ?.querySelector(".contact-field input")
+                        ?.focus({ preventScroll: true });
+                    break;
+                }
+                case "copy":
+                    navigator.clipboard
+                        .writeText(item.value)
+                        .then(() => {
+                            status.textContent = i18n.t("copied", {
+                                value: item.value,
+                            });
+                            setTimeout(close, 900);
+                        })
+                        .catch(() => {
+                            window.location.href = `mailto:${item.value}`;
+                        });
+                    break;
+                case "open":
+                    close();
+                    window.open(item.url, "_blank", "noopener,noreferrer");
+                    break;
+            }
+        } catch (error) {
+            console.warn("Command palette action failed:", error);
+        }
     };
 
-    populateMenu();
+    input.addEventListener("input", update);
 
-    initializeNavMenuScrollFade();
+    input.addEventListener("keydown", (e) => {
+        switch (e.key) {
+            case "ArrowDown":
+                e.preventDefault();
+                select(selected + 1);
+                break;
+            case "ArrowUp":
+                e.preventDefault();
+                select(selected - 1);
+                break;
+            case "Enter":
+                e.preventDefault();
+                run(results[selected]);
+                break;
+            case "Escape":
+                e.preventDefault();
+                close();
+                break;
+            case "Tab":
+                e.preventDefault();
+                break;
+        }
+    });
+
+    palette.addEventListener("click", (e) => {
+        if (e.target === palette) close();
+    });
+
+    document.addEventListener("keydown", (e) => {
+        if (
+            (e.ctrlKey || e.metaKey) &&
+            !e.altKey &&
+            e.key.toLowerCase() === "k"
+        ) {
+            e.preventDefault();
+            if (palette.hidden) open();
+            else close();
+        }
+    });
 }
 
-function revealSection(element) {
-    element.dataset.revealed = "true";
-    element.style.opacity = "";
-    element.style.transform = "";
-    element.classList.remove("scroll-pending");
-    element.classList.add("scroll-animated");
+function applyScrollFade(element) {
+    if (!element) return;
 
-    let fallbackId;
+    const { scrollTop, scrollHeight, clientHeight } = element;
 
-    // scroll-animated fija transform y transition con !important; si se queda
-    // puesto anula el hover y la transición de tema del elemento.
+    if (scrollHeight <= clientHeight + 2) {
+        element.style.maskImage = "none";
+        element.style.webkitMaskImage = "none";
+        return;
+    }
+
+    const threshold = 20;
+    const topFade = Math.min(scrollTop / threshold, 1);
+    const bottomFade = Math.min(
+        (scrollHeight - clientHeight - scrollTop) / threshold,
+        1,
+    );
+
+    let gradient;
+    if (scrollTop <= 5) {
+        gradient = `linear-gradient(to bottom, rgba(0,0,0,1) 0%, rgba(0,0,0,1) 85%, rgba(0,0,0,${
+            bottomFade * 0.15
+        }) 95%, rgba(0,0,0,0) 100%)`;
+    } else if (scrollTop >= scrollHeight - clientHeight - 5) {
+        gradient = `linear-gradient(to bottom, rgba(0,0,0,0) 0%, rgba(0,0,0,${
+            topFade * 0.15
+        }) 5%, rgba(0,0,0,1) 15%, rgba(0,0,0,1) 100%)`;
+    } else {
+        gradient = `linear-gradient(to bottom, rgba(0,0,0,0) 0%, rgba(0,0,0,${
+            topFade * 0.2
+        }) 4%, rgba(0,0,0,1) 12%, rgba(0,0,0,1) 88%, rgba(0,0,0,${
+            bottomFade * 0.2
+        }) 96%, rgba(0,0,0,0) 100%)`;
+    }
+
+    element.style.maskImage = gradient;
+    element.style.webkitMaskImage = gradient;
+}
+
+function attachCustomScrollbar(
+    scrollEl,
+    track,
+    thumb,
+    { onUpdate, reserveSpace = false } = {},
+) {
+    if (!scrollEl || !track || !thumb) return null;
+
+    let isDragging = false;
+    let startY = 0;
+    let startScrollTop = 0;
+
+    const update = () => {
+        const { scrollTop, scrollHeight, clientHeight } = scrollEl;
+        const hasOverflow = scrollHeight > clientHeight + 2;
+
+        const indicator = track.parentElement;
+        if (indicator) {
+            if (reserveSpace) {
+                indicator.style.visibility = hasOverflow ? "visible" : "hidden";
+            } else {
+                indicator.style.display = hasOverflow ? "block" : "none";
+            }
+        }
+
+        if (!hasOverflow) {
+            thumb.style.height = "0px";
+            thumb.style.transform = "translateY(0)";
+        } else {
+            const ratio = clientHeight / scrollHeight;
+            const thumbH = Math.max(20, track.clientHeight * ratio);
+            const maxThumbTop = track.clientHeight - thumbH;
+            const scrollRatio = scrollTop / (scrollHeight - clientHeight || 1);
+
+            thumb.style.height = `${thumbH}px`;
+            thumb.style.transform = `translate3d(0, ${
+                Math.round(maxThumbTop * scrollRatio * 100) / 100
+            }px, 0)`;
+
+            if (isDragging) {
+                willChangeManager.set(thumb);
+            } else {
+                willChangeManager.clear(thumb);
+            }
+        }
+
+        onUpdate?.({ hasOverflow, scrollTop, scrollHeight, clientHeight });
+    };
+
+    const handleMouseMove = (e) => {
+        if (!isDragging) return;
+
+        const thumbHeight = parseFloat(thumb.style.height) || 20;
+        const maxThumbTop = track.clientHeight - thumbHeight;
+        if (maxThumbTop <= 0) return;
+
+        const maxScroll = scrollEl.scrollHeight - scrollEl.clientHeight;
+        if (maxScroll <= 0) return;
+
+        const ratio = (e.clientY - startY) / maxThumbTop;
+        scrollEl.scrollTop = Math.max(
+            0,
+            Math.min(maxScroll, startScrollTop + ratio * maxScroll),
+        );
+
+        e.preventDefault();
+    };
+
+    const handleMouseUp = (e) => {
+        if (!isDragging) return;
+        isDragging = false;
+
+        document.removeEventListener("mousemove", handleMouseMove);
+        document.removeEventListener("mouseup", handleMouseUp);
+
+        document.body.style.userSelect = "";
+        document.body.style.pointerEvents = "";
+        thumb.style.pointerEvents = "";
+        track.style.pointerEvents = "";
+        thumb.style.transition = "";
+
+        scrollEl.style.scrollBehavior = "smooth";
+        e.preventDefault();
+    };
+
+    thumb.addEventListener(
+        "mousedown",
+        (e) => {
+            if (e.button !== 0 || e.target !== thumb) return;
+
+            isDragging = true;
+            startY = e.clientY;
+            startScrollTop = scrollEl.scrollTop;
+
+            document.addEventListener("mousemove", handleMouseMove, {
+                passive: false,
+            });
+            document.addEventListener("mouseup", handleMouseUp, {
+                passive: false,
+            });
+
+            document.body.style.userSelect = "none";
+            document.body.style.pointerEvents = "none";
+            thumb.style.pointerEvents = "auto";
+            track.style.pointerEvents = "auto";
+            thumb.style.transition = "none";
+
+            scrollEl.style.scrollBehavior = "auto";
+
+            e.preventDefault();
+            e.stopPropagation();
+        },
+        { passive: false },
+    );
+
+    track.addEventListener(
+        "click",
+        (e) => {
+            if (e.target === thumb || isDragging) return;
+
+            const rect = track.getBoundingClientRect();
+            const clickRatio = Math.max(
+                0,
+                Math.min(1, (e.clientY - rect.top) / track.clientHeight),
+            );
+            const maxScroll = scrollEl.scrollHeight - scrollEl.clientHeight;
+
+            scrollEl.style.scrollBehavior = "smooth";
+            scrollEl.scrollTo({ top: clickRatio * maxScroll });
+
+            e.preventDefault();
+        },
+        { passive: false },
+    );
+
+    scrollEl.addEventListener("scroll", () => rafScheduler.schedule(update), {
+        passive: true,
+    });
+    window.addEventListener(
+        "resize",
+        debounce(() => rafScheduler.schedule(update), 100),
+        {
+            passive: true,
+        },
+    );
+
+    scrollEl.style.scrollBehavior = "smooth";
+
+    return { update };
+}
+
+function revealSection(element) {
+    element.dataset.revealed = "true";
+    element.style.opacity = "";
+    element.style.transform = "";
+    element.classList.remove("scroll-pending");
+    element.classList.add("scroll-animated");
+
+    let fallbackId;
+
+    // scroll-animated fija transform y transition con !important; si se queda
+    // puesto anula el hover y la transición de tema del elemento.
     const settle = (event) => {
         if (event && event.target !== element) return;
         element.removeEventListener("transitionend", settle);
@@ -2032,635 +3149,2039 @@ function initializeScrollEffects() {
     });
 }
 
-function initializeCertificateLinks() {
-    const container = performanceCache.viewport;
-    if (!container) return;
-
-    const items = document.querySelectorAll(".certificate-item.glass-pill");
-    items.forEach((item) => {
-        const btn = item.querySelector(".external-link");
-        if (btn) {
-            btn.setAttribute("tabindex", "-1");
-            btn.setAttribute("aria-hidden", "true");
-        }
-    });
-
-    eventDelegator.addDelegatedListener(
-        container,
-        ".certificate-item.glass-pill",
-        "click",
-        function (e) {
-            e.stopPropagation();
-            const btn = this.querySelector(".external-link");
-            const url = btn?.getAttribute("data-url");
-            if (url) {
-                window.open(url, "_blank", "noopener,noreferrer");
-                animatePress(this, 0.98);
-            }
-        },
-        { passive: false },
+function initializeProjectScroll(projectContainer) {
+    const desc = projectContainer.querySelector(
+        ".project-description .description-content",
+    );
+    const track = projectContainer.querySelector(
+        ".project-description .scroll-track",
+    );
+    const thumb = projectContainer.querySelector(
+        ".project-description .scroll-thumb",
     );
+    if (!desc || !track || !thumb) return;
 
-    eventDelegator.addDelegatedListener(
-        container,
-        ".certificate-item.glass-pill",
-        "keydown",
-        function (e) {
-            if (e.key === "Enter" || e.key === " ") {
-                e.preventDefault();
-                const btn = this.querySelector(".external-link");
-                const url = btn?.getAttribute("data-url");
-                if (url) {
-                    window.open(url, "_blank", "noopener,noreferrer");
-                    animatePress(this, 0.98);
-                }
-            }
+    const scrollbar = attachCustomScrollbar(desc, track, thumb, {
+        onUpdate: ({ hasOverflow }) => {
+            desc.style.overflowY = hasOverflow ? "auto" : "hidden";
+            applyScrollFade(desc);
         },
-        { passive: false },
-    );
-}
+    });
+    if (!scrollbar) return;
 
-function initializeProjectLink() {
-    const container = performanceCache.viewport;
-    if (!container) return;
+    const initUpdate = () => {
+        scrollbar.update();
+        desc.style.transform = "translateZ(0)";
+        desc.style.backfaceVisibility = "hidden";
+        desc.style.contain = "layout style";
+        thumb.style.backfaceVisibility = "hidden";
+    };
 
-    eventDelegator.addDelegatedListener(
-        container,
-        ".project-link",
-        "click",
-        function () {
-            const url = this.getAttribute("data-url");
-            if (url) {
-                window.open(url, "_blank", "noopener,noreferrer");
-                animatePress(this, 0.98);
-            }
+    rafScheduler.schedule(initUpdate);
+    requestAnimationFrame(() => rafScheduler.schedule(initUpdate));
+    window.addEventListener("load", () => rafScheduler.schedule(initUpdate), {
+        once: true,
+    });
+}
+
+function initializeScrollTopButton() {
+    const button = document.querySelector(".scroll-top-button");
+    if (!button) return;
+
+    const threshold = () => Math.max(400, window.innerHeight);
+    let visible = false;
+
+    const update = () => {
+        const shouldShow = window.scrollY > threshold();
+        if (shouldShow === visible) return;
+        visible = shouldShow;
+        button.classList.toggle("is-visible", shouldShow);
+        button.setAttribute("aria-hidden", String(!shouldShow));
+        button.tabIndex = shouldShow ? 0 : -1;
+    };
+
+    const onScroll = () => rafScheduler.schedule(update);
+
+    window.addEventListener("scroll", onScroll, { passive: true });
+    window.addEventListener("resize", onScroll, { passive: true });
+
+    button.addEventListener("click", () => {
+        const reduced = window.matchMedia(
+            "(prefers-reduced-motion: reduce)",
+        ).matches;
+        window.scrollTo({ top: 0, behavior: reduced ? "auto" : "smooth" });
+
+        const top = document.querySelector(".portfolio-container");
+        if (top) {
+            top.setAttribute("tabindex", "-1");
+            top.focus({ preventScroll: true });
+        }
+    });
+
+    update();
+}
+
+function initializeDetailGallery() {
+    const gallery = document.querySelector(".detail-gallery");
+    const scroller = gallery?.querySelector(".detail-gallery-scroll");
+    if (!gallery || !scroller) return;
+
+    const items = scroller.querySelectorAll(".detail-gallery-item");
+    if (items.length === 0) return;
+
+    const MIN_VISIBLE = 3;
+
+    const track = gallery.querySelector(".scroll-track");
+    const thumb = gallery.querySelector(".scroll-thumb");
+
+    const scrollbar = attachCustomScrollbar(scroller, track, thumb, {
+        onUpdate: () => applyScrollFade(scroller),
+        reserveSpace: true,
+    });
+
+    const article = gallery.closest(".project-item");
+    const stack = article?.querySelector(".detail-desc-stack");
+    const tech = article?.querySelector(".tech-stack");
+    const buttons = article?.querySelector(".project-buttons");
+
+    const height = (el) => (el ? el.getBoundingClientRect().height : 0);
+
+    const applySizing = () => {
+        if (!gallery.offsetParent && gallery.offsetHeight === 0) {
+            gallery.style.height = "";
+            return;
+        }
+
+        const itemHeight = height(items[0]);
+        if (!itemHeight) return;
+
+        const styles = getComputedStyle(scroller);
+        const gap = parseFloat(styles.rowGap) || 0;
+        const outer = getComputedStyle(gallery);
+
+        const frame =
+            (parseFloat(outer.paddingTop) || 0) +
+            (parseFloat(outer.paddingBottom) || 0) +
+            (parseFloat(outer.borderTopWidth) || 0) +
+            (parseFloat(outer.borderBottomWidth) || 0);
+
+        const stackOf = (n) => itemHeight * n + gap * (n - 1) + frame;
+        const floor = stackOf(Math.min(MIN_VISIBLE, items.length));
+
+        const needed = Math.ceil(stackOf(items.length)) + 2;
+
+        const gridGap = parseFloat(getComputedStyle(article).rowGap) || 0;
+        const available =
+            height(stack) - height(tech) - height(buttons) - gridGap * 2;
+
+        const cap = Math.max(floor, available);
+
+        const target = needed - cap < itemHeight * 0.75 ? needed : cap;
+
+        gallery.style.height = `${Math.max(floor, target)}px`;
+    };
+
+    const refresh = () => {
+        applySizing();
+        scrollbar?.update();
+        applyScrollFade(scroller);
+    };
+
+    window.addEventListener("resize", debounce(refresh, 100), {
+        passive: true,
+    });
+
+    items.forEach((item) => {
+        const img = item.querySelector("img");
+        if (img && !img.complete) {
+            img.addEventListener("load", () => rafScheduler.schedule(refresh), {
+                once: true,
+            });
+        }
+    });
+
+    rafScheduler.schedule(refresh);
+    window.addEventListener("load", () => rafScheduler.schedule(refresh), {
+        once: true,
+    });
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// The carousel's button icons, as [tag, attributes] shapes on a 24×24 grid.
+// They are built node by node rather than parsed from markup, so nothing
+// script.js inserts can bring an inline handler or style attribute along.
+const carouselIcons = {
+    play: [
+        [
+            "path",
+            {
+                d: "M8 5.14v14.72a1 1 0 001.5.86l11-7.36a1 1 0 000-1.72l-11-7.36a1 1 0 00-1.5.86z",
+                fill: "currentColor",
+            },
+        ],
+    ],
+    pause: [
+        [
+            "rect",
+            { x: 6, y: 4, width: 4, height: 16, rx: 1, fill: "currentColor" },
+        ],
+        [
+            "rect",
+            { x: 14, y: 4, width: 4, height: 16, rx: 1, fill: "currentColor" },
+        ],
+    ],
+    expand: [
+        [
+            "path",
+            {
+                d: "M8 3H5C3.89543 3 3 3.89543 3 5V8M16 3H19C20.1046 3 21 3.89543 21 5V8M8 21H5C3.89543 21 3 20.1046 3 19V16M16 21H19C20.1046 21 21 20.1046 21 19V16",
+                stroke: "currentColor",
+                "stroke-width": 2,
+                "stroke-linecap": "round",
+                "stroke-linejoin": "round",
+            },
+        ],
+    ],
+};
+
+function svgIcon(shapes, className = "") {
+    const svg = document.createElementNS(SVG_NS, "svg");
+    const attributes = {
+        width: 20,
+        height: 20,
+        viewBox: "0 0 24 24",
+        fill: "none",
+        "aria-hidden": "true",
+    };
+    if (className) attributes.class = className;
+    for (const [name, value] of Object.entries(attributes)) {
+        svg.setAttribute(name, value);
+    }
+
+    for (const [tag, shapeAttributes] of shapes) {
+        const shape = document.createElementNS(SVG_NS, tag);
+        for (const [name, value] of Object.entries(shapeAttributes)) {
+            shape.setAttribute(name, value);
+        }
+        svg.appendChild(shape);
+    }
+    return svg;
+}
+
+function initializeFullscreenModal() {
+    let modal = document.getElementById("fullscreen-modal");
+    if (!modal) {
+        modal = document.createElement("div");
+        modal.id = "fullscreen-modal";
+        modal.className = "carousel-fullscreen-modal";
+
+        const part = (tag, className, label) => {
+            const el = document.createElement(tag);
+            el.className = className;
+            if (label) el.setAttribute("aria-label", i18n.t(label));
+            return el;
+        };
+        const content = part("div", "carousel-fullscreen-content");
+        const viewport = part("div", "carousel-fullscreen-viewport");
+        const img = part("img", "carousel-fullscreen-image");
+        img.alt = "";
+        viewport.appendChild(img);
+        const nav = part("div", "carousel-fullscreen-nav");
+        nav.append(
+            part("button", "carousel-fullscreen-prev", "previousImage"),
+            part("button", "carousel-fullscreen-next", "nextImage"),
+        );
+        const count = part("div", "carousel-fullscreen-counter");
+        count.textContent = "1 / 1";
+        content.append(
+            part("button", "carousel-fullscreen-close", "closeFullscreen"),
+            viewport,
+            nav,
+            count,
+        );
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+    }
+
+    let currentImages = [];
+    let currentIndex = 0;
+    let originalCarousel = null;
+    let currentProjectId = "";
+
+    const closeBtn = modal.querySelector(".carousel-fullscreen-close");
+    const image = modal.querySelector(".carousel-fullscreen-image");
+    const prevBtn = modal.querySelector(".carousel-fullscreen-prev");
+    const nextBtn = modal.querySelector(".carousel-fullscreen-next");
+    const counter = modal.querySelector(".carousel-fullscreen-counter");
+
+    const zoomViewport = modal.querySelector(".carousel-fullscreen-viewport");
+    const minZoom = 1;
+    const maxZoom = 5;
+    const zoomStep = 1.25;
+    const doubleTapMs = 300;
+
+    let zoom = 1;
+    let panX = 0;
+    let panY = 0;
+    let gestureMoved = false;
+    let panStart = null;
+    let pinchStart = null;
+    let lastTap = null;
+    const activePointers = new Map();
+
+    const clampPan = () => {
+        const maxX = Math.max(
+            0,
+            (image.offsetWidth * zoom - zoomViewport.clientWidth) / 2,
+        );
+        const maxY = Math.max(
+            0,
+            (image.offsetHeight * zoom - zoomViewport.clientHeight) / 2,
+        );
+        panX = Math.max(-maxX, Math.min(maxX, panX));
+        panY = Math.max(-maxY, Math.min(maxY, panY));
+    };
+
+    const applyZoom = () => {
+        if (zoom <= minZoom) {
+            zoom = minZoom;
+            panX = 0;
+            panY = 0;
+        }
+        clampPan();
+        image.style.transform =
+            zoom > minZoom
+                ? `translate3d(${panX}px, ${panY}px, 0) scale(${zoom})`
+                : "";
+        modal.classList.toggle("is-zoomed", zoom > minZoom);
+    };
+
+    // Scales around a point on screen, so whatever sits under the cursor
+    // or between the fingers stays put.
+    const zoomAt = (next, clientX, clientY, from = { zoom, panX, panY }) => {
+        const rect = zoomViewport.getBoundingClientRect();
+        const cx = rect.left + rect.width / 2;
+        const cy = rect.top + rect.height / 2;
+        const target = Math.max(minZoom, Math.min(maxZoom, next));
+        const ratio = target / from.zoom;
+
+        panX = clientX - cx - (clientX - cx - from.panX) * ratio;
+        panY = clientY - cy - (clientY - cy - from.panY) * ratio;
+        zoom = target;
+        applyZoom();
+    };
+
+    const zoomAtCenter = (next) => {
+        const rect = zoomViewport.getBoundingClientRect();
+        zoomAt(next, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    };
+
+    const resetZoom = () => {
+        zoom = minZoom;
+        activePointers.clear();
+        panStart = null;
+        pinchStart = null;
+        lastTap = null;
+        modal.classList.remove("is-gesturing");
+        applyZoom();
+    };
+
+    const pointerDistance = () => {
+        const [a, b] = Array.from(activePointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    };
+
+    const pointerMidpoint = () => {
+        const [a, b] = Array.from(activePointers.values());
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
+
+    const startGesture = () => {
+        if (activePointers.size >= 2) {
+            panStart = null;
+            pinchStart = {
+                distance: pointerDistance(),
+                mid: pointerMidpoint(),
+                zoom,
+                panX,
+                panY,
+            };
+        } else if (activePointers.size === 1 && zoom > minZoom) {
+            const [point] = activePointers.values();
+            pinchStart = null;
+            panStart = { x: point.x, y: point.y, panX, panY };
+        } else {
+            panStart = null;
+            pinchStart = null;
+        }
+        modal.classList.toggle("is-gesturing", !!(panStart || pinchStart));
+    };
+
+    zoomViewport.addEventListener(
+        "wheel",
+        (e) => {
+            if (!modal.classList.contains("active")) return;
+            e.preventDefault();
+
+            // Trackpad pinches arrive as ctrl+wheel with small deltas.
+            const speed = e.ctrlKey ? 0.01 : 0.0015;
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            zoomAt(zoom * Math.exp(-delta * speed), e.clientX, e.clientY);
         },
         { passive: false },
     );
 
-    eventDelegator.addDelegatedListener(
-        container,
-        ".project-link",
-        "keydown",
-        function (e) {
-            if (e.key === "Enter" || e.key === " ") {
-                e.preventDefault();
-                const url = this.getAttribute("data-url");
-                if (url) {
-                    window.open(url, "_blank", "noopener,noreferrer");
-                    animatePress(this, 0.98);
-                }
+    zoomViewport.addEventListener("pointerdown", (e) => {
+        if (e.pointerType === "mouse" && e.button !== 0) return;
+        if (activePointers.size === 0) gestureMoved = false;
+
+        activePointers.set(e.pointerId, {
+            x: e.clientX,
+            y: e.clientY,
+            onImage: e.target === image,
+        });
+        startGesture();
+        // Capturing a plain tap would retarget its click to the viewport,
+        // which closes the modal, so only pans and pinches hold the pointer.
+        if (panStart || pinchStart) {
+            activePointers.forEach((_, id) => {
+                try {
+                    zoomViewport.setPointerCapture(id);
+                } catch {}
+            });
+        }
+    });
+
+    zoomViewport.addEventListener("pointermove", (e) => {
+        const point = activePointers.get(e.pointerId);
+        if (!point) return;
+
+        point.x = e.clientX;
+        point.y = e.clientY;
+
+        if (pinchStart && activePointers.size >= 2) {
+            const mid = pointerMidpoint();
+            const scale = pointerDistance() / pinchStart.distance;
+            gestureMoved = true;
+            zoomAt(pinchStart.zoom * scale, mid.x, mid.y, {
+                zoom: pinchStart.zoom,
+                panX: pinchStart.panX + (mid.x - pinchStart.mid.x),
+                panY: pinchStart.panY + (mid.y - pinchStart.mid.y),
+            });
+        } else if (panStart) {
+            const dx = e.clientX - panStart.x;
+            const dy = e.clientY - panStart.y;
+            if (Math.abs(dx) + Math.abs(dy) > 4) gestureMoved = true;
+            panX = panStart.panX + dx;
+            panY = panStart.panY + dy;
+            applyZoom();
+        }
+    });
+
+    const onZoomPointerEnd = (e) => {
+        const point = activePointers.get(e.pointerId);
+        if (!point) return;
+        activePointers.delete(e.pointerId);
+        startGesture();
+
+        if (e.type !== "pointerup" || gestureMoved || !point.onImage) return;
+
+        const now = performance.now();
+        if (
+            lastTap &&
+            now - lastTap.time < doubleTapMs &&
+            Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30
+        ) {
+            lastTap = null;
+            if (zoom > minZoom) {
+                zoom = minZoom;
+                applyZoom();
+            } else {
+                zoomAt(2, e.clientX, e.clientY);
             }
-        },
-        { passive: false },
-    );
-}
+        } else {
+            lastTap = { time: now, x: e.clientX, y: e.clientY };
+        }
+    };
 
-function initializeProjectTechTagIcons() {
-    const projectTechTags = document.querySelectorAll(
-        ".projects-section .tech-stack .tech-tag",
-    );
-    if (!projectTechTags.length) return;
+    zoomViewport.addEventListener("pointerup", onZoomPointerEnd);
+    zoomViewport.addEventListener("pointercancel", onZoomPointerEnd);
 
-    const technologyIconMap = {
-        javascript: {
-            file: "javascript.svg",
-            label: "JavaScript",
-            dataTech: "javascript",
-        },
-        html: { file: "html.svg", label: "HTML", dataTech: "html" },
-        css: { file: "css.svg", label: "CSS", dataTech: "css" },
-        react: { file: "react.svg", label: "React", dataTech: "react" },
-        "node.js": {
-            file: "nodejs.svg",
-            label: "Node.js",
-            dataTech: "nodejs",
-        },
-        nodejs: { file: "nodejs.svg", label: "Node.js", dataTech: "nodejs" },
-        express: {
-            file: "expressjs.svg",
-            label: "Express",
-            dataTech: "express",
-        },
-        "express.js": {
-            file: "expressjs.svg",
-            label: "Express",
-            dataTech: "express",
-        },
-        python: { file: "python.svg", label: "Python", dataTech: "python" },
-        java: { file: "java.svg", label: "Java", dataTech: "java" },
-        postgresql: {
-            file: "postgresql.svg",
-            label: "PostgreSQL",
-            dataTech: "postgresql",
-        },
-        pgadmin: { file: "pgadmin.svg", label: "pgAdmin", dataTech: "pgadmin" },
-        mysql: { file: "mysql.svg", label: "MySQL", dataTech: "mysql" },
-        mongodb: {
-            file: "mongodb.svg",
-            label: "MongoDB",
-            dataTech: "mongodb",
-        },
-        docker: { file: "docker.svg", label: "Docker", dataTech: "docker" },
-        git: { file: "git.svg", label: "Git", dataTech: "git" },
-        github: { file: "github.svg", label: "GitHub", dataTech: "github" },
-        bootstrap: {
-            file: "bootstrap.svg",
-            label: "Bootstrap",
-            dataTech: "bootstrap",
-        },
-        sass: { file: "sass.svg", label: "Sass", dataTech: "sass" },
-        postman: { file: "postman.svg", label: "Postman", dataTech: "postman" },
-        vscode: { file: "vscode.svg", label: "VS Code", dataTech: "vscode" },
-        "vs code": { file: "vscode.svg", label: "VS Code", dataTech: "vscode" },
-        linux: { file: "linux.svg", label: "Linux", dataTech: "linux" },
-        windows: { file: "windows.svg", label: "Windows", dataTech: "windows" },
-        "android studio": {
-            file: "androidstudio.svg",
-            label: "Android Studio",
-            dataTech: "androidstudio",
-        },
-        apache: { file: "apache.svg", label: "Apache", dataTech: "apache" },
-        aws: { file: "aws.svg", label: "AWS", dataTech: "aws" },
-        django: { file: "django.svg", label: "Django", dataTech: "django" },
-        electron: {
-            file: "electron.svg",
-            label: "Electron",
-            dataTech: "electron",
-        },
-        eslint: { file: "eslint.svg", label: "ESLint", dataTech: "eslint" },
-        figma: { file: "figma.svg", label: "Figma", dataTech: "figma" },
-        flask: { file: "flask.svg", label: "Flask", dataTech: "flask" },
-        flutter: { file: "flutter.svg", label: "Flutter", dataTech: "flutter" },
-        npm: { file: "npm.svg", label: "npm", dataTech: "npm" },
-        numpy: { file: "numpy.svg", label: "NumPy", dataTech: "numpy" },
-        render: { file: "render.svg", label: "Render", dataTech: "render" },
-        spring: { file: "spring.svg", label: "Spring", dataTech: "spring" },
-        sqlite: { file: "sqlite.svg", label: "SQLite", dataTech: "sqlite" },
-        "c++": { file: "cplusplus.svg", label: "C++", dataTech: "cplusplus" },
-        jsx: { file: "jsx.svg", label: "JSX", dataTech: "jsx" },
+    function openModal(
+        images,
+        startIndex,
+        carousel,
+        { fromHistory = false } = {},
+    ) {
+        currentImages = images;
+        currentIndex = startIndex;
+        originalCarousel = carousel;
+        currentProjectId = images[0]?.closest(".project-item")?.id || "";
+
+        // Each fullscreen view gets its own history entry so the back button
+        // closes the modal instead of leaving the page.
+        if (currentProjectId && !fromHistory) {
+            carouselHash.write(
+                carouselHash.format(
+                    currentProjectId,
+                    "fullscreen",
+                    currentIndex,
+                ),
+                { push: true, state: { ...history.state, fullscreen: true } },
+            );
+        }
+
+        if (originalCarousel) {
+            if (typeof originalCarousel.onFullscreenOpen === "function") {
+                originalCarousel.onFullscreenOpen();
+            } else if (typeof originalCarousel.pauseAutoplay === "function") {
+                originalCarousel.pauseAutoplay();
+            }
+        }
+
+        showCurrentImage();
+        modal.classList.add("active");
+        document.body.style.overflow = "hidden";
+    }
+
+    function closeModal({ fromHistory = false } = {}) {
+        if (!modal.classList.contains("active")) return;
+
+        if (!fromHistory && currentProjectId) {
+            if (history.state?.fullscreen) {
+                history.back();
+                return;
+            }
+            carouselHash.write(
+                carouselHash.format(
+                    currentProjectId,
+                    "slide",
+                    originalCarousel?.getIndex?.() ?? currentIndex,
+                ),
+            );
+        }
+
+        modal.classList.remove("active");
+        resetZoom();
+        document.body.style.overflow = "";
+
+        setTimeout(() => {
+            if (!originalCarousel) return;
+            if (typeof originalCarousel.onFullscreenClose === "function") {
+                originalCarousel.onFullscreenClose();
+            } else if (typeof originalCarousel.resumeAutoplay === "function") {
+                originalCarousel.resumeAutoplay();
+            }
+        }, 300);
+    }
+
+    // Slides are <picture>s with AVIF and WebP srcsets sized for the card;
+    // fullscreen wants the widest candidate, in the format the browser
+    // already picked for the slide. A slide that hasn't loaded yet falls
+    // back to the last source, WebP.
+    function largestVariant(img) {
+        const sources = Array.from(
+            img.closest("picture")?.querySelectorAll("source[srcset]") || [],
+        );
+        const picked = img.currentSrc.split(/[?#]/)[0].split(".").pop();
+        const source =
+            sources.find((s) => picked && s.srcset.includes(`.${picked} `)) ||
+            sources.at(-1);
+        if (!source) return img.src;
+
+        let best = null;
+        for (const candidate of source.srcset.split(",")) {
+            const [url, descriptor = ""] = candidate.trim().split(/\s+/);
+            const width = parseInt(descriptor, 10) || 0;
+            if (url && (!best || width > best.width)) best = { url, width };
+        }
+        return best ? new URL(best.url, document.baseURI).href : img.src;
+    }
+
+    function showCurrentImage() {
+        resetZoom();
+        if (currentImages.length > 0) {
+            image.src = largestVariant(currentImages[currentIndex]);
+            image.alt = currentImages[currentIndex].alt || "";
+            counter.textContent = `${currentIndex + 1} / ${
+                currentImages.length
+            }`;
+
+            prevBtn.style.display = currentImages.length > 1 ? "flex" : "none";
+            nextBtn.style.display = currentImages.length > 1 ? "flex" : "none";
+
+            if (currentProjectId && modal.classList.contains("active")) {
+                carouselHash.write(
+                    carouselHash.format(
+                        currentProjectId,
+                        "fullscreen",
+                        currentIndex,
+                    ),
+                );
+            }
+        }
+    }
+
+    function nextImage() {
+        if (currentImages.length > 1) {
+            currentIndex = (currentIndex + 1) % currentImages.length;
+            showCurrentImage();
+        }
+    }
+
+    function prevImage() {
+        if (currentImages.length > 1) {
+            currentIndex =
+                (currentIndex - 1 + currentImages.length) %
+                currentImages.length;
+            showCurrentImage();
+        }
+    }
+
+    closeBtn.addEventListener("click", () => closeModal());
+    nextBtn.addEventListener("click", nextImage);
+    prevBtn.addEventListener("click", prevImage);
+
+    modal.addEventListener("click", (e) => {
+        if (zoom > minZoom || gestureMoved) return;
+
+        const clickedElement = e.target;
+        const isBackground = clickedElement === modal;
+        const isContent =
+            clickedElement ===
+            modal.querySelector(".carousel-fullscreen-content");
+        const isViewport =
+            clickedElement ===
+            modal.querySelector(".carousel-fullscreen-viewport");
+
+        if (isBackground || isContent || isViewport) {
+            closeModal();
+        }
+    });
+
+    const modalKeyHandler = (e) => {
+        if (!modal.classList.contains("active")) return;
+
+        switch (e.key) {
+            case "Escape":
+                closeModal();
+                break;
+            case "ArrowRight":
+                e.preventDefault();
+                nextImage();
+                break;
+            case "ArrowLeft":
+                e.preventDefault();
+                prevImage();
+                break;
+            case "+":
+            case "=":
+                e.preventDefault();
+                zoomAtCenter(zoom * zoomStep);
+                break;
+            case "-":
+            case "_":
+                e.preventDefault();
+                zoomAtCenter(zoom / zoomStep);
+                break;
+            case "0":
+                e.preventDefault();
+                resetZoom();
+                break;
+        }
+    };
+
+    if (modal._keyHandler) {
+        document.removeEventListener("keydown", modal._keyHandler);
+    }
+    modal._keyHandler = modalKeyHandler;
+    document.addEventListener("keydown", modalKeyHandler);
+
+    document.addEventListener("click", (e) => {
+        const thumb = e.target.closest(".detail-gallery-item");
+        if (!thumb) return;
+
+        const media = thumb
+            .closest(".project-item")
+            ?.querySelector(".project-media");
+        const slides = media?.querySelectorAll(".carousel-slide img");
+        if (!slides || slides.length === 0) return;
+
+        const idx = Number(thumb.dataset.index);
+        openModal(
+            Array.from(slides),
+            Number.isInteger(idx) && idx >= 0 && idx < slides.length ? idx : 0,
+            media._carouselState || null,
+        );
+    });
+
+    const carousels = document.querySelectorAll(".project-media");
+    carousels.forEach((carousel) => {
+        if (carousel.querySelector(".carousel-fullscreen-btn")) return;
+
+        const slides = carousel.querySelectorAll(".carousel-slide img");
+        if (slides.length === 0) return;
+
+        const pauseBtn = document.createElement("button");
+        pauseBtn.className = "carousel-pause-btn";
+        pauseBtn.setAttribute("aria-label", i18n.t("pauseCarousel"));
+        pauseBtn.setAttribute("data-playing", "true");
+
+        pauseBtn.append(
+            svgIcon(carouselIcons.pause, "pause-icon"),
+            svgIcon(carouselIcons.play, "play-icon"),
+        );
+
+        const updatePauseButtonState = (isPaused) => {
+            pauseBtn.setAttribute("data-playing", isPaused ? "false" : "true");
+            pauseBtn.setAttribute(
+                "aria-label",
+                i18n.t(isPaused ? "resumeCarousel" : "pauseCarousel"),
+            );
+        };
+
+        pauseBtn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const media = carousel;
+            const carouselState = media._carouselState;
+
+            if (
+                carouselState &&
+                typeof carouselState.togglePause === "function"
+            ) {
+                const nowPaused = carouselState.togglePause();
+                updatePauseButtonState(nowPaused);
+            }
+        });
+
+        carousel._pauseBtn = pauseBtn;
+        carousel._updatePauseButtonState = updatePauseButtonState;
+
+        carousel.appendChild(pauseBtn);
+
+        const fullscreenBtn = document.createElement("button");
+        fullscreenBtn.className = "carousel-fullscreen-btn";
+        fullscreenBtn.setAttribute("aria-label", i18n.t("viewFullscreen"));
+        fullscreenBtn.appendChild(svgIcon(carouselIcons.expand));
+
+        carousel.appendChild(fullscreenBtn);
+
+        fullscreenBtn.addEventListener("click", () => {
+            const images = Array.from(slides);
+            const activeSlideIndex = Array.from(
+                carousel.querySelectorAll(".carousel-slide"),
+            ).findIndex((slide) => slide.classList.contains("is-active"));
+
+            const media = carousel;
+            const carouselState = media._carouselState || null;
+
+            openModal(images, Math.max(0, activeSlideIndex), carouselState);
+        });
+    });
+
+    const followHash = ({ initial = false } = {}) => {
+        const link = carouselHash.parse();
+
+        if (link?.mode !== "fullscreen" && modal.classList.contains("active")) {
+            closeModal({ fromHistory: true });
+            return;
+        }
+        if (!link) return;
+
+        const project = document.getElementById(link.id);
+        const media = project?.querySelector(".project-media");
+        const slides = media?.querySelectorAll(".carousel-slide img");
+        if (!slides || slides.length === 0) return;
+
+        const index = Math.min(link.index, slides.length - 1);
+        const carouselState = media._carouselState || null;
+        carouselState?.goTo?.(index);
+
+        if (link.mode === "fullscreen") {
+            if (modal.classList.contains("active")) {
+                currentIndex = index;
+                showCurrentImage();
+            } else {
+                openModal(Array.from(slides), index, carouselState, {
+                    fromHistory: true,
+                });
+            }
+        }
+
+        if (initial || link.mode === "slide") {
+            project.scrollIntoView({
+                block: "center",
+                behavior:
+                    initial ||
+                    window.matchMedia("(prefers-reduced-motion: reduce)")
+                        .matches
+                        ? "auto"
+                        : "smooth",
+            });
+        }
+    };
+
+    if (modal._popHandler) {
+        window.removeEventListener("popstate", modal._popHandler);
+    }
+    modal._popHandler = () => followHash();
+    window.addEventListener("popstate", modal._popHandler);
+
+    followHash({ initial: true });
+}
+
+function initializeNavigationMenu() {
+    const menuButton = document.querySelector(".menu-button");
+    const navMenu = document.querySelector(".nav-menu");
+    const navMenuOverlay = document.querySelector(".nav-menu-overlay");
+    const navMenuList = document.querySelector(".nav-menu-list");
+
+    if (!menuButton || !navMenu || !navMenuList) return;
+
+    if (navMenuList.dataset.initialized === "true") {
+        if (navMenuList.dataset.navLocked === "true") {
+            delete navMenuList.dataset.navLocked;
+            navMenuList.style.pointerEvents = "";
+            navMenuList.removeAttribute("aria-disabled");
+        }
+        if (menuButton.dataset.navLocked === "true") {
+            delete menuButton.dataset.navLocked;
+            menuButton.removeAttribute("aria-disabled");
+            menuButton.style.pointerEvents = "";
+            if (typeof menuButton.disabled === "boolean") {
+                menuButton.disabled = false;
+            }
+        }
+        return;
+    }
+    navMenuList.dataset.initialized = "true";
+
+    let fadeObserver = null;
+    let fadeScrollHandler = null;
+
+    const navInteractionState = {
+        active: false,
+        releaseTimer: null,
+        timers: new Set(),
+        rafId: null,
+    };
+    const clearNavigationTimers = () => {
+        navInteractionState.timers.forEach((id) => {
+            clearTimeout(id);
+        });
+        navInteractionState.timers.clear();
+    };
+
+    const stopNavigationRaf = () => {
+        if (navInteractionState.rafId !== null) {
+            cancelAnimationFrame(navInteractionState.rafId);
+            navInteractionState.rafId = null;
+        }
+    };
+
+    const setNavigationPointerState = (locked) => {
+        if (navMenuList) {
+            if (locked) {
+                navMenuList.dataset.navLocked = "true";
+                navMenuList.style.pointerEvents = "none";
+                navMenuList.setAttribute("aria-disabled", "true");
+            } else {
+                delete navMenuList.dataset.navLocked;
+                navMenuList.style.pointerEvents = "";
+                navMenuList.removeAttribute("aria-disabled");
+            }
+        }
+
+        if (menuButton) {
+            if (locked) {
+                menuButton.dataset.navLocked = "true";
+                menuButton.setAttribute("aria-disabled", "true");
+                menuButton.style.pointerEvents = "none";
+                if (typeof menuButton.disabled === "boolean") {
+                    menuButton.disabled = true;
+                }
+            } else {
+                delete menuButton.dataset.navLocked;
+                menuButton.removeAttribute("aria-disabled");
+                menuButton.style.pointerEvents = "";
+                if (typeof menuButton.disabled === "boolean") {
+                    menuButton.disabled = false;
+                }
+            }
+        }
+    };
+
+    const scheduleNavigationTask = (callback, delay) => {
+        const timerId = setTimeout(() => {
+            navInteractionState.timers.delete(timerId);
+            try {
+                callback();
+            } catch (error) {
+                console.error("Navigation task error:", error);
+                releaseNavigationLock("task-error", { force: true });
+            }
+        }, delay);
+
+        navInteractionState.timers.add(timerId);
+        return timerId;
+    };
+
+    const releaseNavigationLock = (
+        reason = "complete",
+        { force = false } = {},
+    ) => {
+        if (!navInteractionState.active && !force) {
+            if (navInteractionState.releaseTimer) {
+                clearTimeout(navInteractionState.releaseTimer);
+                navInteractionState.releaseTimer = null;
+            }
+            return;
+        }
+
+        if (navInteractionState.releaseTimer) {
+            clearTimeout(navInteractionState.releaseTimer);
+            navInteractionState.releaseTimer = null;
+        }
+
+        clearNavigationTimers();
+
+        stopNavigationRaf();
+
+        navInteractionState.active = false;
+        setNavigationPointerState(false);
+    };
+
+    const acquireNavigationLock = (
+        reason = "navigation",
+        fallbackMs = 6000,
+    ) => {
+        if (navInteractionState.active) {
+            return false;
+        }
+
+        navInteractionState.active = true;
+
+        clearNavigationTimers();
+        stopNavigationRaf();
+
+        setNavigationPointerState(true);
+
+        if (navInteractionState.releaseTimer) {
+            clearTimeout(navInteractionState.releaseTimer);
+        }
+
+        navInteractionState.releaseTimer = setTimeout(() => {
+            releaseNavigationLock("timeout", { force: true });
+        }, fallbackMs);
+
+        return true;
+    };
+
+    const monitorScrollCompletion = (targetPosition) => {
+        let stableFrames = 0;
+        let lastY = window.scrollY;
+        let checksCount = 0;
+        const tolerance = 2;
+        const maxChecks = 180;
+
+        const checkScroll = () => {
+            if (!navInteractionState.active) {
+                navInteractionState.rafId = null;
+                return;
+            }
+
+            checksCount++;
+            const currentY = window.scrollY;
+
+            const scrollStopped = Math.abs(currentY - lastY) <= 0.5;
+            lastY = currentY;
+
+            const nearTarget = Math.abs(currentY - targetPosition) <= tolerance;
+
+            if (nearTarget || scrollStopped) {
+                stableFrames += 1;
+            } else {
+                stableFrames = 0;
+            }
+
+            if (stableFrames >= 6 || checksCount >= maxChecks) {
+                releaseNavigationLock("stabilized");
+                return;
+            }
+
+            if (navInteractionState.active) {
+                navInteractionState.rafId = requestAnimationFrame(checkScroll);
+            }
+        };
+
+        navInteractionState.rafId = requestAnimationFrame(checkScroll);
+    };
+
+    const getSections = () => {
+        if (Array.isArray(window.PORTFOLIO_SECTIONS)) {
+            return window.PORTFOLIO_SECTIONS;
+        }
+
+        const fallback = [
+            {
+                id: "profile-section",
+                page: "about.html",
+                title: i18n.t("aboutMe"),
+                category: null,
+                description: "",
+            },
+        ];
+
+        document
+            .querySelectorAll(".project-item[id^='project-']")
+            .forEach((project) => {
+                fallback.push({
+                    id: project.id,
+                    page: `${project.id.replace(/^project-/, "")}.html`,
+                    title:
+                        project.dataset.projectTitle ||
+                        i18n.t("untitledProject"),
+                    category:
+                        project.dataset.projectCategory || i18n.t("project"),
+                    description: project.dataset.projectDescription || "",
+                });
+            });
+
+        return fallback;
+    };
+
+    const populateMenu = () => {
+        navMenuList.replaceChildren();
+
+        const currentPage = document.body.dataset.page || "index.html";
+
+        getSections().forEach((section) => {
+            const { id, page, title, category, description } = section;
+
+            const li = document.createElement("li");
+            const link = document.createElement("a");
+
+            link.href = pageUrl(page);
+            link.className = "nav-menu-item";
+            link.dataset.target = id;
+
+            if (page === currentPage) {
+                link.setAttribute("aria-current", "page");
+            }
+
+            const content = document.createElement("div");
+            content.className = "nav-item-content";
+
+            const titleEl = document.createElement("span");
+            titleEl.className = "nav-item-title";
+            titleEl.textContent = title;
+            content.appendChild(titleEl);
+
+            if (!category) {
+                link.appendChild(content);
+                li.appendChild(link);
+                navMenuList.appendChild(li);
+                return;
+            }
+
+            const metaEl = document.createElement("div");
+            metaEl.className = "nav-item-meta";
+
+            const iconWrapper = document.createElement("div");
+            iconWrapper.className = "nav-item-icon";
+            const icon = document.createElement("img");
+            const isDesignProject =
+                category.toLowerCase().includes("design") ||
+                category.toLowerCase().includes("ui/ux");
+            icon.src = assetUrl(
+                isDesignProject
+                    ? "assets/icons/design.svg"
+                    : "assets/icons/code.svg",
+            );
+            icon.alt = "";
+            icon.setAttribute("aria-hidden", "true");
+            icon.width = 16;
+            icon.height = 16;
+            icon.loading = "lazy";
+            icon.decoding = "async";
+            iconWrapper.appendChild(icon);
+
+            const categoryEl = document.createElement("p");
+            categoryEl.className = "nav-item-category";
+
+            const strong = document.createElement("strong");
+            strong.textContent = category;
+
+            const separator = document.createElement("span");
+            separator.className = "separator";
+            separator.textContent = " · ";
+
+            const descText = document.createTextNode(description);
+
+            categoryEl.appendChild(strong);
+            categoryEl.appendChild(separator);
+            categoryEl.appendChild(descText);
+
+            metaEl.appendChild(iconWrapper);
+            metaEl.appendChild(categoryEl);
+
+            content.appendChild(metaEl);
+
+            link.appendChild(content);
+            li.appendChild(link);
+            navMenuList.appendChild(li);
+        });
+
+        const locales = window.PORTFOLIO_LOCALES;
+        if (!Array.isArray(locales) || locales.length < 2) return;
+
+        const li = document.createElement("li");
+        const switcher = document.createElement("div");
+        switcher.className = "nav-lang-switch";
+        switcher.setAttribute("role", "group");
+        switcher.setAttribute("aria-label", i18n.t("language"));
+
+        locales.forEach(({ lang, name, root }) => {
+            const link = document.createElement("a");
+            link.className = "nav-lang-link";
+            link.href = pageUrl(`${root}${currentPage}`);
+            link.hreflang = lang;
+            link.lang = lang;
+            link.textContent = name;
+            if (lang === i18n.lang) link.setAttribute("aria-current", "true");
+            switcher.appendChild(link);
+        });
+
+        li.appendChild(switcher);
+        navMenuList.appendChild(li);
+    };
+
+    const openMenu = () => {
+        if (navInteractionState.active) return;
+
+        navMenu.classList.add("active");
+        document.body.classList.add("menu-open");
+        menuButton.classList.add("active");
+        menuButton.setAttribute("aria-label", i18n.t("closeMenu"));
+
+        const menuItems = navMenuList.querySelectorAll("li");
+        menuItems.forEach((item, index) => {
+            item.style.animationDelay = `${0.05 + index * 0.05}s`;
+        });
+    };
+
+    const closeMenu = ({ preserveLock = false } = {}) => {
+        navMenu.classList.remove("active");
+        document.body.classList.remove("menu-open");
+        menuButton.classList.remove("active");
+        menuButton.setAttribute("aria-label", i18n.t("openMenu"));
+
+        clearNavigationTimers();
+
+        if (!preserveLock) {
+            releaseNavigationLock("menu-closed", { force: true });
+        }
     };
 
-    const stripLeadingDecorators = (text) =>
-        text.replace(/^[^A-Za-z0-9]+/, "").trim();
+    const scrollToTarget = (targetId) => {
+        if (!acquireNavigationLock("menu-navigation")) {
+            return;
+        }
+
+        const target = document.getElementById(targetId);
+        if (!target) {
+            releaseNavigationLock("missing-target", { force: true });
+            return;
+        }
+
+        closeMenu({ preserveLock: true });
+
+        const offset = 80;
+        const targetPosition =
+            target.getBoundingClientRect().top + window.pageYOffset - offset;
+
+        let userScrollDetected = false;
+        let listenersRegistered = false;
+
+        const cleanupScrollListeners = () => {
+            if (listenersRegistered) {
+                window.removeEventListener("wheel", handleUserScroll);
+                window.removeEventListener("touchmove", handleUserScroll);
+                listenersRegistered = false;
+            }
+        };
+
+        const handleUserScroll = () => {
+            const currentScroll = window.scrollY;
+            const distanceToTarget = Math.abs(currentScroll - targetPosition);
+
+            if (distanceToTarget > 100) {
+                userScrollDetected = true;
+                cleanupScrollListeners();
+                releaseNavigationLock("user-interrupted", { force: true });
+            }
+        };
+
+        scheduleNavigationTask(() => {
+            try {
+                window.addEventListener("wheel", handleUserScroll, {
+                    passive: true,
+                    once: false,
+                });
+                window.addEventListener("touchmove", handleUserScroll, {
+                    passive: true,
+                    once: false,
+                });
+                listenersRegistered = true;
+
+                window.scrollTo({
+                    top: targetPosition,
+                    behavior: window.matchMedia(
+                        "(prefers-reduced-motion: reduce)",
+                    ).matches
+                        ? "auto"
+                        : "smooth",
+                });
+
+                monitorScrollCompletion(targetPosition);
+
+                scheduleNavigationTask(() => {
+                    cleanupScrollListeners();
 
-    projectTechTags.forEach((tag) => {
-        if (tag.dataset.iconized === "true") return;
+                    if (userScrollDetected) return;
 
-        const rawText = (tag.textContent || "").replace(/\s+/g, " ").trim();
-        if (!rawText) return;
+                    target.style.transition = "transform 0.3s ease-out";
+                    target.style.transform = "scale(1.01)";
 
-        const labelText = stripLeadingDecorators(rawText);
-        const normalizedLabel = labelText.toLowerCase();
-        const iconMeta = technologyIconMap[normalizedLabel];
+                    scheduleNavigationTask(() => {
+                        if (userScrollDetected) return;
 
-        if (!iconMeta) return;
+                        target.style.transform = "";
 
-        const icon = document.createElement("img");
-        icon.src = `assets/tech/${iconMeta.file}`;
-        icon.alt = iconMeta.label;
-        icon.width = 18;
-        icon.height = 18;
-        icon.className = "tech-tag-icon";
-        icon.loading = "lazy";
-        icon.decoding = "async";
+                        scheduleNavigationTask(() => {
+                            target.style.transition = "";
+                            releaseNavigationLock("animation-complete");
+                        }, 300);
+                    }, 300);
+                }, 800);
+            } catch (error) {
+                cleanupScrollListeners();
+                throw error;
+            }
+        }, 300);
+    };
 
-        const text = document.createElement("span");
-        text.textContent = iconMeta.label;
+    const handleMenuButtonClick = () => {
+        if (navInteractionState.active) return;
 
-        tag.textContent = "";
-        tag.append(icon, text);
-        tag.dataset.tech = iconMeta.dataTech;
-        tag.dataset.iconized = "true";
-    });
-}
+        if (navMenu.classList.contains("active")) {
+            closeMenu();
+        } else {
+            openMenu();
+        }
+    };
 
-function initializeTechStackDivider() {
-    if (!document.body.classList.contains("detail-project")) return;
+    const handleMenuItemClick = (e) => {
+        const menuItem = e.target.closest(".nav-menu-item");
+        if (!menuItem) return;
 
-    const stack = document.querySelector(".tech-stack");
-    if (!stack || stack.querySelector(".tech-divider")) return;
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button > 0) return;
 
-    const tags = Array.from(stack.querySelectorAll(".tech-tag"));
+        const targetId = menuItem.dataset.target;
 
-    let lastTech = -1;
-    for (let i = tags.length - 1; i >= 0; i--) {
-        if (tags[i].dataset.iconized === "true") {
-            lastTech = i;
-            break;
-        }
-    }
+        if (!targetId || !document.getElementById(targetId)) return;
 
-    if (lastTech === -1 || lastTech === tags.length - 1) return;
+        e.preventDefault();
+        e.stopPropagation();
 
-    const divider = document.createElement("span");
-    divider.className = "tech-divider";
-    divider.setAttribute("aria-hidden", "true");
-    tags[lastTech].after(divider);
-}
+        if (navInteractionState.active) return;
 
-window.addEventListener(
-    "beforeunload",
-    () => {
-        for (const id of performanceCache.timers) {
-            clearTimeout(id);
+        scrollToTarget(targetId);
+    };
+
+    const handleOverlayClick = () => {
+        if (navInteractionState.active) return;
+        closeMenu();
+    };
+
+    const handleEscapeKey = (e) => {
+        if (e.key === "Escape" && navMenu.classList.contains("active")) {
+            if (navInteractionState.active) return;
+            closeMenu();
         }
+    };
 
-        carouselViewportObserver.cleanup();
+    const trapFocus = (e) => {
+        if (!navMenu.classList.contains("active")) return;
 
-        const projectItems = performanceCache.projectItems;
-        if (projectItems) {
-            projectItems.forEach((projectItem) => {
-                const media = projectItem.querySelector(".project-media");
-                if (media && media._carouselState) {
-                    media._carouselState.cleanup();
+        const focusableElements = navMenu.querySelectorAll(
+            'button, a, input, select, textarea, [tabindex]:not([tabindex="-1"])',
+        );
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (e.key === "Tab") {
+            if (e.shiftKey) {
+                if (document.activeElement === firstElement) {
+                    e.preventDefault();
+                    lastElement.focus();
                 }
-            });
+            } else {
+                if (document.activeElement === lastElement) {
+                    e.preventDefault();
+                    firstElement.focus();
+                }
+            }
         }
+    };
 
-        performanceCache.timers.clear();
-    },
-    { once: true },
-);
-
-document.addEventListener("DOMContentLoaded", () => {
-    const projectItems = performanceCache.projectItems;
+    const handleVisibilityChange = () => {
+        if (document.hidden) {
+            releaseNavigationLock("visibility-change", { force: true });
+            if (navMenu && navMenu.classList.contains("active")) {
+                navMenu.classList.remove("active");
+                document.body.classList.remove("menu-open");
+                menuButton.classList.remove("active");
+                menuButton.setAttribute("aria-label", i18n.t("openMenu"));
+            }
+        } else {
+            requestAnimationFrame(() => {
+                if (
+                    navInteractionState.active &&
+                    !navMenu.classList.contains("active")
+                ) {
+                    releaseNavigationLock("visibility-restore", {
+                        force: true,
+                    });
+                }
+            });
+        }
+    };
 
-    projectItems.forEach((projectItem) => {
-        initializeProjectScroll(projectItem);
-    });
-});
+    let resizeTimer = null;
+    const handleResize = () => {
+        if (navInteractionState.active) {
+            if (resizeTimer) {
+                navInteractionState.timers.delete(resizeTimer);
+                clearTimeout(resizeTimer);
+            }
+            resizeTimer = scheduleNavigationTask(() => {
+                if (navInteractionState.active) {
+                    releaseNavigationLock("resize-safety", { force: true });
+                }
+                resizeTimer = null;
+            }, 500);
+        }
+    };
 
-function initializeProjectScroll(projectContainer) {
-    const desc = projectContainer.querySelector(
-        ".project-description .description-content",
-    );
-    const track = projectContainer.querySelector(
-        ".project-description .scroll-track",
-    );
-    const thumb = projectContainer.querySelector(
-        ".project-description .scroll-thumb",
-    );
-    if (!desc || !track || !thumb) return;
+    const cleanup = () => {
+        releaseNavigationLock("cleanup", { force: true });
 
-    const scrollbar = attachCustomScrollbar(desc, track, thumb, {
-        onUpdate: ({ hasOverflow }) => {
-            desc.style.overflowY = hasOverflow ? "auto" : "hidden";
-            applyScrollFade(desc);
-        },
-    });
-    if (!scrollbar) return;
+        if (fadeObserver) {
+            fadeObserver.disconnect();
+            fadeObserver = null;
+        }
+        if (fadeScrollHandler && navMenuList) {
+            navMenuList.removeEventListener("scroll", fadeScrollHandler);
+            fadeScrollHandler = null;
+        }
 
-    const initUpdate = () => {
-        scrollbar.update();
-        desc.style.transform = "translateZ(0)";
-        desc.style.backfaceVisibility = "hidden";
-        desc.style.contain = "layout style";
-        thumb.style.backfaceVisibility = "hidden";
+        menuButton.removeEventListener("click", handleMenuButtonClick);
+        if (navMenuOverlay) {
+            navMenuOverlay.removeEventListener("click", handleOverlayClick);
+        }
+        navMenuList.removeEventListener("click", handleMenuItemClick);
+        document.removeEventListener("keydown", handleEscapeKey);
+        document.removeEventListener("keydown", trapFocus);
+        document.removeEventListener(
+            "visibilitychange",
+            handleVisibilityChange,
+        );
+        window.removeEventListener("resize", handleResize);
     };
 
-    rafScheduler.schedule(initUpdate);
-    requestAnimationFrame(() => rafScheduler.schedule(initUpdate));
-    window.addEventListener("load", () => rafScheduler.schedule(initUpdate), {
-        once: true,
-    });
-}
-
-function initializeFullscreenModal() {
-    let modal = document.getElementById("fullscreen-modal");
-    if (!modal) {
-        modal = document.createElement("div");
-        modal.id = "fullscreen-modal";
-        modal.className = "carousel-fullscreen-modal";
-        modal.innerHTML = `
-            <div class="carousel-fullscreen-content">
-                <button class="carousel-fullscreen-close" aria-label="Close fullscreen"></button>
-                <div class="carousel-fullscreen-viewport">
-                    <img class="carousel-fullscreen-image" alt="" />
-                </div>
-                <div class="carousel-fullscreen-nav">
-                    <button class="carousel-fullscreen-prev" aria-label="Previous image"></button>
-                    <button class="carousel-fullscreen-next" aria-label="Next image"></button>
-                </div>
-                <div class="carousel-fullscreen-counter">1 / 1</div>
-            </div>
-        `;
-        document.body.appendChild(modal);
+    menuButton.removeEventListener("click", handleMenuButtonClick);
+    if (navMenuOverlay) {
+        navMenuOverlay.removeEventListener("click", handleOverlayClick);
     }
+    navMenuList.removeEventListener("click", handleMenuItemClick);
+    document.removeEventListener("keydown", handleEscapeKey);
+    document.removeEventListener("keydown", trapFocus);
 
-    let currentImages = [];
-    let currentIndex = 0;
-    let originalCarousel = null;
-
-    const closeBtn = modal.querySelector(".carousel-fullscreen-close");
-    const image = modal.querySelector(".carousel-fullscreen-image");
-    const prevBtn = modal.querySelector(".carousel-fullscreen-prev");
-    const nextBtn = modal.querySelector(".carousel-fullscreen-next");
-    const counter = modal.querySelector(".carousel-fullscreen-counter");
+    menuButton.addEventListener("click", handleMenuButtonClick);
+    if (navMenuOverlay) {
+        navMenuOverlay.addEventListener("click", handleOverlayClick);
+    }
+    navMenuList.addEventListener("click", handleMenuItemClick);
+    document.addEventListener("keydown", handleEscapeKey);
+    document.addEventListener("keydown", trapFocus);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("resize", handleResize, { passive: true });
 
-    function openModal(images, startIndex, carousel) {
-        currentImages = images;
-        currentIndex = startIndex;
-        originalCarousel = carousel;
+    window.addEventListener("beforeunload", cleanup, { once: true });
 
-        if (originalCarousel) {
-            if (typeof originalCarousel.onFullscreenOpen === "function") {
-                originalCarousel.onFullscreenOpen();
-            } else if (typeof originalCarousel.pauseAutoplay === "function") {
-                originalCarousel.pauseAutoplay();
-            }
+    const initializeNavMenuScrollFade = () => {
+        const updateNavFade = () => {
+            if (!navMenuList || !navMenuList.isConnected) return;
+            applyScrollFade(navMenuList);
+        };
+
+        if (fadeScrollHandler) {
+            navMenuList.removeEventListener("scroll", fadeScrollHandler);
         }
 
-        showCurrentImage();
-        modal.classList.add("active");
-        document.body.style.overflow = "hidden";
-    }
+        fadeScrollHandler = updateNavFade;
 
-    function closeModal() {
-        modal.classList.remove("active");
-        document.body.style.overflow = "";
+        navMenuList.addEventListener("scroll", fadeScrollHandler, {
+            passive: true,
+        });
 
-        setTimeout(() => {
-            if (!originalCarousel) return;
-            if (typeof originalCarousel.onFullscreenClose === "function") {
-                originalCarousel.onFullscreenClose();
-            } else if (typeof originalCarousel.resumeAutoplay === "function") {
-                originalCarousel.resumeAutoplay();
+        if (fadeObserver) {
+            fadeObserver.disconnect();
+        }
+
+        fadeObserver = new MutationObserver(() => {
+            if (navMenu && navMenu.classList.contains("active")) {
+                setTimeout(updateNavFade, 100);
             }
-        }, 300);
-    }
+        });
+        fadeObserver.observe(navMenu, {
+            attributes: true,
+            attributeFilter: ["class"],
+        });
 
-    function showCurrentImage() {
-        if (currentImages.length > 0) {
-            image.src = currentImages[currentIndex].src;
-            image.alt = currentImages[currentIndex].alt || "";
-            counter.textContent = `${currentIndex + 1} / ${
-                currentImages.length
-            }`;
+        updateNavFade();
+    };
 
-            prevBtn.style.display = currentImages.length > 1 ? "flex" : "none";
-            nextBtn.style.display = currentImages.length > 1 ? "flex" : "none";
-        }
-    }
+    populateMenu();
 
-    function nextImage() {
-        if (currentImages.length > 1) {
-            currentIndex = (currentIndex + 1) % currentImages.length;
-            showCurrentImage();
+    initializeNavMenuScrollFade();
+}
+
+const knownSections = () =>
+    Array.isArray(window.PORTFOLIO_SECTIONS) ? window.PORTFOLIO_SECTIONS : [];
+
+const pathWords = (text) =>
+    text
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/\.html$/, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+// 1 for equal strings, 0 for nothing in common (normalized edit distance).
+const textSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        for (let j = 1; j <= b.length; j++) {
+            next[j] = Math.min(
+                row[j] + 1,
+                next[j - 1] + 1,
+                row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
         }
+        row = next;
     }
+    return 1 - row[b.length] / Math.max(a.length, b.length);
+};
 
-    function prevImage() {
-        if (currentImages.length > 1) {
-            currentIndex =
-                (currentIndex - 1 + currentImages.length) %
-                currentImages.length;
-            showCurrentImage();
+// The section whose page name or title is closest to the last segment of
+// `path`, or null when nothing is close enough to be worth suggesting.
+function closestSection(path, list = knownSections()) {
+    const wanted = pathWords(path.split("/").filter(Boolean).pop() || "");
+    if (!wanted) return null;
+
+    let best = null;
+    let bestScore = 0.5;
+    for (const section of list) {
+        const names = [pathWords(section.page), pathWords(section.title)];
+        // A single word of a name ("/genetic") counts a little less.
+        const score = Math.max(
+            ...names.map((name) => textSimilarity(wanted, name)),
+            ...names
+                .flatMap((name) => name.split(" "))
+                .map((word) => 0.9 * textSimilarity(wanted, word)),
+        );
+        if (score > bestScore) {
+            best = section;
+            bestScore = score;
         }
     }
+    return best;
+}
 
-    closeBtn.addEventListener("click", closeModal);
-    nextBtn.addEventListener("click", nextImage);
-    prevBtn.addEventListener("click", prevImage);
+function initializeNotFoundPage() {
+    const suggestion = document.querySelector(".not-found-suggestion");
+    const link = suggestion?.querySelector(".not-found-link");
+    if (!link) return;
 
-    modal.addEventListener("click", (e) => {
-        const clickedElement = e.target;
-        const isBackground = clickedElement === modal;
-        const isContent =
-            clickedElement ===
-            modal.querySelector(".carousel-fullscreen-content");
-        const isViewport =
-            clickedElement ===
-            modal.querySelector(".carousel-fullscreen-viewport");
+    const section = closestSection(location.pathname);
+    if (!section) return;
 
-        if (isBackground || isContent || isViewport) {
-            closeModal();
-        }
-    });
+    link.href = pageUrl(section.page);
+    link.textContent = section.title;
+    suggestion.hidden = false;
+}
 
-    const modalKeyHandler = (e) => {
-        if (!modal.classList.contains("active")) return;
+// Before the project pages existed, links pointed at #project-<id> on the
+// index. Fragments never reach the server, so _redirects can't send those
+// to the project's own page; this does. Carousel links
+// (#project-<id>/slide-2) still belong to the index.
+function redirectLegacyAnchor() {
+    const match = /^#(project-[\w-]+)$/.exec(location.hash);
+    if (!match || document.body.dataset.page !== "index.html") return false;
 
-        switch (e.key) {
-            case "Escape":
-                closeModal();
-                break;
-            case "ArrowRight":
-                e.preventDefault();
-                nextImage();
-                break;
-            case "ArrowLeft":
-                e.preventDefault();
-                prevImage();
-                break;
-        }
-    };
+    const section = knownSections().find((s) => s.id === match[1]);
+    if (!section) return false;
 
-    if (modal._keyHandler) {
-        document.removeEventListener("keydown", modal._keyHandler);
-    }
-    modal._keyHandler = modalKeyHandler;
-    document.addEventListener("keydown", modalKeyHandler);
+    location.replace(pageUrl(section.page));
+    return true;
+}
 
-    document.addEventListener("click", (e) => {
-        const thumb = e.target.closest(".detail-gallery-item");
-        if (!thumb) return;
+// The index projects can be narrowed by technology (every selected tag must
+// be present), category and year, and sorted. The state lives in the query
+// string (?tech=python,react&category=full-stack&from=2023&to=2024&sort=newest)
+// so a filtered list can be shared. A project's tech tags on other pages link
+// here. The profile grid's tags are left alone: they are plain links to each
+// technology's landing page, and the bar links the landing pages of the
+// technologies selected.
+function initializeProjectFilters() {
+    const section = document.body.classList.contains("detail-page")
+        ? null
+        : document.querySelector(".projects-section");
+    const items = section
+        ? Array.from(section.querySelectorAll(":scope > .project-item"))
+        : [];
+    const filterable = items.length > 1;
+
+    const techTagSelector = ".projects-section span.tech-tag[data-tech]";
+
+    const techLabel = (slug) =>
+        document.querySelector(`.tech-tag[data-tech="${slug}"] span`)
+            ?.textContent ||
+        document
+            .querySelector(`.tech-tag[data-tech="${slug}"]`)
+            ?.textContent.trim() ||
+        slug;
+
+    const readState = () => {
+        const params = new URLSearchParams(location.search);
+        const list = (name) =>
+            (params.get(name) || "").split(",").filter(Boolean);
+        return {
+            tech: list("tech"),
+            category: params.get("category") || "",
+            from: params.get("from") || "",
+            to: params.get("to") || "",
+            sort: params.get("sort") || "featured",
+        };
+    };
 
-        const media = thumb
-            .closest(".project-item")
-            ?.querySelector(".project-media");
-        const slides = media?.querySelectorAll(".carousel-slide img");
-        if (!slides || slides.length === 0) return;
+    const linkTags = (role, usable = () => true) =>
+        document.querySelectorAll(techTagSelector).forEach((tag) => {
+            if (!usable(tag.dataset.tech)) return;
+            tag.setAttribute("role", role);
+            tag.tabIndex = 0;
+            tag.title = i18n.t("filterByTech", {
+                tech: techLabel(tag.dataset.tech),
+            });
+        });
 
-        const idx = Number(thumb.dataset.index);
-        openModal(
-            Array.from(slides),
-            Number.isInteger(idx) && idx >= 0 && idx < slides.length ? idx : 0,
-            media._carouselState || null,
+    let toggleTech = (slug) => {
+        window.location.href = pageUrl(
+            `index.html?tech=${encodeURIComponent(slug)}`,
         );
-    });
+    };
 
-    const carousels = document.querySelectorAll(".project-media");
-    carousels.forEach((carousel) => {
-        if (carousel.querySelector(".carousel-fullscreen-btn")) return;
+    const onTagActivate = (e) => {
+        const tag = e.target.closest(techTagSelector);
+        if (!tag || !tag.hasAttribute("role")) return;
+        if (e.type === "keydown" && e.key !== "Enter" && e.key !== " ") return;
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
 
-        const slides = carousel.querySelectorAll(".carousel-slide img");
-        if (slides.length === 0) return;
+        e.preventDefault();
+        toggleTech(tag.dataset.tech, { reveal: true });
+    };
+    document.addEventListener("click", onTagActivate);
+    document.addEventListener("keydown", onTagActivate);
 
-        const pauseBtn = document.createElement("button");
-        pauseBtn.className = "carousel-pause-btn";
-        pauseBtn.setAttribute("aria-label", "Pause carousel");
-        pauseBtn.setAttribute("data-playing", "true");
+    if (!filterable) {
+        linkTags("link");
+        return;
+    }
 
-        const playSvg = `<svg class="play-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <path d="M8 5.14v14.72a1 1 0 001.5.86l11-7.36a1 1 0 000-1.72l-11-7.36a1 1 0 00-1.5.86z" fill="currentColor"/>
-        </svg>`;
+    const projects = items.map((el, order) => ({
+        el,
+        order,
+        title: (el.dataset.projectTitle || "").replace(/^\S+\s+/u, ""),
+        category: el.dataset.projectCategoryKey || "",
+        categoryLabel: el.dataset.projectCategory || "",
+        year: Number(el.querySelector(".project-date")?.textContent) || 0,
+        tech: new Set(
+            Array.from(el.querySelectorAll(".tech-tag[data-tech]")).map(
+                (t) => t.dataset.tech,
+            ),
+        ),
+    }));
+
+    const techCounts = new Map();
+    projects.forEach((p) =>
+        p.tech.forEach((slug) =>
+            techCounts.set(slug, (techCounts.get(slug) || 0) + 1),
+        ),
+    );
+    const techList = Array.from(techCounts.keys()).sort(
+        (a, b) =>
+            techCounts.get(b) - techCounts.get(a) ||
+            techLabel(a).localeCompare(techLabel(b)),
+    );
+    const categories = Array.from(
+        new Map(projects.map((p) => [p.category, p.categoryLabel])),
+    );
+    const years = Array.from(new Set(projects.map((p) => p.year)))
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+
+    linkTags("button", (slug) => techCounts.has(slug));
+
+    const state = readState();
+    state.tech = state.tech.filter((slug) => techCounts.has(slug));
+
+    const bar = document.createElement("div");
+    bar.className = "project-filters glass-container";
+    bar.setAttribute("role", "search");
+    bar.setAttribute("aria-label", i18n.t("filterProjects"));
+
+    const chips = document.createElement("div");
+    chips.className = "project-filter-group project-filter-tech";
+    chips.setAttribute("role", "group");
+    chips.setAttribute("aria-label", i18n.t("technology"));
+    techList.forEach((slug) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "project-filter-chip";
+        chip.dataset.tech = slug;
+        const icon = document
+            .querySelector(`.tech-tag[data-tech="${slug}"] img`)
+            ?.cloneNode();
+        if (icon) {
+            icon.alt = "";
+            icon.removeAttribute("class");
+            chip.appendChild(icon);
+        }
+        chip.appendChild(document.createTextNode(techLabel(slug)));
+        chips.appendChild(chip);
+    });
 
-        const pauseSvg = `<svg class="pause-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <rect x="6" y="4" width="4" height="16" rx="1" fill="currentColor"/>
-            <rect x="14" y="4" width="4" height="16" rx="1" fill="currentColor"/>
-        </svg>`;
+    const categoryGroup = document.createElement("div");
+    categoryGroup.className = "project-filter-group project-filter-category";
+    categoryGroup.setAttribute("role", "group");
+    categoryGroup.setAttribute("aria-label", i18n.t("category"));
+    [["", i18n.t("allCategories")], ...categories].forEach(([key, label]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "project-filter-toggle";
+        btn.dataset.category = key;
+        btn.textContent = label;
+        categoryGroup.appendChild(btn);
+    });
 
-        pauseBtn.innerHTML = pauseSvg + playSvg;
+    const select = (name, label, options) => {
+        const wrap = document.createElement("label");
+        wrap.className = "project-filter-field";
+        const caption = document.createElement("span");
+        caption.textContent = label;
+        const el = document.createElement("select");
+        el.name = name;
+        options.forEach(([value, text]) => el.add(new Option(text, value)));
+        wrap.append(caption, el);
+        return { wrap, el };
+    };
 
-        const updatePauseButtonState = (isPaused) => {
-            pauseBtn.setAttribute("data-playing", isPaused ? "false" : "true");
-            pauseBtn.setAttribute(
-                "aria-label",
-                isPaused ? "Resume carousel" : "Pause carousel",
-            );
+    const yearOptions = years.map((y) => [String(y), String(y)]);
+    const fromSelect = select("from", i18n.t("yearFrom"), yearOptions);
+    const toSelect = select("to", i18n.t("yearTo"), yearOptions);
+    const sortSelect = select("sort", i18n.t("sortBy"), [
+        ["featured", i18n.t("sortFeatured")],
+        ["newest", i18n.t("sortNewest")],
+        ["oldest", i18n.t("sortOldest")],
+        ["title", i18n.t("sortTitle")],
+    ]);
+
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button";
+    clearBtn.className = "project-filter-clear";
+    clearBtn.textContent = i18n.t("clearFilters");
+
+    const row = document.createElement("div");
+    row.className = "project-filter-row";
+    row.append(fromSelect.wrap, toSelect.wrap, sortSelect.wrap, clearBtn);
+
+    const status = document.createElement("p");
+    status.className = "project-filter-status";
+    status.setAttribute("aria-live", "polite");
+
+    const techPages = document.createElement("p");
+    techPages.className = "project-filter-pages";
+
+    bar.append(chips, categoryGroup, row, status, techPages);
+    section.insertBefore(bar, section.firstElementChild);
+
+    const minYear = String(years[0] ?? "");
+    const maxYear = String(years[years.length - 1] ?? "");
+
+    const writeQuery = () => {
+        const params = new URLSearchParams(location.search);
+        const set = (name, value, fallback = "") => {
+            if (value && value !== fallback) params.set(name, value);
+            else params.delete(name);
         };
+        set("tech", state.tech.join(","));
+        set("category", state.category);
+        set("from", state.from, minYear);
+        set("to", state.to, maxYear);
+        set("sort", state.sort, "featured");
 
-        pauseBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
-            const media = carousel;
-            const carouselState = media._carouselState;
+        const query = params.toString().replace(/%2C/g, ",");
+        try {
+            history.replaceState(
+                history.state,
+                "",
+                `${location.pathname}${query ? `?${query}` : ""}${location.hash}`,
+            );
+        } catch (error) {
+            console.warn("Failed to update project filters in URL:", error);
+        }
+    };
 
-            if (
-                carouselState &&
-                typeof carouselState.togglePause === "function"
-            ) {
-                const nowPaused = carouselState.togglePause();
-                updatePauseButtonState(nowPaused);
-            }
+    const syncControls = () => {
+        chips.querySelectorAll(".project-filter-chip").forEach((chip) => {
+            chip.setAttribute(
+                "aria-pressed",
+                String(state.tech.includes(chip.dataset.tech)),
+            );
         });
+        categoryGroup
+            .querySelectorAll(".project-filter-toggle")
+            .forEach((btn) => {
+                btn.setAttribute(
+                    "aria-pressed",
+                    String(btn.dataset.category === state.category),
+                );
+            });
+        fromSelect.el.value = state.from || minYear;
+        toSelect.el.value = state.to || maxYear;
+        sortSelect.el.value = state.sort;
+        clearBtn.hidden =
+            state.tech.length === 0 &&
+            !state.category &&
+            (state.from || minYear) === minYear &&
+            (state.to || maxYear) === maxYear;
+
+        techPages.replaceChildren(
+            ...state.tech.map((slug) => {
+                const link = document.createElement("a");
+                link.href = pageUrl(`tech/${encodeURIComponent(slug)}.html`);
+                link.textContent = i18n.t("techPage", {
+                    tech: techLabel(slug),
+                });
+                return link;
+            }),
+        );
+        techPages.hidden = state.tech.length === 0;
+    };
 
-        carousel._pauseBtn = pauseBtn;
-        carousel._updatePauseButtonState = updatePauseButtonState;
+    const matches = (p) => {
+        const from = Number(state.from || minYear);
+        const to = Number(state.to || maxYear);
+        return (
+            state.tech.every((slug) => p.tech.has(slug)) &&
+            (!state.category || p.category === state.category) &&
+            (!p.year || (p.year >= from && p.year <= to))
+        );
+    };
 
-        carousel.appendChild(pauseBtn);
+    const sorters = {
+        featured: (a, b) => a.order - b.order,
+        newest: (a, b) => b.year - a.year || a.order - b.order,
+        oldest: (a, b) => a.year - b.year || a.order - b.order,
+        title: (a, b) =>
+            a.title.localeCompare(b.title, i18n.lang) || a.order - b.order,
+    };
 
-        const fullscreenBtn = document.createElement("button");
-        fullscreenBtn.className = "carousel-fullscreen-btn";
-        fullscreenBtn.setAttribute("aria-label", "View fullscreen");
-        fullscreenBtn.innerHTML = `
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M8 3H5C3.89543 3 3 3.89543 3 5V8M16 3H19C20.1046 3 21 3.89543 21 5V8M8 21H5C3.89543 21 3 20.1046 3 19V16M16 21H19C20.1046 21 21 20.1046 21 19V16" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-        `;
+    // FLIP: measure, reorder and hide, then play each card back from where
+    // it was so the grid reflows instead of jumping.
+    const apply = ({ animate = true } = {}) => {
+        const reduced = window.matchMedia(
+            "(prefers-reduced-motion: reduce)",
+        ).matches;
+        const before = new Map(
+            projects
+                .filter((p) => !p.el.hidden)
+                .map((p) => [p.el, p.el.getBoundingClientRect()]),
+        );
 
-        carousel.appendChild(fullscreenBtn);
+        const sorted = projects
+            .slice()
+            .sort(sorters[state.sort] || sorters.featured);
+        let shown = 0;
+        sorted.forEach((p) => {
+            const visible = matches(p);
+            p.el.hidden = !visible;
+            if (visible) shown++;
+            section.appendChild(p.el);
+        });
 
-        fullscreenBtn.addEventListener("click", () => {
-            const images = Array.from(slides);
-            const activeSlideIndex = Array.from(
-                carousel.querySelectorAll(".carousel-slide"),
-            ).findIndex((slide) => slide.classList.contains("is-active"));
+        status.textContent =
+            shown === 0
+                ? i18n.t("noProjects")
+                : i18n.t("showingProjects", {
+                      shown,
+                      total: projects.length,
+                  });
+        syncControls();
 
-            const media = carousel;
-            const carouselState = media._carouselState || null;
+        if (!animate || reduced) return;
 
-            openModal(images, Math.max(0, activeSlideIndex), carouselState);
+        sorted.forEach((p) => {
+            if (p.el.hidden || p.el.classList.contains("scroll-pending"))
+                return;
+            const last = p.el.getBoundingClientRect();
+            const first = before.get(p.el);
+            if (!first) {
+                p.el.animate(
+                    [
+                        { opacity: 0, transform: "scale(0.97)" },
+                        { opacity: 1, transform: "none" },
+                    ],
+                    { duration: 300, easing: "ease-out" },
+                );
+                return;
+            }
+            const dx = first.left - last.left;
+            const dy = first.top - last.top;
+            if (!dx && !dy) return;
+            p.el.animate(
+                [
+                    { transform: `translate(${dx}px, ${dy}px)` },
+                    { transform: "none" },
+                ],
+                {
+                    duration: 380,
+                    easing: "cubic-bezier(0.25, 0.46, 0.45, 0.94)",
+                },
+            );
         });
-    });
-}
+    };
 
-function exposeCarouselState(projectContainer, carouselState) {
-    const media = projectContainer.querySelector(".project-media");
-    if (media) {
-        media._carouselState = carouselState;
-    }
-}
+    const change = (mutate) => {
+        mutate();
+        if (state.from && state.to && Number(state.from) > Number(state.to)) {
+            [state.from, state.to] = [state.to, state.from];
+        }
+        writeQuery();
+        apply();
+    };
 
-function initializeDownloadButtons() {
-    const container = performanceCache.viewport;
-    if (!container) return;
+    toggleTech = (slug, { reveal = false } = {}) => {
+        if (!techCounts.has(slug)) return;
+        change(() => {
+            state.tech = state.tech.includes(slug)
+                ? state.tech.filter((s) => s !== slug)
+                : [...state.tech, slug];
+        });
+        if (reveal) {
+            bar.scrollIntoView({
+                block: "start",
+                behavior: window.matchMedia("(prefers-reduced-motion: reduce)")
+                    .matches
+                    ? "auto"
+                    : "smooth",
+            });
+        }
+    };
 
-    eventDelegator.addDelegatedListener(
-        container,
-        ".download-btn[data-download]",
-        "click",
-        function () {
-            const downloadUrl = this.getAttribute("data-download");
-            if (downloadUrl) {
-                window.open(downloadUrl, "_blank", "noopener,noreferrer");
-            }
-        },
-        { passive: false },
-    );
+    chips.addEventListener("click", (e) => {
+        const chip = e.target.closest(".project-filter-chip");
+        if (chip) toggleTech(chip.dataset.tech);
+    });
 
-    eventDelegator.addDelegatedListener(
-        container,
-        ".download-btn[data-download]",
-        "keydown",
-        function (e) {
-            if (e.key === "Enter" || e.key === " ") {
-                e.preventDefault();
-                this.click();
-            }
-        },
-        { passive: false },
+    categoryGroup.addEventListener("click", (e) => {
+        const btn = e.target.closest(".project-filter-toggle");
+        if (btn) change(() => (state.category = btn.dataset.category));
+    });
+
+    fromSelect.el.addEventListener("change", () =>
+        change(() => (state.from = fromSelect.el.value)),
+    );
+    toSelect.el.addEventListener("change", () =>
+        change(() => (state.to = toSelect.el.value)),
+    );
+    sortSelect.el.addEventListener("change", () =>
+        change(() => (state.sort = sortSelect.el.value)),
     );
-}
 
-function initializeThemeToggle() {
-    const themeToggleButton = document.querySelector(".theme-toggle-button");
-    const bgVideo = document.getElementById("bg-video");
-    const THEME_KEY = "portfolio-theme";
+    clearBtn.addEventListener("click", () =>
+        change(() => {
+            state.tech = [];
+            state.category = "";
+            state.from = "";
+            state.to = "";
+        }),
+    );
 
-    if (!themeToggleButton) return;
+    apply({ animate: false });
 
-    document.documentElement.classList.remove("obsidian-theme-loading");
+    if (new URLSearchParams(location.search).has("tech") && !location.hash) {
+        bar.scrollIntoView({ block: "start" });
+    }
+}
 
-    const prefersReducedMotion = window.matchMedia(
-        "(prefers-reduced-motion: reduce)",
-    ).matches;
+function initializeProjectTechTagIcons() {
+    const projectTechTags = document.querySelectorAll(
+        ".projects-section .tech-stack .tech-tag",
+    );
+    if (!projectTechTags.length) return;
 
-    const readTheme = () => {
-        try {
-            return localStorage.getItem(THEME_KEY);
-        } catch {
-            return null;
-        }
-    };
-    const writeTheme = (value) => {
-        try {
-            localStorage.setItem(THEME_KEY, value);
-        } catch {}
+    const technologyIconMap = {
+        javascript: {
+            file: "javascript.svg",
+            label: "JavaScript",
+            dataTech: "javascript",
+        },
+        html: { file: "html.svg", label: "HTML", dataTech: "html" },
+        css: { file: "css.svg", label: "CSS", dataTech: "css" },
+        react: { file: "react.svg", label: "React", dataTech: "react" },
+        "node.js": {
+            file: "nodejs.svg",
+            label: "Node.js",
+            dataTech: "nodejs",
+        },
+        nodejs: { file: "nodejs.svg", label: "Node.js", dataTech: "nodejs" },
+        express: {
+            file: "expressjs.svg",
+            label: "Express",
+            dataTech: "express",
+        },
+        "express.js": {
+            file: "expressjs.svg",
+            label: "Express",
+            dataTech: "express",
+        },
+        python: { file: "python.svg", label: "Python", dataTech: "python" },
+        java: { file: "java.svg", label: "Java", dataTech: "java" },
+        postgresql: {
+            file: "postgresql.svg",
+            label: "PostgreSQL",
+            dataTech: "postgresql",
+        },
+        pgadmin: { file: "pgadmin.svg", label: "pgAdmin", dataTech: "pgadmin" },
+        mysql: { file: "mysql.svg", label: "MySQL", dataTech: "mysql" },
+        mongodb: {
+            file: "mongodb.svg",
+            label: "MongoDB",
+            dataTech: "mongodb",
+        },
+        docker: { file: "docker.svg", label: "Docker", dataTech: "docker" },
+        git: { file: "git.svg", label: "Git", dataTech: "git" },
+        github: { file: "github.svg", label: "GitHub", dataTech: "github" },
+        bootstrap: {
+            file: "bootstrap.svg",
+            label: "Bootstrap",
+            dataTech: "bootstrap",
+        },
+        sass: { file: "sass.svg", label: "Sass", dataTech: "sass" },
+        postman: { file: "postman.svg", label: "Postman", dataTech: "postman" },
+        vscode: { file: "vscode.svg", label: "VS Code", dataTech: "vscode" },
+        "vs code": { file: "vscode.svg", label: "VS Code", dataTech: "vscode" },
+        linux: { file: "linux.svg", label: "Linux", dataTech: "linux" },
+        windows: { file: "windows.svg", label: "Windows", dataTech: "windows" },
+        "android studio": {
+            file: "androidstudio.svg",
+            label: "Android Studio",
+            dataTech: "androidstudio",
+        },
+        apache: { file: "apache.svg", label: "Apache", dataTech: "apache" },
+        aws: { file: "aws.svg", label: "AWS", dataTech: "aws" },
+        django: { file: "django.svg", label: "Django", dataTech: "django" },
+        electron: {
+            file: "electron.svg",
+            label: "Electron",
+            dataTech: "electron",
+        },
+        eslint: { file: "eslint.svg", label: "ESLint", dataTech: "eslint" },
+        figma: { file: "figma.svg", label: "Figma", dataTech: "figma" },
+        flask: { file: "flask.svg", label: "Flask", dataTech: "flask" },
+        flutter: { file: "flutter.svg", label: "Flutter", dataTech: "flutter" },
+        npm: { file: "npm.svg", label: "npm", dataTech: "npm" },
+        numpy: { file: "numpy.svg", label: "NumPy", dataTech: "numpy" },
+        render: { file: "render.svg", label: "Render", dataTech: "render" },
+        spring: { file: "spring.svg", label: "Spring", dataTech: "spring" },
+        sqlite: { file: "sqlite.svg", label: "SQLite", dataTech: "sqlite" },
+        "c++": { file: "cplusplus.svg", label: "C++", dataTech: "cplusplus" },
+        jsx: { file: "jsx.svg", label: "JSX", dataTech: "jsx" },
     };
 
-    const playBgVideo = () => {
-        if (!bgVideo) return;
+    const stripLeadingDecorators = (text) =>
+        text.replace(/^[^A-Za-z0-9]+/, "").trim();
 
-        if (prefersReducedMotion) {
-            bgVideo.currentTime = 0;
-            bgVideo.pause();
-        } else {
-            bgVideo.play().catch(() => {});
-        }
-    };
+    projectTechTags.forEach((tag) => {
+        if (tag.dataset.iconized === "true") return;
 
-    const applyTheme = (isObsidian, { persist = true } = {}) => {
-        document.body.classList.toggle("obsidian-theme", isObsidian);
-        themeToggleButton.setAttribute("aria-pressed", String(isObsidian));
+        const rawText = (tag.textContent || "").replace(/\s+/g, " ").trim();
+        if (!rawText) return;
 
-        if (bgVideo) {
-            if (isObsidian) bgVideo.pause();
-            else playBgVideo();
-        }
+        const labelText = stripLeadingDecorators(rawText);
+        const normalizedLabel = labelText.toLowerCase();
+        const iconMeta = technologyIconMap[normalizedLabel];
 
-        if (persist) writeTheme(isObsidian ? "obsidian" : "glass");
-    };
+        if (!iconMeta) return;
 
-    applyTheme(readTheme() !== "glass");
+        const icon = document.createElement("img");
+        icon.src = assetUrl(`assets/tech/${iconMeta.file}`);
+        icon.alt = iconMeta.label;
+        icon.width = 18;
+        icon.height = 18;
+        icon.className = "tech-tag-icon";
+        icon.loading = "lazy";
+        icon.decoding = "async";
 
-    themeToggleButton.addEventListener("click", () => {
-        applyTheme(!document.body.classList.contains("obsidian-theme"));
+        const text = document.createElement("span");
+        text.textContent = iconMeta.label;
 
-        themeToggleButton.style.transform = "scale(0.9)";
-        setTimeout(() => {
-            themeToggleButton.style.transform = "";
-        }, 150);
+        tag.textContent = "";
+        tag.append(icon, text);
+        tag.dataset.tech = iconMeta.dataTech;
+        tag.dataset.iconized = "true";
     });
+}
 
-    themeToggleButton.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" || e.key === " ") {
-            e.preventDefault();
-            themeToggleButton.click();
+function initializeTechStackDivider() {
+    if (!document.body.classList.contains("detail-project")) return;
+
+    const stack = document.querySelector(".tech-stack");
+    if (!stack || stack.querySelector(".tech-divider")) return;
+
+    const tags = Array.from(stack.querySelectorAll(".tech-tag"));
+
+    let lastTech = -1;
+    for (let i = tags.length - 1; i >= 0; i--) {
+        if (tags[i].dataset.iconized === "true") {
+            lastTech = i;
+            break;
         }
-    });
+    }
 
-    initializeSpotlightEffect();
+    if (lastTech === -1 || lastTech === tags.length - 1) return;
+
+    const divider = document.createElement("span");
+    divider.className = "tech-divider";
+    divider.setAttribute("aria-hidden", "true");
+    tags[lastTech].after(divider);
 }
 
 const spotlightEffect = (() => {
@@ -2779,293 +5300,232 @@ const spotlightEffect = (() => {
         });
         document.addEventListener("mouseleave", handleMouseLeave);
 
-        themeObserver = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.attributeName === "class") {
-                    checkTheme();
-                }
-            });
-        });
-
-        themeObserver.observe(document.body, {
-            attributes: true,
-            attributeFilter: ["class"],
-        });
-    }
-
-    function cleanup() {
-        if (!initialized) return;
-
-        if (rafId) {
-            cancelAnimationFrame(rafId);
-            rafId = null;
-        }
-
-        if (themeObserver) {
-            themeObserver.disconnect();
-            themeObserver = null;
-        }
-
-        document.removeEventListener("mousemove", handleMouseMove);
-        document.removeEventListener("mouseleave", handleMouseLeave);
-
-        spotlightContainers.forEach((container) => {
-            container.classList.remove(
-                "spotlight-active",
-                "spotlight-container",
-            );
-            container.style.removeProperty("--spotlight-opacity");
-            container.style.removeProperty("--spotlight-x");
-            container.style.removeProperty("--spotlight-y");
-            const overlay = container.querySelector(".spotlight-overlay");
-            if (overlay) overlay.remove();
-        });
-
-        spotlightContainers = [];
-        initialized = false;
-    }
-
-    return { initialize, cleanup };
-})();
-
-function initializeDetailGallery() {
-    const gallery = document.querySelector(".detail-gallery");
-    const scroller = gallery?.querySelector(".detail-gallery-scroll");
-    if (!gallery || !scroller) return;
-
-    const items = scroller.querySelectorAll(".detail-gallery-item");
-    if (items.length === 0) return;
-
-    const MIN_VISIBLE = 3;
-
-    const track = gallery.querySelector(".scroll-track");
-    const thumb = gallery.querySelector(".scroll-thumb");
-
-    const scrollbar = attachCustomScrollbar(scroller, track, thumb, {
-        onUpdate: () => applyScrollFade(scroller),
-        reserveSpace: true,
-    });
-
-    const article = gallery.closest(".project-item");
-    const stack = article?.querySelector(".detail-desc-stack");
-    const tech = article?.querySelector(".tech-stack");
-    const buttons = article?.querySelector(".project-buttons");
-
-    const height = (el) => (el ? el.getBoundingClientRect().height : 0);
-
-    const applySizing = () => {
-        if (!gallery.offsetParent && gallery.offsetHeight === 0) {
-            gallery.style.height = "";
-            return;
-        }
-
-        const itemHeight = height(items[0]);
-        if (!itemHeight) return;
-
-        const styles = getComputedStyle(scroller);
-        const gap = parseFloat(styles.rowGap) || 0;
-        const outer = getComputedStyle(gallery);
-
-        const frame =
-            (parseFloat(outer.paddingTop) || 0) +
-            (parseFloat(outer.paddingBottom) || 0) +
-            (parseFloat(outer.borderTopWidth) || 0) +
-            (parseFloat(outer.borderBottomWidth) || 0);
-
-        const stackOf = (n) => itemHeight * n + gap * (n - 1) + frame;
-        const floor = stackOf(Math.min(MIN_VISIBLE, items.length));
+        themeObserver = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                if (mutation.attributeName === "class") {
+                    checkTheme();
+                }
+            });
+        });
 
-        const needed = Math.ceil(stackOf(items.length)) + 2;
+        themeObserver.observe(document.body, {
+            attributes: true,
+            attributeFilter: ["class"],
+        });
+    }
 
-        const gridGap = parseFloat(getComputedStyle(article).rowGap) || 0;
-        const available =
-            height(stack) - height(tech) - height(buttons) - gridGap * 2;
+    function cleanup() {
+        if (!initialized) return;
 
-        const cap = Math.max(floor, available);
+        if (rafId) {
+            cancelAnimationFrame(rafId);
+            rafId = null;
+        }
 
-        const target = needed - cap < itemHeight * 0.75 ? needed : cap;
+        if (themeObserver) {
+            themeObserver.disconnect();
+            themeObserver = null;
+        }
 
-        gallery.style.height = `${Math.max(floor, target)}px`;
-    };
+        document.removeEventListener("mousemove", handleMouseMove);
+        document.removeEventListener("mouseleave", handleMouseLeave);
 
-    const refresh = () => {
-        applySizing();
-        scrollbar?.update();
-        applyScrollFade(scroller);
-    };
+        spotlightContainers.forEach((container) => {
+            container.classList.remove(
+                "spotlight-active",
+                "spotlight-container",
+            );
+            container.style.removeProperty("--spotlight-opacity");
+            container.style.removeProperty("--spotlight-x");
+            container.style.removeProperty("--spotlight-y");
+            const overlay = container.querySelector(".spotlight-overlay");
+            if (overlay) overlay.remove();
+        });
 
-    window.addEventListener("resize", debounce(refresh, 100), {
-        passive: true,
-    });
+        spotlightContainers = [];
+        initialized = false;
+    }
 
-    items.forEach((item) => {
-        const img = item.querySelector("img");
-        if (img && !img.complete) {
-            img.addEventListener("load", () => rafScheduler.schedule(refresh), {
-                once: true,
-            });
-        }
-    });
+    return { initialize, cleanup };
+})();
 
-    rafScheduler.schedule(refresh);
-    window.addEventListener("load", () => rafScheduler.schedule(refresh), {
+function initializeSpotlightEffect() {
+    spotlightEffect.initialize();
+
+    window.addEventListener("beforeunload", spotlightEffect.cleanup, {
         once: true,
     });
 }
 
-function initializeContactForm() {
-    const form = document.querySelector(".contact-form");
-    if (!form) return;
+// The toggle cycles through these. "system" follows prefers-color-scheme:
+// glass for a light preference, obsidian otherwise.
+const THEME_MODES = ["obsidian", "glass", "system"];
+const THEME_LABELS = {
+    obsidian: "themeObsidian",
+    glass: "themeGlass",
+    system: "themeSystem",
+};
 
-    form.noValidate = true;
+// What the browser chrome and native controls should look like under each
+// theme. Both put light text on a dark backdrop (glass sits on black), so
+// both keep a dark color-scheme. boot.js has a copy of this and of
+// resolveTheme(): it runs before script.js to avoid a flash.
+const THEME_META = {
+    obsidian: { color: "#1e1e1e", scheme: "dark" },
+    glass: { color: "#000000", scheme: "dark" },
+};
 
-    const status = form.querySelector(".contact-status");
-    const submit = form.querySelector(".contact-submit");
-    const submitLabel = submit?.querySelector("span");
-    const originalLabel = submitLabel?.textContent ?? "Send message";
+const systemPrefersLight = window.matchMedia("(prefers-color-scheme: light)");
+
+const resolveTheme = (mode) =>
+    mode === "system"
+        ? systemPrefersLight.matches
+            ? "glass"
+            : "obsidian"
+        : mode;
+
+const applyThemeMeta = (theme) => {
+    const { color, scheme } = THEME_META[theme];
+    document
+        .querySelector('meta[name="theme-color"]')
+        ?.setAttribute("content", color);
+    document
+        .querySelector('meta[name="color-scheme"]')
+        ?.setAttribute("content", scheme);
+};
 
-    const setStatus = (message, state) => {
-        if (!status) return;
-        status.textContent = message;
-        if (state) status.dataset.state = state;
-        else delete status.dataset.state;
-    };
+function initializeThemeToggle() {
+    const themeToggleButton = document.querySelector(".theme-toggle-button");
+    const THEME_KEY = "portfolio-theme";
 
-    const fieldOf = (input) => input.closest(".contact-field");
+    if (!themeToggleButton) return;
 
-    const showError = (input, message) => {
-        const field = fieldOf(input);
-        if (!field) return;
-        field.classList.toggle("has-error", Boolean(message));
-        const slot = field.querySelector(".contact-error");
-        if (slot) slot.textContent = message;
-        if (message) input.setAttribute("aria-invalid", "true");
-        else input.removeAttribute("aria-invalid");
+    document.documentElement.classList.remove("obsidian-theme-loading");
+
+    const readMode = () => {
+        try {
+            const stored = localStorage.getItem(THEME_KEY);
+            return THEME_MODES.includes(stored) ? stored : "obsidian";
+        } catch {
+            return "obsidian";
+        }
+    };
+    const writeMode = (value) => {
+        try {
+            localStorage.setItem(THEME_KEY, value);
+        } catch {}
     };
 
-    const validate = (input) => {
-        const value = input.value.trim();
+    let mode = readMode();
 
-        if (input.required && !value) {
-            const name = fieldOf(input)?.querySelector("label")?.textContent;
-            showError(input, `${name || "This field"} is required.`);
-            return false;
-        }
+    const applyTheme = ({ persist = true } = {}) => {
+        const theme = resolveTheme(mode);
+        document.body.classList.toggle("obsidian-theme", theme === "obsidian");
+        applyThemeMeta(theme);
 
-        if (
-            input.type === "email" &&
-            value &&
-            !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)
-        ) {
-            showError(input, "Enter a valid email address.");
-            return false;
-        }
+        const label = i18n.t("themeMode", {
+            mode: i18n.t(THEME_LABELS[mode]),
+        });
+        themeToggleButton.dataset.themeMode = mode;
+        themeToggleButton.setAttribute("aria-label", label);
+        themeToggleButton.title = label;
 
-        showError(input, "");
-        return true;
+        if (persist) writeMode(mode);
     };
 
-    const fields = Array.from(
-        form.querySelectorAll(".contact-field input, .contact-field textarea"),
-    );
+    applyTheme({ persist: false });
 
-    fields.forEach((input) => {
-        input.addEventListener("blur", () => validate(input));
-        input.addEventListener("input", () => {
-            if (fieldOf(input)?.classList.contains("has-error"))
-                validate(input);
-        });
+    // Only matters in system mode, but the listener is cheap to keep.
+    systemPrefersLight.addEventListener("change", () => {
+        if (mode === "system") applyTheme({ persist: false });
     });
 
-    form.addEventListener("submit", async (e) => {
-        const invalid = fields.filter((input) => !validate(input));
+    themeToggleButton.addEventListener("click", () => {
+        mode =
+            THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+        applyTheme();
 
-        if (invalid.length > 0) {
+        themeToggleButton.style.transform = "scale(0.9)";
+        setTimeout(() => {
+            themeToggleButton.style.transform = "";
+        }, 150);
+    });
+
+    themeToggleButton.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
             e.preventDefault();
-            invalid[0].focus();
-            setStatus("Please review the highlighted fields.", "error");
-            return;
+            themeToggleButton.click();
         }
+    });
 
-        e.preventDefault();
-
-        if (submit) submit.disabled = true;
-        if (submitLabel) submitLabel.textContent = "Sending…";
-        setStatus("Sending your message…");
+    initializeSpotlightEffect();
+}
 
-        try {
-            const data = new FormData(form);
+document.addEventListener("DOMContentLoaded", function () {
+    if (redirectLegacyAnchor()) return;
+    perfMonitor.mark("dom-ready");
 
-            if (!data.get("form-name"))
-                data.set("form-name", form.getAttribute("name") || "contact");
+    performanceCache.viewport = document.querySelector(".portfolio-container");
+    performanceCache.projectItems = document.querySelectorAll(".project-item");
 
-            const response = await fetch("/", {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/x-www-form-urlencoded",
-                },
-                body: new URLSearchParams(data).toString(),
-            });
+    perfMonitor.mark("critical-init-start");
 
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    initializeThemeToggle();
+    initializeProjectCarousel();
+    initializeScrollEffects();
+    perfMonitor.measure("critical-init", "critical-init-start");
 
-            form.reset();
-            fields.forEach((input) => showError(input, ""));
-            setStatus("Thanks! Your message is on its way.", "ok");
-        } catch (error) {
-            console.warn("Contact form submit failed:", error);
-            setStatus(
-                "Couldn't send it from here. Please email bryan.a.morales@outlook.com directly.",
-                "error",
-            );
-        } finally {
-            if (submit) submit.disabled = false;
-            if (submitLabel) submitLabel.textContent = originalLabel;
-        }
+    idleScheduler.schedule(() => {
+        perfMonitor.mark("idle-init-start");
+        initializeContactButtons();
+        initializeSocialButtons();
+        initializeDownloadButtons();
+        initializeFullscreenModal();
+        initializeNavigationMenu();
+        initializeCertificateLinks();
+        initializeProjectLink();
+        initializeProjectTechTagIcons();
+        initializeProjectFilters();
+        initializeTechStackDivider();
+        initializeScrollTopButton();
+        initializeDetailGallery();
+        initializeContactForm();
+        initializeNotFoundPage();
+        initializeCommandPalette();
+        initializeServiceWorker();
+        perfMonitor.measure("idle-init", "idle-init-start");
+        perfMonitor.measure("total-init", "dom-ready");
     });
-}
-
-function initializeScrollTopButton() {
-    const button = document.querySelector(".scroll-top-button");
-    if (!button) return;
-
-    const threshold = () => Math.max(400, window.innerHeight);
-    let visible = false;
-
-    const update = () => {
-        const shouldShow = window.scrollY > threshold();
-        if (shouldShow === visible) return;
-        visible = shouldShow;
-        button.classList.toggle("is-visible", shouldShow);
-        button.setAttribute("aria-hidden", String(!shouldShow));
-        button.tabIndex = shouldShow ? 0 : -1;
-    };
-
-    const onScroll = () => rafScheduler.schedule(update);
+});
 
-    window.addEventListener("scroll", onScroll, { passive: true });
-    window.addEventListener("resize", onScroll, { passive: true });
+window.addEventListener(
+    "beforeunload",
+    () => {
+        for (const id of performanceCache.timers) {
+            clearTimeout(id);
+        }
 
-    button.addEventListener("click", () => {
-        const reduced = window.matchMedia(
-            "(prefers-reduced-motion: reduce)",
-        ).matches;
-        window.scrollTo({ top: 0, behavior: reduced ? "auto" : "smooth" });
+        carouselViewportObserver.cleanup();
 
-        const top = document.querySelector(".portfolio-container");
-        if (top) {
-            top.setAttribute("tabindex", "-1");
-            top.focus({ preventScroll: true });
+        const projectItems = performanceCache.projectItems;
+        if (projectItems) {
+            projectItems.forEach((projectItem) => {
+                const media = projectItem.querySelector(".project-media");
+                if (media && media._carouselState) {
+                    media._carouselState.cleanup();
+                }
+            });
         }
-    });
 
-    update();
-}
+        performanceCache.timers.clear();
+    },
+    { once: true },
+);
 
-function initializeSpotlightEffect() {
-    spotlightEffect.initialize();
+document.addEventListener("DOMContentLoaded", () => {
+    const projectItems = performanceCache.projectItems;
 
-    window.addEventListener("beforeunload", spotlightEffect.cleanup, {
-        once: true,
+    projectItems.forEach((projectItem) => {
+        initializeProjectScroll(projectItem);
     });
-}
+});
@@ -0,0 +1,287 @@
+/* Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. */
+window.PORTFOLIO_SEARCH = {
+    entries: [
+        {
+            id: "profile-section",
+            page: "about.html",
+            title: "🪄 About Me",
+            category: null,
+            description:
+                "AI Engineering student and freelance full-stack developer from Mexico. Skills, languages, certifications and contact details.",
+            tech: [],
+            text: "",
+        },
+        {
+            id: "project-keeptive",
+            page: "keeptive.html",
+            title: "🟢 Keeptive",
+            category: "Full-Stack",
+            description: "Auto Clicker & Discreet Window Interaction Tool",
+            tech: [
+                "🐍 Python",
+                "⚛️ Electron",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "🪟 Windows",
+                "⚙️ Automation",
+                "🖥️ Desktop App",
+            ],
+            text: "✅ Overview 📌 Keeptive is a Windows automation tool built with Electron and Python, designed to keep windows active by simulating user interactions such as clicks, movements, key presses, and passive signals, all discreetly and without interrupting your workflow. 📌 The application can handle multiple windows simultaneously, manage their states (minimized or restored) to ensure proper interaction, and offers system-wide activation to keep your entire PC awake for as long as needed. 📌 Advanced features include customizable toggle shortcuts for instant start/stop control, system tray integration for background operation, auto-pause when windows are in foreground, precise location picking for click/movement actions, configurable intervals and durations, and the ability to combine multiple activation modes simultaneously for maximum flexibility. 🩷 Features ⚡ Multiple Activation Modes: Four powerful modes that can work independently or simultaneously. Click (simulates mouse clicks), Move (simulates mouse movement), Passive (sends activation signals), and Key Press (simulates keyboard input). Combine multiple modes for enhanced effectiveness. 🎯 System-Wide & Window Specific Targeting: Choose between targeting specific windows or keeping your entire system awake with system-wide mode. Search and select from all open windows with icon previews for easy identification. ⌨️ Global Toggle Shortcuts: Configure custom keyboard shortcuts (F1-F12 directly, or Ctrl+ combinations) to start/stop activation instantly from anywhere, even when the app is minimized to tray. Supports multiple shortcuts simultaneously. 🔔 System Tray Integration: Minimize to system tray to keep the app running discreetly in the background. Quick access menu shows activation status with visual indicators (ON/OFF) and provides instant control without opening the main window. 🚥 Intelligent Window Management: Automatically handles minimized windows by restoring them for interaction and repositioning them in the background without disrupting your workflow. Smart state management ensures seamless operation. 👀 Auto Pause on Focus: Optional pause functionality that automatically stops activation when the target window is already in the foreground, preventing unnecessary interactions and saving resources. 📍 Precision Location Picker: Interactive crosshair tool to select exact screen coordinates for click and movement modes. When disabled, defaults to window center or current cursor position (system-wide mode). ⏱️ Flexible Timing Controls: Fully customizable intervals (in seconds) between actions, optional duration limits (in minutes) or run indefinitely, and adjustable hold time (in milliseconds) for mouse button presses in system-wide mode.",
+        },
+        {
+            id: "project-genetic-algorithm",
+            page: "genetic-algorithm.html",
+            title: "🧬 Genetic Algorithm",
+            category: "Full-Stack",
+            description: "GA for Nutritional Diet Optimization",
+            tech: [
+                "🐍 Python",
+                "🍷 Flask",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "✨ AI",
+                "🧬 GA",
+                "📊 Graphs",
+                "🌐 Web App",
+                "📱 Responsive",
+            ],
+            text: "🥗 Overview 📌 This project implements a Genetic Algorithm for Nutritional Diet Optimization using Flask as the web framework to provide an interactive interface. 📌 Users can upload a food dataset in Excel format and specify daily nutritional requirements (energy, proteins, fats, vitamins, and minerals). 📌 The genetic algorithm generates an optimal diet by selecting food combinations and quantities that best satisfy the specified requirements while minimizing deviations. 📌 The application includes configurable algorithm parameters (population size, generations, crossover and mutation probabilities), result visualization with fitness evolution graphs, and a responsive web interface with dark mode support. 📌 The project ships pre-configured with a default food dataset, making it immediately usable without requiring an uploaded file. 🩷 Features ⚡ Genetic Algorithm Optimization: Uses GA to explore food combinations and quantities to meet nutritional targets while minimizing deviation from requirements. 🎯 Excel Food Dataset Upload: Accepts user-provided food datasets in Excel format for customizable food options and nutrition data. 📍 User Nutritional Requirements: Input fields for daily targets: energy, proteins, fats, vitamins, and minerals. 🔧 Configurable GA Parameters: Adjust population size, number of generations, crossover probability, and mutation probability to tune the optimization. 📈 Result Visualization: Fitness evolution graphs show how solutions improve across generations and present final diet recommendations. 🖥️ Flask Web Interface: Interactive, responsive UI that works across devices and includes dark mode for comfortable use. 📂 Default Dataset Included: Comes with a ready-to-use food dataset so the app is usable immediately without uploads.",
+        },
+        {
+            id: "project-restful-api",
+            page: "restful-api.html",
+            title: "🔗 RESTful API",
+            category: "Full-Stack",
+            description: "RESTful User Management API",
+            tech: [
+                "🐍 Python",
+                "🐢 Django",
+                "⚛️ React",
+                "📜 JavaScript",
+                "✖️ JSX",
+                "💾 SQLite",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "🔗 RESTful",
+                "🛠️ API",
+                "🌐 Web App",
+                "📱 Responsive",
+            ],
+            text: "⚙️ Overview 📌 This is a full-stack RESTful API application built with Django REST Framework for the backend and React.js for the frontend. 📌 The project implements a complete user authentication and profile management system featuring user registration, login functionality, and JWT token-based authentication. 📌 The backend utilizes SQLite as the database for simplicity and portability, while the frontend provides a responsive and intuitive user interface for seamless interaction. 📌 The application follows REST architectural principles with proper HTTP methods, JSON data exchange, and stateless communication between client and server. 📌 It is designed to be easily deployable on cloud platforms like Render, with dynamic API URL configuration for both development and production environments. 🩷 Features ⚙️ Full-Stack Architecture: Built with Django REST Framework for the backend and React.js for the frontend. 🔐 User Authentication: Complete system featuring user registration, login functionality, and JWT token-based authentication. 👤 Profile Management: Comprehensive profile management capabilities including image uploads. 📡 REST Principles: Follows REST architectural principles with proper HTTP methods, JSON data exchange, and stateless communication. 🚀 Cloud Deployment: Designed to be easily deployable on cloud platforms like Render with dynamic API URL configuration. 📱 Responsive Interface: Provides a responsive and intuitive user interface for seamless interaction with API endpoints.",
+        },
+        {
+            id: "project-dfa",
+            page: "dfa.html",
+            title: "🔀 Deterministic Finite Automaton",
+            category: "Full-Stack",
+            description: "HTTPS URL Extractor Using DFA",
+            tech: [
+                "🐍 Python",
+                "🍷 Flask",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "🔀 DFA",
+                "🕸️ Web Scraping",
+                "🌐 Web App",
+                "📱 Responsive",
+            ],
+            text: "🤖 Overview 📌 This is a web application that demonstrates the practical implementation of automata theory in computer science. 📌 The project features a deterministic finite automaton (DFA) designed to parse and extract secure HTTPS external links from web pages. 📌 Built with Flask and Python, the application takes a URL as input, fetches the webpage content, and uses a custom-built finite state machine to identify and validate HTTPS URLs while filtering out internal links. 📌 The automaton processes each character of the HTML content through defined states and transitions, showcasing how theoretical computer science concepts can be applied to real-world web scraping and URL validation tasks. 📌 This educational tool combines web development with formal language theory, making it an excellent example of how automata can be used for pattern recognition and text processing in modern applications. 🩷 Features 🌐 Automata Implementation: Demonstrates the practical implementation of automata theory in computer science. 🔄 DFA Link Extraction: Features a deterministic finite automaton (DFA) designed to parse and extract secure HTTPS external links. ⚙️ Custom State Machine: Uses a custom-built finite state machine to identify and validate HTTPS URLs while filtering out internal links. 🔤 Character Processing: Processes each character of the HTML content through defined states and transitions. 🎓 Educational Tool: Combines web development with formal language theory for pattern recognition and text processing.",
+        },
+        {
+            id: "project-analyzer",
+            page: "analyzer.html",
+            title: "📚 Lexical, Syntactic & Semantic Analyzer",
+            category: "Full-Stack",
+            description:
+                "SQL Statement Analyzer With Lexer, Parser And Semantic Checker",
+            tech: [
+                "🐍 Python",
+                "🍷 Flask",
+                "🖼️ HTML",
+                "🎨 CSS",
+                "💾 SQLite",
+                "💻 Compiler Design",
+                "🔍 Lexical",
+                "🌳 Syntax Parser",
+                "🧠 Semantic",
+                "🌐 Web App",
+                "📱 Responsive",
+            ],
+            text: "🧠 Overview 📌 This is a web application built with Flask that implements a comprehensive SQL analyzer featuring lexical, syntactic, and semantic analysis capabilities. 📌 The project uses PLY (Python Lex-Yacc) to tokenize and parse SQL statements including CREATE DATABASE, USE, CREATE TABLE, INSERT INTO, UPDATE, and DELETE commands. 📌 It provides real-time feedback on query validation through three independent analyzers that can be tested individually or in sequence. The application uses SQLite as its backend database engine and features a modern, responsive UI with dark mode support. 📌 Users can write SQL statements directly in dedicated text areas for each analyzer type and instantly see detailed results including token lists, abstract syntax trees (AST), and semantic validation messages. 📌 The semantic analyzer verifies database and table existence, validates SQL statement structure, and executes valid queries against the SQLite database, making it an excellent tool for learning SQL syntax and understanding compiler design concepts. 🩷 Features 🔍 Comprehensive Analysis: Implements a SQL analyzer featuring lexical, syntactic, and semantic analysis capabilities built with Flask. 🧰 PLY Integration: Uses Python Lex-Yacc to tokenize and parse SQL statements including CREATE, INSERT, UPDATE, and DELETE commands. ⚡ Real-time Validation: Provides feedback through three independent analyzers that can be tested individually or in sequence. 📜 Detailed Results: Instantly displays detailed results including token lists, abstract syntax trees (AST), and semantic validation messages. ▶️ Semantic Execution: Verifies database existence, validates structure, and executes valid queries against the SQLite backend. 🖥️ Modern Interface: Features a responsive UI with dark mode support and dedicated text areas for writing SQL statements.",
+        },
+        {
+            id: "project-disney-redesign",
+            page: "disney-redesign.html",
+            title: "🏰 Disney+ Redesign",
+            category: "UI/UX Design",
+            description: "Modern Streaming Platform Interface",
+            tech: [
+                "🎨 Figma",
+                "🖌️ UI Design",
+                "💡 UX Research",
+                "🎬 Streaming",
+                "👽 Modern",
+                "🌈 Visual Design",
+                "🛜 Web Design",
+            ],
+            text: "🎬 Overview 📌 This Disney+ Redesign is a comprehensive UI/UX project that reimagines the streaming platform with a modern and intuitive interface. 📌 The design focuses on improving user experience through better content discovery and enhanced navigation. 🩷 Features 🧩 UI/UX Project: A comprehensive project that reimagines the streaming platform. 🕶️ Modern Interface: Features a modern and intuitive interface design. 💡 User Experience: Focuses on improving user experience across the platform. 🎬 Content Discovery: Facilitates better content discovery for users. 🧭 Enhanced Navigation: Provides enhanced navigation capabilities.",
+        },
+        {
+            id: "project-qualitor",
+            page: "qualitor.html",
+            title: "🎯 QualiTor",
+            category: "UI/UX Design",
+            description:
+                "MoProSoft-Based System for Creating Software Quality Manuals",
+            tech: [
+                "🎨 Figma",
+                "🖌️ UI Design",
+                "💡 UX Research",
+                "📊 Dashboard",
+                "🏛️ MoProSoft",
+                "🏃 Scrum",
+                "🎯 Quality Control",
+            ],
+            text: "🏛️ Overview 📌 QualiTor is a software design project focused on creating quality manuals based on the MoProSoft model. 📌 The design emphasizes structured templates, process mapping, and clear documentation workflows. 🩷 Features 💻 Software Design: A software design project focused on creating quality manuals. 🧩 MoProSoft Model: Based on the MoProSoft model for quality manual creation. 🗂️ Structured Templates: Emphasizes the use of structured templates for organization. 🔄 Process Mapping: Includes process mapping capabilities for visualizing workflows. 📝 Documentation Workflows: Ensures clear and efficient documentation workflows.",
+        },
+        {
+            id: "contact-section",
+            page: "contact.html",
+            title: "✉️ Contact",
+            category: null,
+            description:
+                "Send a message to Bryan Morales, freelance full-stack developer and UX/UI designer.",
+            tech: [],
+            text: "",
+        },
+        {
+            id: "tech-css",
+            page: "tech/css.html",
+            title: "CSS",
+            category: "Technology",
+            description: "5 projects by Bryan Morales built with CSS.",
+            tech: ["CSS"],
+            text: "",
+        },
+        {
+            id: "tech-django",
+            page: "tech/django.html",
+            title: "Django",
+            category: "Technology",
+            description: "One project by Bryan Morales built with Django.",
+            tech: ["Django"],
+            text: "",
+        },
+        {
+            id: "tech-electron",
+            page: "tech/electron.html",
+            title: "Electron",
+            category: "Technology",
+            description: "One project by Bryan Morales built with Electron.",
+            tech: ["Electron"],
+            text: "",
+        },
+        {
+            id: "tech-figma",
+            page: "tech/figma.html",
+            title: "Figma",
+            category: "Technology",
+            description: "2 projects by Bryan Morales built with Figma.",
+            tech: ["Figma"],
+            text: "",
+        },
+        {
+            id: "tech-flask",
+            page: "tech/flask.html",
+            title: "Flask",
+            category: "Technology",
+            description: "3 projects by Bryan Morales built with Flask.",
+            tech: ["Flask"],
+            text: "",
+        },
+        {
+            id: "tech-html",
+            page: "tech/html.html",
+            title: "HTML",
+            category: "Technology",
+            description: "5 projects by Bryan Morales built with HTML.",
+            tech: ["HTML"],
+            text: "",
+        },
+        {
+            id: "tech-javascript",
+            page: "tech/javascript.html",
+            title: "JavaScript",
+            category: "Technology",
+            description: "One project by Bryan Morales built with JavaScript.",
+            tech: ["JavaScript"],
+            text: "",
+        },
+        {
+            id: "tech-jsx",
+            page: "tech/jsx.html",
+            title: "JSX",
+            category: "Technology",
+            description: "One project by Bryan Morales built with JSX.",
+            tech: ["JSX"],
+            text: "",
+        },
+        {
+            id: "tech-python",
+            page: "tech/python.html",
+            title: "Python",
+            category: "Technology",
+            description: "5 projects by Bryan Morales built with Python.",
+            tech: ["Python"],
+            text: "",
+        },
+        {
+            id: "tech-react",
+            page: "tech/react.html",
+            title: "React",
+            category: "Technology",
+            description: "One project by Bryan Morales built with React.",
+            tech: ["React"],
+            text: "",
+        },
+        {
+            id: "tech-sqlite",
+            page: "tech/sqlite.html",
+            title: "SQLite",
+            category: "Technology",
+            description: "2 projects by Bryan Morales built with SQLite.",
+            tech: ["SQLite"],
+            text: "",
+        },
+        {
+            id: "tech-windows",
+            page: "tech/windows.html",
+            title: "Windows",
+            category: "Technology",
+            description: "One project by Bryan Morales built with Windows.",
+            tech: ["Windows"],
+            text: "",
+        },
+    ],
+    actions: [
+        {
+            action: "theme",
+            title: "🌗 Toggle theme",
+        },
+        {
+            action: "contact",
+            title: "✉️ Open contact form",
+            page: "contact.html",
+        },
+        {
+            action: "copy",
+            title: "📋 Copy email",
+            value: "bryan.a.morales@outlook.com",
+        },
+        {
+            action: "open",
+            title: "⬇️ Download Keeptive release",
+            url: "https://github.com/IHyperLight/Keeptive/releases/tag/v1.2.1",
+        },
+    ],
+};
@@ -1,4 +1,4 @@
-/* Generated by tools/build-pages.mjs. Edit index.html instead. */
+/* Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. */
 window.PORTFOLIO_SECTIONS = [
     {
         id: "profile-section",
@@ -66,3 +66,15 @@ window.PORTFOLIO_SECTIONS = [
         description: "",
     },
 ];
+window.PORTFOLIO_LOCALES = [
+    {
+        lang: "en",
+        name: "English",
+        root: "",
+    },
+    {
+        lang: "es",
+        name: "Español",
+        root: "es/",
+    },
+];
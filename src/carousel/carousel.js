@@ -0,0 +1,1042 @@
+import { performanceCache } from "../core/performance.js";
+import { carouselHash } from "./hash.js";
+import { carouselViewportObserver } from "./viewport.js";
+
+export function initializeProjectCarousel() {
+    const projectItems = performanceCache.projectItems;
+
+    projectItems.forEach((projectItem) => {
+        initializeSingleCarousel(projectItem);
+    });
+}
+
+function initializeSingleCarousel(projectContainer) {
+    const media = projectContainer.querySelector(".project-media");
+    if (!media) return;
+
+    const viewport = media.querySelector(".carousel-viewport");
+    const slides = Array.from(media.querySelectorAll(".carousel-slide"));
+    const nextBtn = projectContainer.querySelector(
+        ".carousel-controls .carousel-btn.next",
+    );
+    const prevBtn = projectContainer.querySelector(
+        ".carousel-controls .carousel-btn.prev",
+    );
+    const dots = Array.from(
+        projectContainer.querySelectorAll(".carousel-controls .carousel-dot"),
+    );
+    const progressFill = projectContainer.querySelector(
+        ".carousel-controls .carousel-progress-fill",
+    );
+
+    if (!viewport || slides.length === 0) return;
+
+    let index = 0;
+    const intervalMs = 5000;
+    let timer = null;
+    let animationFrame = null;
+    let startTs = 0;
+    let pauseElapsed = 0;
+    let paused = false;
+    let viewportPaused = false;
+    let initialized = false;
+    let destroyed = false;
+    let pausedByFullscreen = false;
+    let shouldAutoStart = false;
+    let isInViewport = false;
+    let wasManuallyPausedBeforeFullscreen = false;
+    let progressEndHandler = null;
+
+    let pageHidden = false;
+    let hiddenTimestamp = 0;
+
+    const cleanupFns = new Set();
+    const cleanupTimeouts = new Set();
+    const cleanupRafs = new Set();
+
+    const validateState = () => {
+        if (destroyed) {
+            console.warn("Carousel operation on destroyed instance");
+            return false;
+        }
+        return true;
+    };
+
+    const setActive = (i, { animate = true, resetProgress = false } = {}) => {
+        if (!validateState()) return;
+
+        try {
+            const newIndex = (i + slides.length) % slides.length;
+
+            if (newIndex === index && !resetProgress) return;
+
+            index = newIndex;
+
+            slides.forEach((s, idx) => {
+                const isActive = idx === index;
+                s.classList.toggle("is-active", isActive);
+                s.setAttribute("aria-hidden", !isActive);
+            });
+
+            dots.forEach((d, idx) => {
+                const isActive = idx === index;
+                d.classList.toggle("is-active", isActive);
+                if (isActive) {
+                    d.setAttribute("aria-current", "true");
+                } else {
+                    d.removeAttribute("aria-current");
+                }
+            });
+
+            if (resetProgress && progressFill) {
+                progressFill.style.transition = "none";
+                progressFill.style.width = "0%";
+                void progressFill.offsetWidth;
+            }
+        } catch (error) {
+            console.warn("Error in setActive:", error);
+        }
+    };
+
+    const completeProgressReset = () => {
+        if (!validateState()) return;
+
+        try {
+            stopAuto();
+
+            if (progressFill) {
+                progressFill.style.transition = "none";
+                progressFill.style.width = "0%";
+                void progressFill.offsetWidth;
+            }
+
+            pauseElapsed = 0;
+            startTs = 0;
+        } catch (error) {
+            console.warn("Error in completeProgressReset:", error);
+        }
+    };
+
+    const rememberSlide = () => {
+        if (!projectContainer.id) return;
+        carouselHash.write(
+            carouselHash.format(projectContainer.id, "slide", index),
+        );
+    };
+
+    const next = () => {
+        if (!validateState()) return;
+        completeProgressReset();
+        setActive(index + 1, { resetProgress: true });
+        rememberSlide();
+    };
+
+    const prev = () => {
+        if (!validateState()) return;
+        completeProgressReset();
+        setActive(index - 1, { resetProgress: true });
+        rememberSlide();
+    };
+
+    const stopAuto = () => {
+        if (!validateState()) return;
+
+        try {
+            if (progressFill && progressEndHandler) {
+                progressFill.removeEventListener(
+                    "transitionend",
+                    progressEndHandler,
+                );
+                progressEndHandler = null;
+            }
+
+            if (timer) {
+                const t = timer;
+                clearTimeout(t);
+                cleanupTimeouts.delete(t);
+                timer = null;
+            }
+
+            if (animationFrame) {
+                const raf = animationFrame;
+                cancelAnimationFrame(raf);
+                cleanupRafs.delete(raf);
+                animationFrame = null;
+            }
+
+            if (progressFill) {
+                const computed = window.getComputedStyle(progressFill);
+                const currentWidth = computed.width;
+
+                progressFill.style.transition = "none";
+                progressFill.style.width = currentWidth;
+
+                void progressFill.offsetWidth;
+
+                const track = progressFill.parentElement;
+                if (track && track.clientWidth > 0) {
+                    const currentPx = parseFloat(currentWidth) || 0;
+                    const totalPx = track.clientWidth;
+                    const currentPct = Math.max(
+                        0,
+                        Math.min(1, currentPx / totalPx),
+                    );
+                    pauseElapsed = Math.round(currentPct * intervalMs);
+                }
+            }
+        } catch (error) {
+            console.warn("Error in stopAuto:", error);
+        }
+    };
+    const startAuto = () => {
+        if (!validateState() || viewportPaused || pageHidden) return;
+
+        try {
+            stopAuto();
+
+            if (document.hidden) {
+                pageHidden = true;
+                return;
+            }
+
+            const remaining = Math.max(16, intervalMs - pauseElapsed);
+
+            if (progressFill) {
+                const currentPct = Math.max(
+                    0,
+                    Math.min(1, pauseElapsed / intervalMs),
+                );
+
+                progressFill.style.transition = "none";
+                progressFill.style.width = `${currentPct * 100}%`;
+                void progressFill.offsetWidth;
+
+                progressFill.style.transition = `width ${remaining}ms linear`;
+
+                let advanced = false;
+                const advance = (source) => {
+                    if (advanced) return;
+                    if (viewportPaused || destroyed || paused || pageHidden)
+                        return;
+                    advanced = true;
+
+                    if (progressFill && progressEndHandler) {
+                        progressFill.removeEventListener(
+                            "transitionend",
+                            progressEndHandler,
+                        );
+                        progressEndHandler = null;
+                    }
+                    if (timer) {
+                        clearTimeout(timer);
+                        cleanupTimeouts.delete(timer);
+                        timer = null;
+                    }
+                    if (animationFrame) {
+                        cancelAnimationFrame(animationFrame);
+                        cleanupRafs.delete(animationFrame);
+                        animationFrame = null;
+                    }
+
+                    if (document.hidden) {
+                        pageHidden = true;
+                        pauseElapsed = 0;
+                        return;
+                    }
+
+                    pauseElapsed = 0;
+                    setActive(index + 1, { resetProgress: true });
+
+                    if (
+                        !viewportPaused &&
+                        !destroyed &&
+                        !paused &&
+                        !pageHidden
+                    ) {
+                        startAuto();
+                    }
+                };
+
+                progressEndHandler = (e) => {
+                    if (
+                        e.target === progressFill &&
+                        e.propertyName === "width" &&
+                        !document.hidden
+                    ) {
+                        advance("transitionend");
+                    }
+                };
+                progressFill.addEventListener(
+                    "transitionend",
+                    progressEndHandler,
+                    { once: true },
+                );
+
+                animationFrame = requestAnimationFrame(() => {
+                    const raf = animationFrame;
+                    if (
+                        progressFill &&
+                        !viewportPaused &&
+                        !destroyed &&
+                        !paused &&
+                        !document.hidden
+                    ) {
+                        progressFill.style.width = "100%";
+                    }
+                    if (raf != null) cleanupRafs.delete(raf);
+                    animationFrame = null;
+                });
+                cleanupRafs.add(animationFrame);
+
+                timer = setTimeout(() => {
+                    if (
+                        !viewportPaused &&
+                        !destroyed &&
+                        !paused &&
+                        !advanced &&
+                        !document.hidden
+                    ) {
+                        advance("timeout-fallback");
+                    }
+                    if (timer != null) cleanupTimeouts.delete(timer);
+                    timer = null;
+                }, remaining + 250);
+                cleanupTimeouts.add(timer);
+            }
+
+            startTs = performance.now() - pauseElapsed;
+        } catch (error) {
+            console.warn("Error in startAuto:", error);
+        }
+    };
+
+    const pauseAutoplay = () => {
+        if (!validateState() || paused) return;
+
+        try {
+            paused = true;
+
+            const now = performance.now();
+            const elapsed = startTs ? now - startTs : 0;
+
+            if (progressFill) {
+                const computed = window.getComputedStyle(progressFill);
+                const track = progressFill.parentElement;
+                if (track && track.clientWidth > 0) {
+                    const currentPx = parseFloat(computed.width) || 0;
+                    const totalPx = track.clientWidth;
+                    const actualPct = Math.max(
+                        0,
+                        Math.min(1, currentPx / totalPx),
+                    );
+
+                    const calculatedElapsed = Math.max(
+                        0,
+                        Math.min(intervalMs, elapsed),
+                    );
+                    const actualElapsed = Math.round(actualPct * intervalMs);
+                    pauseElapsed = Math.max(calculatedElapsed, actualElapsed);
+                } else {
+                    pauseElapsed = Math.max(0, Math.min(intervalMs, elapsed));
+                }
+            } else {
+                pauseElapsed = Math.max(0, Math.min(intervalMs, elapsed));
+            }
+
+            stopAuto();
+
+            if (progressFill) {
+                const pct = Math.max(0, Math.min(1, pauseElapsed / intervalMs));
+                progressFill.style.transition = "none";
+                progressFill.style.width = `${pct * 100}%`;
+                void progressFill.offsetWidth;
+            }
+        } catch (error) {
+            console.warn("Error in pauseAutoplay:", error);
+        }
+    };
+
+    const resumeAutoplay = () => {
+        if (!validateState() || !paused || viewportPaused) return;
+
+        try {
+            paused = false;
+            startAuto();
+        } catch (error) {
+            console.warn("Error in resumeAutoplay:", error);
+        }
+    };
+
+    const pauseForViewport = () => {
+        if (!validateState() || viewportPaused) return;
+
+        try {
+            viewportPaused = true;
+            isInViewport = false;
+
+            if (startTs && !paused) {
+                const now = performance.now();
+                const elapsed = now - startTs;
+
+                if (progressFill) {
+                    const computed = window.getComputedStyle(progressFill);
+                    const track = progressFill.parentElement;
+                    if (track && track.clientWidth > 0) {
+                        const currentPx = parseFloat(computed.width) || 0;
+                        const totalPx = track.clientWidth;
+                        const actualPct = Math.max(
+                            0,
+                            Math.min(1, currentPx / totalPx),
+                        );
+
+                        const calculatedElapsed = Math.max(
+                            0,
+                            Math.min(intervalMs, elapsed),
+                        );
+                        const actualElapsed = Math.round(
+                            actualPct * intervalMs,
+                        );
+                        pauseElapsed = Math.max(
+                            calculatedElapsed,
+                            actualElapsed,
+                        );
+                    } else {
+                        pauseElapsed = Math.max(
+                            0,
+                            Math.min(intervalMs, elapsed),
+                        );
+                    }
+                } else {
+                    pauseElapsed = Math.max(0, Math.min(intervalMs, elapsed));
+                }
+            }
+
+            stopAuto();
+
+            if (progressFill) {
+                const pct = Math.max(0, Math.min(1, pauseElapsed / intervalMs));
+                progressFill.style.transition = "none";
+                progressFill.style.width = `${pct * 100}%`;
+                void progressFill.offsetWidth;
+            }
+        } catch (error) {
+            console.warn("Error in pauseForViewport:", error);
+        }
+    };
+
+    const resumeFromViewportPause = () => {
+        if (!validateState()) return;
+
+        try {
+            viewportPaused = false;
+            isInViewport = true;
+
+            if (pausedByFullscreen) return;
+
+            if (shouldAutoStart) {
+                shouldAutoStart = false;
+                paused = false;
+                completeProgressReset();
+                startAuto();
+                return;
+            }
+
+            if (!paused) {
+                startAuto();
+            }
+        } catch (error) {
+            console.warn("Error in resumeFromViewportPause:", error);
+        }
+    };
+
+    const initialize = () => {
+        if (!validateState() || initialized) return;
+
+        try {
+            initialized = true;
+            isInViewport = true;
+
+            if (slides.length > 0) {
+                completeProgressReset();
+                setActive(index, { resetProgress: true });
+
+                if (pausedByFullscreen) {
+                    shouldAutoStart = true;
+                    return;
+                }
+
+                const initTimer = setTimeout(() => {
+                    if (!viewportPaused && !destroyed && !paused) {
+                        startAuto();
+                    }
+                    cleanupTimeouts.delete(initTimer);
+                }, 100);
+                cleanupTimeouts.add(initTimer);
+            }
+        } catch (error) {
+            console.warn("Error in initialize:", error);
+        }
+    };
+
+    const onFullscreenOpen = () => {
+        if (!validateState()) return;
+
+        try {
+            wasManuallyPausedBeforeFullscreen = paused;
+            pausedByFullscreen = true;
+
+            if (!initialized) {
+                paused = true;
+                shouldAutoStart = !wasManuallyPausedBeforeFullscreen;
+                return;
+            }
+
+            pauseAutoplay();
+        } catch (error) {
+            console.warn("Error in onFullscreenOpen:", error);
+        }
+    };
+
+    const onFullscreenClose = () => {
+        if (!validateState()) return;
+
+        try {
+            pausedByFullscreen = false;
+
+            if (wasManuallyPausedBeforeFullscreen) {
+                paused = true;
+                shouldAutoStart = false;
+                wasManuallyPausedBeforeFullscreen = false;
+                return;
+            }
+
+            if (initialized && isInViewport) {
+                paused = false;
+                shouldAutoStart = false;
+                completeProgressReset();
+                startAuto();
+                return;
+            }
+
+            paused = false;
+            shouldAutoStart = true;
+        } catch (error) {
+            console.warn("Error in onFullscreenClose:", error);
+        }
+    };
+
+    const resetProgress = () => {
+        if (!validateState()) return;
+
+        try {
+            if (progressFill) {
+                progressFill.style.transition = "none";
+                progressFill.style.width = "0%";
+                void progressFill.offsetWidth;
+            }
+        } catch (error) {
+            console.warn("Error in resetProgress:", error);
+        }
+    };
+
+    const handleVisibilityChange = () => {
+        if (!validateState()) return;
+
+        try {
+            const isHidden = document.hidden;
+
+            if (isHidden && !pageHidden) {
+                pageHidden = true;
+                hiddenTimestamp = performance.now();
+
+                if (
+                    initialized &&
+                    isInViewport &&
+                    !viewportPaused &&
+                    !paused &&
+                    !pausedByFullscreen
+                ) {
+                    if (startTs) {
+                        const elapsed = performance.now() - startTs;
+                        pauseElapsed = Math.max(
+                            0,
+                            Math.min(intervalMs, elapsed),
+                        );
+                    }
+
+                    stopAuto();
+                }
+            } else if (!isHidden && pageHidden) {
+                pageHidden = false;
+
+                if (
+                    initialized &&
+                    isInViewport &&
+                    !viewportPaused &&
+                    !paused &&
+                    !pausedByFullscreen
+                ) {
+                    const timeHidden = performance.now() - hiddenTimestamp;
+
+                    if (timeHidden > 100) {
+                        completeProgressReset();
+
+                        const recalibrationTimer = setTimeout(() => {
+                            if (
+                                !destroyed &&
+                                !viewportPaused &&
+                                !paused &&
+                                !pausedByFullscreen
+                            ) {
+                                startAuto();
+                            }
+                            cleanupTimeouts.delete(recalibrationTimer);
+                        }, 50);
+                        cleanupTimeouts.add(recalibrationTimer);
+                    } else {
+                        startAuto();
+                    }
+                }
+
+                hiddenTimestamp = 0;
+            }
+        } catch (error) {
+            console.warn("Error in handleVisibilityChange:", error);
+        }
+    };
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    cleanupFns.add(() => {
+        document.removeEventListener(
+            "visibilitychange",
+            handleVisibilityChange,
+        );
+    });
+
+    nextBtn?.addEventListener("click", () => {
+        if (!validateState()) return;
+
+        try {
+            next();
+            if (!paused && !viewportPaused) {
+                startAuto();
+            } else if (paused) {
+                resetProgress();
+            }
+        } catch (error) {
+            console.warn("Error in nextBtn click:", error);
+        }
+    });
+
+    prevBtn?.addEventListener("click", () => {
+        if (!validateState()) return;
+
+        try {
+            prev();
+            if (!paused && !viewportPaused) {
+                startAuto();
+            } else if (paused) {
+                resetProgress();
+            }
+        } catch (error) {
+            console.warn("Error in prevBtn click:", error);
+        }
+    });
+
+    dots.forEach((d, idx) =>
+        d.addEventListener("click", () => {
+            if (!validateState()) return;
+
+            try {
+                completeProgressReset();
+                setActive(idx, { resetProgress: true });
+                rememberSlide();
+                if (!paused && !viewportPaused) {
+                    startAuto();
+                } else if (paused) {
+                    resetProgress();
+                }
+            } catch (error) {
+                console.warn("Error in dot click:", error);
+            }
+        }),
+    );
+
+    media.addEventListener("keydown", (e) => {
+        if (!validateState()) return;
+
+        try {
+            if (e.key === "ArrowRight") {
+                e.preventDefault();
+                next();
+                if (!paused && !viewportPaused) {
+                    startAuto();
+                } else if (paused) {
+                    resetProgress();
+                }
+            } else if (e.key === "ArrowLeft") {
+                e.preventDefault();
+                prev();
+                if (!paused && !viewportPaused) {
+                    startAuto();
+                } else if (paused) {
+                    resetProgress();
+                }
+            }
+        } catch (error) {
+            console.warn("Error in keyboard navigation:", error);
+        }
+    });
+
+    const swipeThreshold = 8;
+    const swipeCommitRatio = 0.25;
+    const swipeFlickVelocity = 0.45;
+    const swipeSettleMs = window.matchMedia("(prefers-reduced-motion: reduce)")
+        .matches
+        ? 0
+        : 320;
+
+    let dragPointer = null;
+    let dragStartX = 0;
+    let dragStartY = 0;
+    let dragX = 0;
+    let dragging = false;
+    let dragWasPaused = false;
+    let dragSamples = [];
+    let settling = false;
+    let suppressClick = false;
+
+    // Past the first or last slide the drag meets growing resistance
+    // instead of wrapping around like the buttons do.
+    const rubberBand = (dx, width) =>
+        Math.sign(dx) * (1 - 1 / ((Math.abs(dx) * 0.55) / width + 1)) * width;
+
+    const dragTarget = () => (dragX < 0 ? index + 1 : index - 1);
+
+    const hasDragNeighbor = () => {
+        const target = dragTarget();
+        return dragX !== 0 && target >= 0 && target < slides.length;
+    };
+
+    const renderDrag = (transition = "") => {
+        const width = viewport.clientWidth || 1;
+        const target = dragTarget();
+        const neighbor = hasDragNeighbor();
+        const offset = neighbor ? dragX : rubberBand(dragX, width);
+
+        slides.forEach((s, idx) => {
+            s.style.transition = transition;
+            if (idx === index) {
+                s.style.transform = `translate3d(${offset}px, 0, 0)`;
+            } else if (neighbor && idx === target) {
+                const from = dragX < 0 ? width : -width;
+                s.style.opacity = "1";
+                s.style.transform = `translate3d(${offset + from}px, 0, 0)`;
+            } else {
+                s.style.opacity = "";
+                s.style.transform = "";
+            }
+        });
+    };
+
+    const clearDragStyles = () => {
+        viewport.classList.add("is-dragging");
+        slides.forEach((s) => {
+            s.style.transition = "";
+            s.style.opacity = "";
+            s.style.transform = "";
+        });
+    };
+
+    const releaseDragPause = () => {
+        if (dragWasPaused) return;
+        paused = false;
+        if (!viewportPaused && !pausedByFullscreen && initialized) {
+            startAuto();
+        }
+    };
+
+    const dragVelocity = () => {
+        const now = performance.now();
+        const recent = dragSamples.filter((s) => now - s.t <= 100);
+        if (recent.length < 2) return 0;
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        return (last.x - first.x) / Math.max(1, last.t - first.t);
+    };
+
+    const beginDrag = (pointerId) => {
+        dragging = true;
+        dragWasPaused = paused;
+        viewport.classList.add("is-dragging");
+        try {
+            viewport.setPointerCapture(pointerId);
+        } catch {}
+        if (!paused) pauseAutoplay();
+    };
+
+    const endDrag = (cancelled) => {
+        const width = viewport.clientWidth || 1;
+        const velocity = dragVelocity();
+        const commit =
+            !cancelled &&
+            hasDragNeighbor() &&
+            (Math.abs(dragX) > width * swipeCommitRatio ||
+                (Math.abs(velocity) > swipeFlickVelocity &&
+                    Math.sign(velocity) === Math.sign(dragX)));
+        const target = dragTarget();
+
+        dragging = false;
+        dragSamples = [];
+        settling = true;
+        viewport.classList.remove("is-dragging");
+
+        const settle = `transform ${swipeSettleMs}ms var(--ease-smooth)`;
+        if (commit) {
+            dragX = dragX < 0 ? -width : width;
+        } else {
+            dragX = dragX < 0 ? -0.001 : 0.001;
+        }
+        renderDrag(settle);
+
+        const settleTimer = setTimeout(() => {
+            cleanupTimeouts.delete(settleTimer);
+            if (destroyed) return;
+
+            try {
+                clearDragStyles();
+                if (commit) {
+                    completeProgressReset();
+                    setActive(target, { resetProgress: true });
+                    rememberSlide();
+                }
+                void viewport.offsetWidth;
+                viewport.classList.remove("is-dragging");
+
+                releaseDragPause();
+            } catch (error) {
+                console.warn("Error in swipe settle:", error);
+            } finally {
+                dragX = 0;
+                settling = false;
+            }
+        }, swipeSettleMs + 20);
+        cleanupTimeouts.add(settleTimer);
+    };
+
+    viewport.addEventListener("pointerdown", (e) => {
+        if (!validateState()) return;
+
+        suppressClick = false;
+        if (settling || dragPointer !== null) return;
+        if (e.pointerType === "mouse" && e.button !== 0) return;
+        if (e.target.closest("button, a")) return;
+
+        dragPointer = e.pointerId;
+        dragStartX = e.clientX;
+        dragStartY = e.clientY;
+        dragX = 0;
+        dragSamples = [{ x: e.clientX, t: performance.now() }];
+    });
+
+    viewport.addEventListener("pointermove", (e) => {
+        if (e.pointerId !== dragPointer || destroyed) return;
+
+        try {
+            const dx = e.clientX - dragStartX;
+            const dy = e.clientY - dragStartY;
+
+            if (!dragging) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) < swipeThreshold)
+                    return;
+                if (Math.abs(dy) > Math.abs(dx)) {
+                    dragPointer = null;
+                    return;
+                }
+                beginDrag(e.pointerId);
+            }
+
+            e.preventDefault();
+            dragX = dx;
+            dragSamples.push({ x: e.clientX, t: performance.now() });
+            if (dragSamples.length > 8) dragSamples.shift();
+            renderDrag();
+        } catch (error) {
+            console.warn("Error in swipe move:", error);
+        }
+    });
+
+    const onPointerEnd = (e) => {
+        if (e.pointerId !== dragPointer) return;
+        dragPointer = null;
+        if (!dragging || destroyed) return;
+
+        try {
+            suppressClick = true;
+            endDrag(e.type === "pointercancel");
+        } catch (error) {
+            console.warn("Error in swipe end:", error);
+        }
+    };
+
+    viewport.addEventListener("pointerup", onPointerEnd);
+    viewport.addEventListener("pointercancel", onPointerEnd);
+    viewport.addEventListener("lostpointercapture", onPointerEnd);
+
+    viewport.addEventListener("click", (e) => {
+        if (!validateState()) return;
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
+
+        try {
+            const rect = viewport.getBoundingClientRect();
+            const mid = rect.left + rect.width / 2;
+            if (e.clientX >= mid) {
+                next();
+            } else {
+                prev();
+            }
+
+            if (!paused && !viewportPaused) {
+                startAuto();
+            } else if (paused) {
+                resetProgress();
+            }
+        } catch (error) {
+            console.warn("Error in viewport click:", error);
+        }
+    });
+
+    const adjustProgressWidth = () => {
+        if (!validateState()) return;
+
+        try {
+            const indicators = projectContainer.querySelector(
+                ".carousel-controls .carousel-indicators",
+            );
+            const progress = projectContainer.querySelector(
+                ".carousel-controls .carousel-progress",
+            );
+            if (indicators && progress) {
+                progress.style.width = `${indicators.offsetWidth}px`;
+            }
+        } catch (error) {
+            console.warn("Error in adjustProgressWidth:", error);
+        }
+    };
+
+    const resizeObserver = new ResizeObserver(() => {
+        if (!destroyed) {
+            adjustProgressWidth();
+        }
+    });
+
+    cleanupFns.add(() => {
+        resizeObserver.disconnect();
+    });
+
+    resizeObserver.observe(projectContainer);
+    adjustProgressWidth();
+
+    const carouselState = {
+        pauseAutoplay,
+        resumeAutoplay,
+        next,
+        prev,
+        setActive,
+
+        getIndex: () => index,
+        goTo: (i) => {
+            if (!validateState()) return;
+
+            completeProgressReset();
+            setActive(i, { resetProgress: true });
+            if (
+                initialized &&
+                !paused &&
+                !viewportPaused &&
+                !pausedByFullscreen
+            ) {
+                startAuto();
+            }
+        },
+
+        isPaused: () => paused,
+        isViewportPaused: () => viewportPaused,
+
+        togglePause: () => {
+            if (!validateState()) return paused;
+
+            if (paused) {
+                paused = false;
+                if (!viewportPaused && !pausedByFullscreen && initialized) {
+                    startAuto();
+                }
+                return false;
+            } else {
+                pauseAutoplay();
+                return true;
+            }
+        },
+
+        initialize,
+        pauseForViewport,
+        resumeFromViewportPause,
+        onFullscreenOpen,
+        onFullscreenClose,
+
+        cleanup: () => {
+            if (destroyed) return;
+
+            try {
+                stopAuto();
+
+                destroyed = true;
+
+                cleanupFns.forEach((fn) => {
+                    try {
+                        fn();
+                    } catch (error) {
+                        console.warn("Error in cleanup fn:", error);
+                    }
+                });
+                cleanupFns.clear();
+
+                cleanupRafs.forEach((id) => {
+                    try {
+                        cancelAnimationFrame(id);
+                    } catch {}
+                });
+                cleanupRafs.clear();
+
+                cleanupTimeouts.forEach((id) => {
+                    try {
+                        clearTimeout(id);
+                    } catch {}
+                });
+                cleanupTimeouts.clear();
+
+                initialized = false;
+                paused = false;
+                viewportPaused = false;
+                pauseElapsed = 0;
+                index = 0;
+            } catch (error) {
+                console.warn("Error in carousel cleanup:", error);
+            }
+        },
+    };
+
+    carouselViewportObserver.observe(media, carouselState);
+
+    exposeCarouselState(projectContainer, carouselState);
+}
+
+function exposeCarouselState(projectContainer, carouselState) {
+    const media = projectContainer.querySelector(".project-media");
+    if (media) {
+        media._carouselState = carouselState;
+    }
+}
@@ -0,0 +1,30 @@
+// Carousel positions live in the fragment as #<project id>/slide-<n> or
+// #<project id>/fullscreen-<n> (1-based) so a screenshot can be linked to.
+export const carouselHash = (() => {
+    const pattern = /^#(project-[\w-]+)\/(slide|fullscreen)-(\d+)$/;
+
+    const parse = (hash = location.hash) => {
+        const match = pattern.exec(hash);
+        if (!match) return null;
+        return {
+            id: match[1],
+            mode: match[2],
+            index: Math.max(0, Number(match[3]) - 1),
+        };
+    };
+
+    const format = (id, mode, index) => `#${id}/${mode}-${index + 1}`;
+
+    const write = (hash, { push = false, state = history.state } = {}) => {
+        if (location.hash === hash && !push) return;
+        try {
+            const url = `${location.pathname}${location.search}${hash}`;
+            if (push) history.pushState(state, "", url);
+            else history.replaceState(state, "", url);
+        } catch (error) {
+            console.warn("Failed to update carousel hash:", error);
+        }
+    };
+
+    return { parse, format, write };
+})();
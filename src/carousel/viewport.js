@@ -0,0 +1,127 @@
+export const carouselViewportObserver = (() => {
+    let observer = null;
+    const observedCarousels = new Map();
+    let isDestroying = false;
+
+    const initObserver = () => {
+        if (observer || isDestroying) return observer;
+
+        try {
+            observer = new IntersectionObserver(
+                (entries) => {
+                    if (isDestroying) return;
+
+                    entries.forEach((entry) => {
+                        try {
+                            const carouselData = observedCarousels.get(
+                                entry.target,
+                            );
+                            if (!carouselData || isDestroying) return;
+
+                            const { carouselState, isInitialized } =
+                                carouselData;
+
+                            if (
+                                !carouselState ||
+                                typeof carouselState.initialize !== "function"
+                            ) {
+                                console.warn(
+                                    "Invalid carousel state detected, removing from observer",
+                                );
+                                unobserve(entry.target);
+                                return;
+                            }
+
+                            if (entry.isIntersecting) {
+                                if (!isInitialized.value) {
+                                    carouselState.initialize();
+                                    isInitialized.value = true;
+                                } else {
+                                    carouselState.resumeFromViewportPause();
+                                }
+                            } else {
+                                if (isInitialized.value) {
+                                    carouselState.pauseForViewport();
+                                }
+                            }
+                        } catch (error) {
+                            console.warn(
+                                "Carousel viewport observer error:",
+                                error,
+                            );
+                            try {
+                                unobserve(entry.target);
+                            } catch (e) {
+                                console.warn(
+                                    "Failed to unobserve problematic carousel:",
+                                    e,
+                                );
+                            }
+                        }
+                    });
+                },
+                {
+                    root: null,
+                    rootMargin: "50px 0px",
+                    threshold: 0.3,
+                },
+            );
+        } catch (error) {
+            console.error("Failed to create IntersectionObserver:", error);
+            observer = null;
+        }
+
+        return observer;
+    };
+
+    const observe = (target, carouselState) => {
+        if (isDestroying || !target || !carouselState) return;
+
+        try {
+            const obs = initObserver();
+            if (!obs) return;
+
+            const isInitialized = { value: false };
+
+            observedCarousels.set(target, {
+                carouselState,
+                isInitialized,
+            });
+
+            obs.observe(target);
+        } catch (error) {
+            console.warn("Failed to observe carousel:", error);
+        }
+    };
+
+    const unobserve = (target) => {
+        if (!target) return;
+
+        try {
+            if (observer) {
+                observer.unobserve(target);
+            }
+            observedCarousels.delete(target);
+        } catch (error) {
+            console.warn("Failed to unobserve carousel:", error);
+        }
+    };
+
+    const cleanup = () => {
+        isDestroying = true;
+
+        try {
+            if (observer) {
+                observer.disconnect();
+                observer = null;
+            }
+            observedCarousels.clear();
+        } catch (error) {
+            console.warn("Failed to cleanup viewport observer:", error);
+        } finally {
+            isDestroying = false;
+        }
+    };
+
+    return { observe, unobserve, cleanup };
+})();
@@ -0,0 +1,264 @@
+import { i18n } from "../core/i18n.js";
+import { debounce } from "../core/performance.js";
+import { contactOutbox } from "./outbox.js";
+import { contactSpamGuard } from "./spam-guard.js";
+import { contactTransport } from "./transport.js";
+
+export function initializeContactForm() {
+    const form = document.querySelector(".contact-form");
+    if (!form) return;
+
+    form.noValidate = true;
+
+    const config = contactTransport.configure(form);
+    const status = form.querySelector(".contact-status");
+    const submit = form.querySelector(".contact-submit");
+    const submitLabel = submit?.querySelector("span");
+    const originalLabel = submitLabel?.textContent ?? i18n.t("sendMessage");
+
+    const setStatus = (message, state) => {
+        if (!status) return;
+        status.textContent = message;
+        if (state) status.dataset.state = state;
+        else delete status.dataset.state;
+    };
+
+    const fieldOf = (input) => input.closest(".contact-field");
+
+    const showError = (input, message) => {
+        const field = fieldOf(input);
+        if (!field) return;
+        field.classList.toggle("has-error", Boolean(message));
+        const slot = field.querySelector(".contact-error");
+        if (slot) slot.textContent = message;
+        if (message) input.setAttribute("aria-invalid", "true");
+        else input.removeAttribute("aria-invalid");
+    };
+
+    const validate = (input) => {
+        const value = input.value.trim();
+
+        if (input.required && !value) {
+            const name = fieldOf(input)?.querySelector("label")?.textContent;
+            showError(
+                input,
+                name
+                    ? i18n.t("requiredNamed", { field: name })
+                    : i18n.t("required"),
+            );
+            return false;
+        }
+
+        if (
+            input.type === "email" &&
+            value &&
+            !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)
+        ) {
+            showError(input, i18n.t("invalidEmail"));
+            return false;
+        }
+
+        showError(input, "");
+        return true;
+    };
+
+    const fields = Array.from(
+        form.querySelectorAll(".contact-field input, .contact-field textarea"),
+    );
+
+    const DRAFT_KEY = "contact-draft";
+
+    const readDraft = () => {
+        try {
+            return JSON.parse(localStorage.getItem(DRAFT_KEY)) || {};
+        } catch {
+            return {};
+        }
+    };
+    const saveDraft = debounce(() => {
+        const draft = Object.fromEntries(
+            fields
+                .filter((input) => input.value.trim())
+                .map((input) => [input.name, input.value]),
+        );
+        try {
+            if (Object.keys(draft).length > 0)
+                localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+            else localStorage.removeItem(DRAFT_KEY);
+        } catch {}
+    }, 300);
+    const clearDraft = () => {
+        try {
+            localStorage.removeItem(DRAFT_KEY);
+        } catch {}
+    };
+
+    const guard = contactSpamGuard.track(form, { bits: config.pow });
+
+    const draft = readDraft();
+    fields.forEach((input) => {
+        if (!input.value && typeof draft[input.name] === "string") {
+            input.value = draft[input.name];
+            guard.restore();
+        }
+    });
+
+    fields.forEach((input) => {
+        input.addEventListener("blur", () => validate(input));
+        input.addEventListener("input", () => {
+            saveDraft();
+            if (fieldOf(input)?.classList.contains("has-error"))
+                validate(input);
+        });
+    });
+
+    const outbox = document.createElement("ul");
+    outbox.className = "contact-outbox";
+    outbox.setAttribute("aria-label", i18n.t("outbox"));
+    outbox.hidden = true;
+    (form.querySelector(".contact-actions") || form).after(outbox);
+
+    const outboxActions = {
+        queued: ["retry"],
+        failed: ["retry", "discard"],
+        sent: ["dismiss"],
+    };
+    const outboxLabels = {
+        queued: "outboxQueued",
+        failed: "outboxFailed",
+        sent: "outboxSent",
+    };
+    let lastStates = new Map();
+
+    const renderOutboxItem = (item) => {
+        const li = document.createElement("li");
+        li.className = "contact-outbox-item";
+        li.dataset.state = item.state;
+
+        const summary = document.createElement("span");
+        summary.className = "contact-outbox-summary";
+        summary.textContent = item.summary;
+
+        const state = document.createElement("span");
+        state.className = "contact-outbox-state";
+        state.textContent = i18n.t(outboxLabels[item.state]);
+
+        li.append(summary, state);
+        (outboxActions[item.state] || []).forEach((action) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "contact-outbox-action";
+            button.dataset.action = action;
+            button.dataset.id = item.id;
+            button.textContent = i18n.t(action);
+            li.append(button);
+        });
+        return li;
+    };
+
+    const renderOutbox = async () => {
+        let items = [];
+        try {
+            items = await contactOutbox.list();
+        } catch {}
+
+        const delivered = items.some(
+            (item) =>
+                item.state === "sent" && lastStates.get(item.id) === "queued",
+        );
+        lastStates = new Map(items.map((item) => [item.id, item.state]));
+
+        outbox.replaceChildren(...items.map(renderOutboxItem));
+        outbox.hidden = items.length === 0;
+        if (delivered) setStatus(i18n.t("outboxDelivered"), "ok");
+    };
+
+    outbox.addEventListener("click", (e) => {
+        const button = e.target.closest(".contact-outbox-action");
+        if (!button) return;
+        const { action, id } = button.dataset;
+        const task =
+            action === "retry"
+                ? contactOutbox.retry(id)
+                : contactOutbox.remove(id);
+        task.catch((error) => console.warn("Error in contact outbox:", error));
+    });
+
+    contactOutbox.subscribe(renderOutbox);
+    contactOutbox.flush();
+
+    form.addEventListener("submit", async (e) => {
+        const invalid = fields.filter((input) => !validate(input));
+
+        if (invalid.length > 0) {
+            e.preventDefault();
+            invalid[0].focus();
+            setStatus(i18n.t("reviewFields"), "error");
+            return;
+        }
+
+        e.preventDefault();
+
+        if (contactSpamGuard.throttled() > 0) {
+            setStatus(i18n.t("throttled"), "error");
+            return;
+        }
+
+        if (submit) submit.disabled = true;
+        if (submitLabel) submitLabel.textContent = i18n.t("sending");
+        setStatus(i18n.t("sendingStatus"));
+
+        const values = Object.fromEntries(new FormData(form));
+        const adapter = contactTransport.adapters[config.transport];
+        const done = () => {
+            form.reset();
+            clearDraft();
+            fields.forEach((input) => showError(input, ""));
+            contactSpamGuard.recordSend();
+            guard.reset();
+        };
+
+        let request;
+        try {
+            if (adapter.open) {
+                adapter.open(values, config);
+                setStatus(i18n.t("mailtoOpened"), "ok");
+                return;
+            }
+            request = adapter.request(await guard.stamp(values), config);
+            await contactTransport.replay(request);
+            done();
+            setStatus(i18n.t("sent"), "ok");
+        } catch (error) {
+            console.warn("Contact form submit failed:", error);
+            const queued =
+                request &&
+                contactTransport.retryable(error) &&
+                (await contactOutbox
+                    .enqueue(
+                        request,
+                        (values.subject || "").trim() ||
+                            (values.message || "").trim().slice(0, 60),
+                    )
+                    .catch((queueError) => {
+                        console.warn("Contact outbox unavailable:", queueError);
+                        return null;
+                    }));
+
+            if (queued) {
+                done();
+                setStatus(
+                    i18n.t(
+                        error.code === "offline" ? "queuedOffline" : "queued",
+                    ),
+                    "queued",
+                );
+            } else {
+                setStatus(contactTransport.describe(error, config), "error");
+            }
+        } finally {
+            if (submit) submit.disabled = false;
+            if (submitLabel) submitLabel.textContent = originalLabel;
+        }
+    });
+}
@@ -0,0 +1,195 @@
+import { OUTBOX_MAX_ATTEMPTS, outboxBackoff } from "./retry.js";
+import { contactTransport } from "./transport.js";
+
+// Contact messages that couldn't be posted wait here until they can. The
+// store lives in IndexedDB so the service worker can drain it on a
+// Background Sync; tools/sw.mjs keeps its own copy of the claim/send steps
+// and follows the same retry schedule (retry.js).
+export const contactOutbox = (() => {
+    const DB_NAME = "portfolio";
+    const STORE = "outbox";
+    const SYNC_TAG = "contact-outbox";
+    const LEASE_MS = 30000;
+    const KEEP_SENT_MS = 7 * 24 * 60 * 60 * 1000;
+
+    const listeners = new Set();
+    let dbPromise = null;
+    let timer = 0;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error("IndexedDB unavailable"));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () =>
+                    request.result.createObjectStore(STORE, { keyPath: "id" });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            dbPromise.catch(() => {});
+        }
+        return dbPromise;
+    };
+
+    // Runs `work(store)` in one transaction and resolves with whatever the
+    // last request it handed back produced, once the transaction commits.
+    const tx = async (mode, work) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            let result;
+            const request = work(transaction.objectStore(STORE), (value) => {
+                result = value;
+            });
+            if (request) request.onsuccess = () => (result = request.result);
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    const list = () =>
+        tx("readonly", (store) => store.getAll()).then((items) =>
+            items.sort((a, b) => a.created - b.created),
+        );
+
+    const notify = () => listeners.forEach((listener) => listener());
+
+    // Marks an entry as in flight so a second tab or the service worker
+    // doesn't post the same message while this one is waiting on fetch.
+    const claim = (id, now = Date.now()) =>
+        tx("readwrite", (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const item = request.result;
+                if (!item || item.state === "sent" || item.lease > now) return;
+                item.lease = now + LEASE_MS;
+                store.put(item);
+                done(item);
+            };
+        });
+
+    const attempt = async (id) => {
+        const item = await claim(id);
+        if (!item) return;
+
+        item.lease = 0;
+        try {
+            await contactTransport.replay(item.request);
+            item.state = "sent";
+            item.sent = Date.now();
+        } catch (error) {
+            console.warn("Contact outbox retry failed:", error);
+            item.attempts += 1;
+            item.state =
+                item.attempts >= OUTBOX_MAX_ATTEMPTS ||
+                !contactTransport.retryable(error)
+                    ? "failed"
+                    : "queued";
+            item.next = Date.now() + outboxBackoff(item.attempts);
+        }
+        await tx("readwrite", (store) => store.put(item));
+    };
+
+    const schedule = (items) => {
+        clearTimeout(timer);
+        const due = items
+            .filter((item) => item.state === "queued")
+            .map((item) => item.next);
+        if (due.length === 0) return;
+        timer = setTimeout(
+            flush,
+            Math.max(1000, Math.min(...due) - Date.now()),
+        );
+    };
+
+    const flush = async ({ force = false } = {}) => {
+        try {
+            const now = Date.now();
+            const items = await list();
+
+            for (const item of items) {
+                if (item.state === "sent" && now - item.sent > KEEP_SENT_MS)
+                    await remove(item.id, { quiet: true });
+            }
+
+            if (navigator.onLine !== false) {
+                for (const item of items) {
+                    if (item.state === "queued" && (force || item.next <= now))
+                        await attempt(item.id);
+                }
+            }
+
+            schedule(await list());
+        } catch (error) {
+            console.warn("Error in contact outbox:", error);
+        }
+        notify();
+    };
+
+    const requestSync = async () => {
+        try {
+            const registration =
+                await navigator.serviceWorker?.getRegistration();
+            if (!registration?.sync) return false;
+            await registration.sync.register(SYNC_TAG);
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    const enqueue = async (request, summary) => {
+        const now = Date.now();
+        const item = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            request,
+            summary,
+            state: "queued",
+            attempts: 0,
+            created: now,
+            next: now + outboxBackoff(0),
+            lease: 0,
+        };
+        await tx("readwrite", (store) => store.put(item));
+        if (!(await requestSync())) schedule(await list());
+        notify();
+        return item;
+    };
+
+    const retry = async (id) => {
+        await tx("readwrite", (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const item = request.result;
+                if (!item || item.state === "sent") return;
+                item.state = "queued";
+                item.next = 0;
+                if (item.attempts >= OUTBOX_MAX_ATTEMPTS) item.attempts = 0;
+                store.put(item);
+                done(item);
+            };
+        });
+        await flush();
+    };
+
+    const remove = async (id, { quiet = false } = {}) => {
+        await tx("readwrite", (store) => store.delete(id));
+        if (!quiet) notify();
+    };
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    window.addEventListener("online", () => flush({ force: true }));
+    navigator.serviceWorker?.addEventListener("message", (event) => {
+        if (event.data?.type === SYNC_TAG) notify();
+    });
+
+    return { list, enqueue, flush, retry, remove, subscribe };
+})();
@@ -0,0 +1,9 @@
+// How often a queued contact message is retried: `attempts` counts the
+// failed posts, each one pushes the next try further out, and the entry is
+// marked failed once it reaches OUTBOX_MAX_ATTEMPTS. The page's outbox and
+// the service worker follow the same schedule; tools/sw.mjs copies this
+// file's source into sw.js.
+export const OUTBOX_MAX_ATTEMPTS = 6;
+
+export const outboxBackoff = (attempts) =>
+    Math.min(30000 * 2 ** attempts, 30 * 60000);
@@ -0,0 +1,178 @@
+import { assetUrl } from "../core/urls.js";
+
+// Client-side spam signals for the contact form. None of them block a
+// message on their own (except the resend throttle); they're folded into a
+// 0–1 score that travels with the submission for the receiving end to act
+// on. With data-pow="<bits>" on the form a hashcash stamp is also mined in
+// pow-worker.js while the visitor types.
+export const contactSpamGuard = (() => {
+    const SENDS_KEY = "contact-sends";
+    const THROTTLE_WINDOW = 10 * 60000;
+    const THROTTLE_MAX = 3;
+    const RESEND_GAP = 30000;
+    const POW_WAIT = 4000;
+
+    const readSends = (now = Date.now()) => {
+        try {
+            const sends = JSON.parse(localStorage.getItem(SENDS_KEY)) || [];
+            return sends.filter((t) => now - t < THROTTLE_WINDOW);
+        } catch {
+            return [];
+        }
+    };
+
+    // Milliseconds until another message may go out, or 0.
+    const throttled = (now = Date.now()) => {
+        const sends = readSends(now);
+        if (sends.length === 0) return 0;
+        const gap = RESEND_GAP - (now - Math.max(...sends));
+        const full =
+            sends.length >= THROTTLE_MAX
+                ? THROTTLE_WINDOW - (now - Math.min(...sends))
+                : 0;
+        return Math.max(0, gap, full);
+    };
+
+    const recordSend = (now = Date.now()) => {
+        try {
+            localStorage.setItem(
+                SENDS_KEY,
+                JSON.stringify([...readSends(now), now]),
+            );
+        } catch {}
+    };
+
+    const hashcashDate = (date) =>
+        date.toISOString().slice(2, 16).replace(/[-T:]/g, "");
+
+    const track = (form, { bits = 0 } = {}) => {
+        let startedAt = 0;
+        let keystrokes = 0;
+        let pasted = 0;
+        let restored = false;
+        let pow = null;
+        let worker = null;
+
+        const mine = () => {
+            if (pow || !bits || !window.Worker || !crypto.subtle) return;
+            const random = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+                .map((b) => b.toString(16).padStart(2, "0"))
+                .join("");
+            const prefix = `1:${bits}:${hashcashDate(new Date())}:${form.getAttribute("name") || "contact"}::${random}`;
+
+            pow = new Promise((resolve) => {
+                try {
+                    worker = new Worker(assetUrl("pow-worker.js"));
+                } catch (error) {
+                    console.warn("Error in proof of work:", error);
+                    resolve("");
+                    return;
+                }
+                worker.onmessage = (event) => {
+                    resolve(event.data.stamp);
+                    worker.terminate();
+                    worker = null;
+                };
+                worker.onerror = (error) => {
+                    console.warn("Error in proof of work:", error);
+                    resolve("");
+                    worker.terminate();
+                    worker = null;
+                };
+                worker.postMessage({ prefix, bits });
+            });
+        };
+
+        const begin = () => {
+            if (!startedAt) startedAt = Date.now();
+            mine();
+        };
+
+        form.addEventListener("focusin", begin);
+        form.addEventListener("keydown", (e) => {
+            begin();
+            if (e.key.length === 1 || e.key === "Backspace") keystrokes++;
+        });
+        form.addEventListener("paste", (e) => {
+            begin();
+            pasted += e.clipboardData?.getData("text")?.length || 0;
+        });
+
+        const signals = (values) => {
+            const seconds = startedAt ? (Date.now() - startedAt) / 1000 : 0;
+            const typed = keystrokes + pasted;
+            return {
+                seconds,
+                keystrokes,
+                pasteRatio: typed ? pasted / typed : 0,
+                links: (
+                    String(values.message || "").match(
+                        /\bhttps?:\/\/|\bwww\.|\[url[=\]]/gi,
+                    ) || []
+                ).length,
+                recent: readSends().length,
+            };
+        };
+
+        const score = (s) => {
+            let total = 0;
+            if (!restored) {
+                if (s.seconds < 3) total += 0.4;
+                else if (s.seconds < 8) total += 0.2;
+            }
+            if (s.pasteRatio > 0.9 && s.keystrokes < 5) total += 0.3;
+            total += Math.min(0.3, s.links * 0.1);
+            if (s.recent >= 2) total += 0.2;
+            return Math.min(1, Math.round(total * 100) / 100);
+        };
+
+        // Gives up on a worker that hasn't found a stamp within POW_WAIT:
+        // a slow device or a stalled worker shouldn't hold the message back.
+        const awaitStamp = () => {
+            let timer;
+            const giveUp = new Promise((resolve) => {
+                timer = setTimeout(() => {
+                    worker?.terminate();
+                    worker = null;
+                    pow = Promise.resolve("");
+                    resolve("");
+                }, POW_WAIT);
+            });
+            return Promise.race([pow, giveUp]).finally(() =>
+                clearTimeout(timer),
+            );
+        };
+
+        // Fills the hidden spam-* and pow fields; waits a little for the
+        // stamp if the worker hasn't found one yet.
+        const stamp = async (values) => {
+            const s = signals(values);
+            const result = {
+                ...values,
+                "spam-score": String(score(s)),
+                "spam-signals": `t=${s.seconds.toFixed(1)};k=${s.keystrokes};p=${s.pasteRatio.toFixed(2)};l=${s.links};r=${s.recent}`,
+            };
+            mine();
+            if (pow) result.pow = await awaitStamp();
+            return result;
+        };
+
+        const reset = () => {
+            startedAt = 0;
+            keystrokes = 0;
+            pasted = 0;
+            restored = false;
+            worker?.terminate();
+            worker = null;
+            pow = null;
+        };
+
+        return {
+            stamp,
+            reset,
+            restore: () => (restored = true),
+        };
+    };
+
+    return { track, throttled, recordSend };
+})();
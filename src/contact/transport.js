@@ -0,0 +1,180 @@
+import { i18n } from "../core/i18n.js";
+
+// How the contact form delivers a message. Forks deployed elsewhere pick an
+// adapter with data-transport on the form (or window.PORTFOLIO_CONTACT,
+// which wins): "netlify" (default), "webhook", "mailto" or "local".
+// data-endpoint, data-email and data-pow fill in the rest of the config.
+// HTTP adapters only describe the request, so the outbox and the service
+// worker can replay it later without knowing which adapter built it.
+export const contactTransport = (() => {
+    class ContactError extends Error {
+        constructor(code, message, { status = 0 } = {}) {
+            super(message);
+            this.name = "ContactError";
+            this.code = code;
+            this.status = status;
+        }
+    }
+
+    const replay = async ({ url, headers, body }) => {
+        let response;
+        try {
+            response = await fetch(url, { method: "POST", headers, body });
+        } catch (error) {
+            throw new ContactError(
+                navigator.onLine === false ? "offline" : "network",
+                error.message,
+            );
+        }
+        // The service worker answers a failed POST with this marker.
+        if (response.status === 503 && response.headers.get("X-Offline"))
+            throw new ContactError("offline", "offline");
+        if (!response.ok)
+            throw new ContactError("http", `HTTP ${response.status}`, {
+                status: response.status,
+            });
+        return response;
+    };
+
+    // Worth another try later: no connection, or the server said so.
+    const retryable = (error) =>
+        error?.code === "offline" ||
+        error?.code === "network" ||
+        error?.status === 429 ||
+        error?.status >= 500;
+
+    const fallback = (config) => ({
+        key: "sendFailed",
+        vars: { email: config.email },
+    });
+
+    const common = (error, config) => {
+        if (error.code === "offline") return { key: "offline" };
+        if (error.status === 429) return { key: "rateLimited" };
+        if (error.status === 413) return { key: "tooLarge" };
+        return fallback(config);
+    };
+
+    const json = ({ "form-name": _, "bot-field": __, ...fields }) =>
+        JSON.stringify({
+            ...fields,
+            page: location.href,
+            lang: i18n.lang,
+        });
+
+    const adapters = {
+        netlify: {
+            request(fields, config) {
+                const data = new URLSearchParams(fields);
+                if (!data.get("form-name")) data.set("form-name", config.name);
+                return {
+                    url: config.endpoint || "/",
+                    headers: {
+                        "Content-Type": "application/x-www-form-urlencoded",
+                    },
+                    body: data.toString(),
+                };
+            },
+            // 404 means the host never registered the form (not Netlify, or
+            // form detection is off); 422 is Netlify's spam/validation reply.
+            message(error, config) {
+                if (error.status === 404 || error.status === 405)
+                    return {
+                        key: "formMissing",
+                        vars: { email: config.email },
+                    };
+                if (error.status === 422 || error.status === 400)
+                    return { key: "rejected" };
+                return common(error, config);
+            },
+        },
+        webhook: {
+            request(fields, config) {
+                if (!config.endpoint)
+                    throw new ContactError(
+                        "config",
+                        "webhook needs an endpoint",
+                    );
+                return {
+                    url: config.endpoint,
+                    headers: { "Content-Type": "application/json" },
+                    body: json(fields),
+                };
+            },
+            message(error, config) {
+                if (error.status === 400 || error.status === 422)
+                    return { key: "rejected" };
+                return common(error, config);
+            },
+        },
+        local: {
+            request(fields, config) {
+                return {
+                    url: config.endpoint || "/api/contact",
+                    headers: { "Content-Type": "application/json" },
+                    body: json(fields),
+                };
+            },
+            message(error, config) {
+                if (
+                    error.code === "network" ||
+                    error.status === 404 ||
+                    error.status === 405
+                )
+                    return { key: "devServerDown" };
+                if (error.status === 422) return { key: "rejected" };
+                return common(error, config);
+            },
+        },
+        // Nothing to post: hands the message to the visitor's mail app.
+        mailto: {
+            open(fields, config) {
+                const params = new URLSearchParams({
+                    subject: fields.subject || i18n.t("mailSubject"),
+                    body: `${fields.message}\n\n${fields.name} <${fields.email}>`,
+                });
+                location.href = `mailto:${config.email}?${params
+                    .toString()
+                    .replace(/\+/g, "%20")}`;
+            },
+            message(error, config) {
+                return fallback(config);
+            },
+        },
+    };
+
+    const configure = (form) => {
+        const config = {
+            transport: form.dataset.transport || "netlify",
+            endpoint: form.dataset.endpoint || "",
+            email:
+                form.dataset.email ||
+                document
+                    .querySelector('.contact-fallback a[href^="mailto:"]')
+                    ?.getAttribute("href")
+                    .slice(7) ||
+                "",
+            name: form.getAttribute("name") || "contact",
+            pow: Number(form.dataset.pow) || 0,
+            ...(window.PORTFOLIO_CONTACT || {}),
+        };
+        if (!adapters[config.transport]) {
+            console.warn(
+                `Unknown contact transport "${config.transport}", using netlify`,
+            );
+            config.transport = "netlify";
+        }
+        return config;
+    };
+
+    const describe = (error, config) => {
+        const adapter = adapters[config.transport];
+        const { key, vars } =
+            error instanceof ContactError
+                ? adapter.message(error, config)
+                : fallback(config);
+        return i18n.t(key, vars);
+    };
+
+    return { ContactError, adapters, configure, replay, retryable, describe };
+})();
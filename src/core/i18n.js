@@ -0,0 +1,172 @@
+// Strings created at runtime. Each page declares its language on <html>;
+// keys missing from a translation fall back to English.
+export const i18n = (() => {
+    const strings = {
+        en: {
+            openMenu: "Open menu",
+            closeMenu: "Close menu",
+            language: "Language",
+            aboutMe: "🪄 About Me",
+            untitledProject: "Untitled Project",
+            project: "Project",
+            closeFullscreen: "Close fullscreen",
+            previousImage: "Previous image",
+            nextImage: "Next image",
+            viewFullscreen: "View fullscreen",
+            pauseCarousel: "Pause carousel",
+            resumeCarousel: "Resume carousel",
+            required: "This field is required.",
+            requiredNamed: "{field} is required.",
+            invalidEmail: "Enter a valid email address.",
+            reviewFields: "Please review the highlighted fields.",
+            sendMessage: "Send message",
+            sending: "Sending…",
+            sendingStatus: "Sending your message…",
+            sent: "Thanks! Your message is on its way.",
+            sendFailed:
+                "Couldn't send it from here. Please email {email} directly.",
+            offline:
+                "You're offline. Your message wasn't sent; try again once you're back online.",
+            queued: "Couldn't send it just now. It's saved in your outbox and will be retried.",
+            queuedOffline:
+                "You're offline. Your message is saved and will be sent when you're back online.",
+            outbox: "Outbox",
+            outboxQueued: "Queued",
+            outboxSent: "Sent",
+            outboxFailed: "Failed",
+            outboxDelivered: "Your queued message was sent.",
+            retry: "Retry",
+            discard: "Discard",
+            dismiss: "Dismiss",
+            throttled:
+                "You've just sent a message. Please wait a little before sending another.",
+            mailSubject: "Hello from your portfolio",
+            mailtoOpened:
+                "Your email app should open with the message ready to send.",
+            formMissing:
+                "This site can't receive messages right now. Please email {email} directly.",
+            rejected:
+                "The message was rejected. Please check it and try again.",
+            rateLimited: "Too many messages just now. Please try again later.",
+            tooLarge: "That message is too long to send.",
+            devServerDown:
+                "The local contact server isn't running. Start it with node tools/build-pages.mjs --watch.",
+            commandPalette: "Search the portfolio",
+            searchPlaceholder: "Search projects, tech or actions…",
+            noResults: "No matches.",
+            searchUnavailable: "Search isn't available right now.",
+            action: "Action",
+            copied: "Copied {value}",
+            filterProjects: "Filter projects",
+            technology: "Technology",
+            category: "Category",
+            allCategories: "All",
+            yearFrom: "From",
+            yearTo: "To",
+            sortBy: "Sort",
+            sortFeatured: "Featured",
+            sortNewest: "Newest",
+            sortOldest: "Oldest",
+            sortTitle: "A–Z",
+            clearFilters: "Clear filters",
+            showingProjects: "Showing {shown} of {total} projects",
+            noProjects: "No projects match these filters.",
+            filterByTech: "Show projects using {tech}",
+            techPage: "All about {tech} →",
+            themeMode: "Theme: {mode}",
+            themeObsidian: "Obsidian",
+            themeGlass: "Glass",
+            themeSystem: "System",
+        },
+        es: {
+            openMenu: "Abrir menú",
+            closeMenu: "Cerrar menú",
+            language: "Idioma",
+            aboutMe: "🪄 Sobre mí",
+            untitledProject: "Proyecto sin título",
+            project: "Proyecto",
+            closeFullscreen: "Cerrar pantalla completa",
+            previousImage: "Imagen anterior",
+            nextImage: "Imagen siguiente",
+            viewFullscreen: "Ver en pantalla completa",
+            pauseCarousel: "Pausar carrusel",
+            resumeCarousel: "Reanudar carrusel",
+            required: "Este campo es obligatorio.",
+            requiredNamed: "El campo «{field}» es obligatorio.",
+            invalidEmail: "Escribe un correo electrónico válido.",
+            reviewFields: "Revisa los campos marcados.",
+            sendMessage: "Enviar mensaje",
+            sending: "Enviando…",
+            sendingStatus: "Enviando tu mensaje…",
+            sent: "¡Gracias! Tu mensaje va en camino.",
+            sendFailed:
+                "No se pudo enviar desde aquí. Escríbeme directamente a {email}.",
+            offline:
+                "Estás sin conexión. Tu mensaje no se envió; inténtalo de nuevo cuando vuelvas a estar en línea.",
+            queued: "No se pudo enviar ahora. Quedó guardado en tu bandeja de salida y se reintentará.",
+            queuedOffline:
+                "Estás sin conexión. Tu mensaje quedó guardado y se enviará cuando vuelvas a estar en línea.",
+            outbox: "Bandeja de salida",
+            outboxQueued: "En cola",
+            outboxSent: "Enviado",
+            outboxFailed: "Falló",
+            outboxDelivered: "Tu mensaje en cola se envió.",
+            retry: "Reintentar",
+            discard: "Descartar",
+            dismiss: "Quitar",
+            throttled:
+                "Acabas de enviar un mensaje. Espera un poco antes de enviar otro.",
+            mailSubject: "Hola desde tu portafolio",
+            mailtoOpened:
+                "Tu aplicación de correo debería abrirse con el mensaje listo para enviar.",
+            formMissing:
+                "Este sitio no puede recibir mensajes ahora. Escríbeme directamente a {email}.",
+            rejected:
+                "El mensaje fue rechazado. Revísalo e inténtalo de nuevo.",
+            rateLimited:
+                "Demasiados mensajes en este momento. Inténtalo más tarde.",
+            tooLarge: "Ese mensaje es demasiado largo para enviarlo.",
+            devServerDown:
+                "El servidor de contacto local no está en marcha. Inícialo con node tools/build-pages.mjs --watch.",
+            commandPalette: "Buscar en el portafolio",
+            searchPlaceholder: "Busca proyectos, tecnologías o acciones…",
+            noResults: "Sin resultados.",
+            searchUnavailable: "La búsqueda no está disponible ahora.",
+            action: "Acción",
+            copied: "Copiado: {value}",
+            filterProjects: "Filtrar proyectos",
+            technology: "Tecnología",
+            category: "Categoría",
+            allCategories: "Todos",
+            yearFrom: "Desde",
+            yearTo: "Hasta",
+            sortBy: "Ordenar",
+            sortFeatured: "Destacados",
+            sortNewest: "Más recientes",
+            sortOldest: "Más antiguos",
+            sortTitle: "A–Z",
+            clearFilters: "Quitar filtros",
+            showingProjects: "Mostrando {shown} de {total} proyectos",
+            noProjects: "Ningún proyecto coincide con estos filtros.",
+            filterByTech: "Ver proyectos con {tech}",
+            techPage: "Todo sobre {tech} →",
+            themeMode: "Tema: {mode}",
+            themeObsidian: "Obsidiana",
+            themeGlass: "Cristal",
+            themeSystem: "Sistema",
+        },
+    };
+
+    const lang = (document.documentElement.lang || "en").split("-")[0];
+    const table = strings[lang] || strings.en;
+
+    return {
+        lang,
+        t(key, vars = {}) {
+            const text = table[key] ?? strings.en[key] ?? key;
+            return text.replace(/\{(\w+)\}/g, (match, name) =>
+                name in vars ? vars[name] : match,
+            );
+        },
+    };
+})();
@@ -0,0 +1,145 @@
+export const perfMonitor = (() => {
+    if (typeof performance === "undefined" || !console.time)
+        return { mark: () => {}, measure: () => {} };
+
+    return {
+        mark(name) {
+            if (performance.mark) performance.mark(name);
+        },
+        measure(name, startMark) {
+            if (
+                performance.measure &&
+                performance.getEntriesByName(startMark).length > 0
+            ) {
+                try {
+                    performance.measure(name, startMark);
+                } catch (e) {}
+            }
+        },
+    };
+})();
+
+export const performanceCache = {
+    viewport: null,
+    projectItems: null,
+    timers: new Set(),
+};
+
+export const willChangeManager = {
+    pending: new WeakMap(),
+    set(element, property = "transform") {
+        if (!element) return;
+        const timerId = this.pending.get(element);
+        if (timerId) {
+            clearTimeout(timerId);
+            performanceCache.timers.delete(timerId);
+            this.pending.delete(element);
+        }
+        element.style.willChange = property;
+    },
+    clear(element, delay = 100) {
+        if (!element || this.pending.has(element)) return;
+        const timerId = setTimeout(() => {
+            element.style.willChange = "auto";
+            performanceCache.timers.delete(timerId);
+            this.pending.delete(element);
+        }, delay);
+        this.pending.set(element, timerId);
+        performanceCache.timers.add(timerId);
+    },
+};
+
+export const rafScheduler = (() => {
+    const pending = new Set();
+    let rafId = null;
+
+    const tick = () => {
+        rafId = null;
+        const batch = Array.from(pending);
+        pending.clear();
+        for (const callback of batch) {
+            try {
+                callback();
+            } catch (e) {
+                console.warn("RAF callback error:", e);
+            }
+        }
+    };
+
+    return {
+        schedule(callback) {
+            pending.add(callback);
+            if (!rafId) rafId = requestAnimationFrame(tick);
+        },
+        cancel(callback) {
+            pending.delete(callback);
+        },
+    };
+})();
+
+export const idleScheduler = (() => {
+    const tasks = [];
+    let running = false;
+
+    const runTasks = (deadline) => {
+        running = true;
+        while (
+            tasks.length > 0 &&
+            (deadline.timeRemaining() > 0 || deadline.didTimeout)
+        ) {
+            const task = tasks.shift();
+            try {
+                task();
+            } catch (e) {
+                console.warn("Idle task error:", e);
+            }
+        }
+
+        if (tasks.length > 0) {
+            scheduleNext();
+        } else {
+            running = false;
+        }
+    };
+
+    const scheduleNext = () => {
+        if (window.requestIdleCallback) {
+            window.requestIdleCallback(runTasks, { timeout: 1000 });
+        } else {
+            setTimeout(
+                () => runTasks({ timeRemaining: () => 5, didTimeout: false }),
+                0,
+            );
+        }
+    };
+
+    return {
+        schedule(task) {
+            tasks.push(task);
+            if (!running) scheduleNext();
+        },
+    };
+})();
+
+export function debounce(func, delay) {
+    let timeoutId;
+    return function (...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => func.apply(this, args), delay);
+    };
+}
+
+export function animatePress(el, scale = 0.9, duration = 150) {
+    if (!el) return;
+
+    el.style.transform = `scale(${scale}) translateZ(0)`;
+    willChangeManager.set(el);
+
+    const timerId = setTimeout(() => {
+        el.style.transform = "translateZ(0)";
+        willChangeManager.clear(el, 0);
+        performanceCache.timers.delete(timerId);
+    }, duration);
+
+    performanceCache.timers.add(timerId);
+}
@@ -0,0 +1,20 @@
+// The same script.js serves every locale directory (/ and /es/), so the
+// assets it creates are resolved against its own URL, not the page's.
+export const siteRoot = new URL(
+    ".",
+    document.currentScript?.src || location.href,
+);
+
+export const assetUrl = (path) => new URL(path, siteRoot).href;
+
+// Some pages sit below their locale's directory (tech/flask.html), but
+// sections.js (or its fingerprinted copy) is always at its top, so the page
+// paths it lists resolve there.
+const localeRoot = new URL(
+    ".",
+    Array.from(document.scripts).find((s) =>
+        /\/sections(\.[0-9a-f]{8})?\.js$/.test(s.src),
+    )?.src || location.href,
+);
+
+export const pageUrl = (path) => new URL(path, localeRoot).href;
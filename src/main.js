@@ -0,0 +1,104 @@
+import {
+    perfMonitor,
+    performanceCache,
+    idleScheduler,
+} from "./core/performance.js";
+import { initializeProjectCarousel } from "./carousel/carousel.js";
+import { carouselViewportObserver } from "./carousel/viewport.js";
+import { initializeContactForm } from "./contact/form.js";
+import { initializeServiceWorker } from "./service-worker.js";
+import {
+    initializeContactButtons,
+    initializeSocialButtons,
+    initializeDownloadButtons,
+    initializeCertificateLinks,
+    initializeProjectLink,
+} from "./ui/buttons.js";
+import { initializeCommandPalette } from "./ui/command-palette.js";
+import { initializeDetailGallery } from "./ui/detail-gallery.js";
+import { initializeFullscreenModal } from "./ui/fullscreen.js";
+import { initializeNavigationMenu } from "./ui/navigation.js";
+import {
+    initializeNotFoundPage,
+    redirectLegacyAnchor,
+} from "./ui/not-found.js";
+import { initializeProjectFilters } from "./ui/project-filters.js";
+import {
+    initializeScrollEffects,
+    initializeProjectScroll,
+    initializeScrollTopButton,
+} from "./ui/scroll.js";
+import {
+    initializeProjectTechTagIcons,
+    initializeTechStackDivider,
+} from "./ui/tech-tags.js";
+import { initializeThemeToggle } from "./ui/theme.js";
+
+document.addEventListener("DOMContentLoaded", function () {
+    if (redirectLegacyAnchor()) return;
+    perfMonitor.mark("dom-ready");
+
+    performanceCache.viewport = document.querySelector(".portfolio-container");
+    performanceCache.projectItems = document.querySelectorAll(".project-item");
+
+    perfMonitor.mark("critical-init-start");
+
+    initializeThemeToggle();
+    initializeProjectCarousel();
+    initializeScrollEffects();
+    perfMonitor.measure("critical-init", "critical-init-start");
+
+    idleScheduler.schedule(() => {
+        perfMonitor.mark("idle-init-start");
+        initializeContactButtons();
+        initializeSocialButtons();
+        initializeDownloadButtons();
+        initializeFullscreenModal();
+        initializeNavigationMenu();
+        initializeCertificateLinks();
+        initializeProjectLink();
+        initializeProjectTechTagIcons();
+        initializeProjectFilters();
+        initializeTechStackDivider();
+        initializeScrollTopButton();
+        initializeDetailGallery();
+        initializeContactForm();
+        initializeNotFoundPage();
+        initializeCommandPalette();
+        initializeServiceWorker();
+        perfMonitor.measure("idle-init", "idle-init-start");
+        perfMonitor.measure("total-init", "dom-ready");
+    });
+});
+
+window.addEventListener(
+    "beforeunload",
+    () => {
+        for (const id of performanceCache.timers) {
+            clearTimeout(id);
+        }
+
+        carouselViewportObserver.cleanup();
+
+        const projectItems = performanceCache.projectItems;
+        if (projectItems) {
+            projectItems.forEach((projectItem) => {
+                const media = projectItem.querySelector(".project-media");
+                if (media && media._carouselState) {
+                    media._carouselState.cleanup();
+                }
+            });
+        }
+
+        performanceCache.timers.clear();
+    },
+    { once: true },
+);
+
+document.addEventListener("DOMContentLoaded", () => {
+    const projectItems = performanceCache.projectItems;
+
+    projectItems.forEach((projectItem) => {
+        initializeProjectScroll(projectItem);
+    });
+});
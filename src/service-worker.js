@@ -0,0 +1,10 @@
+import { siteRoot, assetUrl } from "./core/urls.js";
+
+export function initializeServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+    if (/^(localhost|127\.0\.0\.1|\[::1\])$/.test(location.hostname)) return;
+
+    navigator.serviceWorker
+        .register(assetUrl("sw.js"), { scope: siteRoot.href })
+        .catch((error) => console.warn("Error in service worker:", error));
+}
@@ -0,0 +1,185 @@
+import { performanceCache, animatePress } from "../core/performance.js";
+
+const eventDelegator = (() => {
+    const delegateMap = new Map();
+
+    function addDelegatedListener(
+        container,
+        selector,
+        event,
+        handler,
+        options = {},
+    ) {
+        const key = `${event}-${selector}`;
+        if (!delegateMap.has(key)) {
+            const delegatedHandler = (e) => {
+                const target = e.target.closest(selector);
+                if (target && container.contains(target)) {
+                    handler.call(target, e);
+                }
+            };
+
+            container.addEventListener(event, delegatedHandler, options);
+            delegateMap.set(key, { container, handler: delegatedHandler });
+        }
+    }
+
+    return { addDelegatedListener };
+})();
+
+export function initializeContactButtons() {
+    const container = performanceCache.viewport;
+    if (!container) return;
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".contact-btn",
+        "click",
+        function () {
+            animatePress(this);
+            const href = this.getAttribute("data-href");
+            if (!href || href === "#") return;
+
+            if (/^(mailto|tel):/i.test(href)) {
+                window.location.href = href;
+                return;
+            }
+            window.open(href, "_blank", "noopener,noreferrer");
+        },
+        { passive: false },
+    );
+}
+
+export function initializeSocialButtons() {
+    const container = performanceCache.viewport;
+    if (!container) return;
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".social-btn",
+        "click",
+        function () {
+            animatePress(this);
+            const url = this.getAttribute("data-url");
+            if (url) {
+                window.open(url, "_blank", "noopener,noreferrer");
+            }
+        },
+        { passive: false },
+    );
+}
+
+export function initializeCertificateLinks() {
+    const container = performanceCache.viewport;
+    if (!container) return;
+
+    const items = document.querySelectorAll(".certificate-item.glass-pill");
+    items.forEach((item) => {
+        const btn = item.querySelector(".external-link");
+        if (btn) {
+            btn.setAttribute("tabindex", "-1");
+            btn.setAttribute("aria-hidden", "true");
+        }
+    });
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".certificate-item.glass-pill",
+        "click",
+        function (e) {
+            e.stopPropagation();
+            const btn = this.querySelector(".external-link");
+            const url = btn?.getAttribute("data-url");
+            if (url) {
+                window.open(url, "_blank", "noopener,noreferrer");
+                animatePress(this, 0.98);
+            }
+        },
+        { passive: false },
+    );
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".certificate-item.glass-pill",
+        "keydown",
+        function (e) {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                const btn = this.querySelector(".external-link");
+                const url = btn?.getAttribute("data-url");
+                if (url) {
+                    window.open(url, "_blank", "noopener,noreferrer");
+                    animatePress(this, 0.98);
+                }
+            }
+        },
+        { passive: false },
+    );
+}
+
+export function initializeProjectLink() {
+    const container = performanceCache.viewport;
+    if (!container) return;
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".project-link",
+        "click",
+        function () {
+            const url = this.getAttribute("data-url");
+            if (url) {
+                window.open(url, "_blank", "noopener,noreferrer");
+                animatePress(this, 0.98);
+            }
+        },
+        { passive: false },
+    );
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".project-link",
+        "keydown",
+        function (e) {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                const url = this.getAttribute("data-url");
+                if (url) {
+                    window.open(url, "_blank", "noopener,noreferrer");
+                    animatePress(this, 0.98);
+                }
+            }
+        },
+        { passive: false },
+    );
+}
+
+export function initializeDownloadButtons() {
+    const container = performanceCache.viewport;
+    if (!container) return;
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".download-btn[data-download]",
+        "click",
+        function () {
+            const downloadUrl = this.getAttribute("data-download");
+            if (downloadUrl) {
+                window.open(downloadUrl, "_blank", "noopener,noreferrer");
+            }
+        },
+        { passive: false },
+    );
+
+    eventDelegator.addDelegatedListener(
+        container,
+        ".download-btn[data-download]",
+        "keydown",
+        function (e) {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                this.click();
+            }
+        },
+        { passive: false },
+    );
+}
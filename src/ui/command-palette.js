@@ -0,0 +1,354 @@
+import { i18n } from "../core/i18n.js";
+import { pageUrl } from "../core/urls.js";
+
+// Ctrl/Cmd+K opens a palette over window.PORTFOLIO_SEARCH, which the
+// builder writes next to each page's sections.js. It is only fetched the
+// first time the palette opens.
+export function initializeCommandPalette() {
+    if (document.getElementById("command-palette")) return;
+
+    const palette = document.createElement("div");
+    palette.id = "command-palette";
+    palette.className = "command-palette";
+    palette.hidden = true;
+    palette.innerHTML = `
+        <div class="command-palette-panel" role="dialog" aria-modal="true" aria-label="${i18n.t("commandPalette")}">
+            <input
+                class="command-palette-input"
+                type="text"
+                role="combobox"
+                aria-expanded="true"
+                aria-controls="command-palette-list"
+                aria-autocomplete="list"
+                autocomplete="off"
+                spellcheck="false"
+                placeholder="${i18n.t("searchPlaceholder")}"
+            />
+            <ul id="command-palette-list" class="command-palette-list" role="listbox"></ul>
+            <p class="command-palette-status" aria-live="polite"></p>
+        </div>
+    `;
+    document.body.appendChild(palette);
+
+    const input = palette.querySelector(".command-palette-input");
+    const list = palette.querySelector(".command-palette-list");
+    const status = palette.querySelector(".command-palette-status");
+    const maxResults = 8;
+
+    let indexPromise = null;
+    let items = [];
+    let results = [];
+    let selected = 0;
+    let returnFocus = null;
+
+    const loadIndex = () => {
+        if (window.PORTFOLIO_SEARCH) {
+            return Promise.resolve(window.PORTFOLIO_SEARCH);
+        }
+        if (!indexPromise) {
+            indexPromise = new Promise((resolve, reject) => {
+                const script = document.createElement("script");
+                script.src = pageUrl("search-index.js");
+                script.onload = () =>
+                    window.PORTFOLIO_SEARCH
+                        ? resolve(window.PORTFOLIO_SEARCH)
+                        : reject(new Error("search-index.js is empty"));
+                script.onerror = () =>
+                    reject(new Error("search-index.js failed to load"));
+                document.head.appendChild(script);
+            }).catch((error) => {
+                indexPromise = null;
+                throw error;
+            });
+        }
+        return indexPromise;
+    };
+
+    const normalize = (s) =>
+        String(s ?? "")
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase();
+
+    // Substring hits score highest, earlier and at word starts better;
+    // otherwise the letters only have to appear in order, and runs of
+    // consecutive letters count for more than scattered ones.
+    const fuzzyScore = (needle, haystack) => {
+        if (!needle || !haystack) return 0;
+
+        const at = haystack.indexOf(needle);
+        if (at !== -1) {
+            const wordStart = at === 0 || /[\s\-/(]/.test(haystack[at - 1]);
+            return 100 + (wordStart ? 40 : 0) - Math.min(at, 60) / 2;
+        }
+        if (needle.length < 3) return 0;
+
+        let score = 0;
+        let run = 0;
+        let from = 0;
+        for (const ch of needle) {
+            const found = haystack.indexOf(ch, from);
+            if (found === -1) return 0;
+            run = found === from ? run + 1 : 0;
+            score += 1 + run * 2;
+            from = found + 1;
+        }
+        return score;
+    };
+
+    const fields = [
+        ["title", 3],
+        ["category", 2],
+        ["tech", 2],
+        ["description", 1.5],
+        ["text", 0.5],
+    ];
+
+    const buildItems = (data) =>
+        [
+            ...data.entries.map((entry) => ({
+                ...entry,
+                kind: "section",
+                hint: entry.description || entry.category || "",
+            })),
+            ...data.actions.map((action) => ({
+                ...action,
+                kind: "action",
+                hint: i18n.t("action"),
+            })),
+        ].map((item) => ({
+            ...item,
+            search: Object.fromEntries(
+                fields.map(([name]) => [
+                    name,
+                    normalize(
+                        Array.isArray(item[name])
+                            ? item[name].join(" ")
+                            : item[name],
+                    ),
+                ]),
+            ),
+        }));
+
+    const search = (query) => {
+        const terms = normalize(query).split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return items.slice(0, maxResults);
+
+        return items
+            .map((item) => {
+                let total = 0;
+                for (const term of terms) {
+                    const best = Math.max(
+                        ...fields.map(
+                            ([name, weight]) =>
+                                fuzzyScore(term, item.search[name]) * weight,
+                        ),
+                    );
+                    if (best === 0) return null;
+                    total += best;
+                }
+                return { item, total };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.total - a.total)
+            .slice(0, maxResults)
+            .map((r) => r.item);
+    };
+
+    const render = () => {
+        list.innerHTML = "";
+        results.forEach((item, i) => {
+            const li = document.createElement("li");
+            li.id = `command-palette-option-${i}`;
+            li.className = "command-palette-option";
+            li.setAttribute("role", "option");
+            li.setAttribute("aria-selected", String(i === selected));
+            li.dataset.kind = item.kind;
+
+            const title = document.createElement("span");
+            title.className = "command-palette-title";
+            title.textContent = item.title;
+            li.appendChild(title);
+
+            if (item.hint) {
+                const hint = document.createElement("span");
+                hint.className = "command-palette-hint";
+                hint.textContent = item.hint;
+                li.appendChild(hint);
+            }
+
+            li.addEventListener("mousemove", () => {
+                if (selected !== i) select(i);
+            });
+            li.addEventListener("click", () => run(item));
+            list.appendChild(li);
+        });
+
+        if (results.length > 0) {
+            input.setAttribute(
+                "aria-activedescendant",
+                `command-palette-option-${selected}`,
+            );
+            status.textContent = "";
+        } else {
+            input.removeAttribute("aria-activedescendant");
+            status.textContent = input.value.trim() ? i18n.t("noResults") : "";
+        }
+    };
+
+    const select = (i) => {
+        if (results.length === 0) return;
+        selected = (i + results.length) % results.length;
+        list.querySelectorAll(".command-palette-option").forEach((li, idx) => {
+            li.setAttribute("aria-selected", String(idx === selected));
+        });
+        input.setAttribute(
+            "aria-activedescendant",
+            `command-palette-option-${selected}`,
+        );
+        list.children[selected]?.scrollIntoView({ block: "nearest" });
+    };
+
+    const update = () => {
+        results = search(input.value);
+        selected = 0;
+        render();
+    };
+
+    const open = () => {
+        if (!palette.hidden) return;
+
+        returnFocus = document.activeElement;
+        palette.hidden = false;
+        document.body.classList.add("command-palette-open");
+        input.value = "";
+        input.focus();
+
+        if (items.length > 0) {
+            update();
+            return;
+        }
+
+        loadIndex()
+            .then((data) => {
+                items = buildItems(data);
+                if (!palette.hidden) update();
+            })
+            .catch((error) => {
+                console.warn("Command palette index unavailable:", error);
+                status.textContent = i18n.t("searchUnavailable");
+            });
+    };
+
+    const close = ({ restoreFocus = true } = {}) => {
+        if (palette.hidden) return;
+
+        palette.hidden = true;
+        document.body.classList.remove("command-palette-open");
+        list.innerHTML = "";
+        status.textContent = "";
+        if (restoreFocus && returnFocus?.isConnected) returnFocus.focus();
+        returnFocus = null;
+    };
+
+    const goToSection = (id, page) => {
+        const target = document.getElementById(id);
+        if (!target) {
+            window.location.href = pageUrl(page);
+            return;
+        }
+        close({ restoreFocus: false });
+        target.scrollIntoView({
+            block: "start",
+            behavior: window.matchMedia("(prefers-reduced-motion: reduce)")
+                .matches
+                ? "auto"
+                : "smooth",
+        });
+        return target;
+    };
+
+    const run = (item) => {
+        if (!item) return;
+
+        try {
+            switch (item.action ?? item.kind) {
+                case "section":
+                    goToSection(item.id, item.page);
+                    break;
+                case "theme":
+                    close();
+                    document.querySelector(".theme-toggle-button")?.click();
+                    break;
+                case "contact": {
+                    const section = goToSection("contact-section", item.page);
+                    section
+                        ?.querySelector(".contact-field input")
+                        ?.focus({ preventScroll: true });
+                    break;
+                }
+                case "copy":
+                    navigator.clipboard
+                        .writeText(item.value)
+                        .then(() => {
+                            status.textContent = i18n.t("copied", {
+                                value: item.value,
+                            });
+                            setTimeout(close, 900);
+                        })
+                        .catch(() => {
+                            window.location.href = `mailto:${item.value}`;
+                        });
+                    break;
+                case "open":
+                    close();
+                    window.open(item.url, "_blank", "noopener,noreferrer");
+                    break;
+            }
+        } catch (error) {
+            console.warn("Command palette action failed:", error);
+        }
+    };
+
+    input.addEventListener("input", update);
+
+    input.addEventListener("keydown", (e) => {
+        switch (e.key) {
+            case "ArrowDown":
+                e.preventDefault();
+                select(selected + 1);
+                break;
+            case "ArrowUp":
+                e.preventDefault();
+                select(selected - 1);
+                break;
+            case "Enter":
+                e.preventDefault();
+                run(results[selected]);
+                break;
+            case "Escape":
+                e.preventDefault();
+                close();
+                break;
+            case "Tab":
+                e.preventDefault();
+                break;
+        }
+    });
+
+    palette.addEventListener("click", (e) => {
+        if (e.target === palette) close();
+    });
+
+    document.addEventListener("keydown", (e) => {
+        if (
+            (e.ctrlKey || e.metaKey) &&
+            !e.altKey &&
+            e.key.toLowerCase() === "k"
+        ) {
+            e.preventDefault();
+            if (palette.hidden) open();
+            else close();
+        }
+    });
+}
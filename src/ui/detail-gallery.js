@@ -0,0 +1,87 @@
+import { rafScheduler, debounce } from "../core/performance.js";
+import { applyScrollFade, attachCustomScrollbar } from "./scroll.js";
+
+export function initializeDetailGallery() {
+    const gallery = document.querySelector(".detail-gallery");
+    const scroller = gallery?.querySelector(".detail-gallery-scroll");
+    if (!gallery || !scroller) return;
+
+    const items = scroller.querySelectorAll(".detail-gallery-item");
+    if (items.length === 0) return;
+
+    const MIN_VISIBLE = 3;
+
+    const track = gallery.querySelector(".scroll-track");
+    const thumb = gallery.querySelector(".scroll-thumb");
+
+    const scrollbar = attachCustomScrollbar(scroller, track, thumb, {
+        onUpdate: () => applyScrollFade(scroller),
+        reserveSpace: true,
+    });
+
+    const article = gallery.closest(".project-item");
+    const stack = article?.querySelector(".detail-desc-stack");
+    const tech = article?.querySelector(".tech-stack");
+    const buttons = article?.querySelector(".project-buttons");
+
+    const height = (el) => (el ? el.getBoundingClientRect().height : 0);
+
+    const applySizing = () => {
+        if (!gallery.offsetParent && gallery.offsetHeight === 0) {
+            gallery.style.height = "";
+            return;
+        }
+
+        const itemHeight = height(items[0]);
+        if (!itemHeight) return;
+
+        const styles = getComputedStyle(scroller);
+        const gap = parseFloat(styles.rowGap) || 0;
+        const outer = getComputedStyle(gallery);
+
+        const frame =
+            (parseFloat(outer.paddingTop) || 0) +
+            (parseFloat(outer.paddingBottom) || 0) +
+            (parseFloat(outer.borderTopWidth) || 0) +
+            (parseFloat(outer.borderBottomWidth) || 0);
+
+        const stackOf = (n) => itemHeight * n + gap * (n - 1) + frame;
+        const floor = stackOf(Math.min(MIN_VISIBLE, items.length));
+
+        const needed = Math.ceil(stackOf(items.length)) + 2;
+
+        const gridGap = parseFloat(getComputedStyle(article).rowGap) || 0;
+        const available =
+            height(stack) - height(tech) - height(buttons) - gridGap * 2;
+
+        const cap = Math.max(floor, available);
+
+        const target = needed - cap < itemHeight * 0.75 ? needed : cap;
+
+        gallery.style.height = `${Math.max(floor, target)}px`;
+    };
+
+    const refresh = () => {
+        applySizing();
+        scrollbar?.update();
+        applyScrollFade(scroller);
+    };
+
+    window.addEventListener("resize", debounce(refresh, 100), {
+        passive: true,
+    });
+
+    items.forEach((item) => {
+        const img = item.querySelector("img");
+        if (img && !img.complete) {
+            img.addEventListener("load", () => rafScheduler.schedule(refresh), {
+                once: true,
+            });
+        }
+    });
+
+    rafScheduler.schedule(refresh);
+    window.addEventListener("load", () => rafScheduler.schedule(refresh), {
+        once: true,
+    });
+}
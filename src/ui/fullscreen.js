@@ -0,0 +1,565 @@
+import { i18n } from "../core/i18n.js";
+import { carouselHash } from "../carousel/hash.js";
+import { carouselIcons, svgIcon } from "./icons.js";
+
+export function initializeFullscreenModal() {
+    let modal = document.getElementById("fullscreen-modal");
+    if (!modal) {
+        modal = document.createElement("div");
+        modal.id = "fullscreen-modal";
+        modal.className = "carousel-fullscreen-modal";
+
+        const part = (tag, className, label) => {
+            const el = document.createElement(tag);
+            el.className = className;
+            if (label) el.setAttribute("aria-label", i18n.t(label));
+            return el;
+        };
+        const content = part("div", "carousel-fullscreen-content");
+        const viewport = part("div", "carousel-fullscreen-viewport");
+        const img = part("img", "carousel-fullscreen-image");
+        img.alt = "";
+        viewport.appendChild(img);
+        const nav = part("div", "carousel-fullscreen-nav");
+        nav.append(
+            part("button", "carousel-fullscreen-prev", "previousImage"),
+            part("button", "carousel-fullscreen-next", "nextImage"),
+        );
+        const count = part("div", "carousel-fullscreen-counter");
+        count.textContent = "1 / 1";
+        content.append(
+            part("button", "carousel-fullscreen-close", "closeFullscreen"),
+            viewport,
+            nav,
+            count,
+        );
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+    }
+
+    let currentImages = [];
+    let currentIndex = 0;
+    let originalCarousel = null;
+    let currentProjectId = "";
+
+    const closeBtn = modal.querySelector(".carousel-fullscreen-close");
+    const image = modal.querySelector(".carousel-fullscreen-image");
+    const prevBtn = modal.querySelector(".carousel-fullscreen-prev");
+    const nextBtn = modal.querySelector(".carousel-fullscreen-next");
+    const counter = modal.querySelector(".carousel-fullscreen-counter");
+
+    const zoomViewport = modal.querySelector(".carousel-fullscreen-viewport");
+    const minZoom = 1;
+    const maxZoom = 5;
+    const zoomStep = 1.25;
+    const doubleTapMs = 300;
+
+    let zoom = 1;
+    let panX = 0;
+    let panY = 0;
+    let gestureMoved = false;
+    let panStart = null;
+    let pinchStart = null;
+    let lastTap = null;
+    const activePointers = new Map();
+
+    const clampPan = () => {
+        const maxX = Math.max(
+            0,
+            (image.offsetWidth * zoom - zoomViewport.clientWidth) / 2,
+        );
+        const maxY = Math.max(
+            0,
+            (image.offsetHeight * zoom - zoomViewport.clientHeight) / 2,
+        );
+        panX = Math.max(-maxX, Math.min(maxX, panX));
+        panY = Math.max(-maxY, Math.min(maxY, panY));
+    };
+
+    const applyZoom = () => {
+        if (zoom <= minZoom) {
+            zoom = minZoom;
+            panX = 0;
+            panY = 0;
+        }
+        clampPan();
+        image.style.transform =
+            zoom > minZoom
+                ? `translate3d(${panX}px, ${panY}px, 0) scale(${zoom})`
+                : "";
+        modal.classList.toggle("is-zoomed", zoom > minZoom);
+    };
+
+    // Scales around a point on screen, so whatever sits under the cursor
+    // or between the fingers stays put.
+    const zoomAt = (next, clientX, clientY, from = { zoom, panX, panY }) => {
+        const rect = zoomViewport.getBoundingClientRect();
+        const cx = rect.left + rect.width / 2;
+        const cy = rect.top + rect.height / 2;
+        const target = Math.max(minZoom, Math.min(maxZoom, next));
+        const ratio = target / from.zoom;
+
+        panX = clientX - cx - (clientX - cx - from.panX) * ratio;
+        panY = clientY - cy - (clientY - cy - from.panY) * ratio;
+        zoom = target;
+        applyZoom();
+    };
+
+    const zoomAtCenter = (next) => {
+        const rect = zoomViewport.getBoundingClientRect();
+        zoomAt(next, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    };
+
+    const resetZoom = () => {
+        zoom = minZoom;
+        activePointers.clear();
+        panStart = null;
+        pinchStart = null;
+        lastTap = null;
+        modal.classList.remove("is-gesturing");
+        applyZoom();
+    };
+
+    const pointerDistance = () => {
+        const [a, b] = Array.from(activePointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    };
+
+    const pointerMidpoint = () => {
+        const [a, b] = Array.from(activePointers.values());
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
+
+    const startGesture = () => {
+        if (activePointers.size >= 2) {
+            panStart = null;
+            pinchStart = {
+                distance: pointerDistance(),
+                mid: pointerMidpoint(),
+                zoom,
+                panX,
+                panY,
+            };
+        } else if (activePointers.size === 1 && zoom > minZoom) {
+            const [point] = activePointers.values();
+            pinchStart = null;
+            panStart = { x: point.x, y: point.y, panX, panY };
+        } else {
+            panStart = null;
+            pinchStart = null;
+        }
+        modal.classList.toggle("is-gesturing", !!(panStart || pinchStart));
+    };
+
+    zoomViewport.addEventListener(
+        "wheel",
+        (e) => {
+            if (!modal.classList.contains("active")) return;
+            e.preventDefault();
+
+            // Trackpad pinches arrive as ctrl+wheel with small deltas.
+            const speed = e.ctrlKey ? 0.01 : 0.0015;
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            zoomAt(zoom * Math.exp(-delta * speed), e.clientX, e.clientY);
+        },
+        { passive: false },
+    );
+
+    zoomViewport.addEventListener("pointerdown", (e) => {
+        if (e.pointerType === "mouse" && e.button !== 0) return;
+        if (activePointers.size === 0) gestureMoved = false;
+
+        activePointers.set(e.pointerId, {
+            x: e.clientX,
+            y: e.clientY,
+            onImage: e.target === image,
+        });
+        startGesture();
+        // Capturing a plain tap would retarget its click to the viewport,
+        // which closes the modal, so only pans and pinches hold the pointer.
+        if (panStart || pinchStart) {
+            activePointers.forEach((_, id) => {
+                try {
+                    zoomViewport.setPointerCapture(id);
+                } catch {}
+            });
+        }
+    });
+
+    zoomViewport.addEventListener("pointermove", (e) => {
+        const point = activePointers.get(e.pointerId);
+        if (!point) return;
+
+        point.x = e.clientX;
+        point.y = e.clientY;
+
+        if (pinchStart && activePointers.size >= 2) {
+            const mid = pointerMidpoint();
+            const scale = pointerDistance() / pinchStart.distance;
+            gestureMoved = true;
+            zoomAt(pinchStart.zoom * scale, mid.x, mid.y, {
+                zoom: pinchStart.zoom,
+                panX: pinchStart.panX + (mid.x - pinchStart.mid.x),
+                panY: pinchStart.panY + (mid.y - pinchStart.mid.y),
+            });
+        } else if (panStart) {
+            const dx = e.clientX - panStart.x;
+            const dy = e.clientY - panStart.y;
+            if (Math.abs(dx) + Math.abs(dy) > 4) gestureMoved = true;
+            panX = panStart.panX + dx;
+            panY = panStart.panY + dy;
+            applyZoom();
+        }
+    });
+
+    const onZoomPointerEnd = (e) => {
+        const point = activePointers.get(e.pointerId);
+        if (!point) return;
+        activePointers.delete(e.pointerId);
+        startGesture();
+
+        if (e.type !== "pointerup" || gestureMoved || !point.onImage) return;
+
+        const now = performance.now();
+        if (
+            lastTap &&
+            now - lastTap.time < doubleTapMs &&
+            Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30
+        ) {
+            lastTap = null;
+            if (zoom > minZoom) {
+                zoom = minZoom;
+                applyZoom();
+            } else {
+                zoomAt(2, e.clientX, e.clientY);
+            }
+        } else {
+            lastTap = { time: now, x: e.clientX, y: e.clientY };
+        }
+    };
+
+    zoomViewport.addEventListener("pointerup", onZoomPointerEnd);
+    zoomViewport.addEventListener("pointercancel", onZoomPointerEnd);
+
+    function openModal(
+        images,
+        startIndex,
+        carousel,
+        { fromHistory = false } = {},
+    ) {
+        currentImages = images;
+        currentIndex = startIndex;
+        originalCarousel = carousel;
+        currentProjectId = images[0]?.closest(".project-item")?.id || "";
+
+        // Each fullscreen view gets its own history entry so the back button
+        // closes the modal instead of leaving the page.
+        if (currentProjectId && !fromHistory) {
+            carouselHash.write(
+                carouselHash.format(
+                    currentProjectId,
+                    "fullscreen",
+                    currentIndex,
+                ),
+                { push: true, state: { ...history.state, fullscreen: true } },
+            );
+        }
+
+        if (originalCarousel) {
+            if (typeof originalCarousel.onFullscreenOpen === "function") {
+                originalCarousel.onFullscreenOpen();
+            } else if (typeof originalCarousel.pauseAutoplay === "function") {
+                originalCarousel.pauseAutoplay();
+            }
+        }
+
+        showCurrentImage();
+        modal.classList.add("active");
+        document.body.style.overflow = "hidden";
+    }
+
+    function closeModal({ fromHistory = false } = {}) {
+        if (!modal.classList.contains("active")) return;
+
+        if (!fromHistory && currentProjectId) {
+            if (history.state?.fullscreen) {
+                history.back();
+                return;
+            }
+            carouselHash.write(
+                carouselHash.format(
+                    currentProjectId,
+                    "slide",
+                    originalCarousel?.getIndex?.() ?? currentIndex,
+                ),
+            );
+        }
+
+        modal.classList.remove("active");
+        resetZoom();
+        document.body.style.overflow = "";
+
+        setTimeout(() => {
+            if (!originalCarousel) return;
+            if (typeof originalCarousel.onFullscreenClose === "function") {
+                originalCarousel.onFullscreenClose();
+            } else if (typeof originalCarousel.resumeAutoplay === "function") {
+                originalCarousel.resumeAutoplay();
+            }
+        }, 300);
+    }
+
+    // Slides are <picture>s with AVIF and WebP srcsets sized for the card;
+    // fullscreen wants the widest candidate, in the format the browser
+    // already picked for the slide. A slide that hasn't loaded yet falls
+    // back to the last source, WebP.
+    function largestVariant(img) {
+        const sources = Array.from(
+            img.closest("picture")?.querySelectorAll("source[srcset]") || [],
+        );
+        const picked = img.currentSrc.split(/[?#]/)[0].split(".").pop();
+        const source =
+            sources.find((s) => picked && s.srcset.includes(`.${picked} `)) ||
+            sources.at(-1);
+        if (!source) return img.src;
+
+        let best = null;
+        for (const candidate of source.srcset.split(",")) {
+            const [url, descriptor = ""] = candidate.trim().split(/\s+/);
+            const width = parseInt(descriptor, 10) || 0;
+            if (url && (!best || width > best.width)) best = { url, width };
+        }
+        return best ? new URL(best.url, document.baseURI).href : img.src;
+    }
+
+    function showCurrentImage() {
+        resetZoom();
+        if (currentImages.length > 0) {
+            image.src = largestVariant(currentImages[currentIndex]);
+            image.alt = currentImages[currentIndex].alt || "";
+            counter.textContent = `${currentIndex + 1} / ${
+                currentImages.length
+            }`;
+
+            prevBtn.style.display = currentImages.length > 1 ? "flex" : "none";
+            nextBtn.style.display = currentImages.length > 1 ? "flex" : "none";
+
+            if (currentProjectId && modal.classList.contains("active")) {
+                carouselHash.write(
+                    carouselHash.format(
+                        currentProjectId,
+                        "fullscreen",
+                        currentIndex,
+                    ),
+                );
+            }
+        }
+    }
+
+    function nextImage() {
+        if (currentImages.length > 1) {
+            currentIndex = (currentIndex + 1) % currentImages.length;
+            showCurrentImage();
+        }
+    }
+
+    function prevImage() {
+        if (currentImages.length > 1) {
+            currentIndex =
+                (currentIndex - 1 + currentImages.length) %
+                currentImages.length;
+            showCurrentImage();
+        }
+    }
+
+    closeBtn.addEventListener("click", () => closeModal());
+    nextBtn.addEventListener("click", nextImage);
+    prevBtn.addEventListener("click", prevImage);
+
+    modal.addEventListener("click", (e) => {
+        if (zoom > minZoom || gestureMoved) return;
+
+        const clickedElement = e.target;
+        const isBackground = clickedElement === modal;
+        const isContent =
+            clickedElement ===
+            modal.querySelector(".carousel-fullscreen-content");
+        const isViewport =
+            clickedElement ===
+            modal.querySelector(".carousel-fullscreen-viewport");
+
+        if (isBackground || isContent || isViewport) {
+            closeModal();
+        }
+    });
+
+    const modalKeyHandler = (e) => {
+        if (!modal.classList.contains("active")) return;
+
+        switch (e.key) {
+            case "Escape":
+                closeModal();
+                break;
+            case "ArrowRight":
+                e.preventDefault();
+                nextImage();
+                break;
+            case "ArrowLeft":
+                e.preventDefault();
+                prevImage();
+                break;
+            case "+":
+            case "=":
+                e.preventDefault();
+                zoomAtCenter(zoom * zoomStep);
+                break;
+            case "-":
+            case "_":
+                e.preventDefault();
+                zoomAtCenter(zoom / zoomStep);
+                break;
+            case "0":
+                e.preventDefault();
+                resetZoom();
+                break;
+        }
+    };
+
+    if (modal._keyHandler) {
+        document.removeEventListener("keydown", modal._keyHandler);
+    }
+    modal._keyHandler = modalKeyHandler;
+    document.addEventListener("keydown", modalKeyHandler);
+
+    document.addEventListener("click", (e) => {
+        const thumb = e.target.closest(".detail-gallery-item");
+        if (!thumb) return;
+
+        const media = thumb
+            .closest(".project-item")
+            ?.querySelector(".project-media");
+        const slides = media?.querySelectorAll(".carousel-slide img");
+        if (!slides || slides.length === 0) return;
+
+        const idx = Number(thumb.dataset.index);
+        openModal(
+            Array.from(slides),
+            Number.isInteger(idx) && idx >= 0 && idx < slides.length ? idx : 0,
+            media._carouselState || null,
+        );
+    });
+
+    const carousels = document.querySelectorAll(".project-media");
+    carousels.forEach((carousel) => {
+        if (carousel.querySelector(".carousel-fullscreen-btn")) return;
+
+        const slides = carousel.querySelectorAll(".carousel-slide img");
+        if (slides.length === 0) return;
+
+        const pauseBtn = document.createElement("button");
+        pauseBtn.className = "carousel-pause-btn";
+        pauseBtn.setAttribute("aria-label", i18n.t("pauseCarousel"));
+        pauseBtn.setAttribute("data-playing", "true");
+
+        pauseBtn.append(
+            svgIcon(carouselIcons.pause, "pause-icon"),
+            svgIcon(carouselIcons.play, "play-icon"),
+        );
+
+        const updatePauseButtonState = (isPaused) => {
+            pauseBtn.setAttribute("data-playing", isPaused ? "false" : "true");
+            pauseBtn.setAttribute(
+                "aria-label",
+                i18n.t(isPaused ? "resumeCarousel" : "pauseCarousel"),
+            );
+        };
+
+        pauseBtn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const media = carousel;
+            const carouselState = media._carouselState;
+
+            if (
+                carouselState &&
+                typeof carouselState.togglePause === "function"
+            ) {
+                const nowPaused = carouselState.togglePause();
+                updatePauseButtonState(nowPaused);
+            }
+        });
+
+        carousel._pauseBtn = pauseBtn;
+        carousel._updatePauseButtonState = updatePauseButtonState;
+
+        carousel.appendChild(pauseBtn);
+
+        const fullscreenBtn = document.createElement("button");
+        fullscreenBtn.className = "carousel-fullscreen-btn";
+        fullscreenBtn.setAttribute("aria-label", i18n.t("viewFullscreen"));
+        fullscreenBtn.appendChild(svgIcon(carouselIcons.expand));
+
+        carousel.appendChild(fullscreenBtn);
+
+        fullscreenBtn.addEventListener("click", () => {
+            const images = Array.from(slides);
+            const activeSlideIndex = Array.from(
+                carousel.querySelectorAll(".carousel-slide"),
+            ).findIndex((slide) => slide.classList.contains("is-active"));
+
+            const media = carousel;
+            const carouselState = media._carouselState || null;
+
+            openModal(images, Math.max(0, activeSlideIndex), carouselState);
+        });
+    });
+
+    const followHash = ({ initial = false } = {}) => {
+        const link = carouselHash.parse();
+
+        if (link?.mode !== "fullscreen" && modal.classList.contains("active")) {
+            closeModal({ fromHistory: true });
+            return;
+        }
+        if (!link) return;
+
+        const project = document.getElementById(link.id);
+        const media = project?.querySelector(".project-media");
+        const slides = media?.querySelectorAll(".carousel-slide img");
+        if (!slides || slides.length === 0) return;
+
+        const index = Math.min(link.index, slides.length - 1);
+        const carouselState = media._carouselState || null;
+        carouselState?.goTo?.(index);
+
+        if (link.mode === "fullscreen") {
+            if (modal.classList.contains("active")) {
+                currentIndex = index;
+                showCurrentImage();
+            } else {
+                openModal(Array.from(slides), index, carouselState, {
+                    fromHistory: true,
+                });
+            }
+        }
+
+        if (initial || link.mode === "slide") {
+            project.scrollIntoView({
+                block: "center",
+                behavior:
+                    initial ||
+                    window.matchMedia("(prefers-reduced-motion: reduce)")
+                        .matches
+                        ? "auto"
+                        : "smooth",
+            });
+        }
+    };
+
+    if (modal._popHandler) {
+        window.removeEventListener("popstate", modal._popHandler);
+    }
+    modal._popHandler = () => followHash();
+    window.addEventListener("popstate", modal._popHandler);
+
+    followHash({ initial: true });
+}
@@ -0,0 +1,62 @@
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// The carousel's button icons, as [tag, attributes] shapes on a 24×24 grid.
+// They are built node by node rather than parsed from markup, so nothing
+// script.js inserts can bring an inline handler or style attribute along.
+export const carouselIcons = {
+    play: [
+        [
+            "path",
+            {
+                d: "M8 5.14v14.72a1 1 0 001.5.86l11-7.36a1 1 0 000-1.72l-11-7.36a1 1 0 00-1.5.86z",
+                fill: "currentColor",
+            },
+        ],
+    ],
+    pause: [
+        [
+            "rect",
+            { x: 6, y: 4, width: 4, height: 16, rx: 1, fill: "currentColor" },
+        ],
+        [
+            "rect",
+            { x: 14, y: 4, width: 4, height: 16, rx: 1, fill: "currentColor" },
+        ],
+    ],
+    expand: [
+        [
+            "path",
+            {
+                d: "M8 3H5C3.89543 3 3 3.89543 3 5V8M16 3H19C20.1046 3 21 3.89543 21 5V8M8 21H5C3.89543 21 3 20.1046 3 19V16M16 21H19C20.1046 21 21 20.1046 21 19V16",
+                stroke: "currentColor",
+                "stroke-width": 2,
+                "stroke-linecap": "round",
+                "stroke-linejoin": "round",
+            },
+        ],
+    ],
+};
+
+export function svgIcon(shapes, className = "") {
+    const svg = document.createElementNS(SVG_NS, "svg");
+    const attributes = {
+        width: 20,
+        height: 20,
+        viewBox: "0 0 24 24",
+        fill: "none",
+        "aria-hidden": "true",
+    };
+    if (className) attributes.class = className;
+    for (const [name, value] of Object.entries(attributes)) {
+        svg.setAttribute(name, value);
+    }
+
+    for (const [tag, shapeAttributes] of shapes) {
+        const shape = document.createElementNS(SVG_NS, tag);
+        for (const [name, value] of Object.entries(shapeAttributes)) {
+            shape.setAttribute(name, value);
+        }
+        svg.appendChild(shape);
+    }
+    return svg;
+}
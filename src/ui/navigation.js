@@ -0,0 +1,631 @@
+import { i18n } from "../core/i18n.js";
+import { assetUrl, pageUrl } from "../core/urls.js";
+import { applyScrollFade } from "./scroll.js";
+
+export function initializeNavigationMenu() {
+    const menuButton = document.querySelector(".menu-button");
+    const navMenu = document.querySelector(".nav-menu");
+    const navMenuOverlay = document.querySelector(".nav-menu-overlay");
+    const navMenuList = document.querySelector(".nav-menu-list");
+
+    if (!menuButton || !navMenu || !navMenuList) return;
+
+    if (navMenuList.dataset.initialized === "true") {
+        if (navMenuList.dataset.navLocked === "true") {
+            delete navMenuList.dataset.navLocked;
+            navMenuList.style.pointerEvents = "";
+            navMenuList.removeAttribute("aria-disabled");
+        }
+        if (menuButton.dataset.navLocked === "true") {
+            delete menuButton.dataset.navLocked;
+            menuButton.removeAttribute("aria-disabled");
+            menuButton.style.pointerEvents = "";
+            if (typeof menuButton.disabled === "boolean") {
+                menuButton.disabled = false;
+            }
+        }
+        return;
+    }
+    navMenuList.dataset.initialized = "true";
+
+    let fadeObserver = null;
+    let fadeScrollHandler = null;
+
+    const navInteractionState = {
+        active: false,
+        releaseTimer: null,
+        timers: new Set(),
+        rafId: null,
+    };
+    const clearNavigationTimers = () => {
+        navInteractionState.timers.forEach((id) => {
+            clearTimeout(id);
+        });
+        navInteractionState.timers.clear();
+    };
+
+    const stopNavigationRaf = () => {
+        if (navInteractionState.rafId !== null) {
+            cancelAnimationFrame(navInteractionState.rafId);
+            navInteractionState.rafId = null;
+        }
+    };
+
+    const setNavigationPointerState = (locked) => {
+        if (navMenuList) {
+            if (locked) {
+                navMenuList.dataset.navLocked = "true";
+                navMenuList.style.pointerEvents = "none";
+                navMenuList.setAttribute("aria-disabled", "true");
+            } else {
+                delete navMenuList.dataset.navLocked;
+                navMenuList.style.pointerEvents = "";
+                navMenuList.removeAttribute("aria-disabled");
+            }
+        }
+
+        if (menuButton) {
+            if (locked) {
+                menuButton.dataset.navLocked = "true";
+                menuButton.setAttribute("aria-disabled", "true");
+                menuButton.style.pointerEvents = "none";
+                if (typeof menuButton.disabled === "boolean") {
+                    menuButton.disabled = true;
+                }
+            } else {
+                delete menuButton.dataset.navLocked;
+                menuButton.removeAttribute("aria-disabled");
+                menuButton.style.pointerEvents = "";
+                if (typeof menuButton.disabled === "boolean") {
+                    menuButton.disabled = false;
+                }
+            }
+        }
+    };
+
+    const scheduleNavigationTask = (callback, delay) => {
+        const timerId = setTimeout(() => {
+            navInteractionState.timers.delete(timerId);
+            try {
+                callback();
+            } catch (error) {
+                console.error("Navigation task error:", error);
+                releaseNavigationLock("task-error", { force: true });
+            }
+        }, delay);
+
+        navInteractionState.timers.add(timerId);
+        return timerId;
+    };
+
+    const releaseNavigationLock = (
+        reason = "complete",
+        { force = false } = {},
+    ) => {
+        if (!navInteractionState.active && !force) {
+            if (navInteractionState.releaseTimer) {
+                clearTimeout(navInteractionState.releaseTimer);
+                navInteractionState.releaseTimer = null;
+            }
+            return;
+        }
+
+        if (navInteractionState.releaseTimer) {
+            clearTimeout(navInteractionState.releaseTimer);
+            navInteractionState.releaseTimer = null;
+        }
+
+        clearNavigationTimers();
+
+        stopNavigationRaf();
+
+        navInteractionState.active = false;
+        setNavigationPointerState(false);
+    };
+
+    const acquireNavigationLock = (
+        reason = "navigation",
+        fallbackMs = 6000,
+    ) => {
+        if (navInteractionState.active) {
+            return false;
+        }
+
+        navInteractionState.active = true;
+
+        clearNavigationTimers();
+        stopNavigationRaf();
+
+        setNavigationPointerState(true);
+
+        if (navInteractionState.releaseTimer) {
+            clearTimeout(navInteractionState.releaseTimer);
+        }
+
+        navInteractionState.releaseTimer = setTimeout(() => {
+            releaseNavigationLock("timeout", { force: true });
+        }, fallbackMs);
+
+        return true;
+    };
+
+    const monitorScrollCompletion = (targetPosition) => {
+        let stableFrames = 0;
+        let lastY = window.scrollY;
+        let checksCount = 0;
+        const tolerance = 2;
+        const maxChecks = 180;
+
+        const checkScroll = () => {
+            if (!navInteractionState.active) {
+                navInteractionState.rafId = null;
+                return;
+            }
+
+            checksCount++;
+            const currentY = window.scrollY;
+
+            const scrollStopped = Math.abs(currentY - lastY) <= 0.5;
+            lastY = currentY;
+
+            const nearTarget = Math.abs(currentY - targetPosition) <= tolerance;
+
+            if (nearTarget || scrollStopped) {
+                stableFrames += 1;
+            } else {
+                stableFrames = 0;
+            }
+
+            if (stableFrames >= 6 || checksCount >= maxChecks) {
+                releaseNavigationLock("stabilized");
+                return;
+            }
+
+            if (navInteractionState.active) {
+                navInteractionState.rafId = requestAnimationFrame(checkScroll);
+            }
+        };
+
+        navInteractionState.rafId = requestAnimationFrame(checkScroll);
+    };
+
+    const getSections = () => {
+        if (Array.isArray(window.PORTFOLIO_SECTIONS)) {
+            return window.PORTFOLIO_SECTIONS;
+        }
+
+        const fallback = [
+            {
+                id: "profile-section",
+                page: "about.html",
+                title: i18n.t("aboutMe"),
+                category: null,
+                description: "",
+            },
+        ];
+
+        document
+            .querySelectorAll(".project-item[id^='project-']")
+            .forEach((project) => {
+                fallback.push({
+                    id: project.id,
+                    page: `${project.id.replace(/^project-/, "")}.html`,
+                    title:
+                        project.dataset.projectTitle ||
+                        i18n.t("untitledProject"),
+                    category:
+                        project.dataset.projectCategory || i18n.t("project"),
+                    description: project.dataset.projectDescription || "",
+                });
+            });
+
+        return fallback;
+    };
+
+    const populateMenu = () => {
+        navMenuList.replaceChildren();
+
+        const currentPage = document.body.dataset.page || "index.html";
+
+        getSections().forEach((section) => {
+            const { id, page, title, category, description } = section;
+
+            const li = document.createElement("li");
+            const link = document.createElement("a");
+
+            link.href = pageUrl(page);
+            link.className = "nav-menu-item";
+            link.dataset.target = id;
+
+            if (page === currentPage) {
+                link.setAttribute("aria-current", "page");
+            }
+
+            const content = document.createElement("div");
+            content.className = "nav-item-content";
+
+            const titleEl = document.createElement("span");
+            titleEl.className = "nav-item-title";
+            titleEl.textContent = title;
+            content.appendChild(titleEl);
+
+            if (!category) {
+                link.appendChild(content);
+                li.appendChild(link);
+                navMenuList.appendChild(li);
+                return;
+            }
+
+            const metaEl = document.createElement("div");
+            metaEl.className = "nav-item-meta";
+
+            const iconWrapper = document.createElement("div");
+            iconWrapper.className = "nav-item-icon";
+            const icon = document.createElement("img");
+            const isDesignProject =
+                category.toLowerCase().includes("design") ||
+                category.toLowerCase().includes("ui/ux");
+            icon.src = assetUrl(
+                isDesignProject
+                    ? "assets/icons/design.svg"
+                    : "assets/icons/code.svg",
+            );
+            icon.alt = "";
+            icon.setAttribute("aria-hidden", "true");
+            icon.width = 16;
+            icon.height = 16;
+            icon.loading = "lazy";
+            icon.decoding = "async";
+            iconWrapper.appendChild(icon);
+
+            const categoryEl = document.createElement("p");
+            categoryEl.className = "nav-item-category";
+
+            const strong = document.createElement("strong");
+            strong.textContent = category;
+
+            const separator = document.createElement("span");
+            separator.className = "separator";
+            separator.textContent = " · ";
+
+            const descText = document.createTextNode(description);
+
+            categoryEl.appendChild(strong);
+            categoryEl.appendChild(separator);
+            categoryEl.appendChild(descText);
+
+            metaEl.appendChild(iconWrapper);
+            metaEl.appendChild(categoryEl);
+
+            content.appendChild(metaEl);
+
+            link.appendChild(content);
+            li.appendChild(link);
+            navMenuList.appendChild(li);
+        });
+
+        const locales = window.PORTFOLIO_LOCALES;
+        if (!Array.isArray(locales) || locales.length < 2) return;
+
+        const li = document.createElement("li");
+        const switcher = document.createElement("div");
+        switcher.className = "nav-lang-switch";
+        switcher.setAttribute("role", "group");
+        switcher.setAttribute("aria-label", i18n.t("language"));
+
+        locales.forEach(({ lang, name, root }) => {
+            const link = document.createElement("a");
+            link.className = "nav-lang-link";
+            link.href = pageUrl(`${root}${currentPage}`);
+            link.hreflang = lang;
+            link.lang = lang;
+            link.textContent = name;
+            if (lang === i18n.lang) link.setAttribute("aria-current", "true");
+            switcher.appendChild(link);
+        });
+
+        li.appendChild(switcher);
+        navMenuList.appendChild(li);
+    };
+
+    const openMenu = () => {
+        if (navInteractionState.active) return;
+
+        navMenu.classList.add("active");
+        document.body.classList.add("menu-open");
+        menuButton.classList.add("active");
+        menuButton.setAttribute("aria-label", i18n.t("closeMenu"));
+
+        const menuItems = navMenuList.querySelectorAll("li");
+        menuItems.forEach((item, index) => {
+            item.style.animationDelay = `${0.05 + index * 0.05}s`;
+        });
+    };
+
+    const closeMenu = ({ preserveLock = false } = {}) => {
+        navMenu.classList.remove("active");
+        document.body.classList.remove("menu-open");
+        menuButton.classList.remove("active");
+        menuButton.setAttribute("aria-label", i18n.t("openMenu"));
+
+        clearNavigationTimers();
+
+        if (!preserveLock) {
+            releaseNavigationLock("menu-closed", { force: true });
+        }
+    };
+
+    const scrollToTarget = (targetId) => {
+        if (!acquireNavigationLock("menu-navigation")) {
+            return;
+        }
+
+        const target = document.getElementById(targetId);
+        if (!target) {
+            releaseNavigationLock("missing-target", { force: true });
+            return;
+        }
+
+        closeMenu({ preserveLock: true });
+
+        const offset = 80;
+        const targetPosition =
+            target.getBoundingClientRect().top + window.pageYOffset - offset;
+
+        let userScrollDetected = false;
+        let listenersRegistered = false;
+
+        const cleanupScrollListeners = () => {
+            if (listenersRegistered) {
+                window.removeEventListener("wheel", handleUserScroll);
+                window.removeEventListener("touchmove", handleUserScroll);
+                listenersRegistered = false;
+            }
+        };
+
+        const handleUserScroll = () => {
+            const currentScroll = window.scrollY;
+            const distanceToTarget = Math.abs(currentScroll - targetPosition);
+
+            if (distanceToTarget > 100) {
+                userScrollDetected = true;
+                cleanupScrollListeners();
+                releaseNavigationLock("user-interrupted", { force: true });
+            }
+        };
+
+        scheduleNavigationTask(() => {
+            try {
+                window.addEventListener("wheel", handleUserScroll, {
+                    passive: true,
+                    once: false,
+                });
+                window.addEventListener("touchmove", handleUserScroll, {
+                    passive: true,
+                    once: false,
+                });
+                listenersRegistered = true;
+
+                window.scrollTo({
+                    top: targetPosition,
+                    behavior: window.matchMedia(
+                        "(prefers-reduced-motion: reduce)",
+                    ).matches
+                        ? "auto"
+                        : "smooth",
+                });
+
+                monitorScrollCompletion(targetPosition);
+
+                scheduleNavigationTask(() => {
+                    cleanupScrollListeners();
+
+                    if (userScrollDetected) return;
+
+                    target.style.transition = "transform 0.3s ease-out";
+                    target.style.transform = "scale(1.01)";
+
+                    scheduleNavigationTask(() => {
+                        if (userScrollDetected) return;
+
+                        target.style.transform = "";
+
+                        scheduleNavigationTask(() => {
+                            target.style.transition = "";
+                            releaseNavigationLock("animation-complete");
+                        }, 300);
+                    }, 300);
+                }, 800);
+            } catch (error) {
+                cleanupScrollListeners();
+                throw error;
+            }
+        }, 300);
+    };
+
+    const handleMenuButtonClick = () => {
+        if (navInteractionState.active) return;
+
+        if (navMenu.classList.contains("active")) {
+            closeMenu();
+        } else {
+            openMenu();
+        }
+    };
+
+    const handleMenuItemClick = (e) => {
+        const menuItem = e.target.closest(".nav-menu-item");
+        if (!menuItem) return;
+
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button > 0) return;
+
+        const targetId = menuItem.dataset.target;
+
+        if (!targetId || !document.getElementById(targetId)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (navInteractionState.active) return;
+
+        scrollToTarget(targetId);
+    };
+
+    const handleOverlayClick = () => {
+        if (navInteractionState.active) return;
+        closeMenu();
+    };
+
+    const handleEscapeKey = (e) => {
+        if (e.key === "Escape" && navMenu.classList.contains("active")) {
+            if (navInteractionState.active) return;
+            closeMenu();
+        }
+    };
+
+    const trapFocus = (e) => {
+        if (!navMenu.classList.contains("active")) return;
+
+        const focusableElements = navMenu.querySelectorAll(
+            'button, a, input, select, textarea, [tabindex]:not([tabindex="-1"])',
+        );
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (e.key === "Tab") {
+            if (e.shiftKey) {
+                if (document.activeElement === firstElement) {
+                    e.preventDefault();
+                    lastElement.focus();
+                }
+            } else {
+                if (document.activeElement === lastElement) {
+                    e.preventDefault();
+                    firstElement.focus();
+                }
+            }
+        }
+    };
+
+    const handleVisibilityChange = () => {
+        if (document.hidden) {
+            releaseNavigationLock("visibility-change", { force: true });
+            if (navMenu && navMenu.classList.contains("active")) {
+                navMenu.classList.remove("active");
+                document.body.classList.remove("menu-open");
+                menuButton.classList.remove("active");
+                menuButton.setAttribute("aria-label", i18n.t("openMenu"));
+            }
+        } else {
+            requestAnimationFrame(() => {
+                if (
+                    navInteractionState.active &&
+                    !navMenu.classList.contains("active")
+                ) {
+                    releaseNavigationLock("visibility-restore", {
+                        force: true,
+                    });
+                }
+            });
+        }
+    };
+
+    let resizeTimer = null;
+    const handleResize = () => {
+        if (navInteractionState.active) {
+            if (resizeTimer) {
+                navInteractionState.timers.delete(resizeTimer);
+                clearTimeout(resizeTimer);
+            }
+            resizeTimer = scheduleNavigationTask(() => {
+                if (navInteractionState.active) {
+                    releaseNavigationLock("resize-safety", { force: true });
+                }
+                resizeTimer = null;
+            }, 500);
+        }
+    };
+
+    const cleanup = () => {
+        releaseNavigationLock("cleanup", { force: true });
+
+        if (fadeObserver) {
+            fadeObserver.disconnect();
+            fadeObserver = null;
+        }
+        if (fadeScrollHandler && navMenuList) {
+            navMenuList.removeEventListener("scroll", fadeScrollHandler);
+            fadeScrollHandler = null;
+        }
+
+        menuButton.removeEventListener("click", handleMenuButtonClick);
+        if (navMenuOverlay) {
+            navMenuOverlay.removeEventListener("click", handleOverlayClick);
+        }
+        navMenuList.removeEventListener("click", handleMenuItemClick);
+        document.removeEventListener("keydown", handleEscapeKey);
+        document.removeEventListener("keydown", trapFocus);
+        document.removeEventListener(
+            "visibilitychange",
+            handleVisibilityChange,
+        );
+        window.removeEventListener("resize", handleResize);
+    };
+
+    menuButton.removeEventListener("click", handleMenuButtonClick);
+    if (navMenuOverlay) {
+        navMenuOverlay.removeEventListener("click", handleOverlayClick);
+    }
+    navMenuList.removeEventListener("click", handleMenuItemClick);
+    document.removeEventListener("keydown", handleEscapeKey);
+    document.removeEventListener("keydown", trapFocus);
+
+    menuButton.addEventListener("click", handleMenuButtonClick);
+    if (navMenuOverlay) {
+        navMenuOverlay.addEventListener("click", handleOverlayClick);
+    }
+    navMenuList.addEventListener("click", handleMenuItemClick);
+    document.addEventListener("keydown", handleEscapeKey);
+    document.addEventListener("keydown", trapFocus);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("resize", handleResize, { passive: true });
+
+    window.addEventListener("beforeunload", cleanup, { once: true });
+
+    const initializeNavMenuScrollFade = () => {
+        const updateNavFade = () => {
+            if (!navMenuList || !navMenuList.isConnected) return;
+            applyScrollFade(navMenuList);
+        };
+
+        if (fadeScrollHandler) {
+            navMenuList.removeEventListener("scroll", fadeScrollHandler);
+        }
+
+        fadeScrollHandler = updateNavFade;
+
+        navMenuList.addEventListener("scroll", fadeScrollHandler, {
+            passive: true,
+        });
+
+        if (fadeObserver) {
+            fadeObserver.disconnect();
+        }
+
+        fadeObserver = new MutationObserver(() => {
+            if (navMenu && navMenu.classList.contains("active")) {
+                setTimeout(updateNavFade, 100);
+            }
+        });
+        fadeObserver.observe(navMenu, {
+            attributes: true,
+            attributeFilter: ["class"],
+        });
+
+        updateNavFade();
+    };
+
+    populateMenu();
+
+    initializeNavMenuScrollFade();
+}
@@ -0,0 +1,84 @@
+import { pageUrl } from "../core/urls.js";
+
+const knownSections = () =>
+    Array.isArray(window.PORTFOLIO_SECTIONS) ? window.PORTFOLIO_SECTIONS : [];
+
+const pathWords = (text) =>
+    text
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/\.html$/, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+// 1 for equal strings, 0 for nothing in common (normalized edit distance).
+const textSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        for (let j = 1; j <= b.length; j++) {
+            next[j] = Math.min(
+                row[j] + 1,
+                next[j - 1] + 1,
+                row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+        }
+        row = next;
+    }
+    return 1 - row[b.length] / Math.max(a.length, b.length);
+};
+
+// The section whose page name or title is closest to the last segment of
+// `path`, or null when nothing is close enough to be worth suggesting.
+export function closestSection(path, list = knownSections()) {
+    const wanted = pathWords(path.split("/").filter(Boolean).pop() || "");
+    if (!wanted) return null;
+
+    let best = null;
+    let bestScore = 0.5;
+    for (const section of list) {
+        const names = [pathWords(section.page), pathWords(section.title)];
+        // A single word of a name ("/genetic") counts a little less.
+        const score = Math.max(
+            ...names.map((name) => textSimilarity(wanted, name)),
+            ...names
+                .flatMap((name) => name.split(" "))
+                .map((word) => 0.9 * textSimilarity(wanted, word)),
+        );
+        if (score > bestScore) {
+            best = section;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+export function initializeNotFoundPage() {
+    const suggestion = document.querySelector(".not-found-suggestion");
+    const link = suggestion?.querySelector(".not-found-link");
+    if (!link) return;
+
+    const section = closestSection(location.pathname);
+    if (!section) return;
+
+    link.href = pageUrl(section.page);
+    link.textContent = section.title;
+    suggestion.hidden = false;
+}
+
+// Before the project pages existed, links pointed at #project-<id> on the
+// index. Fragments never reach the server, so _redirects can't send those
+// to the project's own page; this does. Carousel links
+// (#project-<id>/slide-2) still belong to the index.
+export function redirectLegacyAnchor() {
+    const match = /^#(project-[\w-]+)$/.exec(location.hash);
+    if (!match || document.body.dataset.page !== "index.html") return false;
+
+    const section = knownSections().find((s) => s.id === match[1]);
+    if (!section) return false;
+
+    location.replace(pageUrl(section.page));
+    return true;
+}
@@ -0,0 +1,401 @@
+import { i18n } from "../core/i18n.js";
+import { pageUrl } from "../core/urls.js";
+
+// The index projects can be narrowed by technology (every selected tag must
+// be present), category and year, and sorted. The state lives in the query
+// string (?tech=python,react&category=full-stack&from=2023&to=2024&sort=newest)
+// so a filtered list can be shared. A project's tech tags on other pages link
+// here. The profile grid's tags are left alone: they are plain links to each
+// technology's landing page, and the bar links the landing pages of the
+// technologies selected.
+export function initializeProjectFilters() {
+    const section = document.body.classList.contains("detail-page")
+        ? null
+        : document.querySelector(".projects-section");
+    const items = section
+        ? Array.from(section.querySelectorAll(":scope > .project-item"))
+        : [];
+    const filterable = items.length > 1;
+
+    const techTagSelector = ".projects-section span.tech-tag[data-tech]";
+
+    const techLabel = (slug) =>
+        document.querySelector(`.tech-tag[data-tech="${slug}"] span`)
+            ?.textContent ||
+        document
+            .querySelector(`.tech-tag[data-tech="${slug}"]`)
+            ?.textContent.trim() ||
+        slug;
+
+    const readState = () => {
+        const params = new URLSearchParams(location.search);
+        const list = (name) =>
+            (params.get(name) || "").split(",").filter(Boolean);
+        return {
+            tech: list("tech"),
+            category: params.get("category") || "",
+            from: params.get("from") || "",
+            to: params.get("to") || "",
+            sort: params.get("sort") || "featured",
+        };
+    };
+
+    const linkTags = (role, usable = () => true) =>
+        document.querySelectorAll(techTagSelector).forEach((tag) => {
+            if (!usable(tag.dataset.tech)) return;
+            tag.setAttribute("role", role);
+            tag.tabIndex = 0;
+            tag.title = i18n.t("filterByTech", {
+                tech: techLabel(tag.dataset.tech),
+            });
+        });
+
+    let toggleTech = (slug) => {
+        window.location.href = pageUrl(
+            `index.html?tech=${encodeURIComponent(slug)}`,
+        );
+    };
+
+    const onTagActivate = (e) => {
+        const tag = e.target.closest(techTagSelector);
+        if (!tag || !tag.hasAttribute("role")) return;
+        if (e.type === "keydown" && e.key !== "Enter" && e.key !== " ") return;
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        e.preventDefault();
+        toggleTech(tag.dataset.tech, { reveal: true });
+    };
+    document.addEventListener("click", onTagActivate);
+    document.addEventListener("keydown", onTagActivate);
+
+    if (!filterable) {
+        linkTags("link");
+        return;
+    }
+
+    const projects = items.map((el, order) => ({
+        el,
+        order,
+        title: (el.dataset.projectTitle || "").replace(/^\S+\s+/u, ""),
+        category: el.dataset.projectCategoryKey || "",
+        categoryLabel: el.dataset.projectCategory || "",
+        year: Number(el.querySelector(".project-date")?.textContent) || 0,
+        tech: new Set(
+            Array.from(el.querySelectorAll(".tech-tag[data-tech]")).map(
+                (t) => t.dataset.tech,
+            ),
+        ),
+    }));
+
+    const techCounts = new Map();
+    projects.forEach((p) =>
+        p.tech.forEach((slug) =>
+            techCounts.set(slug, (techCounts.get(slug) || 0) + 1),
+        ),
+    );
+    const techList = Array.from(techCounts.keys()).sort(
+        (a, b) =>
+            techCounts.get(b) - techCounts.get(a) ||
+            techLabel(a).localeCompare(techLabel(b)),
+    );
+    const categories = Array.from(
+        new Map(projects.map((p) => [p.category, p.categoryLabel])),
+    );
+    const years = Array.from(new Set(projects.map((p) => p.year)))
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+
+    linkTags("button", (slug) => techCounts.has(slug));
+
+    const state = readState();
+    state.tech = state.tech.filter((slug) => techCounts.has(slug));
+
+    const bar = document.createElement("div");
+    bar.className = "project-filters glass-container";
+    bar.setAttribute("role", "search");
+    bar.setAttribute("aria-label", i18n.t("filterProjects"));
+
+    const chips = document.createElement("div");
+    chips.className = "project-filter-group project-filter-tech";
+    chips.setAttribute("role", "group");
+    chips.setAttribute("aria-label", i18n.t("technology"));
+    techList.forEach((slug) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "project-filter-chip";
+        chip.dataset.tech = slug;
+        const icon = document
+            .querySelector(`.tech-tag[data-tech="${slug}"] img`)
+            ?.cloneNode();
+        if (icon) {
+            icon.alt = "";
+            icon.removeAttribute("class");
+            chip.appendChild(icon);
+        }
+        chip.appendChild(document.createTextNode(techLabel(slug)));
+        chips.appendChild(chip);
+    });
+
+    const categoryGroup = document.createElement("div");
+    categoryGroup.className = "project-filter-group project-filter-category";
+    categoryGroup.setAttribute("role", "group");
+    categoryGroup.setAttribute("aria-label", i18n.t("category"));
+    [["", i18n.t("allCategories")], ...categories].forEach(([key, label]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "project-filter-toggle";
+        btn.dataset.category = key;
+        btn.textContent = label;
+        categoryGroup.appendChild(btn);
+    });
+
+    const select = (name, label, options) => {
+        const wrap = document.createElement("label");
+        wrap.className = "project-filter-field";
+        const caption = document.createElement("span");
+        caption.textContent = label;
+        const el = document.createElement("select");
+        el.name = name;
+        options.forEach(([value, text]) => el.add(new Option(text, value)));
+        wrap.append(caption, el);
+        return { wrap, el };
+    };
+
+    const yearOptions = years.map((y) => [String(y), String(y)]);
+    const fromSelect = select("from", i18n.t("yearFrom"), yearOptions);
+    const toSelect = select("to", i18n.t("yearTo"), yearOptions);
+    const sortSelect = select("sort", i18n.t("sortBy"), [
+        ["featured", i18n.t("sortFeatured")],
+        ["newest", i18n.t("sortNewest")],
+        ["oldest", i18n.t("sortOldest")],
+        ["title", i18n.t("sortTitle")],
+    ]);
+
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button";
+    clearBtn.className = "project-filter-clear";
+    clearBtn.textContent = i18n.t("clearFilters");
+
+    const row = document.createElement("div");
+    row.className = "project-filter-row";
+    row.append(fromSelect.wrap, toSelect.wrap, sortSelect.wrap, clearBtn);
+
+    const status = document.createElement("p");
+    status.className = "project-filter-status";
+    status.setAttribute("aria-live", "polite");
+
+    const techPages = document.createElement("p");
+    techPages.className = "project-filter-pages";
+
+    bar.append(chips, categoryGroup, row, status, techPages);
+    section.insertBefore(bar, section.firstElementChild);
+
+    const minYear = String(years[0] ?? "");
+    const maxYear = String(years[years.length - 1] ?? "");
+
+    const writeQuery = () => {
+        const params = new URLSearchParams(location.search);
+        const set = (name, value, fallback = "") => {
+            if (value && value !== fallback) params.set(name, value);
+            else params.delete(name);
+        };
+        set("tech", state.tech.join(","));
+        set("category", state.category);
+        set("from", state.from, minYear);
+        set("to", state.to, maxYear);
+        set("sort", state.sort, "featured");
+
+        const query = params.toString().replace(/%2C/g, ",");
+        try {
+            history.replaceState(
+                history.state,
+                "",
+                `${location.pathname}${query ? `?${query}` : ""}${location.hash}`,
+            );
+        } catch (error) {
+            console.warn("Failed to update project filters in URL:", error);
+        }
+    };
+
+    const syncControls = () => {
+        chips.querySelectorAll(".project-filter-chip").forEach((chip) => {
+            chip.setAttribute(
+                "aria-pressed",
+                String(state.tech.includes(chip.dataset.tech)),
+            );
+        });
+        categoryGroup
+            .querySelectorAll(".project-filter-toggle")
+            .forEach((btn) => {
+                btn.setAttribute(
+                    "aria-pressed",
+                    String(btn.dataset.category === state.category),
+                );
+            });
+        fromSelect.el.value = state.from || minYear;
+        toSelect.el.value = state.to || maxYear;
+        sortSelect.el.value = state.sort;
+        clearBtn.hidden =
+            state.tech.length === 0 &&
+            !state.category &&
+            (state.from || minYear) === minYear &&
+            (state.to || maxYear) === maxYear;
+
+        techPages.replaceChildren(
+            ...state.tech.map((slug) => {
+                const link = document.createElement("a");
+                link.href = pageUrl(`tech/${encodeURIComponent(slug)}.html`);
+                link.textContent = i18n.t("techPage", {
+                    tech: techLabel(slug),
+                });
+                return link;
+            }),
+        );
+        techPages.hidden = state.tech.length === 0;
+    };
+
+    const matches = (p) => {
+        const from = Number(state.from || minYear);
+        const to = Number(state.to || maxYear);
+        return (
+            state.tech.every((slug) => p.tech.has(slug)) &&
+            (!state.category || p.category === state.category) &&
+            (!p.year || (p.year >= from && p.year <= to))
+        );
+    };
+
+    const sorters = {
+        featured: (a, b) => a.order - b.order,
+        newest: (a, b) => b.year - a.year || a.order - b.order,
+        oldest: (a, b) => a.year - b.year || a.order - b.order,
+        title: (a, b) =>
+            a.title.localeCompare(b.title, i18n.lang) || a.order - b.order,
+    };
+
+    // FLIP: measure, reorder and hide, then play each card back from where
+    // it was so the grid reflows instead of jumping.
+    const apply = ({ animate = true } = {}) => {
+        const reduced = window.matchMedia(
+            "(prefers-reduced-motion: reduce)",
+        ).matches;
+        const before = new Map(
+            projects
+                .filter((p) => !p.el.hidden)
+                .map((p) => [p.el, p.el.getBoundingClientRect()]),
+        );
+
+        const sorted = projects
+            .slice()
+            .sort(sorters[state.sort] || sorters.featured);
+        let shown = 0;
+        sorted.forEach((p) => {
+            const visible = matches(p);
+            p.el.hidden = !visible;
+            if (visible) shown++;
+            section.appendChild(p.el);
+        });
+
+        status.textContent =
+            shown === 0
+                ? i18n.t("noProjects")
+                : i18n.t("showingProjects", {
+                      shown,
+                      total: projects.length,
+                  });
+        syncControls();
+
+        if (!animate || reduced) return;
+
+        sorted.forEach((p) => {
+            if (p.el.hidden || p.el.classList.contains("scroll-pending"))
+                return;
+            const last = p.el.getBoundingClientRect();
+            const first = before.get(p.el);
+            if (!first) {
+                p.el.animate(
+                    [
+                        { opacity: 0, transform: "scale(0.97)" },
+                        { opacity: 1, transform: "none" },
+                    ],
+                    { duration: 300, easing: "ease-out" },
+                );
+                return;
+            }
+            const dx = first.left - last.left;
+            const dy = first.top - last.top;
+            if (!dx && !dy) return;
+            p.el.animate(
+                [
+                    { transform: `translate(${dx}px, ${dy}px)` },
+                    { transform: "none" },
+                ],
+                {
+                    duration: 380,
+                    easing: "cubic-bezier(0.25, 0.46, 0.45, 0.94)",
+                },
+            );
+        });
+    };
+
+    const change = (mutate) => {
+        mutate();
+        if (state.from && state.to && Number(state.from) > Number(state.to)) {
+            [state.from, state.to] = [state.to, state.from];
+        }
+        writeQuery();
+        apply();
+    };
+
+    toggleTech = (slug, { reveal = false } = {}) => {
+        if (!techCounts.has(slug)) return;
+        change(() => {
+            state.tech = state.tech.includes(slug)
+                ? state.tech.filter((s) => s !== slug)
+                : [...state.tech, slug];
+        });
+        if (reveal) {
+            bar.scrollIntoView({
+                block: "start",
+                behavior: window.matchMedia("(prefers-reduced-motion: reduce)")
+                    .matches
+                    ? "auto"
+                    : "smooth",
+            });
+        }
+    };
+
+    chips.addEventListener("click", (e) => {
+        const chip = e.target.closest(".project-filter-chip");
+        if (chip) toggleTech(chip.dataset.tech);
+    });
+
+    categoryGroup.addEventListener("click", (e) => {
+        const btn = e.target.closest(".project-filter-toggle");
+        if (btn) change(() => (state.category = btn.dataset.category));
+    });
+
+    fromSelect.el.addEventListener("change", () =>
+        change(() => (state.from = fromSelect.el.value)),
+    );
+    toSelect.el.addEventListener("change", () =>
+        change(() => (state.to = toSelect.el.value)),
+    );
+    sortSelect.el.addEventListener("change", () =>
+        change(() => (state.sort = sortSelect.el.value)),
+    );
+
+    clearBtn.addEventListener("click", () =>
+        change(() => {
+            state.tech = [];
+            state.category = "";
+            state.from = "";
+            state.to = "";
+        }),
+    );
+
+    apply({ animate: false });
+
+    if (new URLSearchParams(location.search).has("tech") && !location.hash) {
+        bar.scrollIntoView({ block: "start" });
+    }
+}
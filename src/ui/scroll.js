@@ -0,0 +1,330 @@
+import {
+    performanceCache,
+    willChangeManager,
+    rafScheduler,
+    debounce,
+} from "../core/performance.js";
+
+export function applyScrollFade(element) {
+    if (!element) return;
+
+    const { scrollTop, scrollHeight, clientHeight } = element;
+
+    if (scrollHeight <= clientHeight + 2) {
+        element.style.maskImage = "none";
+        element.style.webkitMaskImage = "none";
+        return;
+    }
+
+    const threshold = 20;
+    const topFade = Math.min(scrollTop / threshold, 1);
+    const bottomFade = Math.min(
+        (scrollHeight - clientHeight - scrollTop) / threshold,
+        1,
+    );
+
+    let gradient;
+    if (scrollTop <= 5) {
+        gradient = `linear-gradient(to bottom, rgba(0,0,0,1) 0%, rgba(0,0,0,1) 85%, rgba(0,0,0,${
+            bottomFade * 0.15
+        }) 95%, rgba(0,0,0,0) 100%)`;
+    } else if (scrollTop >= scrollHeight - clientHeight - 5) {
+        gradient = `linear-gradient(to bottom, rgba(0,0,0,0) 0%, rgba(0,0,0,${
+            topFade * 0.15
+        }) 5%, rgba(0,0,0,1) 15%, rgba(0,0,0,1) 100%)`;
+    } else {
+        gradient = `linear-gradient(to bottom, rgba(0,0,0,0) 0%, rgba(0,0,0,${
+            topFade * 0.2
+        }) 4%, rgba(0,0,0,1) 12%, rgba(0,0,0,1) 88%, rgba(0,0,0,${
+            bottomFade * 0.2
+        }) 96%, rgba(0,0,0,0) 100%)`;
+    }
+
+    element.style.maskImage = gradient;
+    element.style.webkitMaskImage = gradient;
+}
+
+export function attachCustomScrollbar(
+    scrollEl,
+    track,
+    thumb,
+    { onUpdate, reserveSpace = false } = {},
+) {
+    if (!scrollEl || !track || !thumb) return null;
+
+    let isDragging = false;
+    let startY = 0;
+    let startScrollTop = 0;
+
+    const update = () => {
+        const { scrollTop, scrollHeight, clientHeight } = scrollEl;
+        const hasOverflow = scrollHeight > clientHeight + 2;
+
+        const indicator = track.parentElement;
+        if (indicator) {
+            if (reserveSpace) {
+                indicator.style.visibility = hasOverflow ? "visible" : "hidden";
+            } else {
+                indicator.style.display = hasOverflow ? "block" : "none";
+            }
+        }
+
+        if (!hasOverflow) {
+            thumb.style.height = "0px";
+            thumb.style.transform = "translateY(0)";
+        } else {
+            const ratio = clientHeight / scrollHeight;
+            const thumbH = Math.max(20, track.clientHeight * ratio);
+            const maxThumbTop = track.clientHeight - thumbH;
+            const scrollRatio = scrollTop / (scrollHeight - clientHeight || 1);
+
+            thumb.style.height = `${thumbH}px`;
+            thumb.style.transform = `translate3d(0, ${
+                Math.round(maxThumbTop * scrollRatio * 100) / 100
+            }px, 0)`;
+
+            if (isDragging) {
+                willChangeManager.set(thumb);
+            } else {
+                willChangeManager.clear(thumb);
+            }
+        }
+
+        onUpdate?.({ hasOverflow, scrollTop, scrollHeight, clientHeight });
+    };
+
+    const handleMouseMove = (e) => {
+        if (!isDragging) return;
+
+        const thumbHeight = parseFloat(thumb.style.height) || 20;
+        const maxThumbTop = track.clientHeight - thumbHeight;
+        if (maxThumbTop <= 0) return;
+
+        const maxScroll = scrollEl.scrollHeight - scrollEl.clientHeight;
+        if (maxScroll <= 0) return;
+
+        const ratio = (e.clientY - startY) / maxThumbTop;
+        scrollEl.scrollTop = Math.max(
+            0,
+            Math.min(maxScroll, startScrollTop + ratio * maxScroll),
+        );
+
+        e.preventDefault();
+    };
+
+    const handleMouseUp = (e) => {
+        if (!isDragging) return;
+        isDragging = false;
+
+        document.removeEventListener("mousemove", handleMouseMove);
+        document.removeEventListener("mouseup", handleMouseUp);
+
+        document.body.style.userSelect = "";
+        document.body.style.pointerEvents = "";
+        thumb.style.pointerEvents = "";
+        track.style.pointerEvents = "";
+        thumb.style.transition = "";
+
+        scrollEl.style.scrollBehavior = "smooth";
+        e.preventDefault();
+    };
+
+    thumb.addEventListener(
+        "mousedown",
+        (e) => {
+            if (e.button !== 0 || e.target !== thumb) return;
+
+            isDragging = true;
+            startY = e.clientY;
+            startScrollTop = scrollEl.scrollTop;
+
+            document.addEventListener("mousemove", handleMouseMove, {
+                passive: false,
+            });
+            document.addEventListener("mouseup", handleMouseUp, {
+                passive: false,
+            });
+
+            document.body.style.userSelect = "none";
+            document.body.style.pointerEvents = "none";
+            thumb.style.pointerEvents = "auto";
+            track.style.pointerEvents = "auto";
+            thumb.style.transition = "none";
+
+            scrollEl.style.scrollBehavior = "auto";
+
+            e.preventDefault();
+            e.stopPropagation();
+        },
+        { passive: false },
+    );
+
+    track.addEventListener(
+        "click",
+        (e) => {
+            if (e.target === thumb || isDragging) return;
+
+            const rect = track.getBoundingClientRect();
+            const clickRatio = Math.max(
+                0,
+                Math.min(1, (e.clientY - rect.top) / track.clientHeight),
+            );
+            const maxScroll = scrollEl.scrollHeight - scrollEl.clientHeight;
+
+            scrollEl.style.scrollBehavior = "smooth";
+            scrollEl.scrollTo({ top: clickRatio * maxScroll });
+
+            e.preventDefault();
+        },
+        { passive: false },
+    );
+
+    scrollEl.addEventListener("scroll", () => rafScheduler.schedule(update), {
+        passive: true,
+    });
+    window.addEventListener(
+        "resize",
+        debounce(() => rafScheduler.schedule(update), 100),
+        {
+            passive: true,
+        },
+    );
+
+    scrollEl.style.scrollBehavior = "smooth";
+
+    return { update };
+}
+
+function revealSection(element) {
+    element.dataset.revealed = "true";
+    element.style.opacity = "";
+    element.style.transform = "";
+    element.classList.remove("scroll-pending");
+    element.classList.add("scroll-animated");
+
+    let fallbackId;
+
+    // scroll-animated fija transform y transition con !important; si se queda
+    // puesto anula el hover y la transición de tema del elemento.
+    const settle = (event) => {
+        if (event && event.target !== element) return;
+        element.removeEventListener("transitionend", settle);
+        clearTimeout(fallbackId);
+        performanceCache.timers.delete(fallbackId);
+        element.classList.remove("scroll-animated");
+    };
+
+    element.addEventListener("transitionend", settle);
+    fallbackId = setTimeout(settle, 1200);
+    performanceCache.timers.add(fallbackId);
+}
+
+export function initializeScrollEffects() {
+    if (document.body.classList.contains("detail-page")) return;
+
+    const observerOptions = {
+        threshold: 0.05,
+        rootMargin: "0px 0px -100px 0px",
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                if (!entry.target.dataset.revealed) revealSection(entry.target);
+                observer.unobserve(entry.target);
+            }
+        });
+    }, observerOptions);
+
+    const sections = document.querySelectorAll(
+        ".glass-card, .certificate-item",
+    );
+
+    sections.forEach((section) => {
+        if (section.dataset.revealed) return;
+
+        const isCertificate = section.classList.contains("certificate-item");
+        const rect = section.getBoundingClientRect();
+        const isInViewport =
+            isCertificate && rect.top < window.innerHeight && rect.bottom > 0;
+
+        if (isInViewport) {
+            requestAnimationFrame(() => revealSection(section));
+        } else {
+            section.classList.add("scroll-pending");
+            observer.observe(section);
+        }
+    });
+}
+
+export function initializeProjectScroll(projectContainer) {
+    const desc = projectContainer.querySelector(
+        ".project-description .description-content",
+    );
+    const track = projectContainer.querySelector(
+        ".project-description .scroll-track",
+    );
+    const thumb = projectContainer.querySelector(
+        ".project-description .scroll-thumb",
+    );
+    if (!desc || !track || !thumb) return;
+
+    const scrollbar = attachCustomScrollbar(desc, track, thumb, {
+        onUpdate: ({ hasOverflow }) => {
+            desc.style.overflowY = hasOverflow ? "auto" : "hidden";
+            applyScrollFade(desc);
+        },
+    });
+    if (!scrollbar) return;
+
+    const initUpdate = () => {
+        scrollbar.update();
+        desc.style.transform = "translateZ(0)";
+        desc.style.backfaceVisibility = "hidden";
+        desc.style.contain = "layout style";
+        thumb.style.backfaceVisibility = "hidden";
+    };
+
+    rafScheduler.schedule(initUpdate);
+    requestAnimationFrame(() => rafScheduler.schedule(initUpdate));
+    window.addEventListener("load", () => rafScheduler.schedule(initUpdate), {
+        once: true,
+    });
+}
+
+export function initializeScrollTopButton() {
+    const button = document.querySelector(".scroll-top-button");
+    if (!button) return;
+
+    const threshold = () => Math.max(400, window.innerHeight);
+    let visible = false;
+
+    const update = () => {
+        const shouldShow = window.scrollY > threshold();
+        if (shouldShow === visible) return;
+        visible = shouldShow;
+        button.classList.toggle("is-visible", shouldShow);
+        button.setAttribute("aria-hidden", String(!shouldShow));
+        button.tabIndex = shouldShow ? 0 : -1;
+    };
+
+    const onScroll = () => rafScheduler.schedule(update);
+
+    window.addEventListener("scroll", onScroll, { passive: true });
+    window.addEventListener("resize", onScroll, { passive: true });
+
+    button.addEventListener("click", () => {
+        const reduced = window.matchMedia(
+            "(prefers-reduced-motion: reduce)",
+        ).matches;
+        window.scrollTo({ top: 0, behavior: reduced ? "auto" : "smooth" });
+
+        const top = document.querySelector(".portfolio-container");
+        if (top) {
+            top.setAttribute("tabindex", "-1");
+            top.focus({ preventScroll: true });
+        }
+    });
+
+    update();
+}
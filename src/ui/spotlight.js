@@ -0,0 +1,172 @@
+const spotlightEffect = (() => {
+    const spotlightSelectors = [
+        ".profile-section.glass-card",
+        ".project-item.glass-card",
+        ".contact-section.glass-card",
+    ];
+
+    let spotlightContainers = [];
+    let isObsidianTheme = false;
+    let rafId = null;
+    let initialized = false;
+    let themeObserver = null;
+    let isTouchDevice = false;
+
+    function createSpotlightOverlay(container) {
+        if (container.querySelector(".spotlight-overlay")) return;
+
+        const overlay = document.createElement("div");
+        overlay.className = "spotlight-overlay";
+        container.insertBefore(overlay, container.firstChild);
+    }
+
+    function updateContainers() {
+        spotlightContainers = Array.from(
+            document.querySelectorAll(spotlightSelectors.join(", ")),
+        );
+
+        spotlightContainers.forEach((container) => {
+            container.classList.add("spotlight-container");
+            createSpotlightOverlay(container);
+        });
+    }
+
+    function checkTheme() {
+        isObsidianTheme = document.body.classList.contains("obsidian-theme");
+
+        if (!isObsidianTheme) {
+            spotlightContainers.forEach((container) => {
+                container.classList.remove("spotlight-active");
+                container.style.setProperty("--spotlight-opacity", "0");
+            });
+        }
+    }
+
+    function handleMouseMove(e) {
+        if (!isObsidianTheme || isTouchDevice) return;
+
+        if (rafId) {
+            cancelAnimationFrame(rafId);
+            rafId = null;
+        }
+
+        rafId = requestAnimationFrame(() => {
+            rafId = null;
+            spotlightContainers.forEach((container) => {
+                const rect = container.getBoundingClientRect();
+
+                const isInside =
+                    e.clientX >= rect.left &&
+                    e.clientX <= rect.right &&
+                    e.clientY >= rect.top &&
+                    e.clientY <= rect.bottom;
+
+                if (isInside) {
+                    const x = e.clientX - rect.left;
+                    const y = e.clientY - rect.top;
+
+                    container.style.setProperty("--spotlight-x", `${x}px`);
+                    container.style.setProperty("--spotlight-y", `${y}px`);
+                    container.style.setProperty("--spotlight-opacity", "1");
+                    container.classList.add("spotlight-active");
+
+                    const overlay =
+                        container.querySelector(".spotlight-overlay");
+                    if (overlay) {
+                        overlay.style.setProperty("--spotlight-x", `${x}px`);
+                        overlay.style.setProperty("--spotlight-y", `${y}px`);
+                    }
+                } else {
+                    container.classList.remove("spotlight-active");
+                    container.style.setProperty("--spotlight-opacity", "0");
+                }
+            });
+        });
+    }
+
+    function handleMouseLeave() {
+        spotlightContainers.forEach((container) => {
+            container.classList.remove("spotlight-active");
+            container.style.setProperty("--spotlight-opacity", "0");
+        });
+    }
+
+    function detectTouchDevice() {
+        isTouchDevice =
+            "ontouchstart" in window ||
+            navigator.maxTouchPoints > 0 ||
+            window.matchMedia("(pointer: coarse)").matches;
+    }
+
+    function initialize() {
+        if (initialized) return;
+        initialized = true;
+
+        detectTouchDevice();
+
+        if (isTouchDevice) return;
+
+        updateContainers();
+        checkTheme();
+
+        document.addEventListener("mousemove", handleMouseMove, {
+            passive: true,
+        });
+        document.addEventListener("mouseleave", handleMouseLeave);
+
+        themeObserver = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                if (mutation.attributeName === "class") {
+                    checkTheme();
+                }
+            });
+        });
+
+        themeObserver.observe(document.body, {
+            attributes: true,
+            attributeFilter: ["class"],
+        });
+    }
+
+    function cleanup() {
+        if (!initialized) return;
+
+        if (rafId) {
+            cancelAnimationFrame(rafId);
+            rafId = null;
+        }
+
+        if (themeObserver) {
+            themeObserver.disconnect();
+            themeObserver = null;
+        }
+
+        document.removeEventListener("mousemove", handleMouseMove);
+        document.removeEventListener("mouseleave", handleMouseLeave);
+
+        spotlightContainers.forEach((container) => {
+            container.classList.remove(
+                "spotlight-active",
+                "spotlight-container",
+            );
+            container.style.removeProperty("--spotlight-opacity");
+            container.style.removeProperty("--spotlight-x");
+            container.style.removeProperty("--spotlight-y");
+            const overlay = container.querySelector(".spotlight-overlay");
+            if (overlay) overlay.remove();
+        });
+
+        spotlightContainers = [];
+        initialized = false;
+    }
+
+    return { initialize, cleanup };
+})();
+
+export function initializeSpotlightEffect() {
+    spotlightEffect.initialize();
+
+    window.addEventListener("beforeunload", spotlightEffect.cleanup, {
+        once: true,
+    });
+}
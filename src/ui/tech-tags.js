@@ -0,0 +1,144 @@
+import { assetUrl } from "../core/urls.js";
+
+export function initializeProjectTechTagIcons() {
+    const projectTechTags = document.querySelectorAll(
+        ".projects-section .tech-stack .tech-tag",
+    );
+    if (!projectTechTags.length) return;
+
+    const technologyIconMap = {
+        javascript: {
+            file: "javascript.svg",
+            label: "JavaScript",
+            dataTech: "javascript",
+        },
+        html: { file: "html.svg", label: "HTML", dataTech: "html" },
+        css: { file: "css.svg", label: "CSS", dataTech: "css" },
+        react: { file: "react.svg", label: "React", dataTech: "react" },
+        "node.js": {
+            file: "nodejs.svg",
+            label: "Node.js",
+            dataTech: "nodejs",
+        },
+        nodejs: { file: "nodejs.svg", label: "Node.js", dataTech: "nodejs" },
+        express: {
+            file: "expressjs.svg",
+            label: "Express",
+            dataTech: "express",
+        },
+        "express.js": {
+            file: "expressjs.svg",
+            label: "Express",
+            dataTech: "express",
+        },
+        python: { file: "python.svg", label: "Python", dataTech: "python" },
+        java: { file: "java.svg", label: "Java", dataTech: "java" },
+        postgresql: {
+            file: "postgresql.svg",
+            label: "PostgreSQL",
+            dataTech: "postgresql",
+        },
+        pgadmin: { file: "pgadmin.svg", label: "pgAdmin", dataTech: "pgadmin" },
+        mysql: { file: "mysql.svg", label: "MySQL", dataTech: "mysql" },
+        mongodb: {
+            file: "mongodb.svg",
+            label: "MongoDB",
+            dataTech: "mongodb",
+        },
+        docker: { file: "docker.svg", label: "Docker", dataTech: "docker" },
+        git: { file: "git.svg", label: "Git", dataTech: "git" },
+        github: { file: "github.svg", label: "GitHub", dataTech: "github" },
+        bootstrap: {
+            file: "bootstrap.svg",
+            label: "Bootstrap",
+            dataTech: "bootstrap",
+        },
+        sass: { file: "sass.svg", label: "Sass", dataTech: "sass" },
+        postman: { file: "postman.svg", label: "Postman", dataTech: "postman" },
+        vscode: { file: "vscode.svg", label: "VS Code", dataTech: "vscode" },
+        "vs code": { file: "vscode.svg", label: "VS Code", dataTech: "vscode" },
+        linux: { file: "linux.svg", label: "Linux", dataTech: "linux" },
+        windows: { file: "windows.svg", label: "Windows", dataTech: "windows" },
+        "android studio": {
+            file: "androidstudio.svg",
+            label: "Android Studio",
+            dataTech: "androidstudio",
+        },
+        apache: { file: "apache.svg", label: "Apache", dataTech: "apache" },
+        aws: { file: "aws.svg", label: "AWS", dataTech: "aws" },
+        django: { file: "django.svg", label: "Django", dataTech: "django" },
+        electron: {
+            file: "electron.svg",
+            label: "Electron",
+            dataTech: "electron",
+        },
+        eslint: { file: "eslint.svg", label: "ESLint", dataTech: "eslint" },
+        figma: { file: "figma.svg", label: "Figma", dataTech: "figma" },
+        flask: { file: "flask.svg", label: "Flask", dataTech: "flask" },
+        flutter: { file: "flutter.svg", label: "Flutter", dataTech: "flutter" },
+        npm: { file: "npm.svg", label: "npm", dataTech: "npm" },
+        numpy: { file: "numpy.svg", label: "NumPy", dataTech: "numpy" },
+        render: { file: "render.svg", label: "Render", dataTech: "render" },
+        spring: { file: "spring.svg", label: "Spring", dataTech: "spring" },
+        sqlite: { file: "sqlite.svg", label: "SQLite", dataTech: "sqlite" },
+        "c++": { file: "cplusplus.svg", label: "C++", dataTech: "cplusplus" },
+        jsx: { file: "jsx.svg", label: "JSX", dataTech: "jsx" },
+    };
+
+    const stripLeadingDecorators = (text) =>
+        text.replace(/^[^A-Za-z0-9]+/, "").trim();
+
+    projectTechTags.forEach((tag) => {
+        if (tag.dataset.iconized === "true") return;
+
+        const rawText = (tag.textContent || "").replace(/\s+/g, " ").trim();
+        if (!rawText) return;
+
+        const labelText = stripLeadingDecorators(rawText);
+        const normalizedLabel = labelText.toLowerCase();
+        const iconMeta = technologyIconMap[normalizedLabel];
+
+        if (!iconMeta) return;
+
+        const icon = document.createElement("img");
+        icon.src = assetUrl(`assets/tech/${iconMeta.file}`);
+        icon.alt = iconMeta.label;
+        icon.width = 18;
+        icon.height = 18;
+        icon.className = "tech-tag-icon";
+        icon.loading = "lazy";
+        icon.decoding = "async";
+
+        const text = document.createElement("span");
+        text.textContent = iconMeta.label;
+
+        tag.textContent = "";
+        tag.append(icon, text);
+        tag.dataset.tech = iconMeta.dataTech;
+        tag.dataset.iconized = "true";
+    });
+}
+
+export function initializeTechStackDivider() {
+    if (!document.body.classList.contains("detail-project")) return;
+
+    const stack = document.querySelector(".tech-stack");
+    if (!stack || stack.querySelector(".tech-divider")) return;
+
+    const tags = Array.from(stack.querySelectorAll(".tech-tag"));
+
+    let lastTech = -1;
+    for (let i = tags.length - 1; i >= 0; i--) {
+        if (tags[i].dataset.iconized === "true") {
+            lastTech = i;
+            break;
+        }
+    }
+
+    if (lastTech === -1 || lastTech === tags.length - 1) return;
+
+    const divider = document.createElement("span");
+    divider.className = "tech-divider";
+    divider.setAttribute("aria-hidden", "true");
+    tags[lastTech].after(divider);
+}
@@ -0,0 +1,106 @@
+import { i18n } from "../core/i18n.js";
+import { initializeSpotlightEffect } from "./spotlight.js";
+
+// The toggle cycles through these. "system" follows prefers-color-scheme:
+// glass for a light preference, obsidian otherwise.
+const THEME_MODES = ["obsidian", "glass", "system"];
+const THEME_LABELS = {
+    obsidian: "themeObsidian",
+    glass: "themeGlass",
+    system: "themeSystem",
+};
+
+// What the browser chrome and native controls should look like under each
+// theme. Both put light text on a dark backdrop (glass sits on black), so
+// both keep a dark color-scheme. boot.js has a copy of this and of
+// resolveTheme(): it runs before script.js to avoid a flash.
+const THEME_META = {
+    obsidian: { color: "#1e1e1e", scheme: "dark" },
+    glass: { color: "#000000", scheme: "dark" },
+};
+
+const systemPrefersLight = window.matchMedia("(prefers-color-scheme: light)");
+
+const resolveTheme = (mode) =>
+    mode === "system"
+        ? systemPrefersLight.matches
+            ? "glass"
+            : "obsidian"
+        : mode;
+
+const applyThemeMeta = (theme) => {
+    const { color, scheme } = THEME_META[theme];
+    document
+        .querySelector('meta[name="theme-color"]')
+        ?.setAttribute("content", color);
+    document
+        .querySelector('meta[name="color-scheme"]')
+        ?.setAttribute("content", scheme);
+};
+
+export function initializeThemeToggle() {
+    const themeToggleButton = document.querySelector(".theme-toggle-button");
+    const THEME_KEY = "portfolio-theme";
+
+    if (!themeToggleButton) return;
+
+    document.documentElement.classList.remove("obsidian-theme-loading");
+
+    const readMode = () => {
+        try {
+            const stored = localStorage.getItem(THEME_KEY);
+            return THEME_MODES.includes(stored) ? stored : "obsidian";
+        } catch {
+            return "obsidian";
+        }
+    };
+    const writeMode = (value) => {
+        try {
+            localStorage.setItem(THEME_KEY, value);
+        } catch {}
+    };
+
+    let mode = readMode();
+
+    const applyTheme = ({ persist = true } = {}) => {
+        const theme = resolveTheme(mode);
+        document.body.classList.toggle("obsidian-theme", theme === "obsidian");
+        applyThemeMeta(theme);
+
+        const label = i18n.t("themeMode", {
+            mode: i18n.t(THEME_LABELS[mode]),
+        });
+        themeToggleButton.dataset.themeMode = mode;
+        themeToggleButton.setAttribute("aria-label", label);
+        themeToggleButton.title = label;
+
+        if (persist) writeMode(mode);
+    };
+
+    applyTheme({ persist: false });
+
+    // Only matters in system mode, but the listener is cheap to keep.
+    systemPrefersLight.addEventListener("change", () => {
+        if (mode === "system") applyTheme({ persist: false });
+    });
+
+    themeToggleButton.addEventListener("click", () => {
+        mode =
+            THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+        applyTheme();
+
+        themeToggleButton.style.transform = "scale(0.9)";
+        setTimeout(() => {
+            themeToggleButton.style.transform = "";
+        }, 150);
+    });
+
+    themeToggleButton.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            themeToggleButton.click();
+        }
+    });
+
+    initializeSpotlightEffect();
+}
@@ -0,0 +1,315 @@
+/* Generated by tools/build-pages.mjs. Edit tools/sw.mjs instead. */
+const VERSION = "2db412dff463";
+const PRECACHE = [
+    "index.html",
+    "offline.html",
+    "search-index.js",
+    "es/index.html",
+    "es/offline.html",
+    "es/search-index.js",
+    "styles.b9bce292.css",
+    "detail.aff71178.css",
+    "script.ed6c5833.js",
+    "boot.c6b2917b.js",
+    "sections.a1b2f4b3.js",
+    "es/sections.567433af.js",
+    "assets/favicon.png",
+    "assets/profile.webp",
+    "assets/icons/aws.svg",
+    "assets/icons/code.svg",
+    "assets/icons/cv.svg",
+    "assets/icons/design.svg",
+    "assets/icons/discord.svg",
+    "assets/icons/down.svg",
+    "assets/icons/external.svg",
+    "assets/icons/facebook.svg",
+    "assets/icons/figma.svg",
+    "assets/icons/github.svg",
+    "assets/icons/google.svg",
+    "assets/icons/instagram.svg",
+    "assets/icons/linkedin.svg",
+    "assets/icons/mail.svg",
+    "assets/icons/maxi.svg",
+    "assets/icons/medal.svg",
+    "assets/icons/open-page.svg",
+    "assets/icons/try.svg",
+    "assets/tech/androidstudio.svg",
+    "assets/tech/apache.svg",
+    "assets/tech/aws.svg",
+    "assets/tech/bootstrap.svg",
+    "assets/tech/cplusplus.svg",
+    "assets/tech/css.svg",
+    "assets/tech/django.svg",
+    "assets/tech/docker.svg",
+    "assets/tech/electron.svg",
+    "assets/tech/eslint.svg",
+    "assets/tech/expressjs.svg",
+    "assets/tech/figma.svg",
+    "assets/tech/flask.svg",
+    "assets/tech/flutter.svg",
+    "assets/tech/git.svg",
+    "assets/tech/github.svg",
+    "assets/tech/html.svg",
+    "assets/tech/java.svg",
+    "assets/tech/javascript.svg",
+    "assets/tech/jsx.svg",
+    "assets/tech/linux.svg",
+    "assets/tech/mongodb.svg",
+    "assets/tech/mysql.svg",
+    "assets/tech/nodejs.svg",
+    "assets/tech/npm.svg",
+    "assets/tech/numpy.svg",
+    "assets/tech/pgadmin.svg",
+    "assets/tech/postgresql.svg",
+    "assets/tech/postman.svg",
+    "assets/tech/python.svg",
+    "assets/tech/react.svg",
+    "assets/tech/render.svg",
+    "assets/tech/sass.svg",
+    "assets/tech/spring.svg",
+    "assets/tech/sqlite.svg",
+    "assets/tech/vscode.svg",
+    "assets/tech/windows.svg",
+];
+const OFFLINE = [
+    ["es/", "es/offline.html"],
+    ["", "offline.html"],
+];
+
+const SHELL_CACHE = `shell-${VERSION}`;
+const PAGE_CACHE = `pages-${VERSION}`;
+const IMAGE_CACHE = "images";
+const IMAGE_LIMIT = 120;
+
+const scope = new URL(self.registration.scope);
+const toUrl = (path) => new URL(path, scope).href;
+
+// Netlify serves /keeptive and / for keeptive.html and index.html; both
+// spellings have to find the same cached copy.
+const pageKey = (url) => {
+    const u = new URL(url);
+    u.search = "";
+    u.hash = "";
+    if (u.pathname.endsWith("/")) u.pathname += "index.html";
+    else if (!/\.[a-z0-9]+$/i.test(u.pathname)) u.pathname += ".html";
+    return u.href;
+};
+
+const offlinePage = (url) => {
+    const path = new URL(url).pathname.slice(scope.pathname.length);
+    const match = OFFLINE.find(([dir]) => path.startsWith(dir));
+    return match ? toUrl(match[1]) : null;
+};
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches
+            .open(SHELL_CACHE)
+            .then((cache) => cache.addAll(PRECACHE.map(toUrl)))
+            .then(() => self.skipWaiting()),
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    const keep = [SHELL_CACHE, PAGE_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((key) => !keep.includes(key))
+                        .map((key) => caches.delete(key)),
+                ),
+            )
+            .then(() => self.clients.claim()),
+    );
+});
+
+const trim = async (cacheName, limit) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(
+        keys
+            .slice(0, Math.max(0, keys.length - limit))
+            .map((k) => cache.delete(k)),
+    );
+};
+
+const cacheFirst = async (request) => {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+};
+
+const staleWhileRevalidate = async (
+    request,
+    cacheName,
+    { key = request, fallback } = {},
+) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                cache
+                    .put(key, response.clone())
+                    .then(
+                        () =>
+                            cacheName === IMAGE_CACHE &&
+                            trim(cacheName, IMAGE_LIMIT),
+                    );
+            }
+            return response;
+        })
+        .catch(async () => cached || (await fallback?.()) || Response.error());
+    return cached || network;
+};
+
+const navigate = async (request) => {
+    const key = pageKey(request.url);
+    const precached = await caches.match(key, { cacheName: SHELL_CACHE });
+    if (precached) return precached;
+
+    return staleWhileRevalidate(request, PAGE_CACHE, {
+        key,
+        fallback: () => {
+            const page = offlinePage(request.url);
+            return page && caches.match(page, { cacheName: SHELL_CACHE });
+        },
+    });
+};
+
+// The contact form posts to "/" with fetch. Offline that would surface as a
+// bare network error, so the page gets a 503 it can recognize instead.
+const offlinePost = () =>
+    new Response(JSON.stringify({ offline: true }), {
+        status: 503,
+        headers: { "Content-Type": "application/json", "X-Offline": "1" },
+    });
+
+// Background Sync for the contact outbox script.js keeps in IndexedDB. The
+// claim step mirrors the page's so a tab retrying at the same time can't
+// post the same message twice.
+const OUTBOX_TAG = "contact-outbox";
+const OUTBOX_LEASE_MS = 30000;
+
+// How often a queued contact message is retried: `attempts` counts the
+// failed posts, each one pushes the next try further out, and the entry is
+// marked failed once it reaches OUTBOX_MAX_ATTEMPTS. The page's outbox and
+// the service worker follow the same schedule; tools/sw.mjs copies this
+// file's source into sw.js.
+const OUTBOX_MAX_ATTEMPTS = 6;
+
+const outboxBackoff = (attempts) => Math.min(30000 * 2 ** attempts, 30 * 60000);
+
+const outboxTx = (mode, work) =>
+    new Promise((resolve, reject) => {
+        const open = indexedDB.open("portfolio", 1);
+        open.onupgradeneeded = () =>
+            open.result.createObjectStore("outbox", { keyPath: "id" });
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const transaction = open.result.transaction("outbox", mode);
+            let result;
+            const request = work(transaction.objectStore("outbox"), (value) => {
+                result = value;
+            });
+            if (request) request.onsuccess = () => (result = request.result);
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+
+const claimOutbox = (id, now = Date.now()) =>
+    outboxTx("readwrite", (store, done) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const item = request.result;
+            if (!item || item.state === "sent" || item.lease > now) return;
+            item.lease = now + OUTBOX_LEASE_MS;
+            store.put(item);
+            done(item);
+        };
+    });
+
+const drainOutbox = async () => {
+    const items = await outboxTx("readonly", (store) => store.getAll());
+    const now = Date.now();
+    let pending = false;
+
+    for (const { id, state, next } of items) {
+        if (state !== "queued") continue;
+        // Still backing off from its last failure.
+        if (next > now) {
+            pending = true;
+            continue;
+        }
+        const item = await claimOutbox(id);
+        if (!item) continue;
+
+        item.lease = 0;
+        // The request was built by the form's transport adapter; only
+        // network errors, 429 and 5xx are worth another try.
+        let retryable = false;
+        try {
+            const { url, headers, body } = item.request;
+            const response = await fetch(new URL(url, self.location.href), {
+                method: "POST",
+                headers,
+                body,
+            });
+            if (response.ok) {
+                item.state = "sent";
+                item.sent = Date.now();
+            } else {
+                retryable = response.status === 429 || response.status >= 500;
+            }
+        } catch {
+            retryable = true;
+        }
+        if (item.state !== "sent") {
+            item.attempts += 1;
+            item.state =
+                retryable && item.attempts < OUTBOX_MAX_ATTEMPTS
+                    ? "queued"
+                    : "failed";
+            item.next = Date.now() + outboxBackoff(item.attempts);
+            if (item.state === "queued") pending = true;
+        }
+        await outboxTx("readwrite", (store) => store.put(item));
+    }
+
+    const clients = await self.clients.matchAll({ type: "window" });
+    clients.forEach((client) => client.postMessage({ type: OUTBOX_TAG }));
+
+    // Rejecting hands the retry schedule back to the browser.
+    if (pending) throw new Error("Contact outbox still has unsent messages");
+};
+
+self.addEventListener("sync", (event) => {
+    if (event.tag === OUTBOX_TAG) event.waitUntil(drainOutbox());
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== scope.origin) return;
+
+    if (request.method === "POST" && request.mode !== "navigate") {
+        event.respondWith(fetch(request).catch(offlinePost));
+        return;
+    }
+    if (request.method !== "GET" || request.headers.has("range")) return;
+
+    if (request.mode === "navigate") {
+        event.respondWith(navigate(request));
+    } else if (
+        /^assets\/(projects|variants)\//.test(
+            url.pathname.slice(scope.pathname.length),
+        )
+    ) {
+        event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE));
+    } else if (PRECACHE.some((f) => toUrl(f) === url.href)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
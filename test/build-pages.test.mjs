@@ -0,0 +1,169 @@
+import { spawnSync } from "node:child_process";
+import {
+    cpSync,
+    mkdtempSync,
+    readFileSync,
+    rmSync,
+    writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+
+// Golden-file tests for tools/build-pages.mjs. The builder runs with
+// --root=<dir> on a copy of the site's own templates (index.html, the
+// stylesheets, src/) whose content/ and project screenshots come from
+// test/fixtures/site, and what it writes is compared with test/golden.
+// After an intended change to the output, rewrite the golden files with
+// `npm run test:update` and review the diff.
+
+const REPO = join(dirname(fileURLToPath(import.meta.url)), "..");
+const BUILDER = join(REPO, "tools/build-pages.mjs");
+const FIXTURE = join(REPO, "test/fixtures/site");
+const TEMPLATES = [
+    "index.html",
+    "styles.css",
+    "detail.css",
+    "boot.js",
+    "pow-worker.js",
+    "src",
+    "content/i18n",
+    "assets/favicon.png",
+    "assets/icons",
+    "assets/tech",
+    "assets/profile.webp",
+];
+const GOLDEN = [
+    "about.html",
+    "alpha.html",
+    "beta.html",
+    "contact.html",
+    "thanks.html",
+    "es/alpha.html",
+    "sections.js",
+    "sitemap.xml",
+    "robots.txt",
+];
+
+const trees = [];
+
+// A fresh copy of the fixture site. `edits` maps a file in it to a function
+// that rewrites its content, for the error paths.
+function fixtureTree(edits = {}) {
+    const root = mkdtempSync(join(tmpdir(), "build-pages-"));
+    trees.push(root);
+    for (const f of TEMPLATES)
+        cpSync(join(REPO, f), join(root, f), { recursive: true });
+    cpSync(FIXTURE, root, { recursive: true });
+    for (const [f, edit] of Object.entries(edits)) {
+        const file = join(root, f);
+        writeFileSync(file, edit(readFileSync(file, "utf8")));
+    }
+    return root;
+}
+
+function build(root, ...args) {
+    const { status, stdout, stderr } = spawnSync(
+        process.execPath,
+        [BUILDER, `--root=${root}`, ...args],
+        { encoding: "utf8", timeout: 120000 },
+    );
+    return { status, output: stdout + stderr };
+}
+
+// What changes whenever the stylesheets, scripts or sharp do rather than
+// the builder: fingerprints, the inlined critical CSS and the placeholders.
+const normalize = (text) =>
+    text
+        .replace(/\b([\w-]+)\.[0-9a-f]{8}\.(js|css)\b/g, "$1.[hash].$2")
+        .replace(
+            /(<style data-critical>)[\s\S]*?(<\/style>)/g,
+            "$1/* critical CSS */$2",
+        )
+        .replace(/(data:image\/webp;base64,)[\w+/=]+/g, "$1…");
+
+afterAll(() => {
+    for (const root of trees) rmSync(root, { recursive: true, force: true });
+});
+
+describe("build-pages output", () => {
+    let root;
+    let result;
+
+    beforeAll(() => {
+        root = fixtureTree();
+        result = build(root);
+    }, 120000);
+
+    it("builds the fixture site", () => {
+        expect(result.status, result.output).toBe(0);
+        expect(result.output).toContain("páginas generadas");
+    });
+
+    it.each(GOLDEN)("matches golden/%s", async (file) => {
+        const text = normalize(readFileSync(join(root, file), "utf8"));
+        await expect(text).toMatchFileSnapshot(join("golden", file));
+    });
+});
+
+describe("build-pages errors", () => {
+    it("rejects a project without images", () => {
+        const root = fixtureTree({
+            "content/projects/02-beta.md": (md) =>
+                md.replace(/^images:\n(?: .*\n)+/m, "images: []\n"),
+        });
+        const { status, output } = build(root);
+
+        expect(status).toBe(1);
+        expect(output).toContain("el proyecto necesita al menos una imagen");
+        expect(output).toContain("No se escribió ningún archivo.");
+    });
+
+    it("warns about a missing Features section and fails with --strict", () => {
+        const root = fixtureTree({
+            "content/projects/01-alpha.md": (md) =>
+                md.replace("## 🩷 Features", "## 🩷 Highlights"),
+        });
+        const { status, output } = build(root, "--strict");
+
+        expect(status).toBe(1);
+        expect(output).toMatch(
+            /content\/projects\/01-alpha\.md:\d+\s+aviso\s+falta la sección ## Features/,
+        );
+        expect(output).toContain("--strict trata los avisos como errores");
+    });
+
+    it("stops when the contact title can't be promoted to <h1>", () => {
+        const root = fixtureTree({
+            "index.html": (html) =>
+                html.replace(
+                    '<h2 class="contact-title">',
+                    '<h2 class="contact-title" id="contact-heading">',
+                ),
+        });
+        const { status, output } = build(root);
+
+        expect(status).toBe(1);
+        expect(output).toContain(
+            "el título de contact-section no se promovió a <h1>",
+        );
+        expect(output).toContain("No se escribió ningún archivo.");
+    });
+
+    it("fails when a page links a file that doesn't exist", () => {
+        const root = fixtureTree({
+            "index.html": (html) =>
+                html.replace(
+                    '<link rel="apple-touch-icon" href="assets/favicon.png" />',
+                    '<link rel="apple-touch-icon" href="assets/touch-icon.png" />',
+                ),
+        });
+        const { status, output } = build(root);
+
+        expect(status).toBe(1);
+        expect(output).toMatch(
+            /index\.html:\d+\s+error\s+href="assets\/touch-icon\.png" no existe/,
+        );
+    });
+});
@@ -0,0 +1,180 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { initializeProjectCarousel } from "../src/carousel/carousel.js";
+import { carouselViewportObserver } from "../src/carousel/viewport.js";
+import { performanceCache } from "../src/core/performance.js";
+import { intersect, setHidden, useFakeClock } from "./dom.js";
+
+// One autoplay step: the 5 s interval plus the 250 ms the timeout fallback
+// waits for a transitionend that jsdom never fires.
+const STEP = 5250;
+const INIT_DELAY = 100;
+
+let media;
+let state;
+
+const slide = () => state.getIndex();
+
+beforeEach(() => {
+    useFakeClock();
+    setHidden(false);
+    document.body.innerHTML = `
+        <article class="project-item" id="project-demo">
+            <div class="project-media">
+                <div class="carousel-viewport">
+                    <div class="carousel-slide is-active"></div>
+                    <div class="carousel-slide"></div>
+                    <div class="carousel-slide"></div>
+                </div>
+            </div>
+            <div class="carousel-controls">
+                <button class="carousel-btn prev"></button>
+                <div class="carousel-indicators">
+                    <button class="carousel-dot"></button>
+                    <button class="carousel-dot"></button>
+                    <button class="carousel-dot"></button>
+                </div>
+                <button class="carousel-btn next"></button>
+                <div class="carousel-progress">
+                    <div class="carousel-progress-fill"></div>
+                </div>
+            </div>
+        </article>`;
+    performanceCache.projectItems = document.querySelectorAll(".project-item");
+    initializeProjectCarousel();
+    media = document.querySelector(".project-media");
+    state = media._carouselState;
+});
+
+afterEach(() => {
+    state.cleanup();
+    carouselViewportObserver.cleanup();
+    vi.useRealTimers();
+});
+
+describe("carousel autoplay", () => {
+    it("waits until the carousel scrolls into view", () => {
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+
+        intersect(media, true);
+        vi.advanceTimersByTime(INIT_DELAY + STEP - 1);
+        expect(slide()).toBe(0);
+        vi.advanceTimersByTime(1);
+        expect(slide()).toBe(1);
+
+        vi.advanceTimersByTime(STEP);
+        expect(slide()).toBe(2);
+        vi.advanceTimersByTime(STEP);
+        expect(slide()).toBe(0);
+    });
+
+    it("keeps the progress made before scrolling out of view", () => {
+        intersect(media, true);
+        vi.advanceTimersByTime(INIT_DELAY + 2000);
+
+        intersect(media, false);
+        expect(state.isViewportPaused()).toBe(true);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+
+        // 3 s of the 5 s interval are left.
+        intersect(media, true);
+        vi.advanceTimersByTime(3249);
+        expect(slide()).toBe(0);
+        vi.advanceTimersByTime(1);
+        expect(slide()).toBe(1);
+    });
+
+    it("stays on the chosen slide while paused by hand", () => {
+        intersect(media, true);
+        vi.advanceTimersByTime(INIT_DELAY);
+
+        expect(state.togglePause()).toBe(true);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+
+        document.querySelector(".carousel-btn.next").click();
+        expect(slide()).toBe(1);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(1);
+
+        expect(state.togglePause()).toBe(false);
+        vi.advanceTimersByTime(STEP);
+        expect(slide()).toBe(2);
+    });
+});
+
+describe("carousel fullscreen", () => {
+    it("pauses while fullscreen is open and restarts the interval after", () => {
+        intersect(media, true);
+        vi.advanceTimersByTime(INIT_DELAY + 3000);
+
+        state.onFullscreenOpen();
+        expect(state.isPaused()).toBe(true);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+
+        state.onFullscreenClose();
+        expect(state.isPaused()).toBe(false);
+        vi.advanceTimersByTime(STEP - 1);
+        expect(slide()).toBe(0);
+        vi.advanceTimersByTime(1);
+        expect(slide()).toBe(1);
+    });
+
+    it("leaves a carousel paused by hand paused after fullscreen closes", () => {
+        intersect(media, true);
+        vi.advanceTimersByTime(INIT_DELAY);
+        state.togglePause();
+
+        state.onFullscreenOpen();
+        state.onFullscreenClose();
+        expect(state.isPaused()).toBe(true);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+    });
+
+    it("holds autoplay for a fullscreen opened before the carousel was seen", () => {
+        state.onFullscreenOpen();
+        intersect(media, true);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+
+        state.onFullscreenClose();
+        vi.advanceTimersByTime(STEP);
+        expect(slide()).toBe(1);
+    });
+});
+
+describe("carousel page visibility", () => {
+    it("stops while the tab is hidden and starts a fresh interval on return", () => {
+        intersect(media, true);
+        vi.advanceTimersByTime(INIT_DELAY + 3000);
+
+        setHidden(true);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+
+        // Back after more than 100 ms: the progress restarts from zero
+        // once a 50 ms recalibration delay has passed.
+        setHidden(false);
+        vi.advanceTimersByTime(50 + STEP - 1);
+        expect(slide()).toBe(0);
+        vi.advanceTimersByTime(1);
+        expect(slide()).toBe(1);
+    });
+
+    it("does not resume a carousel paused by hand when the tab returns", () => {
+        intersect(media, true);
+        vi.advanceTimersByTime(INIT_DELAY);
+        state.togglePause();
+
+        setHidden(true);
+        vi.advanceTimersByTime(1000);
+        setHidden(false);
+        vi.advanceTimersByTime(STEP * 3);
+        expect(slide()).toBe(0);
+        expect(state.isPaused()).toBe(true);
+    });
+});
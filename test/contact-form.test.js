@@ -0,0 +1,146 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { initializeContactForm } from "../src/contact/form.js";
+import { contactOutbox } from "../src/contact/outbox.js";
+import { contactTransport } from "../src/contact/transport.js";
+import { useFakeClock } from "./dom.js";
+
+let form;
+
+const field = (name) => form.querySelector(`[name="${name}"]`);
+const errorOf = (name) =>
+    field(name).closest(".contact-field").querySelector(".contact-error")
+        .textContent;
+const status = () => form.querySelector(".contact-status");
+
+const type = (name, value) => {
+    field(name).value = value;
+    field(name).dispatchEvent(new Event("input", { bubbles: true }));
+};
+const blur = (name) => field(name).dispatchEvent(new Event("blur"));
+const submit = () => {
+    const event = new Event("submit", { bubbles: true, cancelable: true });
+    form.dispatchEvent(event);
+    return event;
+};
+
+beforeEach(() => {
+    useFakeClock();
+    localStorage.clear();
+    document.body.innerHTML = `
+        <form class="contact-form" name="contact" data-transport="netlify">
+            <input type="hidden" name="form-name" value="contact" />
+            <div class="contact-field">
+                <label for="contact-name">Name</label>
+                <input id="contact-name" name="name" type="text" required />
+                <span class="contact-error"></span>
+            </div>
+            <div class="contact-field">
+                <label for="contact-email">Email</label>
+                <input id="contact-email" name="email" type="email" required />
+                <span class="contact-error"></span>
+            </div>
+            <div class="contact-field">
+                <label for="contact-subject">Subject</label>
+                <input id="contact-subject" name="subject" type="text" />
+            </div>
+            <div class="contact-field">
+                <label for="contact-message">Message</label>
+                <textarea id="contact-message" name="message" required></textarea>
+                <span class="contact-error"></span>
+            </div>
+            <div class="contact-actions">
+                <button type="submit" class="contact-submit">
+                    <span>Send message</span>
+                </button>
+                <p class="contact-status"></p>
+            </div>
+        </form>`;
+    form = document.querySelector(".contact-form");
+    // jsdom has no IndexedDB for the outbox to read.
+    vi.spyOn(contactOutbox, "flush").mockResolvedValue();
+    initializeContactForm();
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+});
+
+describe("contact form validation", () => {
+    it("names the required field left empty", () => {
+        type("name", "   ");
+        blur("name");
+
+        expect(errorOf("name")).toBe("Name is required.");
+        expect(field("name").getAttribute("aria-invalid")).toBe("true");
+        expect(field("name").closest(".contact-field").classList).toContain(
+            "has-error",
+        );
+    });
+
+    it("rejects an address without a domain", () => {
+        for (const address of ["ana", "ana@", "ana@example", "ana@example.c"]) {
+            type("email", address);
+            blur("email");
+            expect(errorOf("email")).toBe("Enter a valid email address.");
+        }
+
+        type("email", "ana@example.com");
+        blur("email");
+        expect(errorOf("email")).toBe("");
+        expect(field("email").hasAttribute("aria-invalid")).toBe(false);
+    });
+
+    it("clears an error as soon as the field is fixed", () => {
+        blur("message");
+        expect(errorOf("message")).toBe("Message is required.");
+
+        type("message", "Hello");
+        expect(errorOf("message")).toBe("");
+    });
+
+    it("does not flag optional fields", () => {
+        blur("subject");
+        expect(field("subject").hasAttribute("aria-invalid")).toBe(false);
+    });
+
+    it("stops a submit with invalid fields and focuses the first", () => {
+        const request = vi.spyOn(contactTransport.adapters.netlify, "request");
+        type("email", "ana@example.com");
+
+        const event = submit();
+        expect(event.defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(field("name"));
+        expect(status().textContent).toBe(
+            "Please review the highlighted fields.",
+        );
+        expect(status().dataset.state).toBe("error");
+        expect(errorOf("name")).toBe("Name is required.");
+        expect(errorOf("email")).toBe("");
+        expect(errorOf("message")).toBe("Message is required.");
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    it("sends once every field is valid", async () => {
+        const replay = vi
+            .spyOn(contactTransport, "replay")
+            .mockResolvedValue(new Response(""));
+        type("name", "Ana");
+        type("email", "ana@example.com");
+        type("message", "Hello");
+
+        submit();
+        await vi.waitFor(() =>
+            expect(status().textContent).toBe(
+                "Thanks! Your message is on its way.",
+            ),
+        );
+
+        expect(replay).toHaveBeenCalledOnce();
+        const body = new URLSearchParams(replay.mock.calls[0][0].body);
+        expect(body.get("name")).toBe("Ana");
+        expect(body.get("form-name")).toBe("contact");
+        expect(field("name").value).toBe("");
+    });
+});
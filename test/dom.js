@@ -0,0 +1,106 @@
+import { vi } from "vitest";
+
+// jsdom lays nothing out, so the observers the site relies on are replaced
+// with ones the tests drive by hand.
+class FakeIntersectionObserver {
+    static instances = new Set();
+
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        FakeIntersectionObserver.instances.add(this);
+    }
+
+    observe(target) {
+        this.targets.add(target);
+    }
+
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+
+    disconnect() {
+        this.targets.clear();
+        FakeIntersectionObserver.instances.delete(this);
+    }
+
+    takeRecords() {
+        return [];
+    }
+}
+
+class FakeResizeObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+}
+
+export function installDomStubs() {
+    window.IntersectionObserver = FakeIntersectionObserver;
+    window.ResizeObserver = FakeResizeObserver;
+    window.matchMedia = (query) => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {},
+    });
+}
+
+// Reports `target` entering or leaving the viewport to every observer
+// watching it.
+export function intersect(target, isIntersecting) {
+    for (const observer of FakeIntersectionObserver.instances) {
+        if (!observer.targets.has(target)) continue;
+        observer.callback(
+            [{ target, isIntersecting, intersectionRatio: +isIntersecting }],
+            observer,
+        );
+    }
+}
+
+let hidden = false;
+
+// Switches the page between visible and hidden the way a tab change does.
+export function setHidden(value) {
+    hidden = value;
+    Object.defineProperty(document, "hidden", {
+        configurable: true,
+        get: () => hidden,
+    });
+    Object.defineProperty(document, "visibilityState", {
+        configurable: true,
+        get: () => (hidden ? "hidden" : "visible"),
+    });
+    document.dispatchEvent(new Event("visibilitychange"));
+}
+
+// Fakes every clock the runtime code reads, including the frame loop and
+// performance.now() the carousel measures its progress with.
+export function useFakeClock() {
+    vi.useFakeTimers({
+        toFake: [
+            "setTimeout",
+            "clearTimeout",
+            "setInterval",
+            "clearInterval",
+            "requestAnimationFrame",
+            "cancelAnimationFrame",
+            "performance",
+            "Date",
+        ],
+    });
+}
+
+// Gives an element the box jsdom never computes.
+export function setBox(element, box) {
+    for (const [name, value] of Object.entries(box)) {
+        Object.defineProperty(element, name, {
+            configurable: true,
+            writable: true,
+            value,
+        });
+    }
+}
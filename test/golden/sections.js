@@ -0,0 +1,43 @@
+/* Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. */
+window.PORTFOLIO_SECTIONS = [
+    {
+        "id": "profile-section",
+        "page": "about.html",
+        "title": "🪄 About Me",
+        "category": null,
+        "description": ""
+    },
+    {
+        "id": "project-alpha",
+        "page": "alpha.html",
+        "title": "🧪 Alpha Tracker",
+        "category": "Full-Stack",
+        "description": "A Small App With Two Screenshots"
+    },
+    {
+        "id": "project-beta",
+        "page": "beta.html",
+        "title": "🎨 Beta Redesign",
+        "category": "UI/UX Design",
+        "description": "A Design Project With One Screenshot"
+    },
+    {
+        "id": "contact-section",
+        "page": "contact.html",
+        "title": "✉️ Contact",
+        "category": null,
+        "description": ""
+    }
+];
+window.PORTFOLIO_LOCALES = [
+    {
+        "lang": "en",
+        "name": "English",
+        "root": ""
+    },
+    {
+        "lang": "es",
+        "name": "Español",
+        "root": "es/"
+    }
+];
@@ -0,0 +1,62 @@
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, expect, it } from "vitest";
+import { checkLinks } from "../tools/links.mjs";
+
+let root;
+
+afterEach(() => rmSync(root, { recursive: true, force: true }));
+
+// A site with just index.html and sections.js, the latter written the way
+// tools/build-pages.mjs writes it.
+function site(html, sections) {
+    root = mkdtempSync(join(tmpdir(), "links-"));
+    writeFileSync(join(root, "index.html"), html);
+    writeFileSync(
+        join(root, "sections.js"),
+        `/* Generated */\nwindow.PORTFOLIO_SECTIONS = ${JSON.stringify(sections, null, 4)};\n`,
+    );
+    return checkLinks({
+        root,
+        pages: ["index.html"],
+        locales: [""],
+        sections: ["sections.js"],
+        iconMap: {},
+        siteUrl: "https://example.com",
+        used: [],
+    });
+}
+
+describe("checkLinks sections.js", () => {
+    it("reports a missing section id on its own line", () => {
+        const { problems } = site('<main><section id="profile-section">', [
+            { id: "profile-section", page: null, title: "About" },
+            { id: "project-gone", page: null, title: "Gone" },
+        ]);
+
+        expect(problems).toEqual([
+            {
+                level: "error",
+                file: "sections.js",
+                line: 9,
+                message: "#project-gone no existe en index.html",
+            },
+        ]);
+    });
+
+    it("reports a missing page on the line of its entry's id", () => {
+        const { problems } = site('<main><section id="project-alpha">', [
+            { id: "project-alpha", page: "alpha.html", title: "Alpha" },
+        ]);
+
+        expect(problems).toEqual([
+            {
+                level: "error",
+                file: "sections.js",
+                line: 4,
+                message: "alpha.html no existe",
+            },
+        ]);
+    });
+});
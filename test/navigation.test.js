@@ -0,0 +1,173 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { initializeNavigationMenu } from "../src/ui/navigation.js";
+import { setHidden, useFakeClock } from "./dom.js";
+
+const TARGET_TOP = 1000;
+const OFFSET = 80;
+
+let menuButton;
+let navMenu;
+let list;
+let scrollTo;
+
+const isLocked = () =>
+    menuButton.disabled &&
+    menuButton.getAttribute("aria-disabled") === "true" &&
+    list.dataset.navLocked === "true";
+
+const clickItem = (target, init = {}) => {
+    const item = list.querySelector(`.nav-menu-item[data-target="${target}"]`);
+    const event = new MouseEvent("click", {
+        bubbles: true,
+        cancelable: true,
+        ...init,
+    });
+    item.dispatchEvent(event);
+    return event;
+};
+
+// window.scrollTo with a smooth scroll that covers 40px every 10 ms.
+const animateScroll = ({ top }) => {
+    const step = Math.sign(top - window.scrollY) * 40;
+    const id = setInterval(() => {
+        const next = window.scrollY + step;
+        const done = Math.abs(top - window.scrollY) <= Math.abs(step);
+        window.scrollY = window.pageYOffset = done ? top : next;
+        if (done) clearInterval(id);
+    }, 10);
+};
+
+beforeEach(() => {
+    useFakeClock();
+    setHidden(false);
+    window.scrollY = window.pageYOffset = 0;
+    scrollTo = vi.fn(animateScroll);
+    window.scrollTo = scrollTo;
+    window.PORTFOLIO_SECTIONS = [
+        { id: "profile-section", page: "about.html", title: "About" },
+        { id: "project-demo", page: "demo.html", title: "Demo" },
+    ];
+
+    document.body.innerHTML = `
+        <button class="menu-button" type="button"></button>
+        <nav class="nav-menu"><ul class="nav-menu-list"></ul></nav>
+        <div class="nav-menu-overlay"></div>
+        <section id="profile-section"></section>
+        <section id="project-demo"></section>`;
+    document.getElementById("project-demo").getBoundingClientRect = () => ({
+        top: TARGET_TOP,
+        bottom: TARGET_TOP + 400,
+        left: 0,
+        right: 0,
+        width: 0,
+        height: 400,
+    });
+
+    menuButton = document.querySelector(".menu-button");
+    navMenu = document.querySelector(".nav-menu");
+    list = document.querySelector(".nav-menu-list");
+    initializeNavigationMenu();
+    menuButton.click();
+});
+
+afterEach(() => {
+    // navigation.js drops its document and window listeners on unload.
+    window.dispatchEvent(new Event("beforeunload"));
+    delete window.PORTFOLIO_SECTIONS;
+    vi.useRealTimers();
+});
+
+describe("navigation lock", () => {
+    it("holds the menu while the page scrolls to the section", () => {
+        expect(navMenu.classList.contains("active")).toBe(true);
+
+        const event = clickItem("project-demo");
+        expect(event.defaultPrevented).toBe(true);
+        expect(isLocked()).toBe(true);
+        expect(navMenu.classList.contains("active")).toBe(false);
+
+        menuButton.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+        expect(navMenu.classList.contains("active")).toBe(false);
+
+        vi.advanceTimersByTime(300);
+        expect(scrollTo).toHaveBeenCalledWith(
+            expect.objectContaining({ top: TARGET_TOP - OFFSET }),
+        );
+
+        vi.advanceTimersByTime(100);
+        expect(isLocked()).toBe(true);
+
+        vi.advanceTimersByTime(400);
+        expect(window.scrollY).toBe(TARGET_TOP - OFFSET);
+        expect(isLocked()).toBe(false);
+        expect(menuButton.hasAttribute("aria-disabled")).toBe(false);
+
+        menuButton.click();
+        expect(navMenu.classList.contains("active")).toBe(true);
+    });
+
+    it("ignores Escape and the overlay until the lock is released", () => {
+        clickItem("project-demo");
+        navMenu.classList.add("active");
+
+        document.dispatchEvent(
+            new KeyboardEvent("keydown", { key: "Escape", bubbles: true }),
+        );
+        document.querySelector(".nav-menu-overlay").click();
+        expect(navMenu.classList.contains("active")).toBe(true);
+        expect(isLocked()).toBe(true);
+    });
+
+    it("lets go when the visitor scrolls away from the section", () => {
+        scrollTo.mockImplementation(() => {});
+        clickItem("project-demo");
+        vi.advanceTimersByTime(300);
+        expect(isLocked()).toBe(true);
+
+        window.scrollY = window.pageYOffset = 200;
+        window.dispatchEvent(new Event("wheel"));
+        expect(isLocked()).toBe(false);
+    });
+
+    it("lets go when the tab is hidden", () => {
+        clickItem("project-demo");
+        expect(isLocked()).toBe(true);
+
+        setHidden(true);
+        expect(isLocked()).toBe(false);
+        vi.advanceTimersByTime(300);
+        expect(scrollTo).not.toHaveBeenCalled();
+    });
+
+    it("lets go after a resize settles", () => {
+        clickItem("project-demo");
+        // A scroll that crawls along keeps the frame monitor waiting.
+        scrollTo.mockImplementation(() => {
+            setInterval(() => {
+                window.scrollY = window.pageYOffset = window.scrollY + 1;
+            }, 5);
+        });
+
+        vi.advanceTimersByTime(300);
+        window.dispatchEvent(new Event("resize"));
+        vi.advanceTimersByTime(499);
+        expect(isLocked()).toBe(true);
+        vi.advanceTimersByTime(1);
+        expect(isLocked()).toBe(false);
+    });
+
+    it("leaves modified clicks to the browser", () => {
+        const event = clickItem("project-demo", { ctrlKey: true });
+        expect(event.defaultPrevented).toBe(false);
+        expect(isLocked()).toBe(false);
+    });
+
+    it("clears a stale lock when initialised again", () => {
+        clickItem("project-demo");
+        expect(isLocked()).toBe(true);
+
+        initializeNavigationMenu();
+        expect(isLocked()).toBe(false);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { inlineScriptProblems } from "../tools/netlify.mjs";
+
+const page = (body) =>
+    [
+        "<!doctype html>",
+        "<html>",
+        "    <head>",
+        '        <script type="application/ld+json">',
+        '            { "@type": "Person" }',
+        "        </script>",
+        '        <script src="script.js"></script>',
+        "    </head>",
+        "    <body>",
+        ...body,
+        "    </body>",
+        "</html>",
+    ].join("\n");
+
+describe("inlineScriptProblems", () => {
+    it("allows JSON-LD and external scripts", () => {
+        expect(
+            inlineScriptProblems([["about.html", page(["<main></main>"])]]),
+        ).toEqual([]);
+    });
+
+    it("flags inline scripts, handler attributes and javascript: URLs", () => {
+        const html = page([
+            "        <script>",
+            "            console.log(1);",
+            "        </script>",
+            '        <button type="button" onclick="go()">Go</button>',
+            '        <a href="javascript:void(0)">Back</a>',
+        ]);
+
+        expect(inlineScriptProblems([["about.html", html]])).toEqual([
+            {
+                level: "error",
+                file: "about.html",
+                line: 10,
+                message: "<script> en línea; muévelo a un archivo .js",
+            },
+            {
+                level: "error",
+                file: "about.html",
+                line: 13,
+                message:
+                    "atributo onclick=; usa addEventListener desde un archivo .js",
+            },
+            {
+                level: "error",
+                file: "about.html",
+                line: 14,
+                message: "URL javascript:; usa un manejador de eventos",
+            },
+        ]);
+    });
+});
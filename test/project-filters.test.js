@@ -0,0 +1,70 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it } from "vitest";
+import { initializeProjectFilters } from "../src/ui/project-filters.js";
+
+const project = (title, year, tech) => `
+    <div class="project-item" data-project-title="🟢 ${title}">
+        <span class="project-date">${year}</span>
+        <div class="tech-stack">
+            ${tech.map((slug) => `<span class="tech-tag" data-tech="${slug}">${slug}</span>`).join("")}
+        </div>
+    </div>`;
+
+// Whether the page's own handlers took the click over. jsdom can't follow
+// a link, so the default action is cancelled once that has been read.
+const click = (element) => {
+    let handled = null;
+    window.addEventListener(
+        "click",
+        (e) => {
+            handled = e.defaultPrevented;
+            e.preventDefault();
+        },
+        { once: true },
+    );
+    element.dispatchEvent(
+        new MouseEvent("click", { bubbles: true, cancelable: true }),
+    );
+    return handled;
+};
+const visible = () =>
+    Array.from(document.querySelectorAll(".project-item"))
+        .filter((el) => !el.hidden)
+        .map((el) => el.dataset.projectTitle);
+
+beforeEach(() => {
+    // Picking a tag scrolls the filter bar into view; jsdom has no layout.
+    Element.prototype.scrollIntoView = () => {};
+    history.replaceState(null, "", "/");
+    document.body.className = "";
+    document.body.innerHTML = `
+        <section class="skills-section">
+            <a class="tech-tag" href="tech/python.html" data-tech="python">Python</a>
+        </section>
+        <section class="projects-section">
+            ${project("Alpha", 2023, ["python", "flask"])}
+            ${project("Beta", 2024, ["react"])}
+        </section>`;
+    initializeProjectFilters();
+});
+
+describe("project filter tech tags", () => {
+    it("filters the list when a project's tag is clicked", () => {
+        const tag = document.querySelector(
+            '.projects-section .tech-tag[data-tech="flask"]',
+        );
+
+        expect(click(tag)).toBe(true);
+        expect(new URLSearchParams(location.search).get("tech")).toBe("flask");
+        expect(visible()).toEqual(["🟢 Alpha"]);
+    });
+
+    it("lets a profile grid link open its tech page", () => {
+        const link = document.querySelector(".skills-section .tech-tag");
+
+        expect(click(link)).toBe(false);
+        expect(link.hasAttribute("role")).toBe(false);
+        expect(location.search).toBe("");
+        expect(visible()).toEqual(["🟢 Alpha", "🟢 Beta"]);
+    });
+});
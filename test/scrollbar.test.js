@@ -0,0 +1,134 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { attachCustomScrollbar } from "../src/ui/scroll.js";
+import { setBox, useFakeClock } from "./dom.js";
+
+let scrollEl;
+let indicator;
+let track;
+let thumb;
+
+const thumbTop = () =>
+    Number(/translate3d\(0, ([\d.]+)px, 0\)/.exec(thumb.style.transform)[1]);
+
+const mouse = (target, type, clientY) =>
+    target.dispatchEvent(
+        new MouseEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            button: 0,
+            clientY,
+        }),
+    );
+
+beforeEach(() => {
+    useFakeClock();
+    document.body.innerHTML = `
+        <div class="gallery"></div>
+        <div class="scroll-indicator">
+            <div class="scroll-track"><div class="scroll-thumb"></div></div>
+        </div>`;
+    scrollEl = document.querySelector(".gallery");
+    indicator = document.querySelector(".scroll-indicator");
+    track = document.querySelector(".scroll-track");
+    thumb = document.querySelector(".scroll-thumb");
+
+    // 400px of content in a 100px window, shown on a 200px track.
+    setBox(scrollEl, { scrollTop: 0, scrollHeight: 400, clientHeight: 100 });
+    setBox(track, { clientHeight: 200 });
+    scrollEl.scrollTo = vi.fn();
+    track.getBoundingClientRect = () => ({ top: 0, height: 200 });
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe("attachCustomScrollbar", () => {
+    it("returns null without all three elements", () => {
+        expect(attachCustomScrollbar(scrollEl, track, null)).toBeNull();
+    });
+
+    it("sizes and places the thumb from the scroll position", () => {
+        const onUpdate = vi.fn();
+        const { update } = attachCustomScrollbar(scrollEl, track, thumb, {
+            onUpdate,
+        });
+
+        update();
+        expect(indicator.style.display).toBe("block");
+        expect(thumb.style.height).toBe("50px");
+        expect(thumbTop()).toBe(0);
+        expect(onUpdate).toHaveBeenLastCalledWith({
+            hasOverflow: true,
+            scrollTop: 0,
+            scrollHeight: 400,
+            clientHeight: 100,
+        });
+
+        // Halfway down the content is halfway down the 150px of travel.
+        scrollEl.scrollTop = 150;
+        scrollEl.dispatchEvent(new Event("scroll"));
+        expect(thumbTop()).toBe(0);
+        vi.advanceTimersToNextFrame();
+        expect(thumbTop()).toBe(75);
+    });
+
+    it("never draws the thumb shorter than 20px", () => {
+        setBox(scrollEl, { scrollHeight: 10000 });
+        attachCustomScrollbar(scrollEl, track, thumb).update();
+        expect(thumb.style.height).toBe("20px");
+    });
+
+    it("hides the indicator when nothing overflows", () => {
+        setBox(scrollEl, { scrollHeight: 101 });
+        attachCustomScrollbar(scrollEl, track, thumb).update();
+        expect(indicator.style.display).toBe("none");
+        expect(thumb.style.height).toBe("0px");
+    });
+
+    it("keeps the indicator's space with reserveSpace", () => {
+        setBox(scrollEl, { scrollHeight: 100 });
+        const { update } = attachCustomScrollbar(scrollEl, track, thumb, {
+            reserveSpace: true,
+        });
+        update();
+        expect(indicator.style.visibility).toBe("hidden");
+        expect(indicator.style.display).toBe("");
+
+        setBox(scrollEl, { scrollHeight: 400 });
+        update();
+        expect(indicator.style.visibility).toBe("visible");
+    });
+
+    it("scrolls the content while the thumb is dragged", () => {
+        attachCustomScrollbar(scrollEl, track, thumb).update();
+
+        mouse(thumb, "mousedown", 10);
+        expect(document.body.style.userSelect).toBe("none");
+        expect(scrollEl.style.scrollBehavior).toBe("auto");
+
+        mouse(document, "mousemove", 85);
+        expect(scrollEl.scrollTop).toBe(150);
+        mouse(document, "mousemove", 1000);
+        expect(scrollEl.scrollTop).toBe(300);
+
+        mouse(document, "mouseup", 1000);
+        expect(document.body.style.userSelect).toBe("");
+        expect(scrollEl.style.scrollBehavior).toBe("smooth");
+
+        mouse(document, "mousemove", 10);
+        expect(scrollEl.scrollTop).toBe(300);
+    });
+
+    it("jumps to the point clicked on the track", () => {
+        attachCustomScrollbar(scrollEl, track, thumb).update();
+
+        mouse(track, "click", 100);
+        expect(scrollEl.scrollTo).toHaveBeenCalledWith({ top: 150 });
+
+        scrollEl.scrollTo.mockClear();
+        mouse(thumb, "click", 100);
+        expect(scrollEl.scrollTo).not.toHaveBeenCalled();
+    });
+});
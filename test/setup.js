@@ -0,0 +1,5 @@
+import { installDomStubs } from "./dom.js";
+
+// Modules such as src/core/urls.js and src/ui/theme.js read the browser
+// APIs at import time, so the stand-ins go in before any test imports them.
+if (typeof window !== "undefined") installDomStubs();
@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { contactSpamGuard } from "../src/contact/spam-guard.js";
+import { useFakeClock } from "./dom.js";
+
+// Stands in for pow-worker.js; a test answers for it with reply() or
+// leaves it hanging.
+class FakeWorker {
+    static last = null;
+
+    constructor(url) {
+        this.url = url;
+        this.terminated = false;
+        FakeWorker.last = this;
+    }
+
+    postMessage(data) {
+        this.data = data;
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    reply(stamp) {
+        this.onmessage?.({ data: { stamp } });
+    }
+}
+
+let form;
+
+beforeEach(() => {
+    useFakeClock();
+    localStorage.clear();
+    vi.stubGlobal("Worker", FakeWorker);
+    FakeWorker.last = null;
+    document.body.innerHTML = `<form name="contact"><textarea name="message"></textarea></form>`;
+    form = document.querySelector("form");
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+});
+
+describe("contactSpamGuard proof of work", () => {
+    it("adds the stamp the worker finds", async () => {
+        const guard = contactSpamGuard.track(form, { bits: 8 });
+        form.dispatchEvent(new Event("focusin"));
+        const worker = FakeWorker.last;
+        expect(worker.data.prefix).toMatch(
+            /^1:8:\d{10}:contact::[0-9a-f]{16}$/,
+        );
+
+        worker.reply(`${worker.data.prefix}:42`);
+        const result = await guard.stamp({ message: "Hi" });
+
+        expect(result.pow).toBe(`${worker.data.prefix}:42`);
+    });
+
+    it("sends without a stamp when the worker doesn't answer in time", async () => {
+        const guard = contactSpamGuard.track(form, { bits: 8 });
+        form.dispatchEvent(new Event("focusin"));
+        const worker = FakeWorker.last;
+
+        let result = null;
+        guard.stamp({ message: "Hi" }).then((r) => (result = r));
+        await vi.advanceTimersByTimeAsync(3999);
+        expect(result).toBeNull();
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(result.pow).toBe("");
+        expect(result["spam-score"]).toBeDefined();
+        expect(worker.terminated).toBe(true);
+
+        // A second attempt doesn't wait on the worker all over again.
+        expect((await guard.stamp({ message: "Hi" })).pow).toBe("");
+    });
+});
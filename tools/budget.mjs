@@ -0,0 +1,49 @@
+import { readFileSync } from "node:fs";
+import { join, posix } from "node:path";
+import { gzipSync } from "node:zlib";
+
+// First-load weight of every page, compressed the way Netlify serves it:
+// the HTML plus each local stylesheet and script it references. Images,
+// fonts and anything fetched later (search index, worker) aren't counted.
+
+const ASSET =
+    /<(?:link|script)\b[^>]*?\s(?:href|src)="(?![a-z][\w+.-]*:|\/\/)([^"]+\.(css|js))"/g;
+
+const gzipped = (content) => gzipSync(content, { level: 9 }).length;
+
+export const kB = (bytes) => `${(bytes / 1024).toFixed(1)} kB`;
+
+export function pageWeight({ root, page, html }) {
+    const weight = { html: gzipped(html), css: 0, js: 0 };
+    const seen = new Set();
+    for (const [, ref, type] of html.matchAll(ASSET)) {
+        const file = posix.normalize(posix.join(posix.dirname(page), ref));
+        if (seen.has(file)) continue;
+        seen.add(file);
+        weight[type] += gzipped(readFileSync(join(root, file)));
+    }
+    return { ...weight, total: weight.html + weight.css + weight.js };
+}
+
+// `rows` are { page, kind, weight }; `budgets` maps a kind of page to its
+// limit in bytes, with `default` for the rest. Returns the problems in the
+// shape printReport() takes.
+export function checkBudgets(rows, budgets, log = console.log) {
+    const width = Math.max(...rows.map((r) => r.page.length));
+    const problems = [];
+    for (const { page, kind, weight } of rows) {
+        const limit = budgets[kind] ?? budgets.default;
+        const over = weight.total > limit;
+        log(
+            `  ${page.padEnd(width)}  html ${kB(weight.html).padStart(8)}  css ${kB(weight.css).padStart(8)}  js ${kB(weight.js).padStart(8)}  = ${kB(weight.total).padStart(8)} / ${kB(limit)}${over ? "  ✗" : ""}`,
+        );
+        if (over)
+            problems.push({
+                level: "error",
+                file: page,
+                line: 1,
+                message: `pesa ${kB(weight.total)} comprimida, por encima del límite de ${kB(limit)} para ${kind}`,
+            });
+    }
+    return problems;
+}
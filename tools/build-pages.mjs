@@ -1,12 +1,78 @@
-import { readFileSync, writeFileSync } from "node:fs";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
-import { dirname, join } from "node:path";
+import { dirname, join, relative, resolve } from "node:path";
+import { loadProjects } from "./content.mjs";
+import {
+    printReport,
+    validateProjects,
+    validateTranslations,
+} from "./validate.mjs";
+import {
+    ENGLISH,
+    loadLocales,
+    localePath,
+    localizeProject,
+    prefixSrcset,
+    relocate,
+} from "./i18n.mjs";
+import { ldScript, personGraph, projectGraph, readProfile } from "./jsonld.mjs";
+import { checkExternal, checkLinks } from "./links.mjs";
+import { bundle } from "./bundle.mjs";
+import { checkBudgets, pageWeight } from "./budget.mjs";
+import {
+    aboveTheFold,
+    criticalCss,
+    inlineCritical,
+    stripCritical,
+} from "./critical.mjs";
+import {
+    fingerprint,
+    rewriteReferences,
+    unfingerprint,
+} from "./fingerprint.mjs";
+import { buildImageVariants, picture, preloadImage } from "./images.mjs";
+import { minifyCss, minifyHtml, minifyJs } from "./minify.mjs";
+import {
+    SECURITY_HEADERS,
+    contentSecurityPolicy,
+    headersFile,
+    inlineScriptProblems,
+    redirectsFile,
+} from "./netlify.mjs";
+import { OG_SIZE, renderOgCards } from "./og.mjs";
+import { precacheManifest, serviceWorker } from "./sw.mjs";
+import { readTechnologyIconMap, techFor } from "./tech.mjs";
 
-const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+// --root=<dir> builds another tree, such as a fixture copy of the site,
+// instead of the one this script lives in.
+const ROOT_ARG = process.argv.find((a) => a.startsWith("--root="));
+const ROOT = ROOT_ARG
+    ? resolve(ROOT_ARG.slice(7))
+    : join(dirname(fileURLToPath(import.meta.url)), "..");
 const read = (f) => readFileSync(join(ROOT, f), "utf8");
 
 const SITE_URL = "https://bryan-morales-portfolio.netlify.app";
 const AUTHOR = "Bryan Morales";
+const JOB_TITLE = "Full-Stack Developer & UX/UI Designer";
+
+// --strict turns validation warnings into build failures.
+// --watch rebuilds on every change and serves the site with live reload
+// (--port=5501 by default, the same port Live Server used).
+// --online also requests every external URL the generated pages link to.
+// --minify also minifies the pages, except index.html: it is the source
+// every other page is built from, so it is rewritten as written.
+// --only=<page>,<page> writes (and checks) just those pages; --watch passes
+// it for edits that can't reach the rest. The files all pages share, such
+// as script.js, sections.js and sw.js, are still regenerated.
+const STRICT = process.argv.includes("--strict");
+const ONLINE = process.argv.includes("--online");
+const MINIFY = process.argv.includes("--minify");
+const WATCH = process.argv.includes("--watch");
+const ONLY_ARG = process.argv.find((a) => a.startsWith("--only="));
+const ONLY = ONLY_ARG && new Set(ONLY_ARG.slice(7).split(",").filter(Boolean));
+const PORT = Number(
+    process.argv.find((a) => a.startsWith("--port="))?.slice(7) ?? 5501,
+);
 
 const FONT_URL =
     "https://fonts.googleapis.com/css2" +
@@ -14,7 +80,11 @@ const FONT_URL =
     "&family=Sekuya" +
     "&display=swap";
 
-const index = read("index.html");
+const index = stripCritical(unfingerprint(read("index.html")));
+if (!/\n\s*<body\b/.test(index))
+    throw new Error(
+        "index.html está minificado; recupéralo con git checkout index.html",
+    );
 
 function extractElement(html, tag, from) {
     const open = html.indexOf(`<${tag}`, from);
@@ -55,13 +125,26 @@ function reindent(block, spaces) {
 const escapeAttr = (s) =>
     s.replace(/&(?!(amp|lt|gt|quot|#\d+);)/g, "&amp;").replace(/"/g, "&quot;");
 
+// Files whose content did not change are left alone, so mtimes stay put and
+// the --watch server only reloads the pages a rebuild actually touched.
+const changed = [];
+function emit(file, content) {
+    const path = join(ROOT, file);
+    mkdirSync(dirname(path), { recursive: true });
+    if (existsSync(path) && readFileSync(path, "utf8") === content) return;
+    writeFileSync(path, content);
+    changed.push(file);
+}
+
+// Pages are held until the end of the build, when the stylesheets and
+// scripts they link have been fingerprinted and their critical CSS is known.
+const pages = new Map();
+const emitPage = (file, html) => pages.set(file, html);
+
+const lineOf = (text, offset) => text.slice(0, offset).split("\n").length;
+
 const plain = (title) => title.replace(/^\S+\s+/u, "").trim();
 
-const videoBlock = extractElement(
-    index,
-    "div",
-    index.indexOf('<div class="background-video"'),
-).html;
 const themeBtn = extractElement(
     index,
     "button",
@@ -95,50 +178,29 @@ const contact = extractElement(
     index.indexOf('id="contact-section"') - 40,
 ).html;
 
-const projects = [];
-let cursor = 0;
-for (;;) {
-    const at = index.indexOf("<article", cursor);
-    if (at === -1) break;
-    const el = extractElement(index, "article", at);
-    cursor = el.end;
-
-    const id = el.html.match(/id="(project-[^"]+)"/)?.[1];
-    if (!id) continue;
-
-    const slug = id.replace(/^project-/, "");
-    projects.push({
-        id,
-        slug,
-        title: el.html.match(/data-project-title="([^"]*)"/)?.[1] ?? "",
-        category: el.html.match(/data-project-category="([^"]*)"/)?.[1] ?? "",
-        description:
-            el.html.match(/data-project-description="([^"]*)"/)?.[1] ?? "",
-        date:
-            el.html.match(/<span class="project-date">([^<]*)</)?.[1]?.trim() ??
-            "",
-
-        images: [
-            ...el.html.matchAll(
-                /<img\n\s+src="(assets\/projects\/[^"]+)"\n\s+alt="([^"]*)"/g,
-            ),
-        ].map((m) => ({ src: m[1], alt: m[2] })),
-        html: el.html,
-    });
-}
+const projects = loadProjects(join(ROOT, "content", "projects"));
 
 if (projects.length === 0)
-    throw new Error("No se encontró ningún <article class='project-item'>");
+    throw new Error("No se encontró ningún proyecto en content/projects");
+
+// English pages are written to the site root, every other locale to its own
+// directory (es/). Each locale gets its own copy of the projects with the
+// translated text merged in.
+const LOCALES = [ENGLISH, ...loadLocales(join(ROOT, "content", "i18n"))];
+const localized = new Map(
+    LOCALES.map((loc) => [
+        loc,
+        loc === ENGLISH
+            ? projects
+            : projects.map((p) => localizeProject(p, loc)),
+    ]),
+);
 
 function forDetailPage(block) {
     return block
         .replace(/\n\s*<a\n\s+class="section-maximize[\s\S]*?<\/a>/g, "")
         .replace(/\s*style="opacity: 0; transform: translateY\(30px\)"/g, "")
         .replace(/ scroll-pending(?=["\s])/g, "")
-        .replace(
-            /<h2>\s*<a href="[^"]*"\s*>([\s\S]*?)<\/a\s*>\s*<\/h2>/g,
-            "<h1>$1</h1>",
-        )
         .replace(
             /<h2 class="contact-title">\s*<a href="[^"]*"\s*>([\s\S]*?)<\/a\s*>\s*<\/h2>/,
             '<h1 class="contact-title">$1</h1>',
@@ -149,122 +211,707 @@ function forDetailPage(block) {
         );
 }
 
-function splitDescription(articleHtml) {
-    const box = articleHtml.match(
-        /<div class="project-description glass-container">[\s\S]*?<div class="description-content">\s*<p>([\s\S]*?)<\/p>\s*<\/div>/,
-    );
-    if (!box) return null;
+// `key` is the language-independent value the project filters use in the
+// query string (?category=full-stack), since the visible label is translated.
+const CATEGORY_ICONS = {
+    "Full-Stack": { icon: "code", label: "Code", key: "full-stack" },
+    "UI/UX Design": { icon: "design", label: "Design", key: "ui-ux" },
+};
+
+const LINK_KINDS = {
+    github: {
+        cls: "",
+        role: "link",
+        attr: "data-url",
+        icon: "github",
+        alt: "GitHub",
+        size: 30,
+        label: "Code On GitHub",
+    },
+    figma: {
+        cls: " figma-button",
+        role: "link",
+        attr: "data-url",
+        icon: "figma",
+        alt: "Figma",
+        size: 30,
+        label: "Design On Figma",
+        external: "figma-external-icon",
+    },
+    download: {
+        cls: " download-btn",
+        role: "button",
+        attr: "data-download",
+        icon: "down",
+        alt: "Download",
+        size: 28,
+        label: "Download Now",
+    },
+    demo: {
+        cls: " download-btn",
+        role: "button",
+        attr: "data-download",
+        icon: "try",
+        alt: "Download",
+        size: 28,
+        label: "View Now",
+    },
+};
 
-    const inner = box[1];
-    const marker = inner.indexOf('<span class="bold-text">Features</span>');
-    if (marker === -1) return null;
+const heading = (h) => {
+    const label = plain(h);
+    const mark = h.slice(0, h.length - label.length).trim();
+    return `${mark} <span class="bold-text">${label}</span>`;
+};
 
-    const SEP = "<br /><br />";
-    const cut = inner.lastIndexOf(SEP, marker);
-    if (cut === -1) return null;
+const paragraphs = (sections) =>
+    sections
+        .flatMap((s) => [
+            ...(s.heading ? [heading(s.heading)] : []),
+            ...s.paragraphs,
+        ])
+        .join("\n<br /><br />\n")
+        .split("\n")
+        .map((l) => "                                    " + l)
+        .join("\n");
 
-    const overview = inner.slice(0, cut).trim();
-    const features = inner.slice(cut + SEP.length).trim();
-    if (!overview || !features) return null;
+function descriptionBox(project) {
+    return `                        <div class="project-description glass-container">
+                            <div class="description-content">
+                                <p>
+${paragraphs(project.sections)}
+                                </p>
+                            </div>
+                            <div class="scroll-indicator">
+                                <div class="scroll-track">
+                                    <div class="scroll-thumb"></div>
+                                </div>
+                            </div>
+                        </div>`;
+}
 
-    const card = (body) =>
-        `                    <div class="project-description glass-container">
-                        <div class="description-content">
-                            <p>
-${body
+function descriptionStack(project) {
+    const card = (
+        section,
+    ) => `                            <div class="project-description glass-container">
+                                <div class="description-content">
+                                    <p>
+${paragraphs([section])
     .split("\n")
-    .map((l) => "                                " + l.trim())
+    .map((l) => "    " + l)
     .join("\n")}
+                                    </p>
+                                </div>
+                            </div>`;
+
+    return `                        <div class="detail-desc-stack">
+${project.sections.map(card).join("\n")}
+                        </div>`;
+}
+
+function linkButton(link, t) {
+    const k = LINK_KINDS[link.kind];
+    if (!k) throw new Error(`tipo de enlace desconocido "${link.kind}"`);
+
+    return `                            <div
+                                class="project-link glass-pill${k.cls}"
+                                role="${k.role}"
+                                tabindex="0"
+                                ${k.attr}="${escapeAttr(link.url)}"
+                            >
+                                <img
+                                    src="assets/icons/${k.icon}.svg"
+                                    alt="${t(k.alt)}"
+                                    width="${k.size}"
+                                    height="${k.size}"
+                                />
+                                <span>${t(k.label)}</span>
+                                <img
+                                    src="assets/icons/external.svg"
+                                    alt="${t("External")}"
+                                    width="16"
+                                    height="16"${k.external ? `\n                                    class="${k.external}"` : ""}
+                                />
+                            </div>`;
+}
+
+function article(
+    project,
+    { detail = false, reveal = !detail, t = ENGLISH.t } = {},
+) {
+    const name = escapeAttr(plain(project.title));
+    const kind =
+        CATEGORY_ICONS[project.category] ?? CATEGORY_ICONS["Full-Stack"];
+    const page = `${project.slug}.html`;
+
+    const maximize = detail
+        ? ""
+        : `
+                            <a
+                                class="section-maximize project-maximize"
+                                href="${page}"
+                                aria-label="${t("Open {name} in full page view", { name })}"
+                                title="${t("Maximize")}"
+                            >
+                                <img
+                                    src="assets/icons/open-page.svg"
+                                    alt=""
+                                    width="34"
+                                    height="34"
+                                    aria-hidden="true"
+                                />
+                            </a>`;
+
+    const slides = project.images
+        .map(
+            (
+                img,
+                i,
+            ) => `                                        <div class="carousel-slide${i === 0 ? " is-active" : ""}">
+${picture(
+    IMAGES.get(img.src),
+    {
+        src: img.src,
+        alt: escapeAttr(img.alt),
+        width: undefined,
+        height: undefined,
+        loading: "lazy",
+        decoding: "async",
+    },
+    { sizes: detail ? SIZES.detail : SIZES.card, indent: 44 },
+)}
+                                        </div>`,
+        )
+        .join("\n");
+
+    const dots = project.images
+        .map(
+            (_, i) => `                                        <button
+                                            class="carousel-dot${i === 0 ? " is-active" : ""}"
+                                            role="tab"${i === 0 ? '\n                                            aria-selected="true"' : ""}
+                                            aria-label="${t("Go to image {n}", { n: i + 1 })}"
+                                        ></button>`,
+        )
+        .join("\n");
+
+    const title = detail
+        ? `                                <h1>${project.title}</h1>`
+        : `                                <h2>
+                                    <a href="${page}">${project.title}</a>
+                                </h2>`;
+
+    const tags = project.tech
+        .map(
+            (tag) =>
+                `                                <span class="tech-tag">${t(tag)}</span>`,
+        )
+        .join("\n");
+
+    return `                    <article
+                        id="${project.id}"
+                        class="project-item glass-card${reveal ? " scroll-pending" : ""}"${reveal ? '\n                        style="opacity: 0; transform: translateY(30px)"' : ""}
+                        data-project-title="${escapeAttr(project.title)}"
+                        data-project-category="${escapeAttr(t(project.category))}"
+                        data-project-category-key="${kind.key}"
+                        data-project-description="${escapeAttr(project.description)}"
+                    >
+                        <div class="project-media">${maximize}
+                            <div
+                                class="carousel"
+                                role="region"
+                                aria-roledescription="carousel"
+                                aria-label="${t("{name} project gallery", { name })}"
+                                tabindex="0"
+                            >
+                                <div class="carousel-viewport">
+                                    <div class="carousel-track">
+${slides}
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                        <div
+                            class="carousel-controls"
+                            aria-label="${t("Carousel controls")}"
+                        >
+                            <div class="carousel-controls-top">
+                                <button
+                                    class="carousel-btn prev"
+                                    aria-label="${t("Previous image")}"
+                                ></button>
+                                <div class="carousel-center">
+                                    <div
+                                        class="carousel-indicators"
+                                        role="tablist"
+                                        aria-label="${t("Image pagination")}"
+                                    >
+${dots}
+                                    </div>
+                                    <div
+                                        class="carousel-progress"
+                                        aria-hidden="true"
+                                    >
+                                        <div
+                                            class="carousel-progress-fill"
+                                        ></div>
+                                    </div>
+                                </div>
+                                <button
+                                    class="carousel-btn next"
+                                    aria-label="${t("Next image")}"
+                                ></button>
+                            </div>
+                        </div>
+                        <div class="project-header">
+                            <div class="project-title">
+${title}
+                            </div>
+                        </div>
+                        <div class="project-meta">
+                            <button
+                                class="project-icon glass-button"
+                                aria-label="${t("Project type: {label}", { label: t(kind.label) })}"
+                            >
+                                <img
+                                    src="assets/icons/${kind.icon}.svg"
+                                    alt="${t("Project icon")}"
+                                    width="26"
+                                    height="26"
+                                />
+                            </button>
+                            <p class="project-category">
+                                <strong>${t(project.category)}</strong>
+                                <span class="separator">·</span>
+                                ${project.description}
                             </p>
+                            <span class="project-date">${project.date}</span>
                         </div>
-                    </div>`;
-
-    return `                <div class="detail-desc-stack">
-${card(overview)}
-${card(features)}
-                </div>`;
+                        <div class="tech-stack">
+                            <div class="tech-row">
+${tags}
+                            </div>
+                        </div>
+${detail ? descriptionStack(project) : descriptionBox(project)}
+                        <div class="project-buttons">
+${project.links.map((l) => linkButton(l, t)).join("\n")}
+                        </div>${detail ? `\n${gallery(project, t)}` : ""}
+                    </article>`;
 }
 
-function gallery(project) {
+function gallery(project, t) {
     if (project.images.length === 0) return "";
 
     const items = project.images
         .map(
-            (img, i) => `                        <button
-                            class="detail-gallery-item"
-                            type="button"
-                            data-index="${i}"
-                            aria-label="View image ${i + 1} of ${project.images.length} fullscreen"
-                        >
-                            <img
-                                src="${img.src}"
-                                alt="${escapeAttr(img.alt)}"
-                                width="1920"
-                                height="1080"
-                                loading="lazy"
-                                decoding="async"
-                            />
-                        </button>`,
+            (img, i) => `                                <button
+                                    class="detail-gallery-item"
+                                    type="button"
+                                    data-index="${i}"
+                                    aria-label="${t("View image {n} of {total} fullscreen", { n: i + 1, total: project.images.length })}"
+                                >
+${picture(
+    IMAGES.get(img.src),
+    {
+        src: img.src,
+        alt: escapeAttr(img.alt),
+        width: undefined,
+        height: undefined,
+        loading: "lazy",
+        decoding: "async",
+    },
+    { sizes: SIZES.gallery, indent: 36 },
+)}
+                                </button>`,
         )
         .join("\n");
 
-    return `                <div class="detail-gallery glass-container">
-                    <div class="detail-gallery-scroll" aria-label="Project gallery">
+    return `                        <div class="detail-gallery glass-container">
+                            <div class="detail-gallery-scroll" aria-label="${t("Project gallery")}">
 ${items}
-                    </div>
-                    <div class="scroll-indicator">
-                        <div class="scroll-track">
-                            <div class="scroll-thumb"></div>
-                        </div>
-                    </div>
-                </div>`;
+                            </div>
+                            <div class="scroll-indicator">
+                                <div class="scroll-track">
+                                    <div class="scroll-thumb"></div>
+                                </div>
+                            </div>
+                        </div>`;
+}
+
+const contactDetail = forDetailPage(contact);
+
+const problems = validateProjects(projects, {
+    root: ROOT,
+    categories: Object.keys(CATEGORY_ICONS),
+    linkKinds: Object.keys(LINK_KINDS),
+});
+if (!contactDetail.includes('<h1 class="contact-title">')) {
+    problems.push({
+        level: "error",
+        file: "index.html",
+        line: lineOf(index, index.indexOf('id="contact-section"')),
+        message:
+            'el título de contact-section no se promovió a <h1>; revisa el formato del <h2 class="contact-title">',
+    });
+}
+
+const profileFacts = readProfile(profile);
+const profileLine = lineOf(index, index.indexOf('id="profile-section"'));
+for (const [facts, what] of [
+    [profileFacts.sameAs, ".social-btn con data-url"],
+    [profileFacts.credentials, ".certificate-item"],
+    [profileFacts.languages, ".language-item"],
+]) {
+    if (facts.length === 0) {
+        problems.push({
+            level: "warning",
+            file: "index.html",
+            line: profileLine,
+            message: `no se encontró ningún ${what} para el JSON-LD de Person`,
+        });
+    }
+}
+
+for (const loc of LOCALES.slice(1)) {
+    problems.push(
+        ...validateTranslations(localized.get(loc), {
+            root: ROOT,
+            lang: loc.lang,
+        }),
+    );
 }
 
-const sections = [
+if (problems.length > 0) {
+    const { errors, warnings } = printReport(problems);
+    if (errors > 0 || (STRICT && warnings > 0)) {
+        console.error(
+            errors > 0
+                ? "\nNo se escribió ningún archivo."
+                : "\nNo se escribió ningún archivo (--strict trata los avisos como errores).",
+        );
+        process.exit(1);
+    }
+    console.log("");
+}
+
+const iconMap = readTechnologyIconMap(read("src/ui/tech-tags.js"));
+const ogCards = await renderOgCards(projects, {
+    root: ROOT,
+    author: AUTHOR,
+    iconMap,
+    names: (p) => plain(p.title),
+});
+
+const PORTRAIT = "assets/profile.webp";
+const IMAGES = await buildImageVariants(
+    [...projects.flatMap((p) => p.images.map((img) => img.src)), PORTRAIT],
+    { root: ROOT },
+);
+
+// Rendered widths the browser picks a variant for: the index cards share a
+// column with the rest of the card, detail pages give the carousel most of
+// the row and stack the gallery next to it.
+const SIZES = {
+    card: "(min-width: 1400px) 33vw, (min-width: 1200px) 90vw, 96vw",
+    detail: "(min-width: 1024px) 60vw, 96vw",
+    gallery: "(min-width: 1024px) 35vw, 96vw",
+    portrait: "100px",
+};
+
+// The portrait in index.html is hand-written; its <img> keeps its own
+// attributes and gains the real size, the placeholder and a <picture>.
+const responsivePortrait = (html) =>
+    html
+        .replace(
+            /([ \t]*)(?:<picture>\s*(?:<source[^>]*\/>\s*)*)?<img\s+src="assets\/profile\.webp"([^>]*)\/>(?:\s*<\/picture>)?/,
+            (m, indent, rest) => {
+                const attrs = { src: PORTRAIT };
+                for (const [, name, value] of rest.matchAll(
+                    /([\w-]+)="([^"]*)"/g,
+                ))
+                    if (name !== "style") attrs[name] = value;
+                return picture(IMAGES.get(PORTRAIT), attrs, {
+                    sizes: SIZES.portrait,
+                    indent: indent.length,
+                });
+            },
+        )
+        // Its preload asks for the same variant the <picture> will pick, not
+        // the full-size original on top of it.
+        .replace(
+            /([ \t]*)<link\s+rel="preload"(?=[^>]*\sas="image")[^>]*profile[^>]*\/>/,
+            (m, indent) =>
+                preloadImage(IMAGES.get(PORTRAIT), PORTRAIT, {
+                    sizes: SIZES.portrait,
+                    indent: indent.length,
+                }),
+        );
+
+// One landing page per technology that at least one project uses, keyed by
+// the same dataTech slug the tech tags carry (tech/nodejs.html).
+const TECHS = new Map();
+projects.forEach((p, i) => {
+    for (const tag of p.tech) {
+        const meta = techFor(iconMap, tag);
+        if (!meta) continue;
+        if (!TECHS.has(meta.dataTech))
+            TECHS.set(meta.dataTech, {
+                ...meta,
+                slug: meta.dataTech,
+                projects: [],
+            });
+        const entry = TECHS.get(meta.dataTech);
+        if (!entry.projects.includes(i)) entry.projects.push(i);
+    }
+});
+const techList = [...TECHS.values()].sort((a, b) =>
+    a.label.localeCompare(b.label),
+);
+
+const techSummary = (tech, t) =>
+    tech.projects.length === 1
+        ? t("One project by {author} built with {tech}.", {
+              author: AUTHOR,
+              tech: tech.label,
+          })
+        : t("{count} projects by {author} built with {tech}.", {
+              count: tech.projects.length,
+              author: AUTHOR,
+              tech: tech.label,
+          });
+
+// The profile's "Technologies I Use" grid is hand-written in index.html;
+// every entry with a landing page becomes a link to it, the rest stay plain.
+const linkTechGrid = (html) =>
+    html.replace(
+        /<(span|a)\s+class="tech-tag"(?:\s+href="[^"]*")?\s+data-tech="([^"]+)"([\s\S]*?)<\/\1/g,
+        (m, tag, slug, rest) =>
+            TECHS.has(slug)
+                ? `<a class="tech-tag" href="tech/${slug}.html" data-tech="${slug}"${rest}</a`
+                : `<span class="tech-tag" data-tech="${slug}"${rest}</span`,
+    );
+
+const person = personGraph({
+    siteUrl: SITE_URL,
+    author: AUTHOR,
+    jobTitle: JOB_TITLE,
+    profile: profileFacts,
+});
+
+const url = (loc, path) => `${SITE_URL}/${loc.dir}${path}`;
+
+// hreflang links between the translations of a page; English is the default
+// for visitors whose language has none.
+const alternates = (path, indent) =>
+    [...LOCALES.map((l) => [l.lang, l]), ["x-default", ENGLISH]]
+        .map(
+            ([hreflang, l]) =>
+                `${" ".repeat(indent)}<link rel="alternate" hreflang="${hreflang}" href="${url(l, path)}" />`,
+        )
+        .join("\n");
+
+const projectList = extractElement(
+    index,
+    "section",
+    index.indexOf('<section class="projects-section">'),
+);
+const indexHead = responsivePortrait(
+    linkTechGrid(index.slice(0, projectList.start)),
+)
+    .replace(/\n\s*<script type="application\/ld\+json">[\s\S]*?<\/script>/, "")
+    .replace(
+        /\n\s*<link\s+rel="alternate"\s+hreflang="[^"]*"\s+href="[^"]*"\s*\/>/g,
+        "",
+    )
+    .replace(
+        /\n(\s*)<\/head>/,
+        `\n${alternates("", 8)}\n${ldScript(person, 8)}\n$1</head>`,
+    );
+const indexTail = index.slice(projectList.end);
+
+// The hand-written head of index.html carries its own language, canonical
+// URL and locale; the translated copies point those at themselves.
+const localizeHead = (head, loc) =>
+    head
+        .replace(/<html lang="[^"]*"/, `<html lang="${loc.lang}"`)
+        .replace(/(rel="canonical"\s+href=")[^"]*/, `$1${url(loc, "")}`)
+        .replace(/(property="og:url"\s+content=")[^"]*/, `$1${url(loc, "")}`)
+        .replace(
+            /(property="og:locale"\s+content=")[^"]*/,
+            `$1${loc.ogLocale}`,
+        );
+
+for (const loc of LOCALES) {
+    emitPage(
+        `${loc.dir}index.html`,
+        relocate(
+            localizeHead(loc.html(indexHead), loc) +
+                `<section class="projects-section">
+                    <!-- Generated by tools/build-pages.mjs from content/projects. -->
+${localized
+    .get(loc)
+    .map((p) => article(p, { t: loc.t }))
+    .join("\n")}
+                </section>` +
+                loc.html(indexTail),
+            loc.dir,
+        ),
+    );
+}
+
+const sectionsOf = (loc) => [
     {
         id: "profile-section",
         page: "about.html",
-        title: "🪄 About Me",
+        title: loc.t("🪄 About Me"),
         category: null,
         description: "",
     },
-    ...projects.map((p) => ({
+    ...localized.get(loc).map((p) => ({
         id: p.id,
         page: `${p.slug}.html`,
         title: p.title,
-        category: p.category,
+        category: loc.t(p.category),
         description: p.description,
     })),
     {
         id: "contact-section",
         page: "contact.html",
-        title: "✉️ Contact",
+        title: loc.t("✉️ Contact"),
         category: null,
         description: "",
     },
 ];
 
-writeFileSync(
-    join(ROOT, "sections.js"),
-    `/* Generated by tools/build-pages.mjs. Edit index.html instead. */
-window.PORTFOLIO_SECTIONS = ${JSON.stringify(sections, null, 4)};
+// `root` is the path from this locale's pages to each translation's
+// directory; script.js builds the language switcher from it.
+for (const loc of LOCALES) {
+    emit(
+        `${loc.dir}sections.js`,
+        `/* Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. */
+window.PORTFOLIO_SECTIONS = ${JSON.stringify(sectionsOf(loc), null, 4)};
+window.PORTFOLIO_LOCALES = ${JSON.stringify(
+            LOCALES.map((l) => ({
+                lang: l.lang,
+                name: l.name,
+                root: localePath(loc, l),
+            })),
+            null,
+            4,
+        )};
 `,
-);
+    );
+}
+
+// The command palette in script.js searches this instead of the DOM, so it
+// finds the same things from index.html and from every detail page. It is
+// loaded on first use, next to the page that asks for it.
+const EMAIL = index.match(/href="mailto:([^"?]+)"/)?.[1] ?? null;
+
+const searchText = (html) =>
+    html
+        .replace(/<[^>]+>/g, " ")
+        .replace(/&emsp;|&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/\s+/g, " ")
+        .trim();
+
+const searchIndexOf = (loc) => {
+    const { t } = loc;
+    const sections = sectionsOf(loc);
+    const projects = new Map(localized.get(loc).map((p) => [p.id, p]));
+
+    const entries = sections.map((s) => {
+        const p = projects.get(s.id);
+        return {
+            ...s,
+            tech: p ? p.tech.map((tag) => t(tag)) : [],
+            text: p
+                ? searchText(
+                      p.sections
+                          .flatMap((x) => [x.heading ?? "", ...x.paragraphs])
+                          .join(" "),
+                  )
+                : "",
+        };
+    });
+    entries[0].description = t(
+        "AI Engineering student and freelance full-stack developer from Mexico. Skills, languages, certifications and contact details.",
+    );
+    entries[entries.length - 1].description = t(
+        "Send a message to {author}, freelance full-stack developer and UX/UI designer.",
+        { author: AUTHOR },
+    );
+    entries.push(
+        ...techList.map((tech) => ({
+            id: `tech-${tech.slug}`,
+            page: `tech/${tech.slug}.html`,
+            title: tech.label,
+            category: t("Technology"),
+            description: techSummary(tech, t),
+            tech: [tech.label],
+            text: "",
+        })),
+    );
+
+    const actions = [
+        { action: "theme", title: t("🌗 Toggle theme") },
+        {
+            action: "contact",
+            title: t("✉️ Open contact form"),
+            page: "contact.html",
+        },
+        ...(EMAIL
+            ? [{ action: "copy", title: t("📋 Copy email"), value: EMAIL }]
+            : []),
+        ...localized.get(loc).flatMap((p) =>
+            p.links
+                .filter((l) => l.kind === "download")
+                .map((l) => ({
+                    action: "open",
+                    title: t("⬇️ Download {name} release", {
+                        name: plain(p.title),
+                    }),
+                    url: l.url,
+                })),
+        ),
+    ];
+
+    return { entries, actions };
+};
+
+for (const loc of LOCALES) {
+    emit(
+        `${loc.dir}search-index.js`,
+        `/* Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. */
+window.PORTFOLIO_SEARCH = ${JSON.stringify(searchIndexOf(loc), null, 4)};
+`,
+    );
+}
 
 function page({
+    loc,
+    path,
     title,
     description,
-    canonical,
     bodyClass,
     dataPage,
     main,
     noindex = false,
+    jsonLd = null,
+    image = null,
+    depth = 0,
+    base = null,
 }) {
-    return `<!doctype html>
-<!-- Generated by tools/build-pages.mjs. Edit index.html instead. -->
-<html lang="en">
+    const canonical = url(loc, path);
+    const ogImage = image
+        ? `${SITE_URL}/${image.src}`
+        : `${SITE_URL}/assets/profile.webp`;
+    return relocate(
+        `<!doctype html>
+<!-- Generated by tools/build-pages.mjs. Edit index.html or content/projects instead. -->
+<html lang="${loc.lang}">
     <head>
-        <meta charset="UTF-8" />
+        <meta charset="UTF-8" />${base ? `\n        <base href="${base}" />` : ""}
         <meta name="viewport" content="width=device-width, initial-scale=1.0" />
         <title>${escapeAttr(title)}</title>
         <meta name="description" content="${escapeAttr(description)}" />
@@ -273,78 +920,78 @@ function page({
         <meta name="color-scheme" content="dark" />${noindex ? '\n        <meta name="robots" content="noindex" />' : ""}
 
         <link rel="canonical" href="${canonical}" />
+${alternates(path, 8)}
 
         <meta property="og:type" content="article" />
-        <meta property="og:site_name" content="${AUTHOR} Portfolio" />
+        <meta property="og:site_name" content="${escapeAttr(loc.t("{author} Portfolio", { author: AUTHOR }))}" />
         <meta property="og:title" content="${escapeAttr(title)}" />
         <meta property="og:description" content="${escapeAttr(description)}" />
         <meta property="og:url" content="${canonical}" />
-        <meta property="og:image" content="${SITE_URL}/assets/profile.webp" />
-        <meta property="og:locale" content="en_US" />
+        <meta property="og:image" content="${ogImage}" />${
+            image
+                ? `
+        <meta property="og:image:width" content="${OG_SIZE.width}" />
+        <meta property="og:image:height" content="${OG_SIZE.height}" />
+        <meta property="og:image:alt" content="${escapeAttr(image.alt)}" />`
+                : ""
+        }
+        <meta property="og:locale" content="${loc.ogLocale}" />
 
         <meta name="twitter:card" content="summary_large_image" />
         <meta name="twitter:title" content="${escapeAttr(title)}" />
         <meta name="twitter:description" content="${escapeAttr(description)}" />
-        <meta name="twitter:image" content="${SITE_URL}/assets/profile.webp" />
+        <meta name="twitter:image" content="${ogImage}" />${jsonLd ? `\n\n${ldScript(jsonLd, 8)}` : ""}
 
         <link rel="icon" type="image/png" href="assets/favicon.png" />
         <link rel="apple-touch-icon" href="assets/favicon.png" />
 
         <link rel="stylesheet" href="styles.css" />
         <link rel="stylesheet" href="detail.css" />
-        <script>
-            (function () {
-                var theme = null;
-                try {
-                    theme = localStorage.getItem("portfolio-theme");
-                } catch (e) {}
-                if (theme !== "glass") {
-                    document.documentElement.classList.add(
-                        "obsidian-theme-loading",
-                    );
-                }
-            })();
-        </script>
+        <script src="boot.js"></script>
         <link rel="preconnect" href="https://fonts.googleapis.com" />
         <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
         <link href="${FONT_URL}" rel="stylesheet" />
     </head>
     <body class="${bodyClass}" data-page="${dataPage}">
-${reindent(videoBlock, 8)}
         <div class="portfolio-container">
-${reindent(themeBtn, 12)}
+${loc.html(reindent(themeBtn, 12))}
 
-${reindent(menuBtn, 12)}
+${loc.html(reindent(menuBtn, 12))}
 
-${reindent(navBlock, 12)}
+${loc.html(reindent(navBlock, 12))}
 
 ${main}
         </div>
 
-${reindent(topBtn, 8)}
+${loc.html(reindent(topBtn, 8))}
 
         <script src="sections.js"></script>
         <script src="script.js"></script>
     </body>
 </html>
-`;
+`,
+        loc.dir,
+    )
+        .replace(
+            // Pages in a subdirectory of their locale (tech/) reach everything
+            // one more level up, page links and sections.js included.
+            /\b(src|href)="(?![a-z][\w+.-]*:|\/|#)([^"]+)"/gi,
+            (m, attr, link) => `${attr}="${"../".repeat(depth)}${link}"`,
+        )
+        .replace(
+            /\bsrcset="([^"]+)"/g,
+            (m, set) => `srcset="${prefixSrcset(set, "../".repeat(depth))}"`,
+        );
 }
 
-const topbar = (label) => `            <div class="detail-topbar">
+const topbar = (label, t) => `            <div class="detail-topbar">
                 <a class="detail-back" href="index.html">
                     <span class="detail-back-arrow" aria-hidden="true">←</span>
-                    <span>Portfolio</span>
-                </a>
-                <span class="detail-breadcrumb">${escapeAttr(label)}</span>
+                    <span>${t("Portfolio")}</span>
+                </a>${label ? `\n                <span class="detail-breadcrumb">${escapeAttr(label)}</span>` : ""}
             </div>`;
 
-const cycle = [
-    { title: "🪄 About Me", page: "about.html" },
-    ...projects.map((p) => ({ title: p.title, page: `${p.slug}.html` })),
-    { title: "✉️ Contact", page: "contact.html" },
-];
-
-function prevNext(i) {
+function prevNext(i, loc, cycle = sectionsOf(loc)) {
     const prev = cycle[(i - 1 + cycle.length) % cycle.length];
     const next = cycle[(i + 1) % cycle.length];
 
@@ -355,174 +1002,540 @@ function prevNext(i) {
                 </a>`;
 
     return `
-            <nav class="detail-nav" aria-label="Section navigation">
-${link(prev, "← Previous", "")}
-${link(next, "Next →", " is-next")}
+            <nav class="detail-nav" aria-label="${loc.t("Section navigation")}">
+${link(prev, loc.t("← Previous"), "")}
+${link(next, loc.t("Next →"), " is-next")}
             </nav>`;
 }
 
 const written = [];
 
-writeFileSync(
-    join(ROOT, "about.html"),
-    page({
-        title: `About ${AUTHOR} | Full-Stack Developer & UX/UI Designer`,
-        description:
-            "AI Engineering student and freelance full-stack developer from Mexico. Skills, languages, certifications and contact details.",
-        canonical: `${SITE_URL}/about`,
-        bodyClass: "detail-page detail-about",
-        dataPage: "about.html",
-        main: `${topbar("About Me")}
+for (const loc of LOCALES) {
+    const { t } = loc;
+    const list = localized.get(loc);
+    const last = list.length + 1;
+
+    emitPage(
+        `${loc.dir}about.html`,
+        page({
+            loc,
+            path: "about",
+            title: t("About {author} | {job}", {
+                author: AUTHOR,
+                job: t(JOB_TITLE),
+            }),
+            description: t(
+                "AI Engineering student and freelance full-stack developer from Mexico. Skills, languages, certifications and contact details.",
+            ),
+            bodyClass: "detail-page detail-about",
+            dataPage: "about.html",
+            jsonLd: person,
+            main: `${topbar(t("About Me"), t)}
 
             <main class="portfolio-main">
-${reindent(forDetailPage(profile), 16)}
-${prevNext(0)}
+${loc.html(reindent(forDetailPage(responsivePortrait(linkTechGrid(profile))), 16))}
+${prevNext(0, loc)}
             </main>`,
-    }),
-);
-written.push("about.html");
+        }),
+    );
+    written.push(`${loc.dir}about.html`);
 
-projects.forEach((p, i) => {
-    const name = plain(p.title);
-    const desc = [p.category, p.description].filter(Boolean).join(" · ");
-
-    let article = forDetailPage(p.html);
-
-    const split = splitDescription(article);
-    if (split) {
-        const original = extractElement(
-            article,
-            "div",
-            article.indexOf(
-                '<div class="project-description glass-container">',
-            ),
-        );
-        article =
-            article.slice(0, original.start) +
-            split.trimStart() +
-            article.slice(original.end);
-    } else {
-        console.warn(
-            `  ! ${p.slug}: no se pudo dividir Overview/Features, se deja la caja única`,
-        );
-    }
+    list.forEach((p, i) => {
+        const name = plain(p.title);
+        const desc = [t(p.category), p.description].filter(Boolean).join(" · ");
 
-    if (p.images.length === 0) {
-        throw new Error(
-            `${p.slug}: no se extrajo ninguna imagen del carrusel. ` +
-                `Revisa el formato de los <img> en index.html.`,
-        );
-    }
+        emitPage(
+            `${loc.dir}${p.slug}.html`,
+            page({
+                loc,
+                path: p.slug,
+                title: `${name} | ${AUTHOR}`,
+                description: t("{summary}. A project by {author}.", {
+                    summary: `${desc}${p.date ? ` (${p.date})` : ""}`,
+                    author: AUTHOR,
+                }),
+                bodyClass: "detail-page detail-project",
+                dataPage: `${p.slug}.html`,
+                image: ogCards.has(p.slug)
+                    ? {
+                          src: ogCards.get(p.slug),
+                          alt: `${name}: ${p.description}`,
+                      }
+                    : null,
+                jsonLd: projectGraph(p, {
+                    siteUrl: SITE_URL,
+                    url: url(loc, p.slug),
+                    name,
+                    keywords: p.tech.map((tag) => plain(t(tag))),
+                    category: t(p.category),
+                    inLanguage: loc.lang,
+                }),
+                main: `${topbar(name, t)}
 
-    const gal = gallery(p);
-    if (gal) {
-        article = article.replace(
-            /\n(\s*)<\/article>$/,
-            `\n${gal}\n$1</article>`,
+            <main class="portfolio-main">
+                <section class="projects-section">
+${article(p, { detail: true, t })}
+                </section>
+${prevNext(i + 1, loc)}
+            </main>`,
+            }),
         );
-    }
+        written.push(`${loc.dir}${p.slug}.html`);
+    });
 
-    writeFileSync(
-        join(ROOT, `${p.slug}.html`),
+    emitPage(
+        `${loc.dir}contact.html`,
         page({
-            title: `${name} | ${AUTHOR}`,
-            description: `${desc}${p.date ? ` (${p.date})` : ""}. A project by ${AUTHOR}.`,
-            canonical: `${SITE_URL}/${p.slug}`,
-            bodyClass: "detail-page detail-project",
-            dataPage: `${p.slug}.html`,
-            main: `${topbar(name)}
+            loc,
+            path: "contact",
+            title: t("Contact {author}", { author: AUTHOR }),
+            description: t(
+                "Send a message to {author}, freelance full-stack developer and UX/UI designer.",
+                { author: AUTHOR },
+            ),
+            bodyClass: "detail-page detail-contact",
+            dataPage: "contact.html",
+            main: `${topbar(t("Contact"), t)}
 
             <main class="portfolio-main">
-                <section class="projects-section">
-${reindent(article, 20)}
-                </section>
-${prevNext(i + 1)}
+${loc.html(reindent(contactDetail, 16))}
+${prevNext(last, loc)}
             </main>`,
         }),
     );
-    written.push(`${p.slug}.html`);
-});
+    written.push(`${loc.dir}contact.html`);
 
-const contactDetail = forDetailPage(contact);
-if (!contactDetail.includes('<h1 class="contact-title">')) {
-    throw new Error(
-        "contact-section: el título no se promovió a <h1>. " +
-            'Revisa el formato del <h2 class="contact-title"> en index.html.',
+    emitPage(
+        `${loc.dir}thanks.html`,
+        page({
+            loc,
+            path: "thanks",
+            title: t("Message sent | {author}", { author: AUTHOR }),
+            description: t("Thanks for getting in touch with {author}.", {
+                author: AUTHOR,
+            }),
+            bodyClass: "detail-page detail-thanks",
+            dataPage: "thanks.html",
+            noindex: true,
+            main: `${topbar(null, t)}
+
+            <main class="portfolio-main">
+                <section class="thanks-card glass-card">
+                    <span class="thanks-mark" aria-hidden="true">✉️</span>
+                    <h1 class="contact-title">${t("Message sent")}</h1>
+                    <p class="contact-intro">
+                        ${t("Thanks for reaching out. I'll get back to you as soon as I can.")}
+                    </p>
+                </section>
+            </main>`,
+        }),
     );
-}
+    written.push(`${loc.dir}thanks.html`);
 
-writeFileSync(
-    join(ROOT, "contact.html"),
-    page({
-        title: `Contact ${AUTHOR}`,
-        description: `Send a message to ${AUTHOR}, freelance full-stack developer and UX/UI designer.`,
-        canonical: `${SITE_URL}/contact`,
-        bodyClass: "detail-page detail-contact",
-        dataPage: "contact.html",
-        main: `${topbar("Contact")}
+    emitPage(
+        `${loc.dir}offline.html`,
+        page({
+            loc,
+            path: "offline",
+            title: t("You're offline | {author}", { author: AUTHOR }),
+            description: t(
+                "This page isn't saved on this device yet. Check your connection and try again.",
+            ),
+            bodyClass: "detail-page detail-offline",
+            dataPage: "offline.html",
+            noindex: true,
+            main: `${topbar(null, t)}
 
             <main class="portfolio-main">
-${reindent(contactDetail, 16)}
-${prevNext(cycle.length - 1)}
+                <section class="thanks-card glass-card">
+                    <span class="thanks-mark" aria-hidden="true">📡</span>
+                    <h1 class="contact-title">${t("You're offline")}</h1>
+                    <p class="contact-intro">
+                        ${t("This page isn't saved on this device yet. Check your connection and try again.")}
+                    </p>
+                </section>
             </main>`,
-    }),
-);
-written.push("contact.html");
-
-writeFileSync(
-    join(ROOT, "thanks.html"),
-    page({
-        title: `Message sent | ${AUTHOR}`,
-        description: `Thanks for getting in touch with ${AUTHOR}.`,
-        canonical: `${SITE_URL}/thanks`,
-        bodyClass: "detail-page detail-thanks",
-        dataPage: "thanks.html",
-        noindex: true,
-        main: `            <div class="detail-topbar">
-                <a class="detail-back" href="index.html">
-                    <span class="detail-back-arrow" aria-hidden="true">←</span>
-                    <span>Portfolio</span>
-                </a>
-            </div>
+        }),
+    );
+    written.push(`${loc.dir}offline.html`);
+
+    // Netlify serves this for any URL with nothing behind it, at any depth,
+    // so its relative links are resolved against the locale root. script.js
+    // fills in the section whose name is closest to the missing path.
+    emitPage(
+        `${loc.dir}404.html`,
+        page({
+            loc,
+            path: "404",
+            title: t("Page not found | {author}", { author: AUTHOR }),
+            description: t("There's nothing at this address."),
+            bodyClass: "detail-page detail-notfound",
+            dataPage: "404.html",
+            noindex: true,
+            base: `/${loc.dir}`,
+            main: `${topbar(null, t)}
 
             <main class="portfolio-main">
                 <section class="thanks-card glass-card">
-                    <span class="thanks-mark" aria-hidden="true">✉️</span>
-                    <h1 class="contact-title">Message sent</h1>
+                    <span class="thanks-mark" aria-hidden="true">🧭</span>
+                    <h1 class="contact-title">${t("Page not found")}</h1>
                     <p class="contact-intro">
-                        Thanks for reaching out. I'll get back to you as soon as
-                        I can.
+                        ${t("There's nothing at this address. It may have moved when the portfolio was reorganized.")}
                     </p>
+                    <p class="not-found-suggestion" hidden>
+                        ${t("Did you mean {section}?", { section: '<a class="not-found-link" href="index.html"></a>' })}
+                    </p>
+                    <nav class="not-found-sections" aria-label="${t("Sections")}">
+                        <ul>
+${sectionsOf(loc)
+    .map(
+        (s) =>
+            `                            <li><a href="${s.page}">${escapeAttr(s.title)}</a></li>`,
+    )
+    .join("\n")}
+                        </ul>
+                    </nav>
                 </section>
             </main>`,
-    }),
-);
-written.push("thanks.html");
+        }),
+    );
+    written.push(`${loc.dir}404.html`);
+
+    const techCycle = techList.map((tech) => ({
+        page: `tech/${tech.slug}.html`,
+        title: tech.label,
+    }));
+
+    techList.forEach((tech, i) => {
+        const used = tech.projects.map((n) => list[n]);
+        const summary = techSummary(tech, t);
+
+        emitPage(
+            `${loc.dir}tech/${tech.slug}.html`,
+            page({
+                loc,
+                path: `tech/${tech.slug}`,
+                depth: 1,
+                title: t("Projects built with {tech} | {author}", {
+                    tech: tech.label,
+                    author: AUTHOR,
+                }),
+                description: summary,
+                bodyClass: "detail-page detail-tech",
+                dataPage: `tech/${tech.slug}.html`,
+                main: `${topbar(tech.label, t)}
+
+            <main class="portfolio-main">
+                <section class="tech-hero glass-card">
+                    <img
+                        class="tech-hero-icon"
+                        src="assets/tech/${tech.file}"
+                        alt=""
+                        width="56"
+                        height="56"
+                    />
+                    <div>
+                        <h1 class="tech-hero-title">${escapeAttr(tech.label)}</h1>
+                        <p class="tech-hero-summary">${escapeAttr(summary)}</p>
+                    </div>
+                </section>
+                <section class="projects-section">
+${used.map((p) => article(p, { t, reveal: false })).join("\n")}
+                </section>
+${prevNext(i, loc, techCycle)}
+            </main>`,
+            }),
+        );
+        written.push(`${loc.dir}tech/${tech.slug}.html`);
+    });
+}
 
+// Every indexable page once per locale, each entry listing all of its
+// translations (including itself) as the sitemap spec asks.
 const indexable = [
     "",
     ...written
-        .filter((f) => f !== "thanks.html")
+        .filter(
+            (f) =>
+                !LOCALES.some((l) => l.dir && f.startsWith(l.dir)) &&
+                f !== "thanks.html" &&
+                f !== "offline.html" &&
+                f !== "404.html",
+        )
         .map((f) => f.replace(/\.html$/, "")),
 ];
-writeFileSync(
-    join(ROOT, "sitemap.xml"),
+emit(
+    "sitemap.xml",
     `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${indexable.map((f) => `    <url><loc>${SITE_URL}/${f}</loc></url>`).join("\n")}
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${LOCALES.flatMap((loc) =>
+    indexable.map(
+        (f) => `    <url>
+        <loc>${url(loc, f)}</loc>
+${alternates(f, 8).replace(/<link /g, "<xhtml:link ")}
+    </url>`,
+    ),
+).join("\n")}
 </urlset>
 `,
 );
-writeFileSync(
-    join(ROOT, "robots.txt"),
+emit(
+    "robots.txt",
     `User-agent: *
 Allow: /
-Disallow: /thanks
+${LOCALES.flatMap((loc) => [`Disallow: /${loc.dir}thanks`, `Disallow: /${loc.dir}offline`]).join("\n")}
 
 Sitemap: ${SITE_URL}/sitemap.xml
 `,
 );
 
-console.log(`sections.js  (${sections.length} entradas de menú)`);
-for (const f of written) console.log(`  ${f}`);
-console.log(`\n${written.length} páginas generadas.`);
+emit("script.js", bundle(join(ROOT, "src/main.js")));
+
+const ASSETS = fingerprint({
+    root: ROOT,
+    files: [
+        "styles.css",
+        "detail.css",
+        "script.js",
+        "boot.js",
+        ...LOCALES.map((loc) => `${loc.dir}sections.js`),
+    ],
+    minify: { ".css": minifyCss, ".js": minifyJs },
+});
+
+// Where the first screen ends on the kinds of page that inline their
+// critical CSS; the contact page is short enough to count all of it. The
+// rest (tech, thanks, offline) keep render-blocking stylesheets.
+const FOLD = {
+    index: '<h2 class="skills-title"',
+    "detail-project": '<div class="detail-desc-stack"',
+    "detail-about": '<h2 class="skills-title"',
+    "detail-contact": null,
+};
+// Compressed first-load weight each kind of page may reach (tools/budget.mjs).
+const BUDGETS = {
+    index: 90 * 1024,
+    "detail-project": 75 * 1024,
+    default: 80 * 1024,
+};
+// Set on <html> by boot.js and on <body> by script.js before
+// the full stylesheets are likely to have arrived.
+const ROOT_CLASSES = ["obsidian-theme-loading", "obsidian-theme"];
+
+const kindOf = (html) =>
+    /<body class="[^"]*\b(detail-(?!page\b)[\w-]+)/.exec(html)?.[1] ?? "index";
+const stylesheetsOf = (page, html) =>
+    [...html.matchAll(/<link rel="stylesheet" href="([^":]+\.css)"/g)].map(
+        ([, href]) => read(join(dirname(page), href)),
+    );
+
+const PAGES = [...pages.keys()].filter((page) => !ONLY || ONLY.has(page));
+
+// Every page of a kind shares its critical CSS, so it is cut from all of
+// them even when only one is being written.
+const folds = new Map();
+const kinds = new Set(PAGES.map((page) => kindOf(pages.get(page))));
+for (const [page, html] of pages) {
+    const kind = kindOf(html);
+    if (!(kind in FOLD) || !kinds.has(kind)) continue;
+    if (!folds.has(kind)) folds.set(kind, { page, html, markups: [] });
+    folds.get(kind).markups.push(aboveTheFold(html, FOLD[kind]));
+}
+const critical = new Map(
+    [...folds].map(([kind, { page, html, markups }]) => [
+        kind,
+        criticalCss(stylesheetsOf(page, html).join("\n"), markups, {
+            rootClasses: ROOT_CLASSES,
+        }),
+    ]),
+);
+
+const finals = new Map();
+for (const page of PAGES) {
+    const html = pages.get(page);
+    const css = critical.get(kindOf(html));
+    const final = rewriteReferences(
+        css ? inlineCritical(html, css) : html,
+        page,
+        ASSETS,
+    );
+    finals.set(page, final);
+    emit(page, MINIFY && page !== "index.html" ? minifyHtml(final) : final);
+}
+emit("asset-manifest.json", JSON.stringify(ASSETS, null, 4) + "\n");
+
+// The contact form's webhook transport may post to another origin.
+const contactEndpoint = /data-endpoint="(https?:\/\/[^"]+)"/.exec(index)?.[1];
+emit(
+    "_headers",
+    headersFile({
+        manifest: ASSETS,
+        pages: PAGES,
+        revalidate: [
+            "sw.js",
+            "pow-worker.js",
+            "asset-manifest.json",
+            ...LOCALES.map((loc) => `${loc.dir}search-index.js`),
+        ],
+        security: {
+            "Content-Security-Policy": contentSecurityPolicy({
+                connect: contactEndpoint
+                    ? [new URL(contactEndpoint).origin]
+                    : [],
+                style: [new URL(FONT_URL).origin],
+                font: ["https://fonts.gstatic.com"],
+            }),
+            ...SECURITY_HEADERS,
+        },
+    }),
+);
+// Project pages used to live under /projects/. Links to #project-<id> on
+// the index are redirected by script.js: fragments never reach Netlify.
+emit(
+    "_redirects",
+    redirectsFile([
+        ...LOCALES.flatMap((loc) =>
+            projects.flatMap((p) =>
+                [`projects/${p.slug}`, `projects/${p.slug}.html`].map(
+                    (from) => [
+                        `/${loc.dir}${from}`,
+                        `/${loc.dir}${p.slug}`,
+                        301,
+                    ],
+                ),
+            ),
+        ),
+        // The root 404.html is Netlify's default; other locales need a rule.
+        ...LOCALES.filter((loc) => loc.dir).map((loc) => [
+            `/${loc.dir}*`,
+            `/${loc.dir}404.html`,
+            404,
+        ]),
+    ]),
+);
+
+// Written last: the precache version hashes the pages emitted above.
+const precache = precacheManifest({
+    root: ROOT,
+    pages: [
+        ...LOCALES.flatMap((loc) =>
+            ["index.html", "offline.html", "search-index.js"].map(
+                (f) => `${loc.dir}${f}`,
+            ),
+        ),
+        ...Object.values(ASSETS),
+        "assets/favicon.png",
+        "assets/profile.webp",
+    ],
+    dirs: ["assets/icons", "assets/tech"],
+});
+emit(
+    "sw.js",
+    serviceWorker(precache, {
+        offline: [...LOCALES]
+            .reverse()
+            .map((loc) => [loc.dir, `${loc.dir}offline.html`]),
+        retry: read("src/contact/retry.js"),
+    }),
+);
+
+const links = checkLinks({
+    root: ROOT,
+    pages: PAGES,
+    locales: LOCALES.map((loc) => loc.dir),
+    sections: LOCALES.map((loc) => `${loc.dir}sections.js`),
+    iconMap,
+    siteUrl: SITE_URL,
+    used: projects.flatMap((p) => p.images.map((img) => img.src)),
+});
+if (ONLINE) {
+    for (const { url, where, status, ok } of await checkExternal(
+        links.external,
+    )) {
+        if (ok) continue;
+        const [file, line] = where[0].split(":");
+        links.problems.push({
+            level: "warning",
+            file,
+            line: Number(line),
+            message:
+                typeof status === "number"
+                    ? `${url} respondió ${status}`
+                    : `${url} no respondió (${status})`,
+        });
+    }
+}
+// The pages are already written at this point, so the report can't stop
+// them; errors still fail the build, and warnings do under --strict.
+if (links.problems.length > 0) {
+    const { errors, warnings } = printReport(links.problems);
+    if (errors > 0 || (STRICT && warnings > 0)) process.exitCode = 1;
+}
+
+// The policy in _headers allows no inline script at all, so a page that
+// still carries one would break in production. That fails every build.
+const inlineScripts = inlineScriptProblems(finals);
+if (inlineScripts.length > 0) {
+    printReport(inlineScripts);
+    process.exitCode = 1;
+}
+
+for (const loc of LOCALES.slice(1)) {
+    const unused = loc.unused();
+    if (unused.length === 0) continue;
+    printReport(
+        unused.map(({ key, line }) => ({
+            level: "warning",
+            file: relative(ROOT, loc.file),
+            line,
+            message: `cadena sin usar: "${key}"`,
+        })),
+    );
+}
+
+console.log(
+    `index.html   (${projects.length} proyectos, ${LOCALES.length} idiomas: ${LOCALES.map((l) => l.lang).join(", ")})`,
+);
+console.log(
+    `sections.js  (${sectionsOf(ENGLISH).length} entradas de menú por idioma)`,
+);
+console.log(
+    `search-index.js  (${searchIndexOf(ENGLISH).actions.length} acciones por idioma)`,
+);
+console.log(`tech/         (${techList.length} tecnologías con proyectos)`);
+console.log(
+    `sw.js         (versión ${precache.version}, ${precache.files.length} archivos en precaché)`,
+);
+console.log(
+    `enlaces      (${links.external.size} URL externas${ONLINE ? " comprobadas" : ", sin comprobar; usa --online"})`,
+);
+console.log(
+    `presupuesto  (comprimido, HTML más sus hojas de estilo y scripts${MINIFY ? "" : "; las páginas se minifican con --minify"})`,
+);
+const overBudget = checkBudgets(
+    PAGES.map((page) => ({
+        page,
+        kind: kindOf(pages.get(page)),
+        weight: pageWeight({ root: ROOT, page, html: read(page) }),
+    })),
+    BUDGETS,
+);
+if (overBudget.length > 0) {
+    printReport(overBudget);
+    process.exitCode = 1;
+}
+console.log(
+    `\n${ONLY ? `${PAGES.length} de ${pages.size}` : written.length} páginas generadas, ${changed.length} archivos con cambios.`,
+);
+
+if (WATCH) {
+    const { watch } = await import("./watch.mjs");
+    watch({
+        root: ROOT,
+        builder: fileURLToPath(import.meta.url),
+        args: [STRICT && "--strict", ONLINE && "--online", ROOT_ARG].filter(
+            Boolean,
+        ),
+        port: PORT,
+    });
+}
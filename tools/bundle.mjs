@@ -0,0 +1,47 @@
+import { readFileSync } from "node:fs";
+import { dirname, relative, resolve } from "node:path";
+
+// script.js is still loaded as one classic <script>, but its source lives
+// in src/ as ES modules so each part can be imported on its own. The
+// modules only use named imports and `export` on declarations, which keeps
+// bundling to this: inline every dependency before the module that imports
+// it (the order an ES module graph evaluates in) and drop the module syntax.
+// All top-level names share the page's global scope, so they must be unique
+// across src/.
+
+const IMPORT = /^import\s*\{([^}]*)\}\s*from\s*"([^"]+)";[ \t]*\n?/gm;
+const EXPORT = /^export\s+(?=(?:async\s+)?(?:function|const|let|class)\b)/gm;
+const UNSUPPORTED = /^(?:import|export)\b/m;
+
+export function bundle(entry, { root = dirname(entry) } = {}) {
+    const seen = new Set();
+    const parts = [];
+
+    const visit = (file, chain) => {
+        if (chain.includes(file)) {
+            const cycle = [...chain.slice(chain.indexOf(file)), file];
+            throw new Error(
+                `bundle: importación circular ${cycle.map((f) => relative(root, f)).join(" → ")}`,
+            );
+        }
+        if (seen.has(file)) return;
+        seen.add(file);
+
+        const source = readFileSync(file, "utf8");
+        for (const [, , spec] of source.matchAll(IMPORT))
+            visit(resolve(dirname(file), spec), [...chain, file]);
+
+        const body = source.replace(IMPORT, "").replace(EXPORT, "").trim();
+        const stray = UNSUPPORTED.exec(body);
+        if (stray) {
+            const line = body.slice(0, stray.index).split("\n").length;
+            throw new Error(
+                `bundle: ${relative(root, file)}:${line}: sintaxis de módulo no soportada`,
+            );
+        }
+        parts.push(body);
+    };
+
+    visit(resolve(entry), []);
+    return `// Generated from src/ by tools/bundle.mjs. Edit the modules there.\n\n${parts.join("\n\n")}\n`;
+}
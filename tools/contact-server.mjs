@@ -0,0 +1,132 @@
+import { createHash, randomBytes } from "node:crypto";
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+// Development stand-in for whatever receives the contact form in
+// production. The --watch server routes POSTs here; each message is written
+// as one JSON file so it can be read, diffed or deleted by hand. It accepts
+// both the "local" transport's JSON and the urlencoded body Netlify gets,
+// so the default transport also works on localhost.
+
+const PATHS = new Set(["/", "/api/contact"]);
+const LIMIT = 64 * 1024;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Checks a hashcash stamp from pow-worker.js: the digest must have the
+// claimed zero bits and the stamp can't be more than two days old.
+const POW_MAX_AGE = 2 * 24 * 60 * 60 * 1000;
+
+export function verifyPow(stamp, now = Date.now()) {
+    const parts = String(stamp).split(":");
+    if (parts.length !== 7 || parts[0] !== "1") return false;
+
+    const bits = Number(parts[1]);
+    const date = /^(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)$/.exec(parts[2]);
+    if (!Number.isInteger(bits) || bits < 1 || !date) return false;
+    const [yy, mo, dd, hh, mi] = date.slice(1).map(Number);
+    const issued = Date.UTC(2000 + yy, mo - 1, dd, hh, mi);
+    if (now - issued > POW_MAX_AGE || issued - now > 5 * 60000) return false;
+
+    const digest = createHash("sha256").update(stamp).digest();
+    let zeros = 0;
+    for (const byte of digest) {
+        if (byte === 0) {
+            zeros += 8;
+            continue;
+        }
+        zeros += Math.clz32(byte) - 24;
+        break;
+    }
+    return zeros >= bits;
+}
+
+const reply = (res, status, body) => {
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+    });
+    res.end(JSON.stringify(body));
+};
+
+const parse = (type, text) => {
+    if (type.startsWith("application/json")) return JSON.parse(text);
+    return Object.fromEntries(new URLSearchParams(text));
+};
+
+export function contactInbox({ dir }) {
+    // Returns false for requests that aren't a form post, so the caller can
+    // carry on with its own routing.
+    return (req, res) => {
+        const { pathname } = new URL(req.url, "http://x");
+        if (req.method !== "POST" || !PATHS.has(pathname)) return false;
+
+        const chunks = [];
+        let size = 0;
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > LIMIT) {
+                reply(res, 413, { error: "mensaje demasiado grande" });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => {
+            if (size > LIMIT) return;
+
+            let fields;
+            try {
+                fields = parse(
+                    req.headers["content-type"] ?? "",
+                    Buffer.concat(chunks).toString("utf8"),
+                );
+            } catch {
+                reply(res, 400, { error: "cuerpo ilegible" });
+                return;
+            }
+
+            if (fields["bot-field"]) {
+                reply(res, 422, { error: "honeypot" });
+                return;
+            }
+            const missing = ["email", "message"].filter(
+                (k) => typeof fields[k] !== "string" || !fields[k].trim(),
+            );
+            if (missing.length > 0 || !EMAIL.test(fields.email)) {
+                reply(res, 422, {
+                    error: `campos inválidos: ${missing.join(", ") || "email"}`,
+                });
+                return;
+            }
+
+            if (fields.pow && !verifyPow(fields.pow)) {
+                reply(res, 422, { error: "prueba de trabajo inválida" });
+                return;
+            }
+
+            const received = new Date();
+            const id = `${received.toISOString().replace(/[:.]/g, "-")}-${randomBytes(3).toString("hex")}`;
+            mkdirSync(dir, { recursive: true });
+            writeFileSync(
+                join(dir, `${id}.json`),
+                JSON.stringify(
+                    {
+                        id,
+                        received: received.toISOString(),
+                        path: pathname,
+                        fields,
+                    },
+                    null,
+                    4,
+                ) + "\n",
+            );
+            const score = fields["spam-score"];
+            console.log(
+                `[contacto] ${fields.email}: ${fields.subject || "(sin asunto)"}` +
+                    (score ? ` (spam ${score})` : ""),
+            );
+
+            reply(res, 201, { id });
+        });
+        return true;
+    };
+}
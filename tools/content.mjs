@@ -0,0 +1,153 @@
+import { readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+
+// Front matter is a small YAML subset: `key: value` scalars, lists of
+// scalars (`- item`) and lists of flat maps (`- key: value` followed by
+// more `key: value` lines indented under the dash). Everything is a string.
+//
+// Nothing here throws on bad input. Problems are collected with their line
+// so the validator can report every file in one pass, and `lines` maps
+// paths such as `images.2.alt` to the line that defined them.
+
+const scalar = (raw) => {
+    const v = raw.trim();
+    if (v.startsWith('"')) return JSON.parse(v);
+    if (v.startsWith("'")) return v.slice(1, -1).replace(/''/g, "'");
+    return v;
+};
+
+const pair = (text) => {
+    const m = text.match(/^([\w-]+):(?:\s+(.*))?$/);
+    return m ? [m[1], m[2] === undefined ? null : scalar(m[2])] : null;
+};
+
+export function parseFrontMatter(source) {
+    const data = {};
+    const lines = {};
+    const problems = [];
+
+    const m = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!m) {
+        problems.push({
+            line: 1,
+            message: "falta el bloque --- de front matter",
+        });
+        return { data, lines, problems, body: source, bodyLine: 1 };
+    }
+
+    let key = null;
+    let item = null;
+
+    m[1].split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim() || line.trimStart().startsWith("#")) return;
+        const at = i + 2;
+        const bad = (message) => problems.push({ line: at, message });
+
+        let kv;
+        try {
+            kv = pair(/^\s/.test(line) ? line.replace(/^\s+-?\s*/, "") : line);
+        } catch {
+            return bad(`valor entre comillas mal formado: ${line.trim()}`);
+        }
+
+        if (!/^\s/.test(line)) {
+            if (!kv) return bad(`línea no reconocida: ${line}`);
+            item = null;
+            key = kv[0];
+            lines[key] = at;
+            data[key] = kv[1] === null ? [] : kv[1];
+            return;
+        }
+
+        const list = key && data[key];
+        if (!Array.isArray(list))
+            return bad(`indentación inesperada: ${line.trim()}`);
+
+        if (/^\s+-\s/.test(line)) {
+            const path = `${key}.${list.length}`;
+            lines[path] = at;
+            if (kv) {
+                item = { [kv[0]]: kv[1] };
+                lines[`${path}.${kv[0]}`] = at;
+                list.push(item);
+            } else {
+                item = null;
+                list.push(scalar(line.replace(/^\s+-\s+/, "")));
+            }
+            return;
+        }
+
+        if (!kv || !item) return bad(`línea no reconocida: ${line.trim()}`);
+        item[kv[0]] = kv[1];
+        lines[`${key}.${list.length - 1}.${kv[0]}`] = at;
+    });
+
+    return {
+        data,
+        lines,
+        problems,
+        body: source.slice(m[0].length),
+        bodyLine: m[0].split("\n").length,
+    };
+}
+
+// The body is Markdown limited to what the project descriptions use:
+// `## ` headings (first word is the emoji), paragraphs and **bold**.
+// Inline HTML passes through untouched.
+
+const inline = (text) =>
+    text
+        .split("\n")
+        .map((l) => l.trim())
+        .join("\n")
+        .replace(/\*\*([\s\S]+?)\*\*/g, '<span class="bold-text">$1</span>');
+
+export function parseSections(body, firstLine = 1) {
+    const sections = [];
+    let current = null;
+    let line = firstLine;
+
+    for (const chunk of body.split(/(\n\s*\n)/)) {
+        const at = line + chunk.match(/^\n*/)[0].length;
+        line += chunk.split("\n").length - 1;
+
+        const block = chunk.trim();
+        if (!block) continue;
+
+        const heading = block.match(/^##\s+(.+)$/);
+        if (heading) {
+            current = { heading: heading[1].trim(), line: at, paragraphs: [] };
+            sections.push(current);
+            continue;
+        }
+        if (!current) {
+            current = { heading: null, line: at, paragraphs: [] };
+            sections.push(current);
+        }
+        current.paragraphs.push(inline(block));
+    }
+
+    return sections;
+}
+
+export function loadProjects(dir) {
+    return readdirSync(dir)
+        .filter((f) => f.endsWith(".md"))
+        .sort()
+        .map((f) => {
+            const file = join(dir, f);
+            const { data, lines, problems, body, bodyLine } = parseFrontMatter(
+                readFileSync(file, "utf8"),
+            );
+            return {
+                ...data,
+                id: `project-${data.id}`,
+                slug: data.id,
+                images: Array.isArray(data.images) ? data.images : [],
+                tech: Array.isArray(data.tech) ? data.tech : [],
+                links: Array.isArray(data.links) ? data.links : [],
+                sections: parseSections(body, bodyLine),
+                source: { file, lines, problems },
+            };
+        });
+}
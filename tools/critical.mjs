@@ -0,0 +1,192 @@
+import { minifyCss } from "./minify.mjs";
+
+// Critical CSS: the rules the first screen of a page needs are inlined in a
+// <style data-critical> block and the full stylesheets load without
+// blocking rendering. A rule counts as critical when every class, id and
+// tag its selector names appears in the markup above the fold and it
+// doesn't depend on hover or focus. That over-includes (states script.js
+// sets later) but never leaves out a rule the first paint could use.
+
+const STRIP_COMMENTS = /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\/\*[\s\S]*?\*\//g;
+const GROUPING = /^@(media|supports|layer|container)\b/;
+
+// Index of the `}` closing the block whose `{` is at `open`.
+const closing = (css, open) => {
+    let depth = 0;
+    for (let i = open; i < css.length; i++) {
+        const c = css[i];
+        if (c === '"' || c === "'") {
+            i = css.indexOf(c, i + 1);
+            while (css[i - 1] === "\\") i = css.indexOf(c, i + 1);
+        } else if (c === "{") depth++;
+        else if (c === "}" && --depth === 0) return i;
+    }
+    throw new Error(`critical: bloque sin cerrar en el offset ${open}`);
+};
+
+function parse(css) {
+    const nodes = [];
+    let i = 0;
+    while (i < css.length) {
+        const open = css.indexOf("{", i);
+        const semi = css.indexOf(";", i);
+        if (open === -1) break;
+        // Statements such as @import or @charset end at their semicolon.
+        if (
+            semi !== -1 &&
+            semi < open &&
+            css.slice(i, semi).trim().startsWith("@")
+        ) {
+            nodes.push({ prelude: css.slice(i, semi).trim(), statement: true });
+            i = semi + 1;
+            continue;
+        }
+        const close = closing(css, open);
+        const prelude = css.slice(i, open).trim();
+        const body = css.slice(open + 1, close);
+        nodes.push(
+            GROUPING.test(prelude)
+                ? { prelude, children: parse(body) }
+                : { prelude, body },
+        );
+        i = close + 1;
+    }
+    return nodes;
+}
+
+// Splits on `separator` outside parentheses, so `:is(.a, .b)` stays whole.
+const splitTop = (text, separator) => {
+    const parts = [];
+    let depth = 0;
+    let from = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "(") depth++;
+        else if (text[i] === ")") depth--;
+        else if (text[i] === separator && depth === 0) {
+            parts.push(text.slice(from, i));
+            from = i + 1;
+        }
+    }
+    return [...parts, text.slice(from)];
+};
+
+// States nothing is in on first paint.
+const INTERACTION =
+    /:(hover|active|focus|focus-visible|focus-within|visited)\b/;
+
+const matches = (selector, seen) =>
+    !INTERACTION.test(selector) &&
+    selector
+        .replace(/::?[\w-]+(\((?:[^()]|\([^()]*\))*\))?/g, "")
+        .replace(/\[[^\]]*\]/g, "")
+        .split(/[\s>+~]+/)
+        .filter(Boolean)
+        .every((compound) => {
+            const tag = /^[a-z][\w-]*/i.exec(compound)?.[0];
+            return (
+                (!tag || seen.tags.has(tag.toLowerCase())) &&
+                [...compound.matchAll(/\.([\w-]+)/g)].every(([, c]) =>
+                    seen.classes.has(c),
+                ) &&
+                [...compound.matchAll(/#([\w-]+)/g)].every(([, id]) =>
+                    seen.ids.has(id),
+                )
+            );
+        });
+
+// What the markup before the fold uses. `rootClasses` are the classes the
+// page's inline script and first frame put on <html> and <body>.
+const inventory = (markups, rootClasses) => {
+    const seen = {
+        tags: new Set(["html", "body"]),
+        classes: new Set(rootClasses),
+        ids: new Set(),
+    };
+    for (const html of markups) {
+        for (const [, tag] of html.matchAll(/<([a-z][\w-]*)/gi))
+            seen.tags.add(tag.toLowerCase());
+        for (const [, list] of html.matchAll(/\sclass="([^"]*)"/g))
+            for (const c of list.split(/\s+/)) if (c) seen.classes.add(c);
+        for (const [, id] of html.matchAll(/\sid="([^"]*)"/g)) seen.ids.add(id);
+    }
+    return seen;
+};
+
+// Markup from <body> up to the first occurrence of `marker`, or all of it
+// without one.
+export const aboveTheFold = (html, marker) => {
+    const start = html.indexOf("<body");
+    const end = marker ? html.indexOf(marker, start) : -1;
+    return html.slice(start, end === -1 ? html.indexOf("</body>") : end);
+};
+
+export function criticalCss(css, markups, { rootClasses = [] } = {}) {
+    const seen = inventory(markups, rootClasses);
+    const tree = parse(
+        css.replace(STRIP_COMMENTS, (m) => (m.startsWith("/*") ? "" : m)),
+    );
+    const animations = new Set();
+    const keyframes = [];
+
+    const pick = (nodes) =>
+        nodes
+            .map((node) => {
+                if (node.statement) return `${node.prelude};`;
+                if (node.children) {
+                    const inner = pick(node.children);
+                    return inner ? `${node.prelude}{${inner}}` : "";
+                }
+                if (node.prelude.startsWith("@keyframes")) {
+                    keyframes.push(node);
+                    return "";
+                }
+                if (
+                    !node.prelude.startsWith("@font-face") &&
+                    !splitTop(node.prelude, ",").some((s) => matches(s, seen))
+                )
+                    return "";
+                for (const [, value] of node.body.matchAll(
+                    /animation(?:-name)?\s*:([^;]+)/g,
+                ))
+                    for (const word of value.split(/[\s,]+/))
+                        animations.add(word);
+                return `${node.prelude}{${node.body}}`;
+            })
+            .join("");
+
+    const rules = pick(tree);
+    const frames = keyframes
+        .filter((k) => animations.has(k.prelude.split(/\s+/)[1]))
+        .map((k) => `${k.prelude}{${k.body}}`)
+        .join("");
+    return minifyCss(rules + frames).code;
+}
+
+const STYLESHEET =
+    /^([ \t]*)<link rel="stylesheet" href="(?![a-z][\w+.-]*:|\/\/)([^"]+\.css)" \/>$/gm;
+const DEFERRED =
+    /^([ \t]*)<link\s+rel="stylesheet"\s+href="([^"]+)"\s+media="print"\s+data-deferred\s*\/>\s*<noscript\s*>\s*<link\s+rel="stylesheet"\s+href="\2"\s*\/>\s*<\/noscript>$/gm;
+const INLINED = /\n[ \t]*<style data-critical>[\s\S]*?<\/style>/;
+
+// Puts `css` in front of the page's first local stylesheet and turns every
+// local stylesheet into a non-blocking one, with a <noscript> fallback.
+// boot.js switches them on: an onload attribute would need 'unsafe-hashes'
+// in the Content Security Policy.
+export function inlineCritical(html, css) {
+    let first = true;
+    return html.replace(STYLESHEET, (m, indent, href) => {
+        const style = first
+            ? `${indent}<style data-critical>${css}</style>\n`
+            : "";
+        first = false;
+        return `${style}${indent}<link rel="stylesheet" href="${href}" media="print" data-deferred />
+${indent}<noscript><link rel="stylesheet" href="${href}" /></noscript>`;
+    });
+}
+
+// index.html is hand-written and also rewritten by the build: this undoes
+// inlineCritical() before anything reads it.
+export const stripCritical = (html) =>
+    html
+        .replace(INLINED, "")
+        .replace(DEFERRED, '$1<link rel="stylesheet" href="$2" />');
@@ -0,0 +1,98 @@
+import { createHash } from "node:crypto";
+import {
+    existsSync,
+    readFileSync,
+    readdirSync,
+    unlinkSync,
+    writeFileSync,
+} from "node:fs";
+import { join, posix } from "node:path";
+
+// Pages load a content-hashed copy of each stylesheet and script
+// (styles.1a2b3c4d.css), so a deploy can never pair new HTML with a stale
+// cached script: the new HTML names files that didn't exist before. The
+// plain files stay as the sources and for anything that links them by name.
+// Given minifiers, the hashed copies are minified and get a source map that
+// points back at the plain file.
+
+const HASHED = /^(.+)\.[0-9a-f]{8}(\.(?:css|js))(?:\.map)?$/;
+
+const mapComment = (file) =>
+    file.endsWith(".css")
+        ? `\n/*# sourceMappingURL=${posix.basename(file)}.map */\n`
+        : `\n//# sourceMappingURL=${posix.basename(file)}.map\n`;
+
+const writeIfChanged = (path, content) => {
+    if (!existsSync(path) || readFileSync(path, "utf8") !== content)
+        writeFileSync(path, content);
+};
+
+const hashedName = (file, content) => {
+    const hash = createHash("sha256").update(content).digest("hex").slice(0, 8);
+    return file.replace(/(\.\w+)$/, `.${hash}$1`);
+};
+
+// Writes the hashed copies, deletes the ones earlier builds left behind and
+// returns { "es/sections.js": "es/sections.0f3c9a1e.js", … }. `minify` maps
+// an extension to a minifier returning { code, map }; the hash covers the
+// minified code, so a change that minifies away doesn't bust caches.
+export function fingerprint({ root, files, minify = {} }) {
+    const manifest = {};
+    for (const file of files) {
+        const source = readFileSync(join(root, file), "utf8");
+        const minifier = minify[posix.extname(file)];
+        const { code, map } = minifier
+            ? minifier(source, { sourceName: posix.basename(file) })
+            : { code: source, map: null };
+        const hashed = hashedName(file, code);
+        manifest[file] = hashed;
+
+        if (map) {
+            writeIfChanged(join(root, hashed), code + mapComment(hashed));
+            writeIfChanged(
+                join(root, `${hashed}.map`),
+                JSON.stringify({ ...map, file: posix.basename(hashed) }),
+            );
+        } else {
+            writeIfChanged(join(root, hashed), code);
+        }
+
+        const dir = posix.dirname(file);
+        for (const f of readdirSync(join(root, dir))) {
+            const match = HASHED.exec(f);
+            const rel = dir === "." ? f : `${dir}/${f}`;
+            if (
+                match &&
+                posix.join(dir, match[1] + match[2]) === file &&
+                rel !== hashed &&
+                rel !== `${hashed}.map`
+            )
+                unlinkSync(join(root, rel));
+        }
+    }
+    return manifest;
+}
+
+// index.html is hand-written and also rewritten by the build, so its
+// references are turned back into plain names before anything reads it.
+export const unfingerprint = (html) =>
+    html.replace(
+        /\b((?:src|href)="[^"]*?)\.[0-9a-f]{8}(\.(?:css|js)")/g,
+        "$1$2",
+    );
+
+// Points every src/href in `page` that resolves to a fingerprinted file at
+// its hashed copy, keeping the relative prefix the page already uses.
+export const rewriteReferences = (html, page, manifest) =>
+    html.replace(
+        /\b(src|href)="((?:\.\.\/)*[\w./-]+\.(?:css|js))"/g,
+        (m, attr, ref) => {
+            const target = posix.normalize(
+                posix.join(posix.dirname(page), ref),
+            );
+            const hashed = manifest[target];
+            return hashed
+                ? `${attr}="${ref.slice(0, -posix.basename(ref).length)}${posix.basename(hashed)}"`
+                : m;
+        },
+    );
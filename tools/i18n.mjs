@@ -0,0 +1,189 @@
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { parseFrontMatter, parseSections } from "./content.mjs";
+
+// English is the source language. Every other locale is layered on top:
+//
+// - content/i18n/<lang>.json maps English text to its translation. The
+//   builder's templates look their strings up by the English text (with
+//   {placeholders}), and the hand-written chrome and sections of index.html
+//   are translated text node by text node and attribute by attribute.
+// - content/projects/<lang>/<file>.md overrides title, description, image
+//   alts and the body of the project file with the same name. Anything it
+//   leaves out falls back to English.
+
+const norm = (s) => s.replace(/\s+/g, " ").trim();
+
+function createLocale({
+    lang,
+    name,
+    ogLocale,
+    strings = {},
+    file = null,
+    source = "",
+}) {
+    const table = new Map(
+        Object.entries(strings).map(([k, v]) => [norm(k), v]),
+    );
+    const used = new Set();
+
+    const lookup = (text) => {
+        const key = norm(text);
+        if (!table.has(key)) return null;
+        used.add(key);
+        return table.get(key);
+    };
+
+    const t = (text, vars = {}) =>
+        (lookup(text) ?? text).replace(/\{(\w+)\}/g, (m, k) =>
+            k in vars ? vars[k] : m,
+        );
+
+    // Text between tags and the user-facing attributes. <script> and <style>
+    // bodies (the theme bootstrap, JSON-LD, critical CSS) are left alone.
+    const html = (markup) =>
+        markup
+            .split(/(<script\b[\s\S]*?<\/script>|<style\b[\s\S]*?<\/style>)/)
+            .map((part, i) =>
+                i % 2
+                    ? part
+                    : part
+                          .replace(/>([^<]+)</g, (m, text) => {
+                              const out = text.trim() && lookup(text);
+                              if (!out) return m;
+                              const [, lead, , trail] = text.match(
+                                  /^(\s*)([\s\S]*?)(\s*)$/,
+                              );
+                              return `>${lead}${out}${trail}<`;
+                          })
+                          .replace(
+                              /\b(aria-label|title|alt|placeholder|content)="([^"]+)"/g,
+                              (m, attr, value) => {
+                                  const out = lookup(value);
+                                  return out ? `${attr}="${out}"` : m;
+                              },
+                          ),
+            )
+            .join("");
+
+    // Entries no page asked for: usually English text that was edited in
+    // index.html while its translation kept the old wording.
+    const unused = () =>
+        [...table.keys()]
+            .filter((k) => !used.has(k))
+            .map((key) => ({
+                key,
+                line: source
+                    .slice(0, source.indexOf(JSON.stringify(key)))
+                    .split("\n").length,
+            }));
+
+    return {
+        lang,
+        name,
+        ogLocale,
+        dir: lang === "en" ? "" : `${lang}/`,
+        file,
+        t,
+        html,
+        unused,
+    };
+}
+
+export const ENGLISH = createLocale({
+    lang: "en",
+    name: "English",
+    ogLocale: "en_US",
+});
+
+export function loadLocales(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .sort()
+        .map((f) => {
+            const file = join(dir, f);
+            const source = readFileSync(file, "utf8");
+            const data = JSON.parse(source);
+            return createLocale({
+                lang: basename(f, ".json"),
+                name: data.name,
+                ogLocale: data.ogLocale,
+                strings: data.strings,
+                file,
+                source,
+            });
+        });
+}
+
+// Prefixes every relative candidate of a srcset value.
+export const prefixSrcset = (set, prefix) =>
+    set
+        .trim()
+        .split(/\s*,\s*/)
+        .map((c) => (/^(?:[a-z][\w+.-]*:|\/)/i.test(c) ? c : prefix + c))
+        .join(", ");
+
+// Relative URLs in a page written to `dir` (e.g. "es/"): shared files (CSS,
+// scripts, assets) go back up to the site root, while pages and sections.js
+// stay inside the locale. Root-relative page URLs such as the contact form's
+// action="/thanks.html" move into the locale as well.
+export function relocate(html, dir) {
+    if (!dir) return html;
+    const up = "../".repeat(dir.split("/").filter(Boolean).length);
+    const local = /(\.html|^sections(\.[0-9a-f]{8})?\.js)(#.*)?$/;
+    return html
+        .replace(
+            /\b(src|href)="(?![a-z][\w+.-]*:|\/|#)([^"]+)"/gi,
+            (m, attr, url) => (local.test(url) ? m : `${attr}="${up}${url}"`),
+        )
+        .replace(
+            /\b(srcset|imagesrcset)="([^"]+)"/g,
+            (m, attr, set) => `${attr}="${prefixSrcset(set, up)}"`,
+        )
+        .replace(/\b(href|action)="\/([\w-]+\.html)"/g, `$1="/${dir}$2"`);
+}
+
+// Path from one locale's directory to another's, for links between them.
+export const localePath = (from, to) =>
+    from === to
+        ? ""
+        : "../".repeat(from.dir.split("/").filter(Boolean).length) + to.dir;
+
+export function localizeProject(project, locale) {
+    const file = join(
+        dirname(project.source.file),
+        locale.lang,
+        basename(project.source.file),
+    );
+    if (!existsSync(file)) return { ...project, translation: null };
+
+    const { data, lines, problems, body, bodyLine } = parseFrontMatter(
+        readFileSync(file, "utf8"),
+    );
+    const sections = parseSections(body, bodyLine);
+    const images = Array.isArray(data.images) ? data.images : [];
+
+    return {
+        ...project,
+        title: typeof data.title === "string" ? data.title : project.title,
+        description:
+            typeof data.description === "string"
+                ? data.description
+                : project.description,
+        images: project.images.map((img, i) => ({
+            ...img,
+            alt: images[i]?.alt ?? img.alt,
+        })),
+        sections: sections.length > 0 ? sections : project.sections,
+        translation: {
+            file,
+            data,
+            lines,
+            problems,
+            images,
+            sections,
+            base: project,
+        },
+    };
+}
@@ -0,0 +1,175 @@
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+
+// Responsive variants of the project screenshots and the portrait: AVIF and
+// WebP at the widths below (never wider than the original), the original's
+// real dimensions and a ~24px blurred WebP inlined as a placeholder. Like
+// the OG cards this needs sharp (a dependency in package.json). Without it
+// the variants and manifest in assets/variants are reused as long as they
+// match their source; a stale one fails the build rather than shipping an
+// outdated picture.
+
+export const VARIANT_DIR = "assets/variants";
+export const VARIANT_WIDTHS = [480, 960, 1440, 1920];
+const FORMATS = {
+    avif: { type: "image/avif", options: { quality: 50, effort: 4 } },
+    webp: { type: "image/webp", options: { quality: 75 } },
+};
+const MANIFEST = `${VARIANT_DIR}/manifest.json`;
+const LQIP_WIDTH = 24;
+
+const variantPath = (src, width, format) =>
+    `${VARIANT_DIR}/${src.replace(/^assets\//, "").replace(/\.\w+$/, "")}-${width}.${format}`;
+
+const widthsFor = (width) => [
+    ...VARIANT_WIDTHS.filter((w) => w < width),
+    Math.min(width, VARIANT_WIDTHS.at(-1)),
+];
+
+export async function buildImageVariants(srcs, { root, log = console.log }) {
+    let sharp = null;
+    try {
+        sharp = (await import("sharp")).default;
+        sharp.concurrency(1);
+    } catch {
+        log(
+            `  ! sharp no está instalado: se reutilizan las variantes de ${VARIANT_DIR}`,
+        );
+    }
+    const stale = [];
+
+    const manifestFile = join(root, MANIFEST);
+    const previous = existsSync(manifestFile)
+        ? JSON.parse(readFileSync(manifestFile, "utf8"))
+        : {};
+    const manifest = {};
+
+    for (const src of [...new Set(srcs)].sort()) {
+        const file = join(root, src);
+        if (!existsSync(file)) continue;
+
+        const hash = createHash("sha1")
+            .update(readFileSync(file))
+            .digest("hex")
+            .slice(0, 12);
+        const known = previous[src];
+        const fresh =
+            known?.hash === hash &&
+            known.widths.every((w) =>
+                Object.keys(FORMATS).every((f) =>
+                    existsSync(join(root, variantPath(src, w, f))),
+                ),
+            );
+
+        if (fresh) {
+            manifest[src] = known;
+            continue;
+        }
+        if (!sharp) {
+            stale.push(src);
+            continue;
+        }
+
+        const { width, height } = await sharp(file).metadata();
+        const widths = widthsFor(width);
+        for (const w of widths) {
+            for (const [format, { options }] of Object.entries(FORMATS)) {
+                const out = join(root, variantPath(src, w, format));
+                mkdirSync(dirname(out), { recursive: true });
+                await sharp(file)
+                    .resize({ width: w })
+                    [format](options)
+                    .toFile(out);
+            }
+        }
+        const lqip = await sharp(file)
+            .resize({ width: LQIP_WIDTH })
+            .blur(1)
+            .webp({ quality: 40 })
+            .toBuffer();
+
+        manifest[src] = {
+            hash,
+            width,
+            height,
+            widths,
+            lqip: `data:image/webp;base64,${lqip.toString("base64")}`,
+        };
+        log(`  ${VARIANT_DIR}/ ← ${src} (${widths.join(", ")})`);
+    }
+
+    if (stale.length > 0)
+        throw new Error(
+            `sharp no está instalado y las variantes de ${VARIANT_DIR} no corresponden a ${stale.join(", ")}; ejecuta npm install`,
+        );
+
+    mkdirSync(dirname(manifestFile), { recursive: true });
+    const json = JSON.stringify(manifest, null, 4) + "\n";
+    if (
+        !existsSync(manifestFile) ||
+        readFileSync(manifestFile, "utf8") !== json
+    )
+        writeFileSync(manifestFile, json);
+
+    return new Map(Object.entries(manifest));
+}
+
+const srcset = (src, widths, format) =>
+    widths.map((w) => `${variantPath(src, w, format)} ${w}w`).join(", ");
+
+// `attrs` are the <img> attributes in output order. The real width/height
+// and the placeholder are filled in from `info`; without it (the source
+// image is missing) a plain <img> is all that can be offered.
+export function picture(info, attrs, { sizes, indent = 0 }) {
+    const pad = " ".repeat(indent);
+    const img = Object.entries({
+        ...attrs,
+        ...(info && {
+            width: info.width,
+            height: info.height,
+            style: `background: center / cover no-repeat url(${info.lqip})`,
+        }),
+    })
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${pad}        ${name}="${value}"`)
+        .join("\n");
+
+    if (!info) return `${pad}<img\n${img.replace(/^ {4}/gm, "")}\n${pad}/>`;
+
+    const sources = Object.entries(FORMATS)
+        .map(
+            ([format, { type }]) => `${pad}    <source
+${pad}        type="${type}"
+${pad}        srcset="${srcset(attrs.src, info.widths, format)}"
+${pad}        sizes="${sizes}"
+${pad}    />`,
+        )
+        .join("\n");
+
+    return `${pad}<picture>
+${sources}
+${pad}    <img
+${img}
+${pad}    />
+${pad}</picture>`;
+}
+
+// A <link rel="preload"> for what picture() lets the browser choose. Only
+// the first (best) format is preloaded: browsers that can't decode it skip
+// the hint and fall back to the <source> they can use.
+export function preloadImage(info, src, { sizes, indent = 0 }) {
+    const pad = " ".repeat(indent);
+    if (!info)
+        return `${pad}<link rel="preload" href="${src}" as="image" fetchpriority="high" />`;
+
+    const [format, { type }] = Object.entries(FORMATS)[0];
+    return `${pad}<link
+${pad}    rel="preload"
+${pad}    as="image"
+${pad}    type="${type}"
+${pad}    imagesrcset="${srcset(src, info.widths, format)}"
+${pad}    imagesizes="${sizes}"
+${pad}    fetchpriority="high"
+${pad}/>`;
+}
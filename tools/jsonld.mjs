@@ -0,0 +1,137 @@
+// schema.org data for the generated pages. The profile facts are read from
+// the hand-written profile section in index.html (social buttons,
+// certificates, languages) so they never drift from what the page shows.
+
+const text = (html) =>
+    html
+        .replace(/<[^>]+>/g, " ")
+        .replace(/&emsp;|&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/\s+/g, " ")
+        .trim();
+
+const dropMark = (s) => s.replace(/^[^\p{L}\p{N}]+/u, "").trim();
+
+export function readProfile(profileHtml) {
+    const sameAs = [
+        ...profileHtml.matchAll(
+            /class="social-btn[^"]*"[^>]*?data-url="([^"]+)"/g,
+        ),
+    ].map((m) => m[1]);
+
+    const credentials = profileHtml
+        .split('class="certificate-item')
+        .slice(1)
+        .map((chunk) => {
+            const logos = [
+                ...(
+                    chunk.match(
+                        /class="certificate-logo[\s\S]*?<\/div>/,
+                    )?.[0] ?? ""
+                ).matchAll(/alt="([^"]*)"/g),
+            ].map((m) => m[1]);
+            return {
+                name: text(
+                    chunk.match(
+                        /<div class="certificate-text">([\s\S]*?)<\/div>/,
+                    )?.[1] ?? "",
+                ),
+                url: chunk.match(/data-url="([^"]+)"/)?.[1],
+                issuer: logos.filter((a) => a !== "Medal")[0],
+            };
+        })
+        .filter((c) => c.name);
+
+    const languages = profileHtml
+        .split('class="language-item"')
+        .slice(1)
+        .map((chunk) => ({
+            name: dropMark(
+                text(
+                    chunk.match(
+                        /class="language-key"\s*>([\s\S]*?)<\/span/,
+                    )?.[1] ?? "",
+                ),
+            ),
+            level: text(
+                chunk.match(
+                    /class="language-value"\s*>([\s\S]*?)<\/span/,
+                )?.[1] ?? "",
+            ),
+        }))
+        .filter((l) => l.name);
+
+    return { sameAs, credentials, languages };
+}
+
+export function personGraph({ siteUrl, author, jobTitle, profile }) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "Person",
+        "@id": `${siteUrl}/#person`,
+        name: author,
+        url: `${siteUrl}/`,
+        image: `${siteUrl}/assets/profile.webp`,
+        jobTitle,
+        sameAs: profile.sameAs,
+        knowsLanguage: profile.languages.map((l) => ({
+            "@type": "Language",
+            name: l.name,
+            description: l.level,
+        })),
+        hasCredential: profile.credentials.map((c) => ({
+            "@type": "EducationalOccupationalCredential",
+            credentialCategory: "certificate",
+            name: c.name,
+            ...(c.url ? { url: c.url } : {}),
+            ...(c.issuer
+                ? { recognizedBy: { "@type": "Organization", name: c.issuer } }
+                : {}),
+        })),
+    };
+}
+
+export function projectGraph(
+    project,
+    {
+        siteUrl,
+        url = `${siteUrl}/${project.slug}`,
+        name,
+        keywords,
+        category = project.category,
+        inLanguage = "en",
+    },
+) {
+    const repo = project.links.find((l) => l.kind === "github")?.url;
+
+    return {
+        "@context": "https://schema.org",
+        "@type": repo ? "SoftwareSourceCode" : "CreativeWork",
+        "@id": `${url}#project`,
+        name,
+        headline: project.description,
+        description: [category, project.description]
+            .filter(Boolean)
+            .join(" · "),
+        url,
+        inLanguage,
+        dateCreated: project.date,
+        genre: category,
+        keywords,
+        image: project.images.map((img) => `${siteUrl}/${encodeURI(img.src)}`),
+        author: { "@id": `${siteUrl}/#person` },
+        ...(repo ? { codeRepository: repo } : {}),
+    };
+}
+
+// `</` is escaped so a string value can never close the <script> early.
+export function ldScript(data, indent) {
+    const pad = " ".repeat(indent);
+    const json = JSON.stringify(data, null, 4).replace(/<\//g, "<\\/");
+    return `${pad}<script type="application/ld+json">
+${json
+    .split("\n")
+    .map((l) => pad + "    " + l)
+    .join("\n")}
+${pad}</script>`;
+}
@@ -0,0 +1,240 @@
+import { existsSync, readFileSync, readdirSync, statSync } from "node:fs";
+import { join, posix } from "node:path";
+import { runInNewContext } from "node:vm";
+
+// Crawls the pages the build just wrote and reports what a browser would
+// trip over: local files that don't exist, #fragments with no matching id,
+// ids used twice on a page, and project screenshots nothing shows. External
+// URLs are only collected here; checkExternal() requests them on --online.
+
+const URL_ATTRS = [
+    "src",
+    "href",
+    "poster",
+    "action",
+    "content",
+    "data-url",
+    "data-download",
+    "data-href",
+];
+const ATTR = new RegExp(
+    `\\s(${URL_ATTRS.join("|")}|srcset|imagesrcset|id|data-target)="([^"]*)"`,
+    "g",
+);
+const IMAGE = /\.(avif|webp|png|jpe?g|gif|svg)$/i;
+
+const lineOf = (text, offset) => text.slice(0, offset).split("\n").length;
+
+// Netlify serves /keeptive for keeptive.html and /es/ for es/index.html.
+const fileFor = (root, path) =>
+    [path, `${path}.html`, posix.join(path, "index.html")].find((f) => {
+        const full = join(root, f);
+        return existsSync(full) && statSync(full).isFile();
+    });
+
+const walk = (root, dir) =>
+    existsSync(join(root, dir))
+        ? readdirSync(join(root, dir), { recursive: true })
+              .map((f) => posix.join(dir, f.split("\\").join("/")))
+              .filter((f) => statSync(join(root, f)).isFile())
+        : [];
+
+export function checkLinks({
+    root,
+    pages,
+    locales,
+    sections,
+    iconMap,
+    siteUrl,
+    used,
+}) {
+    const problems = [];
+    const external = new Map();
+    const referenced = new Set(used);
+    const ids = new Map();
+    const anchors = [];
+
+    const report = (level, file, line, message) =>
+        problems.push({ level, file, line, message });
+
+    for (const page of pages) {
+        const html = readFileSync(join(root, page), "utf8");
+        const seen = new Map();
+        ids.set(page, seen);
+
+        for (const m of html.matchAll(ATTR)) {
+            const [, attr, raw] = m;
+            const line = lineOf(html, m.index);
+            const value = raw.replace(/&amp;/g, "&");
+
+            if (attr === "id") {
+                if (seen.has(value))
+                    report(
+                        "error",
+                        page,
+                        line,
+                        `id "${value}" duplicado (ya usado en la línea ${seen.get(value)})`,
+                    );
+                else seen.set(value, line);
+                continue;
+            }
+            // Menu items name a section of their locale's index page; the
+            // menu only scrolls in place when that page is the current one.
+            if (attr === "data-target") {
+                const dir = locales.find((d) => d && page.startsWith(d)) ?? "";
+                anchors.push({
+                    page,
+                    line,
+                    target: `${dir}index.html`,
+                    id: value,
+                });
+                continue;
+            }
+
+            const urls = attr.endsWith("srcset")
+                ? value.split(",").map((s) => s.trim().split(/\s+/)[0])
+                : [value];
+            for (let url of urls) {
+                if (!url) continue;
+                if (url.startsWith(`${siteUrl}/`))
+                    url = `/${url.slice(siteUrl.length + 1)}`;
+                if (/^https?:\/\//.test(url)) {
+                    if (!external.has(url)) external.set(url, []);
+                    external.get(url).push(`${page}:${line}`);
+                    continue;
+                }
+                // meta content only matters when it holds a URL.
+                if (attr === "content" || /^[a-z][a-z0-9+.-]*:/i.test(url))
+                    continue;
+
+                const [path, hash] = url.split("#");
+                let target = page;
+                if (path) {
+                    const resolved = path.startsWith("/")
+                        ? path.slice(1)
+                        : posix.join(posix.dirname(page), path);
+                    let decoded;
+                    try {
+                        decoded = decodeURIComponent(resolved.split("?")[0]);
+                    } catch {
+                        decoded = resolved;
+                    }
+                    target = fileFor(root, decoded);
+                    if (!target) {
+                        report(
+                            "error",
+                            page,
+                            line,
+                            `${attr}="${raw}" no existe`,
+                        );
+                        continue;
+                    }
+                    referenced.add(target);
+                }
+                if (hash && target.endsWith(".html"))
+                    anchors.push({ page, line, target, id: hash });
+            }
+        }
+    }
+
+    // Deep links like #project-x/slide-2 are resolved by script.js; only
+    // the part before the slash has to be an element id.
+    for (const { page, line, target, id } of anchors) {
+        const known = ids.get(target);
+        if (!known) continue;
+        const base = decodeURIComponent(id).split("/")[0];
+        if (base && !known.has(base))
+            report(
+                "error",
+                page,
+                line,
+                `#${base} no existe en ${target === page ? "la página" : target}`,
+            );
+    }
+
+    for (const file of sections) {
+        const source = readFileSync(join(root, file), "utf8");
+        const window = {};
+        runInNewContext(source, { window });
+        const dir =
+            posix.dirname(file) === "." ? "" : `${posix.dirname(file)}/`;
+        const index = ids.get(`${dir}index.html`);
+        for (const entry of window.PORTFOLIO_SECTIONS ?? []) {
+            // Ids are unique and come first in each entry, so the first
+            // time the quoted id shows up is its own line.
+            const line = lineOf(
+                source,
+                source.indexOf(JSON.stringify(entry.id)),
+            );
+            if (index && !index.has(entry.id))
+                report(
+                    "error",
+                    file,
+                    line,
+                    `#${entry.id} no existe en ${dir}index.html`,
+                );
+            if (entry.page && !fileFor(root, `${dir}${entry.page}`))
+                report("error", file, line, `${entry.page} no existe`);
+        }
+    }
+
+    for (const [key, { file }] of Object.entries(iconMap)) {
+        if (!existsSync(join(root, "assets/tech", file)))
+            report(
+                "error",
+                "src/ui/tech-tags.js",
+                1,
+                `technologyIconMap.${key}: assets/tech/${file} no existe`,
+            );
+    }
+
+    for (const image of walk(root, "assets/projects")) {
+        if (IMAGE.test(image) && !referenced.has(image))
+            report("warning", image, 1, "imagen sin usar en ningún proyecto");
+    }
+
+    return { problems, external };
+}
+
+// One request per URL, a few at a time. HEAD first; some hosts only answer
+// GET properly, so anything but a 2xx/3xx gets a second try with GET.
+export async function checkExternal(
+    external,
+    { concurrency = 4, timeout = 10000 } = {},
+) {
+    const urls = [...external.keys()];
+    const results = new Map();
+
+    const probe = async (url, method) => {
+        const response = await fetch(url, {
+            method,
+            redirect: "follow",
+            signal: AbortSignal.timeout(timeout),
+            headers: { "User-Agent": "build-pages link check" },
+        });
+        return response.status;
+    };
+
+    const next = async () => {
+        while (urls.length > 0) {
+            const url = urls.shift();
+            let status;
+            try {
+                status = await probe(url, "HEAD");
+                if (status >= 400) status = await probe(url, "GET");
+            } catch (error) {
+                status =
+                    error.name === "TimeoutError" ? "timeout" : error.message;
+            }
+            results.set(url, status);
+        }
+    };
+    await Promise.all(Array.from({ length: concurrency }, next));
+
+    return [...external].map(([url, where]) => ({
+        url,
+        where,
+        status: results.get(url),
+        ok: typeof results.get(url) === "number" && results.get(url) < 400,
+    }));
+}
@@ -0,0 +1,333 @@
+// Small, dependency-free minifiers for what the build ships. Nothing is
+// renamed or reordered: comments go, and whitespace is dropped wherever the
+// tokens on either side can't run together, which takes most of the weight
+// out of Prettier-formatted sources while staying easy to trust. CSS and JS
+// also get a source map back to the readable file.
+
+const B64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+const vlq = (n) => {
+    let v = n < 0 ? (-n << 1) | 1 : n << 1;
+    let out = "";
+    do {
+        let digit = v & 31;
+        v >>>= 5;
+        if (v > 0) digit |= 32;
+        out += B64[digit];
+    } while (v > 0);
+    return out;
+};
+
+// Collects the output and one mapping for every token written with its
+// offset in `source`.
+function writer(source) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++)
+        if (source[i] === "\n") lineStarts.push(i + 1);
+
+    const position = (offset) => {
+        let lo = 0;
+        let hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return [lo, offset - lineStarts[lo]];
+    };
+
+    const chunks = [];
+    const lines = [[]];
+    let column = 0;
+    let last = "";
+
+    return {
+        get last() {
+            return last;
+        },
+        write(text, offset) {
+            if (!text) return;
+            if (offset !== undefined)
+                lines.at(-1).push([column, ...position(offset)]);
+            chunks.push(text);
+            last = text.at(-1);
+            const breaks = text.split("\n");
+            for (let i = 1; i < breaks.length; i++) lines.push([]);
+            column =
+                breaks.length === 1
+                    ? column + text.length
+                    : breaks.at(-1).length;
+        },
+        finish(file, sourceName) {
+            // Segment fields are deltas: the column against the previous
+            // segment on the same line, everything else against the
+            // previous segment anywhere. There is only ever source 0.
+            let prevLine = 0;
+            let prevColumn = 0;
+            const mappings = lines
+                .map((segments) => {
+                    let prevGenerated = 0;
+                    return segments
+                        .map(([generated, line, col]) => {
+                            const segment =
+                                vlq(generated - prevGenerated) +
+                                "A" +
+                                vlq(line - prevLine) +
+                                vlq(col - prevColumn);
+                            prevGenerated = generated;
+                            prevLine = line;
+                            prevColumn = col;
+                            return segment;
+                        })
+                        .join(",");
+                })
+                .join(";");
+            return {
+                code: chunks.join(""),
+                map: {
+                    version: 3,
+                    file,
+                    sources: [sourceName],
+                    sourcesContent: [source],
+                    names: [],
+                    mappings,
+                },
+            };
+        },
+    };
+}
+
+// Whitespace next to these can always go, as can whitespace after "(" or
+// ":" and before ")". The other sides of those are left alone on purpose:
+// `and (min-width: …)`, `:not(.a) .b` and `.a :hover` need their spaces.
+const CSS_TIGHT = new Set(["{", "}", ";", ",", ">", "~"]);
+const CSS_TOKEN =
+    /\/\*[\s\S]*?\*\/|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\s+|[{};,>~:!]|[^\s{};,>~:!"'/]+|\//g;
+
+export function minifyCss(source, { file = "", sourceName = "" } = {}) {
+    const out = writer(source);
+    let space = false;
+    let semicolon = null;
+    let statement = true;
+
+    for (const { 0: token, index } of source.matchAll(CSS_TOKEN)) {
+        if (token.startsWith("/*") || /^\s/.test(token)) {
+            space = true;
+            continue;
+        }
+        // A semicolon is held back until we know it doesn't end a block.
+        if (semicolon !== null) {
+            if (token !== "}") out.write(";", semicolon);
+            semicolon = null;
+            space = false;
+        }
+        if (token === ";") {
+            semicolon = index;
+            continue;
+        }
+
+        const prev = out.last;
+        if (
+            space &&
+            prev &&
+            prev !== ":" &&
+            prev !== "(" &&
+            token[0] !== ")" &&
+            !CSS_TIGHT.has(prev) &&
+            !CSS_TIGHT.has(token) &&
+            token !== "!"
+        )
+            out.write(" ");
+        space = false;
+
+        // One mapping per selector, declaration and closing brace.
+        out.write(token, statement || token === "}" ? index : undefined);
+        statement = token === "{" || token === "}";
+    }
+    if (semicolon !== null) out.write(";", semicolon);
+    return out.finish(file, sourceName);
+}
+
+const WORD = /[\w$\u0080-\uffff]/;
+const WORD_RUN = /[\w$\u0080-\uffff]+/y;
+// A newline after or before these can't be where ASI ends a statement.
+const JOIN_AFTER = new Set([..."{([,;:?=&|*%^~!<>."]);
+const JOIN_BEFORE = new Set([...")]},;:?."]);
+// After these words a slash starts a regular expression, not a division.
+const BEFORE_REGEX = new Set([
+    "return",
+    "typeof",
+    "instanceof",
+    "in",
+    "of",
+    "new",
+    "delete",
+    "void",
+    "throw",
+    "case",
+    "do",
+    "else",
+    "yield",
+    "await",
+]);
+
+// Token pairs that would read differently written together: two words,
+// `+ +`, `- -`, `a / /re/`, and the HTML comment markers `-->` and `<!`.
+const mustSeparate = (a, b) =>
+    (WORD.test(a) && WORD.test(b)) ||
+    (a === b && "+-/".includes(a)) ||
+    (a === "-" && b === ">") ||
+    (a === "<" && b === "!");
+
+export function minifyJs(source, { file = "", sourceName = "" } = {}) {
+    const out = writer(source);
+    const n = source.length;
+    // One entry per open `${`, counting the braces opened inside it.
+    const templates = [];
+    let prev = null;
+    let prevKind = null;
+    let space = null;
+    let i = 0;
+
+    const emit = (token, kind, start) => {
+        if (space && prev !== null) {
+            const a = out.last;
+            const b = token[0];
+            if (space === "\n" && !JOIN_AFTER.has(a) && !JOIN_BEFORE.has(b))
+                out.write("\n");
+            else if (mustSeparate(a, b)) out.write(" ");
+        }
+        space = null;
+        out.write(token, kind === "punct" ? undefined : start);
+        prev = token;
+        prevKind = kind;
+    };
+
+    const gap = (text) => {
+        space = space === "\n" || text.includes("\n") ? "\n" : " ";
+    };
+
+    // From the opening backtick or the `}` closing a substitution up to the
+    // closing backtick or the next `${`.
+    const template = (from) => {
+        let j = from + 1;
+        while (j < n) {
+            if (source[j] === "\\") j += 2;
+            else if (source[j] === "`") return [j + 1, false];
+            else if (source[j] === "$" && source[j + 1] === "{")
+                return [j + 2, true];
+            else j++;
+        }
+        throw new Error(`minify: plantilla sin cerrar en el offset ${from}`);
+    };
+    const emitTemplate = (from) => {
+        const [end, open] = template(from);
+        emit(source.slice(from, end), open ? "open" : "literal", from);
+        if (open) templates.push(0);
+        i = end;
+    };
+
+    const regexAllowed = () =>
+        prevKind === null ||
+        prevKind === "open" ||
+        (prevKind === "word" && BEFORE_REGEX.has(prev)) ||
+        (prevKind === "punct" && !")]}".includes(prev));
+
+    while (i < n) {
+        const c = source[i];
+
+        if (/\s/.test(c)) {
+            let j = i + 1;
+            while (j < n && /\s/.test(source[j])) j++;
+            gap(source.slice(i, j));
+            i = j;
+        } else if (c === "/" && source[i + 1] === "/") {
+            const end = source.indexOf("\n", i);
+            gap(" ");
+            i = end === -1 ? n : end;
+        } else if (c === "/" && source[i + 1] === "*") {
+            const end = source.indexOf("*/", i + 2);
+            if (end === -1)
+                throw new Error(
+                    `minify: comentario sin cerrar en el offset ${i}`,
+                );
+            gap(source.slice(i, end));
+            i = end + 2;
+        } else if (c === '"' || c === "'") {
+            let j = i + 1;
+            while (j < n && source[j] !== c) j += source[j] === "\\" ? 2 : 1;
+            emit(source.slice(i, j + 1), "literal", i);
+            i = j + 1;
+        } else if (c === "`") {
+            emitTemplate(i);
+        } else if (c === "}" && templates.at(-1) === 0) {
+            templates.pop();
+            emitTemplate(i);
+        } else if (c === "/" && regexAllowed()) {
+            let j = i + 1;
+            let inClass = false;
+            while (j < n && (source[j] !== "/" || inClass)) {
+                if (source[j] === "\\") j++;
+                else if (source[j] === "[") inClass = true;
+                else if (source[j] === "]") inClass = false;
+                j++;
+            }
+            j++;
+            while (j < n && /[a-z]/.test(source[j])) j++;
+            emit(source.slice(i, j), "literal", i);
+            i = j;
+        } else if (WORD.test(c)) {
+            WORD_RUN.lastIndex = i;
+            const [word] = WORD_RUN.exec(source);
+            emit(word, "word", i);
+            i += word.length;
+        } else {
+            if (templates.length > 0 && c === "{")
+                templates[templates.length - 1]++;
+            if (templates.length > 0 && c === "}")
+                templates[templates.length - 1]--;
+            emit(c, "punct", i);
+            i++;
+        }
+    }
+    return out.finish(file, sourceName);
+}
+
+// Elements that start their own box, so whitespace around their tags never
+// renders. Inline elements (a, span, picture, button…) keep one space.
+const BLOCK =
+    "html|head|body|meta|link|title|base|script|style|noscript|template|div|section|main|nav|header|footer|article|aside|ul|ol|li|dl|dt|dd|p|h[1-6]|form|fieldset|legend|figure|figcaption|table|thead|tbody|tfoot|tr|td|th|video|source|track|details|summary|dialog|br|hr";
+const AROUND_BLOCK = new RegExp(`\\s*(</?(?:${BLOCK})\\b[^>]*>)\\s*`, "gi");
+const VOID_CLOSE =
+    /(<(?:meta|link|img|source|input|br|hr|area|base|col|embed|track|wbr)\b[^>]*?)\s*\/>/gi;
+const RAW = /(<(script|style|pre|textarea)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi;
+
+const minifyMarkup = (html) =>
+    html
+        .replace(/<!--[\s\S]*?-->/g, "")
+        .replace(/\s+/g, " ")
+        .replace(AROUND_BLOCK, "$1")
+        .replace(VOID_CLOSE, "$1>");
+
+const minifyRaw = (open, tag, body) => {
+    if (tag.toLowerCase() === "style") return minifyCss(body).code;
+    if (tag.toLowerCase() !== "script" || /\ssrc=/.test(open)) return body;
+    if (/type="application\/ld\+json"/.test(open))
+        return JSON.stringify(JSON.parse(body));
+    if (/type="(?!text\/javascript|module)/.test(open)) return body;
+    return minifyJs(body).code;
+};
+
+// <pre> and <textarea> keep their whitespace; inline styles and scripts
+// go through the minifiers above.
+export function minifyHtml(html) {
+    let out = "";
+    let from = 0;
+    for (const m of html.matchAll(RAW)) {
+        const [whole, open, tag, body, close] = m;
+        out += minifyMarkup(html.slice(from, m.index) + open);
+        out += minifyRaw(open, tag, body) + close;
+        from = m.index + whole.length;
+    }
+    return (out + minifyMarkup(html.slice(from))).trim() + "\n";
+}
@@ -0,0 +1,120 @@
+// The files Netlify reads from the publish directory: _headers (caching
+// and security headers) and _redirects. netlify.toml, which runs this
+// build on deploy, is hand-written.
+
+const lineOf = (text, offset) => text.slice(0, offset).split("\n").length;
+
+const INLINE_SCRIPT = /<script\b(?![^>]*\ssrc=)([^>]*)>/g;
+const HANDLER = /<[a-z][\w-]*\s[^>]*?\s(on[a-z]+)=/g;
+const SCRIPT_URL = /\s(?:href|src|action|formaction)="\s*javascript:/gi;
+
+// Everything the policy below would block: inline <script> elements (JSON-LD
+// is data, not script), on* handler attributes and javascript: URLs. The
+// build fails on any of them rather than loosening script-src to fit.
+export function inlineScriptProblems(pages) {
+    const problems = [];
+    for (const [file, html] of pages) {
+        const report = (index, message) =>
+            problems.push({
+                level: "error",
+                file,
+                line: lineOf(html, index),
+                message,
+            });
+        for (const m of html.matchAll(INLINE_SCRIPT))
+            if (!/type="application\/ld\+json"/.test(m[1]))
+                report(m.index, "<script> en línea; muévelo a un archivo .js");
+        for (const m of html.matchAll(HANDLER))
+            report(
+                m.index,
+                `atributo ${m[1]}=; usa addEventListener desde un archivo .js`,
+            );
+        for (const m of html.matchAll(SCRIPT_URL))
+            report(m.index, "URL javascript:; usa un manejador de eventos");
+    }
+    return problems;
+}
+
+// Scripts may only come from the site itself: no inline code, no handler
+// attributes, no eval. Styles keep 'unsafe-inline': the critical CSS and a
+// few style="" attributes are inline, and a hash in style-src would switch
+// that off.
+export function contentSecurityPolicy({
+    connect = [],
+    style = [],
+    font = [],
+} = {}) {
+    const directives = {
+        "default-src": ["'self'"],
+        "script-src": ["'self'"],
+        "style-src": ["'self'", "'unsafe-inline'", ...style],
+        "font-src": ["'self'", ...font],
+        "img-src": ["'self'", "data:"],
+        "media-src": ["'self'"],
+        "connect-src": ["'self'", ...connect],
+        "worker-src": ["'self'"],
+        "form-action": ["'self'"],
+        "base-uri": ["'self'"],
+        "object-src": ["'none'"],
+        "frame-ancestors": ["'none'"],
+    };
+    return Object.entries(directives)
+        .map(([name, sources]) => `${name} ${sources.join(" ")}`)
+        .join("; ");
+}
+
+export const SECURITY_HEADERS = {
+    "Referrer-Policy": "strict-origin-when-cross-origin",
+    "Permissions-Policy":
+        "camera=(), microphone=(), geolocation=(), payment=(), usb=(), browsing-topics=()",
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+};
+
+const block = (paths, headers) =>
+    paths
+        .map(
+            (p) =>
+                `${p}\n${Object.entries(headers)
+                    .map(([name, value]) => `  ${name}: ${value}\n`)
+                    .join("")}`,
+        )
+        .join("\n");
+
+// Netlify _headers: `security` goes on every response. Hashed files never
+// change, so browsers may keep them a year; pages (under both their .html
+// and pretty URLs) and the service worker must be revalidated on every
+// visit so they pick up new hashes.
+export function headersFile({ manifest, pages, revalidate = [], security }) {
+    const urls = pages.flatMap((page) => {
+        const path = `/${page}`;
+        if (page.endsWith("index.html"))
+            return [path, path.slice(0, -"index.html".length)];
+        return [path, path.slice(0, -".html".length)];
+    });
+    return `# Generated by tools/build-pages.mjs.
+
+${block(["/*"], security)}
+${block(
+    Object.values(manifest).map((f) => `/${f}`),
+    { "Cache-Control": "public, max-age=31536000, immutable" },
+)}
+${block([...urls, ...revalidate.map((f) => `/${f}`)], {
+    "Cache-Control": "public, max-age=0, must-revalidate",
+})}`;
+}
+
+// Netlify _redirects from [from, to, status] rows, laid out as a table.
+// Rules are tried top to bottom and never shadow a file that exists.
+export function redirectsFile(rules) {
+    const width = (i) => Math.max(...rules.map((r) => String(r[i]).length));
+    return `# Generated by tools/build-pages.mjs.
+
+${rules
+    .map(
+        ([from, to, status]) =>
+            `${from.padEnd(width(0))}  ${to.padEnd(width(1))}  ${status}`,
+    )
+    .join("\n")}
+`;
+}
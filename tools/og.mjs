@@ -0,0 +1,209 @@
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { techFor } from "./tech.mjs";
+
+// 1200×630 social cards for project pages, composed as an SVG and
+// rasterized locally with sharp (libvips), a dependency in package.json.
+// Without it the cards in assets/og are kept as long as what is drawn on
+// them hasn't changed; an outdated card fails the build instead of being
+// published.
+
+export const OG_DIR = "assets/og";
+export const OG_SIZE = { width: 1200, height: 630 };
+const MANIFEST = `${OG_DIR}/manifest.json`;
+
+const SELF = fileURLToPath(import.meta.url);
+const TECH = fileURLToPath(new URL("./tech.mjs", import.meta.url));
+
+const xml = (s) =>
+    s
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+// No text metrics in SVG, so wrap on an average glyph width (em fraction)
+// that fits Inter/DejaVu at the weights used below.
+function wrap(text, size, width, maxLines, em = 0.56) {
+    const perLine = Math.floor(width / (size * em));
+    const lines = [];
+    let line = "";
+    for (const word of text.split(/\s+/)) {
+        if (line && (line + " " + word).length > perLine) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = lines[maxLines - 1].replace(/\s*\S*$/, "…");
+    }
+    return lines;
+}
+
+const dataUri = (type, buf) => `data:${type};base64,${buf.toString("base64")}`;
+
+// The badges along the bottom: the first six distinct icons among the
+// project's tags.
+function cardIcons(project, { root, iconMap }) {
+    const icons = [];
+    for (const tag of project.tech) {
+        const meta = techFor(iconMap, tag);
+        const file = meta && join(root, "assets/tech", meta.file);
+        if (!file || !existsSync(file) || icons.some((i) => i.file === file))
+            continue;
+        icons.push({ file, label: meta.label });
+        if (icons.length === 6) break;
+    }
+    return icons;
+}
+
+async function cardSvg(sharp, project, { root, name, author, icons }) {
+    const shot = await sharp(join(root, project.images[0].src))
+        .resize(520, 293, { fit: "cover" })
+        .png()
+        .toBuffer();
+
+    // Long names drop to a smaller size before they get cut off.
+    const big = wrap(name, 64, 560, 3, 0.6);
+    const titleSize = big.length > 2 ? 48 : 64;
+    const title = big.length > 2 ? wrap(name, 48, 540, 3, 0.6) : big;
+    const titleStep = titleSize + 8;
+    const desc = wrap(project.description, 28, 560, 3);
+    const descTop = 200 + (title.length - 1) * titleStep + 56;
+    const pill = project.category.length * 15 + 48;
+
+    const text = (lines, y, step, attrs) =>
+        lines
+            .map(
+                (l, i) =>
+                    `        <text x="60" y="${y + i * step}" ${attrs}>${xml(l)}</text>`,
+            )
+            .join("\n");
+
+    const badge = (icon, i) => {
+        const x = 620 + i * 70;
+        const svg = dataUri("image/svg+xml", readFileSync(icon.file));
+        return `    <rect x="${x}" y="430" width="56" height="56" rx="16" fill="rgba(255,255,255,0.08)" stroke="rgba(255,255,255,0.15)"/>
+    <image href="${svg}" x="${x + 12}" y="442" width="32" height="32"/>`;
+    };
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_SIZE.width}" height="${OG_SIZE.height}" viewBox="0 0 ${OG_SIZE.width} ${OG_SIZE.height}">
+    <defs>
+        <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="#0a0a0a"/>
+            <stop offset="0.55" stop-color="#1e1e1e"/>
+            <stop offset="1" stop-color="#2d2d2d"/>
+        </linearGradient>
+        <linearGradient id="accent" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="#4c1d95"/>
+            <stop offset="0.5" stop-color="#8b2adf"/>
+            <stop offset="1" stop-color="#ec4899"/>
+        </linearGradient>
+        <clipPath id="shot">
+            <rect x="620" y="90" width="520" height="293" rx="22"/>
+        </clipPath>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#bg)"/>
+    <rect x="0" y="0" width="100%" height="8" fill="url(#accent)"/>
+    <g font-family="Inter, 'DejaVu Sans', sans-serif">
+        <rect x="60" y="80" width="${pill}" height="44" rx="22" fill="rgba(255,255,255,0.08)" stroke="rgba(255,255,255,0.25)"/>
+        <text x="${60 + pill / 2}" y="109" font-size="22" font-weight="700" fill="#e0e0e0" text-anchor="middle">${xml(project.category)}</text>
+${text(title, 200, titleStep, `font-size="${titleSize}" font-weight="900" fill="#ffffff"`)}
+${text(desc, descTop, 38, 'font-size="28" fill="#a0a0a0"')}
+        <text x="60" y="578" font-size="24" fill="#a0a0a0"><tspan font-weight="700" fill="#d0d0d0">${xml(author)}</tspan> · ${xml(project.date)}</text>
+    </g>
+    <rect x="618" y="88" width="524" height="297" rx="24" fill="none" stroke="rgba(255,255,255,0.3)" stroke-width="2"/>
+    <image href="${dataUri("image/png", shot)}" x="620" y="90" width="520" height="293" clip-path="url(#shot)" preserveAspectRatio="xMidYMid slice"/>
+${icons.map(badge).join("\n")}
+</svg>`;
+}
+
+// What a card was drawn from, by content: checkout times say nothing about
+// whether a committed card is current. `labels` covers what the icon map
+// says about the badges beyond which files they show.
+const inputsHash = (files, labels = []) => {
+    const hash = createHash("sha1");
+    for (const f of files) hash.update(existsSync(f) ? readFileSync(f) : f);
+    hash.update(JSON.stringify(labels));
+    return hash.digest("hex").slice(0, 12);
+};
+
+export async function renderOgCards(
+    projects,
+    { root, author, iconMap, names, log = console.log },
+) {
+    let sharp = null;
+    try {
+        sharp = (await import("sharp")).default;
+    } catch {
+        log(
+            "  ! sharp no está instalado: se reutilizan las tarjetas de assets/og",
+        );
+    }
+
+    const manifestFile = join(root, MANIFEST);
+    const previous = existsSync(manifestFile)
+        ? JSON.parse(readFileSync(manifestFile, "utf8"))
+        : {};
+    const manifest = {};
+    const cards = new Map();
+    const stale = [];
+    mkdirSync(join(root, OG_DIR), { recursive: true });
+
+    for (const p of projects) {
+        const rel = `${OG_DIR}/${p.slug}.png`;
+        const out = join(root, rel);
+
+        const icons = cardIcons(p, { root, iconMap });
+        const hash = inputsHash(
+            [
+                p.source.file,
+                join(root, p.images[0].src),
+                ...icons.map((i) => i.file),
+                SELF,
+                TECH,
+            ],
+            icons.map((i) => i.label),
+        );
+        if (existsSync(out) && previous[p.slug] === hash) {
+            manifest[p.slug] = hash;
+            cards.set(p.slug, rel);
+            continue;
+        }
+        if (!sharp) {
+            stale.push(rel);
+            continue;
+        }
+
+        const svg = await cardSvg(sharp, p, {
+            root,
+            name: names(p),
+            author,
+            icons,
+        });
+        await sharp(Buffer.from(svg)).png({ compressionLevel: 9 }).toFile(out);
+        log(`  ${rel}`);
+        manifest[p.slug] = hash;
+        cards.set(p.slug, rel);
+    }
+
+    if (stale.length > 0)
+        throw new Error(
+            `sharp no está instalado y ${stale.join(", ")} no corresponde a su proyecto; ejecuta npm install`,
+        );
+
+    const json = JSON.stringify(manifest, null, 4) + "\n";
+    if (
+        !existsSync(manifestFile) ||
+        readFileSync(manifestFile, "utf8") !== json
+    )
+        writeFileSync(manifestFile, json);
+
+    return cards;
+}
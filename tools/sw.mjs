@@ -0,0 +1,260 @@
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+
+// The service worker is generated so that its precache list and version
+// always match the files the build just wrote. Any change to a precached
+// file changes the version, the browser sees a new sw.js and swaps caches.
+
+// Everything a page needs to render, plus the small images every page uses.
+// Project screenshots are too heavy to precache and are cached on first view.
+export function precacheManifest({ root, pages, dirs }) {
+    const files = [...pages];
+    for (const dir of dirs) {
+        if (!existsSync(join(root, dir))) continue;
+        for (const f of readdirSync(join(root, dir)).sort())
+            if (/\.(svg|png|webp)$/.test(f)) files.push(`${dir}/${f}`);
+    }
+
+    const missing = files.filter((f) => !existsSync(join(root, f)));
+    if (missing.length > 0)
+        throw new Error(`precache: no existen ${missing.join(", ")}`);
+
+    const hash = createHash("sha256");
+    for (const f of files) hash.update(f).update(readFileSync(join(root, f)));
+
+    return { version: hash.digest("hex").slice(0, 12), files };
+}
+
+// `offline` maps a locale directory ("es/", "") to its offline page; the
+// first prefix that matches a request path wins, so the root comes last.
+// `retry` is the source of src/contact/retry.js, the outbox's retry
+// schedule, which the worker runs without its exports.
+export function serviceWorker({ version, files }, { offline, retry }) {
+    return `/* Generated by tools/build-pages.mjs. Edit tools/sw.mjs instead. */
+const VERSION = ${JSON.stringify(version)};
+const PRECACHE = ${JSON.stringify(files, null, 4)};
+const OFFLINE = ${JSON.stringify(offline, null, 4)};
+
+const SHELL_CACHE = \`shell-\${VERSION}\`;
+const PAGE_CACHE = \`pages-\${VERSION}\`;
+const IMAGE_CACHE = "images";
+const IMAGE_LIMIT = 120;
+
+const scope = new URL(self.registration.scope);
+const toUrl = (path) => new URL(path, scope).href;
+
+// Netlify serves /keeptive and / for keeptive.html and index.html; both
+// spellings have to find the same cached copy.
+const pageKey = (url) => {
+    const u = new URL(url);
+    u.search = "";
+    u.hash = "";
+    if (u.pathname.endsWith("/")) u.pathname += "index.html";
+    else if (!/\\.[a-z0-9]+$/i.test(u.pathname)) u.pathname += ".html";
+    return u.href;
+};
+
+const offlinePage = (url) => {
+    const path = new URL(url).pathname.slice(scope.pathname.length);
+    const match = OFFLINE.find(([dir]) => path.startsWith(dir));
+    return match ? toUrl(match[1]) : null;
+};
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches
+            .open(SHELL_CACHE)
+            .then((cache) => cache.addAll(PRECACHE.map(toUrl)))
+            .then(() => self.skipWaiting()),
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    const keep = [SHELL_CACHE, PAGE_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((key) => !keep.includes(key))
+                        .map((key) => caches.delete(key)),
+                ),
+            )
+            .then(() => self.clients.claim()),
+    );
+});
+
+const trim = async (cacheName, limit) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(
+        keys.slice(0, Math.max(0, keys.length - limit)).map((k) => cache.delete(k)),
+    );
+};
+
+const cacheFirst = async (request) => {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+};
+
+const staleWhileRevalidate = async (request, cacheName, { key = request, fallback } = {}) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                cache
+                    .put(key, response.clone())
+                    .then(() => cacheName === IMAGE_CACHE && trim(cacheName, IMAGE_LIMIT));
+            }
+            return response;
+        })
+        .catch(async () => cached || (await fallback?.()) || Response.error());
+    return cached || network;
+};
+
+const navigate = async (request) => {
+    const key = pageKey(request.url);
+    const precached = await caches.match(key, { cacheName: SHELL_CACHE });
+    if (precached) return precached;
+
+    return staleWhileRevalidate(request, PAGE_CACHE, {
+        key,
+        fallback: () => {
+            const page = offlinePage(request.url);
+            return page && caches.match(page, { cacheName: SHELL_CACHE });
+        },
+    });
+};
+
+// The contact form posts to "/" with fetch. Offline that would surface as a
+// bare network error, so the page gets a 503 it can recognize instead.
+const offlinePost = () =>
+    new Response(JSON.stringify({ offline: true }), {
+        status: 503,
+        headers: { "Content-Type": "application/json", "X-Offline": "1" },
+    });
+
+// Background Sync for the contact outbox script.js keeps in IndexedDB. The
+// claim step mirrors the page's so a tab retrying at the same time can't
+// post the same message twice.
+const OUTBOX_TAG = "contact-outbox";
+const OUTBOX_LEASE_MS = 30000;
+
+${retry.replace(/^export\s+/gm, "").trim()}
+
+const outboxTx = (mode, work) =>
+    new Promise((resolve, reject) => {
+        const open = indexedDB.open("portfolio", 1);
+        open.onupgradeneeded = () =>
+            open.result.createObjectStore("outbox", { keyPath: "id" });
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const transaction = open.result.transaction("outbox", mode);
+            let result;
+            const request = work(transaction.objectStore("outbox"), (value) => {
+                result = value;
+            });
+            if (request) request.onsuccess = () => (result = request.result);
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+
+const claimOutbox = (id, now = Date.now()) =>
+    outboxTx("readwrite", (store, done) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const item = request.result;
+            if (!item || item.state === "sent" || item.lease > now) return;
+            item.lease = now + OUTBOX_LEASE_MS;
+            store.put(item);
+            done(item);
+        };
+    });
+
+const drainOutbox = async () => {
+    const items = await outboxTx("readonly", (store) => store.getAll());
+    const now = Date.now();
+    let pending = false;
+
+    for (const { id, state, next } of items) {
+        if (state !== "queued") continue;
+        // Still backing off from its last failure.
+        if (next > now) {
+            pending = true;
+            continue;
+        }
+        const item = await claimOutbox(id);
+        if (!item) continue;
+
+        item.lease = 0;
+        // The request was built by the form's transport adapter; only
+        // network errors, 429 and 5xx are worth another try.
+        let retryable = false;
+        try {
+            const { url, headers, body } = item.request;
+            const response = await fetch(new URL(url, self.location.href), {
+                method: "POST",
+                headers,
+                body,
+            });
+            if (response.ok) {
+                item.state = "sent";
+                item.sent = Date.now();
+            } else {
+                retryable = response.status === 429 || response.status >= 500;
+            }
+        } catch {
+            retryable = true;
+        }
+        if (item.state !== "sent") {
+            item.attempts += 1;
+            item.state =
+                retryable && item.attempts < OUTBOX_MAX_ATTEMPTS
+                    ? "queued"
+                    : "failed";
+            item.next = Date.now() + outboxBackoff(item.attempts);
+            if (item.state === "queued") pending = true;
+        }
+        await outboxTx("readwrite", (store) => store.put(item));
+    }
+
+    const clients = await self.clients.matchAll({ type: "window" });
+    clients.forEach((client) => client.postMessage({ type: OUTBOX_TAG }));
+
+    // Rejecting hands the retry schedule back to the browser.
+    if (pending) throw new Error("Contact outbox still has unsent messages");
+};
+
+self.addEventListener("sync", (event) => {
+    if (event.tag === OUTBOX_TAG) event.waitUntil(drainOutbox());
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== scope.origin) return;
+
+    if (request.method === "POST" && request.mode !== "navigate") {
+        event.respondWith(fetch(request).catch(offlinePost));
+        return;
+    }
+    if (request.method !== "GET" || request.headers.has("range")) return;
+
+    if (request.mode === "navigate") {
+        event.respondWith(navigate(request));
+    } else if (
+        /^assets\\/(projects|variants)\\//.test(
+            url.pathname.slice(scope.pathname.length),
+        )
+    ) {
+        event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE));
+    } else if (PRECACHE.some((f) => toUrl(f) === url.href)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+`;
+}
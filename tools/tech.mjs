@@ -0,0 +1,33 @@
+import { runInNewContext } from "node:vm";
+
+// technologyIconMap lives in src/ui/tech-tags.js, where
+// initializeProjectTechTagIcons uses it at runtime. The builder evaluates
+// that same object literal so both sides always agree on which tags get an
+// icon.
+
+export function readTechnologyIconMap(scriptSource) {
+    const start = scriptSource.indexOf("const technologyIconMap = {");
+    if (start === -1)
+        throw new Error("tech-tags.js: no se encontró technologyIconMap");
+
+    const open = scriptSource.indexOf("{", start);
+    let depth = 0;
+    for (let i = open; i < scriptSource.length; i++) {
+        if (scriptSource[i] === "{") depth++;
+        else if (scriptSource[i] === "}" && --depth === 0) {
+            return runInNewContext(`(${scriptSource.slice(open, i + 1)})`);
+        }
+    }
+    throw new Error("tech-tags.js: technologyIconMap sin cerrar");
+}
+
+// Mirrors stripLeadingDecorators + toLowerCase in src/ui/tech-tags.js.
+export const techKey = (tag) =>
+    tag
+        .replace(/\s+/g, " ")
+        .trim()
+        .replace(/^[^A-Za-z0-9]+/, "")
+        .trim()
+        .toLowerCase();
+
+export const techFor = (map, tag) => map[techKey(tag)] ?? null;
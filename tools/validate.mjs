@@ -0,0 +1,235 @@
+import { existsSync } from "node:fs";
+import { basename, join, relative } from "node:path";
+
+// Checks every project loaded from content/projects and returns a flat list
+// of problems ({ level, file, line, message }). Nothing stops at the first
+// failure: the builder prints the whole report and decides whether to write.
+
+const REQUIRED = ["id", "title", "category", "description", "date"];
+const KNOWN = [...REQUIRED, "images", "tech", "links"];
+
+export function validateProjects(projects, { root, categories, linkKinds }) {
+    const problems = [];
+    const seen = new Map();
+
+    for (const p of projects) {
+        const { file, lines, problems: parse } = p.source;
+        const rel = relative(root, file);
+        const at = (path) => lines[path] ?? lines[path.split(".")[0]] ?? 1;
+        const report = (level, path, message) =>
+            problems.push({ level, file: rel, line: at(path), message });
+        const error = (path, message) => report("error", path, message);
+        const warn = (path, message) => report("warning", path, message);
+
+        for (const { line, message } of parse)
+            problems.push({ level: "error", file: rel, line, message });
+
+        for (const key of REQUIRED) {
+            // loadProjects() derives p.id from the slug, so the id as
+            // written in the file is p.slug.
+            const value = key === "id" ? p.slug : p[key];
+            if (value === undefined) error(key, `falta el campo ${key}`);
+            else if (typeof value !== "string" || !value.trim())
+                error(key, `${key} debe ser un texto no vacío`);
+        }
+        for (const key of Object.keys(lines)) {
+            if (!key.includes(".") && !KNOWN.includes(key))
+                warn(key, `campo desconocido ${key} (se ignora)`);
+        }
+
+        if (typeof p.slug === "string" && p.slug.trim()) {
+            if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(p.slug))
+                error("id", `id "${p.slug}" debe ser kebab-case en minúsculas`);
+            if (!basename(file, ".md").replace(/^\d+-/, "").startsWith(p.slug))
+                warn(
+                    "id",
+                    `id "${p.slug}" no coincide con el nombre del archivo`,
+                );
+            if (seen.has(p.slug))
+                error(
+                    "id",
+                    `id "${p.slug}" repetido (ya usado en ${seen.get(p.slug)})`,
+                );
+            else seen.set(p.slug, rel);
+        }
+
+        if (
+            typeof p.title === "string" &&
+            p.title.trim() &&
+            !/^\S+\s+\S/u.test(p.title)
+        )
+            warn(
+                "title",
+                "el título no empieza con un emoji seguido del nombre",
+            );
+        if (
+            typeof p.category === "string" &&
+            p.category &&
+            !categories.includes(p.category)
+        )
+            error(
+                "category",
+                `categoría "${p.category}" no es una de: ${categories.join(", ")}`,
+            );
+        if (typeof p.date === "string" && p.date && !/^\d{4}$/.test(p.date))
+            warn("date", `fecha "${p.date}" no es un año (AAAA)`);
+
+        if (p.images.length === 0)
+            error("images", "el proyecto necesita al menos una imagen");
+        p.images.forEach((img, i) => {
+            const path = `images.${i}`;
+            if (typeof img !== "object")
+                return error(path, "cada imagen necesita src y alt");
+            if (!img.src) error(path, `images[${i}]: falta src`);
+            else if (!existsSync(join(root, img.src)))
+                error(`${path}.src`, `images[${i}]: no existe ${img.src}`);
+            if (!img.alt?.trim())
+                error(path, `images[${i}]: falta el texto alternativo (alt)`);
+        });
+
+        if (p.tech.length === 0)
+            error("tech", "el proyecto necesita al menos una tech tag");
+
+        if (p.links.length === 0)
+            error("links", "el proyecto necesita al menos un enlace");
+        p.links.forEach((link, i) => {
+            const path = `links.${i}`;
+            if (typeof link !== "object")
+                return error(path, "cada enlace necesita kind y url");
+            if (!linkKinds.includes(link.kind))
+                error(
+                    path,
+                    `links[${i}]: kind "${link.kind ?? ""}" no es uno de: ${linkKinds.join(", ")}`,
+                );
+            if (!link.url) error(path, `links[${i}]: falta url`);
+            else if (!/^https:\/\//.test(link.url))
+                warn(`${path}.url`, `links[${i}]: la url no es https`);
+        });
+
+        const orphan = p.sections.find((s) => !s.heading);
+        if (orphan)
+            problems.push({
+                level: "warning",
+                file: rel,
+                line: orphan.line,
+                message: "hay texto antes del primer encabezado ##",
+            });
+        if (!p.sections.some((s) => s.heading && /Features$/.test(s.heading)))
+            problems.push({
+                level: "warning",
+                file: rel,
+                line: p.sections[0]?.line ?? at("id"),
+                message: "falta la sección ## Features de la descripción",
+            });
+    }
+
+    return problems;
+}
+
+// Translations only carry the text of a project; everything else comes from
+// the English file, so they are checked against it rather than on their own.
+const TRANSLATABLE = ["title", "description", "images"];
+
+export function validateTranslations(projects, { root, lang }) {
+    const problems = [];
+
+    for (const p of projects) {
+        if (!p.translation) {
+            problems.push({
+                level: "warning",
+                file: relative(root, p.source.file),
+                line: 1,
+                message: `sin traducción en content/projects/${lang}/; se publica en inglés`,
+            });
+            continue;
+        }
+
+        const { file, data, lines, problems: parse, base } = p.translation;
+        const rel = relative(root, file);
+        const at = (path) => lines[path] ?? lines[path.split(".")[0]] ?? 1;
+        const report = (level, line, message) =>
+            problems.push({ level, file: rel, line, message });
+
+        for (const { line, message } of parse) report("error", line, message);
+
+        for (const key of Object.keys(lines)) {
+            if (!key.includes(".") && !TRANSLATABLE.includes(key))
+                report(
+                    "warning",
+                    at(key),
+                    `campo ${key} no se traduce (se ignora); solo ${TRANSLATABLE.join(", ")}`,
+                );
+        }
+
+        const mark = (title) => title.split(/\s/)[0];
+        if (
+            typeof data.title === "string" &&
+            typeof base.title === "string" &&
+            mark(data.title) !== mark(base.title)
+        )
+            report(
+                "warning",
+                at("title"),
+                `el título no empieza con el mismo emoji que el original (${mark(base.title)})`,
+            );
+
+        const { images } = p.translation;
+        if (data.images !== undefined && images.length !== p.images.length)
+            report(
+                "error",
+                at("images"),
+                `images: hay ${images.length} textos alternativos y el original tiene ${p.images.length} imágenes`,
+            );
+        images.forEach((img, i) => {
+            if (typeof img !== "object" || !img.alt?.trim())
+                report(
+                    "error",
+                    at(`images.${i}`),
+                    `images[${i}]: falta el texto alternativo (alt)`,
+                );
+            else if (img.src !== undefined)
+                report(
+                    "warning",
+                    at(`images.${i}.src`),
+                    `images[${i}]: src no se traduce (se usa el del original)`,
+                );
+        });
+
+        const headings = p.translation.sections.filter((s) => s.heading);
+        const original = base.sections.filter((s) => s.heading).length;
+        if (headings.length === 0)
+            report(
+                "warning",
+                at("title"),
+                "sin cuerpo traducido; se publica la descripción en inglés",
+            );
+        else if (headings.length !== original)
+            report(
+                "warning",
+                headings[0].line,
+                `la traducción tiene ${headings.length} secciones ## y el original ${original}`,
+            );
+    }
+
+    return problems;
+}
+
+export function printReport(problems, log = console.log) {
+    const byFile = new Map();
+    for (const p of problems) {
+        if (!byFile.has(p.file)) byFile.set(p.file, []);
+        byFile.get(p.file).push(p);
+    }
+    for (const [file, list] of byFile) {
+        log(`\n${file}`);
+        for (const p of list.sort((a, b) => a.line - b.line)) {
+            const tag = p.level === "error" ? "error" : "aviso";
+            log(`  ${file}:${p.line}  ${tag.padEnd(5)}  ${p.message}`);
+        }
+    }
+
+    const errors = problems.filter((p) => p.level === "error").length;
+    const warnings = problems.length - errors;
+    log(`\n${errors} errores, ${warnings} avisos.`);
+    return { errors, warnings };
+}
@@ -0,0 +1,340 @@
+import { spawn } from "node:child_process";
+import { createHash } from "node:crypto";
+import {
+    existsSync,
+    readFileSync,
+    readdirSync,
+    statSync,
+    watch as fsWatch,
+} from "node:fs";
+import { createServer } from "node:http";
+import { extname, join, normalize, sep } from "node:path";
+import { contactInbox } from "./contact-server.mjs";
+
+// Preview server + rebuild loop behind `build-pages.mjs --watch`. Rebuilds
+// run in a child process so a broken content file only fails that build,
+// never the server, and write only the pages an edit reaches (--only).
+// Open tabs get a tiny EventSource client injected into every HTML response
+// and reload when a file they depend on changes.
+
+const TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".xml": "application/xml; charset=utf-8",
+    ".txt": "text/plain; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".jpg": "image/jpeg",
+    ".mp4": "video/mp4",
+    ".webmanifest": "application/manifest+json",
+};
+
+const IGNORED = /^(\.git|node_modules|\.vscode|\.contact-inbox)(\/|$)/;
+
+// Inputs of the builder. Anything else that changes only needs a reload.
+const isInput = (f) =>
+    f === "index.html" ||
+    f === "styles.css" ||
+    f === "detail.css" ||
+    f === "boot.js" ||
+    f.startsWith("src/") ||
+    f.startsWith("content/") ||
+    (f.startsWith("assets/") &&
+        !f.startsWith("assets/og/") &&
+        !f.startsWith("assets/variants/")) ||
+    f.startsWith("tools/");
+
+// Sources the browser never requests; a change there only matters once the
+// rebuild has written its outputs.
+const isSource = (f) =>
+    f.startsWith("src/") || f.startsWith("content/") || f.startsWith("tools/");
+
+// Inputs that build-pages.mjs fingerprints as they are; src/ is bundled
+// into script.js first.
+const FINGERPRINTED = new Set(["styles.css", "detail.css", "boot.js"]);
+
+const readJson = (file) => {
+    try {
+        return JSON.parse(readFileSync(file, "utf8"));
+    } catch {
+        return null;
+    }
+};
+
+// The pages of the last build: the site root and every locale directory,
+// with their tech/ pages.
+function builtPages(root) {
+    const i18n = join(root, "content/i18n");
+    const dirs = [
+        "",
+        ...(existsSync(i18n) ? readdirSync(i18n) : [])
+            .filter((f) => f.endsWith(".json"))
+            .map((f) => `${f.slice(0, -5)}/`),
+    ].flatMap((dir) => [dir, `${dir}tech/`]);
+    return dirs.flatMap((dir) =>
+        existsSync(join(root, dir))
+            ? readdirSync(join(root, dir))
+                  .filter((f) => f.endsWith(".html"))
+                  .map((f) => dir + f)
+            : [],
+    );
+}
+
+// The pages a set of edited inputs reaches, going by what the pages of the
+// last build reference: a stylesheet or script by its fingerprinted name,
+// an image by its path, a project by its page and its card. null when an
+// edit can reach any page (index.html, tools/, translations) or isn't
+// found in the last build.
+function affectedPages(root, files) {
+    const pages = builtPages(root);
+    const manifest = readJson(join(root, "asset-manifest.json")) ?? {};
+    const own = new Set();
+    const marks = new Set();
+
+    for (const f of files) {
+        // The builder also reads tech-tags.js for the tech pages.
+        const asset = FINGERPRINTED.has(f)
+            ? f
+            : f.startsWith("src/") && f !== "src/ui/tech-tags.js"
+              ? "script.js"
+              : null;
+        if (asset) {
+            if (!manifest[asset]) return null;
+            marks.add(manifest[asset]);
+            continue;
+        }
+
+        if (f.startsWith("assets/")) {
+            marks.add(f);
+            continue;
+        }
+
+        // A translation lives next to the English file of the same name,
+        // which holds the project's id.
+        const project = /^content\/projects\/(?:[\w-]+\/)?([^/]+\.md)$/.exec(f);
+        if (project) {
+            const source = join(root, "content/projects", project[1]);
+            const id = existsSync(source)
+                ? /^id:\s*(\S+)\s*$/m.exec(readFileSync(source, "utf8"))?.[1]
+                : null;
+            if (!id || !pages.includes(`${id}.html`)) return null;
+            pages
+                .filter(
+                    (page) =>
+                        page.endsWith(`/${id}.html`) || page === `${id}.html`,
+                )
+                .forEach((page) => own.add(page));
+            marks.add(`/${id}.html"`);
+            marks.add(`"${id}.html"`);
+            marks.add(`id="project-${id}"`);
+            continue;
+        }
+
+        return null;
+    }
+
+    for (const page of pages) {
+        if (own.has(page)) continue;
+        const html = readFileSync(join(root, page), "utf8");
+        if ([...marks].some((mark) => html.includes(mark))) own.add(page);
+    }
+    return [...own].sort();
+}
+
+const CLIENT = `<script>
+    (function () {
+        var page = location.pathname.replace(/\\/$/, "/index").replace(/\\.html$/, "");
+        new EventSource("/__reload").onmessage = function (e) {
+            var files = JSON.parse(e.data);
+            var css = files.every(function (f) { return /\\.css$/.test(f); });
+            if (css) {
+                document.querySelectorAll('link[rel="stylesheet"]').forEach(function (l) {
+                    var url = new URL(l.href);
+                    if (url.origin !== location.origin) return;
+                    url.searchParams.set("t", Date.now());
+                    l.href = url.href;
+                });
+                return;
+            }
+            var mine = files.some(function (f) {
+                return !/\\.html$/.test(f) || "/" + f.replace(/\\.html$/, "") === page;
+            });
+            if (mine) location.reload();
+        };
+    })();
+</script>`;
+
+function resolvePath(root, url) {
+    let path;
+    try {
+        path = decodeURIComponent(new URL(url, "http://x").pathname);
+    } catch {
+        return null;
+    }
+    path = normalize(path).replace(/^([/\\])+/, "");
+    const file = join(root, path);
+    if (file !== root && !file.startsWith(root + sep)) return null;
+
+    const candidates =
+        path.endsWith("/") || path === ""
+            ? [join(file, "index.html")]
+            : [file, `${file}.html`, join(file, "index.html")];
+    return (
+        candidates.find((f) => existsSync(f) && statSync(f).isFile()) ?? null
+    );
+}
+
+export function watch({ root, builder, args = [], port = 5501 }) {
+    const clients = new Set();
+    const hashes = new Map();
+    let pending = new Set();
+    let timer = null;
+    let building = false;
+    // Pages waiting for the next build; null means all of them.
+    let queued;
+    let failed = false;
+    let builtIndex = null;
+
+    const hash = (file) => {
+        try {
+            return createHash("sha1")
+                .update(readFileSync(join(root, file)))
+                .digest("hex");
+        } catch {
+            return null;
+        }
+    };
+
+    const notify = (files) => {
+        const data = `data: ${JSON.stringify(files)}\n\n`;
+        for (const res of clients) res.write(data);
+    };
+
+    function rebuild(pages) {
+        queued =
+            queued === null || pages === null
+                ? null
+                : new Set([...(queued ?? []), ...pages]);
+        if (building) return;
+
+        // A failed build may have written nothing, so the next one can't
+        // count on the pages it skips being current.
+        const only = failed ? null : queued;
+        queued = undefined;
+        building = true;
+        const what = !only
+            ? ""
+            : only.size === 0
+              ? " los archivos compartidos"
+              : only.size <= 4
+                ? ` ${[...only].join(", ")}`
+                : ` ${only.size} páginas`;
+        console.log(`\n[watch] reconstruyendo${what}…`);
+        const child = spawn(
+            process.execPath,
+            [
+                builder,
+                ...args,
+                ...(only ? [`--only=${[...only].join(",")}`] : []),
+            ],
+            { cwd: root, stdio: "inherit" },
+        );
+        child.on("exit", (code) => {
+            building = false;
+            // The builder splices the project list back into index.html;
+            // that write is an output, not an edit to rebuild from.
+            builtIndex = hash("index.html");
+            failed = code !== 0;
+            if (failed)
+                console.log("[watch] el build falló; esperando cambios");
+            if (queued !== undefined) {
+                rebuild([]);
+            } else if (pending.size > 0) {
+                flush();
+            }
+        });
+    }
+
+    function flush() {
+        if (building) return;
+        const files = [...pending];
+        pending = new Set();
+
+        const edited = files.filter(
+            (f) =>
+                isInput(f) && !(f === "index.html" && hash(f) === builtIndex),
+        );
+        if (edited.length > 0) rebuild(affectedPages(root, edited));
+
+        const served = files.filter((f) => !isSource(f));
+        if (served.length > 0) notify(served);
+    }
+
+    fsWatch(root, { recursive: true }, (_, name) => {
+        if (!name) return;
+        const file = name.split(sep).join("/");
+        if (IGNORED.test(file)) return;
+
+        const h = hash(file);
+        if (h !== null && hashes.get(file) === h) return;
+        hashes.set(file, h);
+
+        pending.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(flush, 80);
+    });
+
+    const inbox = contactInbox({ dir: join(root, ".contact-inbox") });
+
+    const server = createServer((req, res) => {
+        if (req.url === "/__reload") {
+            res.writeHead(200, {
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                Connection: "keep-alive",
+            });
+            res.write(": conectado\n\n");
+            clients.add(res);
+            req.on("close", () => clients.delete(res));
+            return;
+        }
+
+        if (inbox(req, res)) return;
+
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405, { Allow: "GET, HEAD, POST" }).end();
+            return;
+        }
+
+        const file = resolvePath(root, req.url);
+        if (!file) {
+            res.writeHead(404, { "Content-Type": TYPES[".txt"] });
+            res.end(`404: ${req.url}`);
+            return;
+        }
+
+        const type = TYPES[extname(file)] ?? "application/octet-stream";
+        let body = readFileSync(file);
+        if (type.startsWith("text/html")) {
+            body = body
+                .toString("utf8")
+                .replace(/<\/body>/i, `${CLIENT}\n</body>`);
+        }
+        res.writeHead(200, {
+            "Content-Type": type,
+            "Cache-Control": "no-store",
+        });
+        res.end(req.method === "HEAD" ? undefined : body);
+    });
+
+    server.listen(port, () => {
+        console.log(`\n[watch] http://localhost:${port}/  (Ctrl+C para salir)`);
+        console.log(`[watch] vigilando ${root}`);
+        console.log(`[watch] mensajes de contacto en .contact-inbox/`);
+    });
+}
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Tests for src/ pick jsdom with a @vitest-environment comment at the top
+// of the file; the rest run under Node like tools/ does.
+export default defineConfig({
+    test: {
+        include: ["test/**/*.test.{js,mjs}"],
+        setupFiles: ["test/setup.js"],
+    },
+});